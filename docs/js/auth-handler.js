@@ -1,33 +1,136 @@
-// src/js/auth-handler.js
+/**
+ * Auth Links - Header sign-in links for every page
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Renders Login/Register or Profile/Logout in #auth-links
+ * - Re-renders whenever the auth state changes (restored session, login, logout, other tabs)
+ * - One shared component instead of a copy of the script on each page
+ */
+
 import { auth } from './auth.js';
 
-export function initAuthLinks () {
-  const authLinksContainer = document.getElementById('auth-links');
-  if (!authLinksContainer) return;
-
-  try {
-    if (auth && auth.isAuthenticated && auth.isAuthenticated()) {
-      authLinksContainer.innerHTML = `
-        <a href="/profile.html" class="btn btn-secondary cta-link" role="menuitem">Profile</a>
-        <button id="logout-btn" class="btn btn-primary cta-link" role="menuitem">Logout</button>
-      `;
-      
-      const logoutBtn = document.getElementById('logout-btn');
-      if (logoutBtn) {
-        logoutBtn.addEventListener('click', () => {
-          if (auth.logout) auth.logout();
-          window.location.href = '/login.html';
-        });
-      }
+export class AuthLinks {
+  /**
+   * @param {HTMLElement} container - Element that holds the links
+   * @param {Object} options - Options
+   * @param {Object} options.auth - Auth module
+   * @param {string} options.loginUrl - Login page
+   * @param {string} options.profileUrl - Profile page
+   * @param {string} options.registerUrl - Register page
+   */
+  constructor (container, options = {}) {
+    this.container = container;
+    this.options = {
+      auth,
+      loginUrl: '/login/',
+      profileUrl: '/profile/',
+      registerUrl: '/register/',
+      ...options
+    };
+
+    this.auth = this.options.auth;
+    this.unsubscribe = null;
+    this.render = this.render.bind(this);
+    this.handleLogout = this.handleLogout.bind(this);
+  }
+
+  /**
+   * Render now and after every auth change
+   * @returns {AuthLinks} This instance
+   */
+  init () {
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.auth.subscribe(this.render);
+    }
+    return this;
+  }
+
+  /**
+   * Build a header link or button
+   * @param {string} tag - 'a' or 'button'
+   * @param {string} text - Label
+   * @param {string} variant - Button style (primary/secondary)
+   * @returns {HTMLElement} Element
+   */
+  createItem (tag, text, variant) {
+    const item = document.createElement(tag);
+    item.className = `btn btn-${variant} cta-link`;
+    item.setAttribute('role', 'menuitem');
+    item.textContent = text;
+    return item;
+  }
+
+  /**
+   * Show the links for the current state
+   * @param {Object} state - Auth state ({ isAuthenticated, user })
+   */
+  render (state) {
+    const { loginUrl, profileUrl, registerUrl } = this.options;
+    const items = [];
+
+    if (state.isAuthenticated) {
+      const profile = this.createItem('a', 'Profile', 'secondary');
+      profile.href = profileUrl;
+      const logout = this.createItem('button', 'Logout', 'primary');
+      logout.type = 'button';
+      logout.id = 'logout-btn';
+      logout.addEventListener('click', this.handleLogout);
+      items.push(profile, logout);
     } else {
-      authLinksContainer.innerHTML = `
-        <a href="/login.html" class="btn btn-secondary cta-link" role="menuitem">Login</a>
-        <a href="/register.html" class="btn btn-primary cta-link" role="menuitem">Register</a>
-      `;
+      const login = this.createItem('a', 'Login', 'secondary');
+      login.href = loginUrl;
+      const register = this.createItem('a', 'Register', 'primary');
+      register.href = registerUrl;
+      items.push(login, register);
     }
-  } catch (error) {
-    console.warn('Auth initialization failed:', error);
+
+    this.container.replaceChildren(...items);
+  }
+
+  /**
+   * Sign out and go to the login page
+   */
+  handleLogout () {
+    this.auth.logout();
+    window.location.href = this.options.loginUrl;
+  }
+
+  /**
+   * Stop following the auth state
+   */
+  destroy () {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
   }
 }
 
-document.addEventListener('DOMContentLoaded', initAuthLinks);
+let authLinksInstance = null;
+
+/**
+ * Render the header auth links on this page
+ * @returns {AuthLinks|null} Component, or null without an #auth-links element
+ */
+export function initAuthLinks () {
+  if (authLinksInstance) return authLinksInstance;
+
+  const container = document.getElementById('auth-links');
+  if (!container) return null;
+
+  auth.init();
+  authLinksInstance = new AuthLinks(container).init();
+  return authLinksInstance;
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initAuthLinks);
+} else {
+  initAuthLinks();
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.AuthLinks = AuthLinks;
+}
+
+export default AuthLinks;
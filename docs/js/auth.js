@@ -1,140 +1,259 @@
+import { apiClient, ApiError, AuthError, NetworkError, RateLimitError, ValidationError } from './utils/apiClient.js';
+
+// localStorage key for the auth token (other tabs watch it through storage events)
+export const AUTH_TOKEN_KEY = 'token';
+
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+
+/**
+ * Read the expiry from a JWT's exp claim
+ * @param {string} token - Auth token
+ * @returns {number|null} Expiry timestamp (ms), or null if the token has none
+ */
+export function getTokenExpiry (token) {
+  if (typeof token !== 'string') return null;
+
+  try {
+    const payload = token.split('.')[1];
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '='));
+    const { exp } = JSON.parse(json);
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch (e) {
+    // Not a JWT - expiry unknown
+    return null;
+  }
+}
+
+/**
+ * Result for a request that threw
+ * The server's own message wins; CSRF and rate limit errors carry one for the visitor,
+ * rate limits also say how long to wait, and validation errors list fields
+ * @param {Error} err - Error from apiClient
+ * @param {string} failed - Message when the server refused without saying why
+ * @param {string} network - Message when the server could not be reached
+ * @returns {Object} { success: false, message, retryAfter?, fields? }
+ */
+function requestFailed (err, failed, network) {
+  if (err instanceof RateLimitError) {
+    return { success: false, message: err.message, retryAfter: err.retryAfter };
+  }
+  if (err instanceof ValidationError && Object.keys(err.fields).length > 0) {
+    return { success: false, message: err.serverMessage || failed, fields: err.fields };
+  }
+  if (err instanceof ApiError && !(err instanceof NetworkError)) {
+    return { success: false, message: err.serverMessage || failed };
+  }
+  return { success: false, message: err.name === 'CSRFError' ? err.message : network };
+}
+
 export const auth = {
   isAuthenticated: false,
   user: null,
   token: null,
-  
+  loadRetryAttempts: 0,
+  loadRetryTimer: null,
+  initialized: false,
+  listeners: new Set(),
+
   init () {
-    this.token = localStorage.getItem('token');
+    // Several modules call init(); only the first reads storage
+    if (this.initialized) return;
+    this.initialized = true;
+
+    this.token = localStorage.getItem(AUTH_TOKEN_KEY);
     if (this.token) {
       this.isAuthenticated = true;
+      // Not 'login': a session carried over from the last visit must not rerun sign-in work
+      this.emit('restore');
       this.loadUser();
     }
   },
 
+  getState () {
+    return { isAuthenticated: this.isAuthenticated, user: this.user };
+  },
+
+  // listener(state, { type }) - type is 'restore' (stored token read on page load),
+  // 'login', 'logout', 'user' or 'token'
+  onChange (listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  // Like onChange, but also called right away with the current state (type 'init')
+  subscribe (listener) {
+    const unsubscribe = this.onChange(listener);
+    listener(this.getState(), { type: 'init' });
+    return unsubscribe;
+  },
+
+  emit (type) {
+    const state = this.getState();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(state, { type });
+      } catch (e) {
+        // Listener errors must not break auth - silently ignore
+      }
+    });
+  },
+
   async register (name, email, password) {
     try {
-      const res = await fetch('/api/users/register', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ name, email, password })
-      });
-      const data = await res.json();
-      if (res.ok) {
-        this.setAuth(data.token, data.user);
-        return { success: true, message: 'Registration successful!' };
-      } else {
-        return { success: false, message: data.msg || 'Registration failed.' };
-      }
+      const data = await apiClient.post('/users/register', { name, email, password });
+      if (!data || !data.token) return { success: false, message: 'Registration failed.' };
+      this.setAuth(data.token, data.user);
+      return { success: true, message: 'Registration successful!' };
     } catch (err) {
-      
-      return { success: false, message: 'Network error during registration.' };
+      return requestFailed(err, 'Registration failed.', 'Network error during registration.');
     }
   },
 
   async login (email, password) {
     try {
-      const res = await fetch('/api/users/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ email, password })
-      });
-      const data = await res.json();
-      if (res.ok) {
-        this.setAuth(data.token, data.user);
-        return { success: true, message: 'Login successful!' };
-      } else {
-        return { success: false, message: data.msg || 'Login failed.' };
+      const data = await apiClient.post('/users/login', { email, password });
+      if (!data || !data.token) return { success: false, message: 'Login failed.' };
+      this.setAuth(data.token, data.user);
+      return { success: true, message: 'Login successful!' };
+    } catch (err) {
+      return requestFailed(err, 'Login failed.', 'Network error during login.');
+    }
+  },
+
+  // Same answer whether or not the email has an account, so the form cannot be used to look up members
+  async requestPasswordReset (email) {
+    const sent = { success: true, message: 'If an account uses that email, we sent it a link to reset the password. The link expires in one hour.' };
+    try {
+      await apiClient.post('/users/forgot-password', { email });
+      return sent;
+    } catch (err) {
+      if (err instanceof ApiError && err.status === 404) return sent;
+      return requestFailed(err, 'We could not send a reset link. Please try again.', 'Network error requesting a password reset.');
+    }
+  },
+
+  async resetPassword (token, newPassword) {
+    try {
+      await apiClient.post('/users/reset-password', { token, password: newPassword });
+      // Other sessions were signed out by the server; this one signs in again with the new password
+      this.logout();
+      return { success: true, message: 'Your password has been reset. Please log in with your new password.' };
+    } catch (err) {
+      return requestFailed(err, 'This reset link is invalid or has expired. Please request a new one.', 'Network error resetting the password.');
+    }
+  },
+
+  async verifyEmail (token) {
+    try {
+      await apiClient.post('/users/verify-email', { token }, { auth: true });
+      if (this.user) {
+        this.user.emailVerified = true;
+        this.emit('user');
       }
+      return { success: true, message: 'Your email address is verified.' };
     } catch (err) {
-      
-      return { success: false, message: 'Network error during login.' };
+      return requestFailed(err, 'This verification link is invalid or has expired.', 'Network error verifying the email address.');
+    }
+  },
+
+  // Signed-in members get the link for their own account; email is only needed when signed out
+  async resendVerification (email) {
+    try {
+      await apiClient.post('/users/resend-verification', email ? { email } : {}, { auth: true });
+      return { success: true, message: 'We sent a new verification link. Please check your inbox.' };
+    } catch (err) {
+      return requestFailed(err, 'We could not send a new verification link.', 'Network error sending the verification link.');
     }
   },
 
   logout () {
+    const wasAuthenticated = this.isAuthenticated;
+    clearTimeout(this.loadRetryTimer);
+    this.loadRetryAttempts = 0;
     this.isAuthenticated = false;
     this.user = null;
     this.token = null;
-    localStorage.removeItem('token');
-    // Consider also clearing saved properties data if needed
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    if (wasAuthenticated) this.emit('logout');
   },
 
   setAuth (token, user) {
+    const wasAuthenticated = this.isAuthenticated;
     this.token = token;
     this.user = user;
     this.isAuthenticated = true;
-    localStorage.setItem('token', token);
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    // Already signed in means the token was refreshed
+    this.emit(wasAuthenticated ? 'token' : 'login');
   },
 
   async loadUser () {
-    if (!this.token) {
+    clearTimeout(this.loadRetryTimer);
+    const expiry = getTokenExpiry(this.token);
+    if (!this.token || (expiry !== null && expiry <= Date.now())) {
       this.logout();
       return;
     }
+
+    const token = this.token;
+    let data;
     try {
-      const res = await fetch('/api/users/me', {
-        headers: {
-          'x-auth-token': this.token
-        }
-      });
-      const data = await res.json();
-      if (res.ok) {
-        this.user = data; // Assign the full user object, which should include savedProperties
-        this.isAuthenticated = true;
-      } else {
-        this.logout(); // Token might be expired or invalid
-      }
+      data = await apiClient.get('/users/me', { headers: { 'x-auth-token': token } });
     } catch (err) {
-      
-      this.logout();
+      // Signed out or signed in again while waiting
+      if (this.token !== token) return;
+
+      if (err instanceof AuthError) {
+        this.logout(); // Token expired or revoked
+        return;
+      }
+      // Network, server or rate limit error - keep the session and try again
+      this.retryLoadUser(err instanceof RateLimitError ? err.retryAfter * 1000 : undefined);
+      return;
+    }
+
+    if (this.token !== token) return;
+
+    if (!data) {
+      // Unreadable answer - keep the session and try again
+      this.retryLoadUser();
+      return;
     }
+
+    this.loadRetryAttempts = 0;
+    this.user = data; // Assign the full user object, which should include savedProperties
+    this.isAuthenticated = true;
+    this.emit('user');
+  },
+
+  // Backs off exponentially unless the server said how long to wait
+  retryLoadUser (delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** this.loadRetryAttempts)) {
+    this.loadRetryAttempts += 1;
+    this.loadRetryTimer = setTimeout(() => this.loadUser(), delay);
   },
 
   async saveProperty (propertyId) {
     if (!this.isAuthenticated || !this.user) return { success: false, message: 'Not authenticated.' };
     try {
-      const res = await fetch('/api/users/me/saved-properties', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...this.getAuthHeaders()
-        },
-        body: JSON.stringify({ propertyId })
-      });
-      const data = await res.json();
-      if (res.ok) {
-        this.user.savedProperties = data; // Update local state
-        return { success: true, message: 'Property saved.' };
-      } else {
-        return { success: false, message: data.msg || 'Failed to save property.' };
-      }
+      const data = await apiClient.post('/users/me/saved-properties', { propertyId }, { auth: true });
+      if (Array.isArray(data)) this.user.savedProperties = data; // Update local state
+      this.emit('user');
+      return { success: true, message: 'Property saved.' };
     } catch (err) {
-      
-      return { success: false, message: 'Network error saving property.' };
+      return requestFailed(err, 'Failed to save property.', 'Network error saving property.');
     }
   },
 
   async removeProperty (propertyId) {
     if (!this.isAuthenticated || !this.user) return { success: false, message: 'Not authenticated.' };
     try {
-      const res = await fetch(`/api/users/me/saved-properties/${propertyId}`, {
-        method: 'DELETE',
-        headers: this.getAuthHeaders()
-      });
-      const data = await res.json();
-      if (res.ok) {
-        this.user.savedProperties = data; // Update local state
-        return { success: true, message: 'Property removed.' };
-      } else {
-        return { success: false, message: data.msg || 'Failed to remove property.' };
-      }
+      const data = await apiClient.delete(`/users/me/saved-properties/${encodeURIComponent(propertyId)}`, { auth: true });
+      if (Array.isArray(data)) this.user.savedProperties = data; // Update local state
+      this.emit('user');
+      return { success: true, message: 'Property removed.' };
     } catch (err) {
-      
-      return { success: false, message: 'Network error removing property.' };
+      return requestFailed(err, 'Failed to remove property.', 'Network error removing property.');
     }
   },
 
@@ -149,3 +268,6 @@ export const auth = {
     return {};
   }
 };
+
+// Requests sent with { auth: true } use the current token
+apiClient.setAuthProvider(() => auth.getAuthHeaders());
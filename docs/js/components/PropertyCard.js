@@ -0,0 +1,169 @@
+/**
+ * PropertyCard - Shared property card renderer
+ * Properties 4 Creations
+ *
+ * Features:
+ * - One card markup for the listings grid and the saved-homes dashboard
+ * - Escaped text; search matches highlighted from DOM nodes
+ * - Optional "Save" toggle backed by the saved-properties store
+ * - Optional "Compare" toggle backed by the CompareTray
+ * - Optional eligibility pre-screen summary
+ *
+ * Expects properties normalized by utils/propertyModel.js
+ */
+
+import { highlightText } from '../utils/searchIndex.js';
+
+/**
+ * Escape text for HTML content and quoted attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml (text) {
+  if (typeof text !== 'string') return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  // innerHTML leaves quotes alone, which would end an attribute value early
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Mark matched search words in a card's title, location and tags
+ * Text is rebuilt from DOM nodes, never from HTML strings
+ * @param {HTMLElement} card - Property card
+ * @param {Object} prop - Property data
+ * @param {Array<string>} words - Matched index words
+ */
+export function highlightCard (card, prop, words) {
+  if (!words || words.length === 0) return;
+
+  const targets = [
+    [card.querySelector('.property-card__title'), prop.name],
+    [card.querySelector('.property-card__location'), prop.location]
+  ];
+  card.querySelectorAll('.property-card__tag').forEach((tagEl, i) => {
+    targets.push([tagEl, prop.tags[i]]);
+  });
+
+  targets.forEach(([element, text]) => {
+    if (!element) return;
+    element.textContent = '';
+    element.appendChild(highlightText(text, words));
+  });
+}
+
+/**
+ * Create a property card element
+ * @param {Object} prop - Normalized property
+ * @param {Object} options - Options
+ * @param {number} options.index - Card index for animation delay
+ * @param {Array<string>} options.highlightWords - Search words to mark
+ * @param {Object} options.eligibility - Pre-screen result from utils/eligibility.js
+ * @param {Object} options.savedStore - Saved-properties store (adds a Save toggle)
+ * @param {Object} options.compareTray - CompareTray (adds a Compare toggle)
+ * @param {Function} options.announce - Screen reader announcement callback
+ * @returns {HTMLElement} Property card element
+ */
+export function createPropertyCard (prop, options = {}) {
+  const { index = 0, highlightWords = [], eligibility = null, savedStore = null, compareTray = null } = options;
+  const announce = options.announce || (() => {});
+
+  const card = document.createElement('article');
+  card.className = 'property-card';
+  card.style.animationDelay = `${index * 50}ms`;
+  card.setAttribute('data-property-id', prop.id);
+
+  const tagsHtml = (prop.tags || [])
+    .map(
+      (tag) =>
+        `<span class="property-card__tag">${escapeHtml(tag)}</span>`
+    )
+    .join('');
+
+  card.innerHTML = `
+    <div class="property-card__image-container">
+      <img src="${escapeHtml(prop.image || '/images/properties/placeholder.webp')}"
+           alt="${escapeHtml(prop.name)}"
+           loading="lazy"
+           decoding="async"
+           class="property-card__image">
+      ${prop.featured ? '<span class="property-card__badge">Featured</span>' : ''}
+    </div>
+    <div class="property-card__content">
+      <h3 class="property-card__title">${escapeHtml(prop.name)}</h3>
+      <p class="property-card__address">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+          <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
+          <circle cx="12" cy="10" r="3"/>
+        </svg>
+        <span class="property-card__location">${escapeHtml(prop.location)}</span>
+      </p>
+      <ul class="property-card__features" aria-label="Property features">
+        <li>
+          <strong>${prop.bedrooms || 0}</strong>
+          Bed${(prop.bedrooms || 0) !== 1 ? 's' : ''}
+        </li>
+        <li>
+          <strong>${prop.bathrooms || 0}</strong>
+          Bath${(prop.bathrooms || 0) !== 1 ? 's' : ''}
+        </li>
+        <li>
+          <strong>${(prop.sqft || 0).toLocaleString()}</strong>
+          sqft
+        </li>
+      </ul>
+      ${tagsHtml ? `<div class="property-card__tags">${tagsHtml}</div>` : ''}
+      ${eligibility ? `<p class="property-card__eligibility property-card__eligibility--${escapeHtml(eligibility.status)}">
+        ${escapeHtml(eligibility.summary)}
+      </p>` : ''}
+      <div class="property-card__actions">
+        ${prop.url ? `<a href="${escapeHtml(prop.url)}"
+           class="btn btn-primary btn-sm">
+          View Details
+        </a>` : `<a href="/apply/" class="btn btn-primary btn-sm">
+          Apply Now
+        </a>`}
+        ${savedStore ? `<button type="button"
+                class="btn btn-secondary btn-sm save-property-btn"
+                data-property-id="${escapeHtml(prop.id)}"
+                aria-pressed="${savedStore.has(prop.id)}"
+                aria-label="Save ${escapeHtml(prop.name)}">
+          ${savedStore.has(prop.id) ? 'Saved' : 'Save'}
+        </button>` : ''}
+        ${compareTray ? `<button type="button"
+                class="btn btn-secondary btn-sm compare-toggle"
+                data-compare-id="${escapeHtml(prop.id)}"
+                aria-pressed="${compareTray.has(prop.id)}"
+                aria-label="Compare ${escapeHtml(prop.name)}">
+          Compare
+        </button>` : ''}
+      </div>
+    </div>
+  `;
+
+  highlightCard(card, prop, highlightWords);
+
+  const compareButton = card.querySelector('.compare-toggle');
+  if (compareButton) {
+    compareButton.addEventListener('click', () => {
+      compareTray.toggle(prop.id);
+    });
+  }
+
+  const saveButton = card.querySelector('.save-property-btn');
+  if (saveButton) {
+    saveButton.addEventListener('click', () => {
+      const saved = savedStore.toggle(prop.id);
+      announce(saved ? `${prop.name} saved` : `${prop.name} removed from saved homes`);
+    });
+  }
+
+  return card;
+}
+
+// Export for global access if needed
+if (typeof window !== 'undefined') {
+  window.createPropertyCard = createPropertyCard;
+}
+
+export default createPropertyCard;
@@ -0,0 +1,151 @@
+/**
+ * RateLimitNotice - "Too many attempts" message with a live countdown
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Uses the form's .form-error--global container (created above the submit button if missing)
+ * - Counts down every second; the alert is announced once, the ticking time is not
+ * - Disables the submit button until the wait ends
+ * - Same wording for client-side limits and server 429 responses
+ */
+
+import { RATE_LIMIT_MESSAGES, formatWait } from '../utils/rateLimiter.js';
+
+export class RateLimitNotice {
+  /**
+   * @param {HTMLFormElement} form - Form to lock
+   * @param {Object} options - Options
+   * @param {Object} options.messages - rateLimited, rateLimitedLater, waitSeconds and waitMinutes templates
+   * @param {Function} options.onEnd - Called when the countdown reaches zero
+   */
+  constructor (form, options = {}) {
+    this.form = form;
+    this.options = {
+      messages: RATE_LIMIT_MESSAGES,
+      onEnd: null,
+      ...options
+    };
+
+    this.container = null;
+    this.timer = null;
+  }
+
+  /**
+   * Whether the form is currently locked
+   * @returns {boolean} True while the notice is showing
+   */
+  isActive () {
+    return this.form.classList.contains('form--rate-limited');
+  }
+
+  /**
+   * Show the notice and lock the form
+   * @param {number} retryAfter - Seconds to wait (falsy when unknown)
+   * @returns {string} The message as first shown
+   */
+  show (retryAfter) {
+    const { messages } = this.options;
+    const container = this.getContainer();
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (retryAfter) {
+      const countdown = document.createElement('span');
+      countdown.className = 'form-error__countdown';
+      countdown.setAttribute('role', 'timer');
+      countdown.setAttribute('aria-live', 'off');
+
+      const [before, after = ''] = messages.rateLimited.split('{time}');
+      container.replaceChildren(before, countdown, after);
+
+      const until = Date.now() + retryAfter * 1000;
+      const tick = () => {
+        const seconds = Math.ceil((until - Date.now()) / 1000);
+        if (seconds <= 0) {
+          this.clear();
+          if (typeof this.options.onEnd === 'function') this.options.onEnd();
+          return;
+        }
+        countdown.textContent = formatWait(seconds, messages);
+      };
+      tick();
+      this.timer = setInterval(tick, 1000);
+    } else {
+      container.textContent = messages.rateLimitedLater;
+    }
+    container.style.display = 'block';
+
+    // Add rate limit class for styling
+    this.form.classList.add('form--rate-limited');
+
+    // Disable submit button during rate limit
+    const submitButton = this.form.querySelector('[type="submit"]');
+    if (submitButton) {
+      submitButton.disabled = true;
+      submitButton.classList.add('btn--rate-limited');
+    }
+
+    return container.textContent;
+  }
+
+  /**
+   * Find or create the form-level error container
+   * @returns {HTMLElement} Container
+   */
+  getContainer () {
+    if (this.container && this.form.contains(this.container)) return this.container;
+
+    this.container = this.form.querySelector('.form-error--global');
+    if (!this.container) {
+      this.container = document.createElement('div');
+      this.container.className = 'form-error form-error--global';
+      this.container.setAttribute('role', 'alert');
+      this.container.setAttribute('aria-live', 'assertive');
+
+      const submitButton = this.form.querySelector('[type="submit"]');
+      if (submitButton) {
+        submitButton.parentNode.insertBefore(this.container, submitButton);
+      } else {
+        this.form.appendChild(this.container);
+      }
+    }
+    return this.container;
+  }
+
+  /**
+   * Hide the notice and re-enable the submit button
+   */
+  clear () {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (!this.isActive()) return;
+
+    const container = this.form.querySelector('.form-error--global');
+    if (container) {
+      container.style.display = 'none';
+    }
+
+    this.form.classList.remove('form--rate-limited');
+    const submitButton = this.form.querySelector('[type="submit"]');
+    if (submitButton) {
+      submitButton.disabled = false;
+      submitButton.classList.remove('btn--rate-limited');
+    }
+  }
+
+  /**
+   * Stop the countdown
+   */
+  destroy () {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.RateLimitNotice = RateLimitNotice;
+}
+
+export default RateLimitNotice;
@@ -0,0 +1,709 @@
+/**
+ * ApplicationWizard - Multi-step housing application
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Splits a form into steps (<fieldset data-wizard-step>) validated by FormValidator
+ * - Accessible progress list (aria-current) and step announcements
+ * - Conditional fields (data-show-when="name:value1 value2")
+ * - Draft autosave to localStorage with resume and "start over"
+ * - Editable review summary before submitting
+ * - Error summary links open the step holding the field
+ *
+ * Markup:
+ * <form id="application-form">
+ *   <fieldset data-wizard-step="household" data-step-title="Household">…</fieldset>
+ *   …
+ *   <fieldset data-wizard-step="review" data-step-title="Review">
+ *     <div data-wizard-summary></div>
+ *     <button type="submit">Submit</button>
+ *   </fieldset>
+ * </form>
+ */
+
+import { FormValidator } from './FormValidator.js';
+
+export const DRAFT_STORAGE_PREFIX = 'p4c_application_draft:';
+
+// Drafts older than this are discarded on load
+const DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+export class ApplicationWizard {
+  /**
+   * @param {HTMLFormElement|string} formSelector - Form element or selector
+   * @param {Object} options - Options
+   * @param {Function} options.onSubmit - Called with (data, formData); throw to report an error
+   * @param {Function} options.onSuccess - Called with (data, result) after a successful submit;
+   *   result is whatever onSubmit returned
+   * @param {string} options.storageKey - Draft key (defaults to the form ID)
+   * @param {number} options.autosaveDelay - Debounce for draft saves in ms
+   * @param {Storage} options.storage - Storage backend
+   */
+  constructor (formSelector, options = {}) {
+    this.form =
+      typeof formSelector === 'string'
+        ? document.querySelector(formSelector)
+        : formSelector;
+
+    this.options = {
+      onSubmit: null,
+      onSuccess: null,
+      storageKey: null,
+      // Validation rules by field name, passed to FormValidator
+      schema: null,
+      autosaveDelay: 500,
+      storage: typeof localStorage !== 'undefined' ? localStorage : null,
+      ...options
+    };
+
+    this.steps = [];
+    this.currentIndex = 0;
+    this.furthestIndex = 0;
+    this.returnToReview = false;
+    this.validator = null;
+    this.progress = null;
+    this.status = null;
+    this.draftStatus = null;
+    this.autosaveTimer = null;
+    this.handleSubmit = this.handleSubmit.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+    this.handleReveal = this.handleReveal.bind(this);
+  }
+
+  /**
+   * Build the wizard UI and restore any saved draft
+   * @returns {ApplicationWizard} This instance
+   */
+  init () {
+    if (!this.form) {
+      // ApplicationWizard: Form not found - silently ignore
+      return this;
+    }
+
+    this.steps = Array.from(this.form.querySelectorAll('[data-wizard-step]'));
+    if (this.steps.length === 0) return this;
+
+    this.storageKey = DRAFT_STORAGE_PREFIX + (this.options.storageKey || this.form.id);
+
+    // Registered before FormValidator so Enter on early steps moves forward instead of submitting
+    this.form.addEventListener('submit', this.handleSubmit);
+
+    this.validator = new FormValidator(this.form, {
+      schema: this.options.schema,
+      scrollToError: false,
+      onSubmit: (data, formData) => this.submit(data, formData),
+      onError: (errors) => this.handleErrors(errors)
+    });
+
+    this.form.classList.add('wizard');
+    this.createProgress();
+    this.steps.forEach((step, index) => this.createStepNav(step, index));
+
+    this.form.addEventListener('input', this.handleChange);
+    this.form.addEventListener('change', this.handleChange);
+    this.form.addEventListener('revealfield', this.handleReveal);
+
+    const restored = this.restoreDraft();
+    this.updateConditionalFields();
+    this.showStep(restored ? restored.step : 0, { focus: false });
+
+    return this;
+  }
+
+  /**
+   * Create the progress list and live status above the steps
+   */
+  createProgress () {
+    const nav = document.createElement('nav');
+    nav.className = 'wizard-progress';
+    nav.setAttribute('aria-label', 'Application progress');
+
+    const list = document.createElement('ol');
+    list.className = 'wizard-progress__list';
+
+    this.steps.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = 'wizard-progress__item';
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'wizard-progress__button';
+      button.dataset.stepIndex = String(index);
+      button.innerHTML = `
+        <span class="wizard-progress__number" aria-hidden="true">${index + 1}</span>
+        <span class="wizard-progress__label"></span>
+        <span class="sr-only wizard-progress__state"></span>
+      `;
+      button.querySelector('.wizard-progress__label').textContent = this.getStepTitle(step);
+      button.addEventListener('click', () => this.goTo(index));
+
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    nav.appendChild(list);
+
+    this.status = document.createElement('p');
+    this.status.className = 'wizard-status';
+    this.status.setAttribute('role', 'status');
+    this.status.setAttribute('aria-live', 'polite');
+
+    this.draftStatus = document.createElement('p');
+    this.draftStatus.className = 'wizard-draft';
+    this.draftStatus.setAttribute('aria-live', 'polite');
+
+    this.form.prepend(nav, this.status, this.draftStatus);
+    this.progress = list;
+  }
+
+  /**
+   * Add Back/Next buttons to a step (the last step keeps its own submit button)
+   * @param {HTMLElement} step - Step element
+   * @param {number} index - Step index
+   */
+  createStepNav (step, index) {
+    const legend = step.querySelector('legend, h2, h3');
+    if (legend) legend.tabIndex = -1;
+
+    const nav = document.createElement('div');
+    nav.className = 'wizard-nav';
+
+    if (index > 0) {
+      const back = document.createElement('button');
+      back.type = 'button';
+      back.className = 'btn btn-secondary wizard-nav__back';
+      back.textContent = 'Back';
+      back.addEventListener('click', () => this.back());
+      nav.appendChild(back);
+    }
+
+    if (index < this.steps.length - 1) {
+      const next = document.createElement('button');
+      next.type = 'button';
+      next.className = 'btn btn-primary wizard-nav__next';
+      next.textContent = 'Continue';
+      next.addEventListener('click', () => this.next());
+      nav.appendChild(next);
+    } else {
+      const submit = step.querySelector('[type="submit"]');
+      if (submit) nav.appendChild(submit);
+    }
+
+    step.appendChild(nav);
+  }
+
+  /**
+   * Title for a step
+   * @param {HTMLElement} step - Step element
+   * @returns {string} Title
+   */
+  getStepTitle (step) {
+    if (step.dataset.stepTitle) return step.dataset.stepTitle;
+    const legend = step.querySelector('legend');
+    return legend ? legend.textContent.trim() : step.dataset.wizardStep;
+  }
+
+  /**
+   * Show one step and update progress
+   * @param {number} index - Step index
+   * @param {Object} options - { focus } moves focus to the step heading
+   */
+  showStep (index, { focus = true } = {}) {
+    this.currentIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+    this.furthestIndex = Math.max(this.furthestIndex, this.currentIndex);
+
+    this.steps.forEach((step, i) => {
+      step.hidden = i !== this.currentIndex;
+    });
+
+    const step = this.steps[this.currentIndex];
+    if (step.querySelector('[data-wizard-summary]')) {
+      this.renderSummary(step.querySelector('[data-wizard-summary]'));
+    }
+
+    this.updateProgress();
+    this.updateNextLabels();
+
+    this.status.textContent =
+      `Step ${this.currentIndex + 1} of ${this.steps.length}: ${this.getStepTitle(step)}`;
+
+    if (focus) {
+      const heading = step.querySelector('legend, h2, h3');
+      if (heading) heading.focus();
+    }
+  }
+
+  /**
+   * Reflect the current and completed steps in the progress list
+   */
+  updateProgress () {
+    this.progress.querySelectorAll('.wizard-progress__button').forEach((button, i) => {
+      const item = button.parentElement;
+      const state = button.querySelector('.wizard-progress__state');
+
+      item.classList.toggle('is-current', i === this.currentIndex);
+      item.classList.toggle('is-complete', i < this.furthestIndex && i !== this.currentIndex);
+
+      if (i === this.currentIndex) {
+        button.setAttribute('aria-current', 'step');
+        state.textContent = ' (current step)';
+      } else {
+        button.removeAttribute('aria-current');
+        state.textContent = i < this.furthestIndex ? ' (completed)' : '';
+      }
+
+      // Only steps the applicant has reached can be jumped to
+      button.disabled = i > this.furthestIndex;
+    });
+  }
+
+  /**
+   * Label the Continue buttons for an edit started from the review step
+   */
+  updateNextLabels () {
+    this.form.querySelectorAll('.wizard-nav__next').forEach((button) => {
+      button.textContent = this.returnToReview ? 'Save and return to review' : 'Continue';
+    });
+  }
+
+  /**
+   * Validate the current step, including async checks, and move forward
+   * @returns {Promise<boolean>} True when the step was valid
+   */
+  async next () {
+    if (!this.validateStep(this.currentIndex)) return false;
+
+    const index = this.currentIndex;
+    if (!(await this.validator.validateAsync(this.steps[index], { scroll: false }))) {
+      this.showStepErrors(this.steps[index]);
+      return false;
+    }
+
+    // The applicant moved elsewhere while the check was running
+    if (this.currentIndex !== index) return false;
+
+    const target = this.returnToReview ? this.steps.length - 1 : this.currentIndex + 1;
+    this.returnToReview = false;
+    this.showStep(target);
+    this.saveDraft();
+    return true;
+  }
+
+  /**
+   * Go back one step
+   */
+  back () {
+    this.returnToReview = false;
+    this.showStep(this.currentIndex - 1);
+  }
+
+  /**
+   * Jump to a step the applicant has already reached
+   * @param {number} index - Step index
+   */
+  goTo (index) {
+    if (index > this.furthestIndex || index === this.currentIndex) return;
+
+    // Moving forward still requires the current step to be valid
+    if (index > this.currentIndex && !this.validateStep(this.currentIndex)) return;
+
+    this.returnToReview = false;
+    this.showStep(index);
+  }
+
+  /**
+   * Open a step from the review summary; Continue returns to the review
+   * @param {number} index - Step index
+   */
+  editStep (index) {
+    this.returnToReview = true;
+    this.showStep(index);
+  }
+
+  /**
+   * Validate the fields of one step
+   * @param {number} index - Step index
+   * @returns {boolean} True when valid
+   */
+  validateStep (index) {
+    const step = this.steps[index];
+    const valid = this.validator.validateSection(step);
+
+    if (!valid) {
+      this.showStepErrors(step);
+    }
+
+    return valid;
+  }
+
+  /**
+   * Point the applicant at the invalid fields of a step
+   * Uses the validator's error summary when enabled, otherwise focuses the first invalid field
+   * @param {HTMLElement} step - Step element
+   */
+  showStepErrors (step) {
+    if (this.validator.options.errorSummary && this.validator.showErrorSummary(step)) return;
+
+    const firstInvalid = step.querySelector('[aria-invalid="true"]');
+    if (firstInvalid) firstInvalid.focus();
+    this.status.textContent = 'Please fix the highlighted fields before continuing.';
+  }
+
+  /**
+   * Show the step holding a field linked from the error summary
+   * @param {Event} e - revealfield event from FormValidator
+   */
+  handleReveal (e) {
+    const index = this.steps.findIndex((step) => step.contains(e.target));
+    if (index === -1 || index === this.currentIndex) return;
+
+    // Continue leads back to the review when the link was followed from there
+    this.returnToReview = this.currentIndex === this.steps.length - 1;
+    this.showStep(index, { focus: false });
+  }
+
+  /**
+   * Keep Enter on early steps from submitting the whole application
+   * @param {Event} e - Submit event
+   */
+  handleSubmit (e) {
+    if (this.currentIndex < this.steps.length - 1) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.next();
+    }
+  }
+
+  /**
+   * Send the application through the onSubmit option
+   * @param {Object} data - Form values
+   * @param {FormData} formData - Raw form data (includes files)
+   */
+  async submit (data, formData) {
+    let result;
+    if (typeof this.options.onSubmit === 'function') {
+      result = await this.options.onSubmit(data, formData);
+    }
+
+    this.clearDraft();
+    if (typeof this.options.onSuccess === 'function') {
+      this.options.onSuccess(data, result);
+    }
+  }
+
+  /**
+   * Route FormValidator errors: field errors reopen their step, form errors show on the review
+   * @param {Array<Object>} errors - Errors from FormValidator
+   */
+  handleErrors (errors) {
+    const formError = errors.find((error) => error.field === 'form');
+    if (formError) {
+      this.showFormError(formError.message);
+      return;
+    }
+
+    const invalidIndex = this.steps.findIndex((step) => step.querySelector('[aria-invalid="true"]'));
+    if (invalidIndex !== -1 && invalidIndex !== this.currentIndex) {
+      this.showStep(invalidIndex, { focus: false });
+      this.status.textContent =
+        `Please fix the highlighted fields in "${this.getStepTitle(this.steps[invalidIndex])}".`;
+    }
+
+    // The error summary already has focus
+    const summary = this.validator.errorSummary;
+    if (summary && !summary.hidden) return;
+
+    const firstInvalid = this.steps[this.currentIndex].querySelector('[aria-invalid="true"]');
+    if (firstInvalid) firstInvalid.focus();
+  }
+
+  /**
+   * Show a submission error on the last step
+   * @param {string} message - Error message
+   */
+  showFormError (message) {
+    const step = this.steps[this.steps.length - 1];
+    let container = step.querySelector('.wizard-error');
+
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'form-error form-error--global wizard-error';
+      container.setAttribute('role', 'alert');
+      step.querySelector('.wizard-nav').before(container);
+    }
+
+    container.textContent = message;
+    container.style.display = 'block';
+  }
+
+  /**
+   * Show or hide fields that depend on another field's value
+   * Hidden fields are not required and lose their error state
+   */
+  updateConditionalFields () {
+    this.form.querySelectorAll('[data-show-when]').forEach((group) => {
+      const [name, values = ''] = group.dataset.showWhen.split(':');
+      const control = this.form.elements[name];
+      const current = control ? control.value : '';
+      const visible = values.split(' ').includes(current);
+
+      group.hidden = !visible;
+
+      group.querySelectorAll('input, select, textarea').forEach((field) => {
+        if (field.dataset.requiredWhenShown === undefined) {
+          field.dataset.requiredWhenShown = String(field.required);
+        }
+        field.required = visible && field.dataset.requiredWhenShown === 'true';
+        field.disabled = !visible;
+        if (!visible) this.validator.clearField(field);
+      });
+    });
+  }
+
+  /**
+   * React to edits: conditional fields and autosave
+   * @param {Event} e - Input or change event
+   */
+  handleChange (e) {
+    if (e.type === 'change') {
+      this.updateConditionalFields();
+    }
+
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => this.saveDraft(), this.options.autosaveDelay);
+  }
+
+  /**
+   * Fields included in drafts (files and data-no-autosave fields are skipped)
+   * @returns {Array<HTMLElement>} Fields
+   */
+  getDraftFields () {
+    return Array.from(this.form.elements).filter((field) =>
+      field.name &&
+      field.type !== 'file' &&
+      field.type !== 'submit' &&
+      field.type !== 'button' &&
+      field.type !== 'hidden' &&
+      !('noAutosave' in field.dataset)
+    );
+  }
+
+  /**
+   * Save the current values and step
+   */
+  saveDraft () {
+    if (!this.options.storage) return;
+
+    const values = {};
+    this.getDraftFields().forEach((field) => {
+      if (field.type === 'checkbox') {
+        values[field.name] = field.checked;
+      } else if (field.type === 'radio') {
+        if (field.checked) values[field.name] = field.value;
+      } else {
+        values[field.name] = field.value;
+      }
+    });
+
+    const draft = {
+      step: this.currentIndex,
+      furthest: this.furthestIndex,
+      savedAt: Date.now(),
+      values
+    };
+
+    try {
+      this.options.storage.setItem(this.storageKey, JSON.stringify(draft));
+      this.draftStatus.textContent = 'Draft saved on this device.';
+    } catch (e) {
+      // Storage full or disabled - the application still works without drafts
+    }
+  }
+
+  /**
+   * Read a saved draft
+   * @returns {Object|null} Draft or null
+   */
+  loadDraft () {
+    try {
+      const draft = JSON.parse(this.options.storage.getItem(this.storageKey) || 'null');
+      if (!draft || typeof draft.values !== 'object') return null;
+      if (Date.now() - draft.savedAt > DRAFT_MAX_AGE) {
+        this.clearDraft();
+        return null;
+      }
+      return draft;
+    } catch (e) {
+      // Corrupt or unavailable storage - start fresh
+      return null;
+    }
+  }
+
+  /**
+   * Fill the form from a saved draft
+   * @returns {Object|null} The restored draft
+   */
+  restoreDraft () {
+    const draft = this.loadDraft();
+    if (!draft) return null;
+
+    this.getDraftFields().forEach((field) => {
+      if (!(field.name in draft.values)) return;
+      const value = draft.values[field.name];
+
+      if (field.type === 'checkbox') {
+        field.checked = value === true;
+      } else if (field.type === 'radio') {
+        field.checked = field.value === value;
+      } else {
+        field.value = value;
+      }
+    });
+
+    this.furthestIndex = Math.min(draft.furthest || 0, this.steps.length - 1);
+    this.showDraftNotice(draft.savedAt);
+
+    return { step: Math.min(draft.step || 0, this.furthestIndex) };
+  }
+
+  /**
+   * Tell the applicant a draft was restored and offer to start over
+   * @param {number} savedAt - Timestamp
+   */
+  showDraftNotice (savedAt) {
+    const date = new Date(savedAt).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+
+    this.draftStatus.textContent = `We restored the application you started on ${date}. `;
+
+    const startOver = document.createElement('button');
+    startOver.type = 'button';
+    startOver.className = 'wizard-draft__reset';
+    startOver.textContent = 'Start over';
+    startOver.addEventListener('click', () => this.startOver());
+    this.draftStatus.appendChild(startOver);
+  }
+
+  /**
+   * Discard the draft and reset the form
+   */
+  startOver () {
+    clearTimeout(this.autosaveTimer);
+    this.clearDraft();
+    this.validator.reset();
+    this.furthestIndex = 0;
+    this.returnToReview = false;
+    this.updateConditionalFields();
+    this.draftStatus.textContent = 'Your saved draft was cleared.';
+    this.showStep(0);
+  }
+
+  /**
+   * Remove the saved draft
+   */
+  clearDraft () {
+    clearTimeout(this.autosaveTimer);
+    try {
+      this.options.storage.removeItem(this.storageKey);
+    } catch (e) {
+      // Storage unavailable - nothing to clear
+    }
+  }
+
+  /**
+   * Display text for a field's value
+   * @param {HTMLElement} field - Form field
+   * @returns {string} Value for the summary
+   */
+  getDisplayValue (field) {
+    // Components that manage a field (e.g. DocumentUploader) supply its text
+    if (field.dataset.summaryValue !== undefined) return field.dataset.summaryValue;
+    if (field.type === 'checkbox') return field.checked ? 'Yes' : 'No';
+    if (field.type === 'file') {
+      const names = Array.from(field.files || []).map((file) => file.name);
+      return names.length > 0 ? names.join(', ') : 'None attached';
+    }
+    if (field.tagName === 'SELECT') {
+      const option = field.options[field.selectedIndex];
+      return option && option.value ? option.textContent.trim() : 'Not provided';
+    }
+    return field.value.trim() || 'Not provided';
+  }
+
+  /**
+   * Label text for a field
+   * @param {HTMLElement} field - Form field
+   * @returns {string} Label without the required marker
+   */
+  getFieldLabel (field) {
+    return this.validator.getFieldLabel(field);
+  }
+
+  /**
+   * Render the review of every earlier step with Edit buttons
+   * @param {HTMLElement} container - Summary container
+   */
+  renderSummary (container) {
+    container.textContent = '';
+
+    this.steps.slice(0, -1).forEach((step, index) => {
+      const section = document.createElement('section');
+      section.className = 'wizard-summary__section';
+
+      const header = document.createElement('div');
+      header.className = 'wizard-summary__header';
+
+      const title = document.createElement('h3');
+      title.textContent = this.getStepTitle(step);
+
+      const edit = document.createElement('button');
+      edit.type = 'button';
+      edit.className = 'btn btn-secondary btn-sm wizard-summary__edit';
+      edit.textContent = 'Edit';
+      edit.setAttribute('aria-label', `Edit ${this.getStepTitle(step)}`);
+      edit.addEventListener('click', () => this.editStep(index));
+
+      header.append(title, edit);
+
+      const list = document.createElement('dl');
+      list.className = 'wizard-summary__list';
+
+      step.querySelectorAll('input, select, textarea').forEach((field) => {
+        if ((!field.name && field.dataset.summaryValue === undefined) || field.disabled || field.type === 'hidden') return;
+
+        const term = document.createElement('dt');
+        term.textContent = this.getFieldLabel(field);
+        const detail = document.createElement('dd');
+        detail.textContent = this.getDisplayValue(field);
+        list.append(term, detail);
+      });
+
+      section.append(header, list);
+      container.appendChild(section);
+    });
+  }
+
+  /**
+   * Remove listeners and pending saves
+   */
+  destroy () {
+    clearTimeout(this.autosaveTimer);
+    if (!this.form) return;
+    this.form.removeEventListener('submit', this.handleSubmit);
+    this.form.removeEventListener('input', this.handleChange);
+    this.form.removeEventListener('change', this.handleChange);
+    this.form.removeEventListener('revealfield', this.handleReveal);
+    if (this.validator) this.validator.destroy();
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.ApplicationWizard = ApplicationWizard;
+}
+
+export default ApplicationWizard;
@@ -0,0 +1,522 @@
+/**
+ * CompareTray - Side-by-side property comparison
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Up to three selections, persisted in localStorage across pages and tabs
+ * - Fixed tray listing the selected homes with remove controls
+ * - Comparison table in the shared Modal, with differing rows highlighted
+ * - Screen reader announcements for every change
+ */
+
+import { Modal, getModalInstance } from '../components/Modal.js';
+
+export const COMPARE_STORAGE_KEY = 'p4c_compare';
+export const MAX_COMPARE = 3;
+
+const MODAL_ID = 'compare-modal';
+
+/**
+ * Rows shown in the comparison table
+ * Each row returns a display string for a normalized property
+ */
+const COMPARE_ROWS = [
+  { label: 'Rent', value: (prop) => prop.price.formatted },
+  { label: 'Location', value: (prop) => prop.location },
+  {
+    label: 'Vouchers accepted',
+    value: (prop) => {
+      const programs = ['Section 8', 'HUD-VASH'].filter((tag) => prop.tags.includes(tag));
+      return programs.length > 0 ? programs.join(', ') : 'None listed';
+    }
+  },
+  { label: 'Bedrooms', value: (prop) => (prop.bedrooms === 0 ? 'Studio' : String(prop.bedrooms)) },
+  { label: 'Bathrooms', value: (prop) => String(prop.bathrooms) },
+  { label: 'Square feet', value: (prop) => prop.sqft.toLocaleString('en-US') },
+  {
+    label: 'Lot size',
+    value: (prop) => (prop.lotSize ? `${prop.lotSize.toLocaleString('en-US')} sqft` : 'Not listed')
+  },
+  { label: 'Year built', value: (prop) => (prop.yearBuilt ? String(prop.yearBuilt) : 'Not listed') },
+  {
+    label: 'Amenities',
+    value: (prop) => (prop.amenities.length > 0 ? prop.amenities.join(', ') : 'Not listed')
+  }
+];
+
+export class CompareTray {
+  /**
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.properties - Normalized properties
+   * @param {number} options.maxItems - Maximum selections
+   * @param {Storage} options.storage - Storage backend (defaults to localStorage)
+   */
+  constructor (options = {}) {
+    this.options = {
+      maxItems: MAX_COMPARE,
+      storage: typeof localStorage !== 'undefined' ? localStorage : null,
+      ...options
+    };
+    this.properties = new Map();
+    this.selected = this.loadSelection();
+    this.listeners = new Set();
+    this.tray = null;
+    this.liveRegion = null;
+    this.handleStorage = this.handleStorage.bind(this);
+
+    this.setProperties(options.properties || []);
+  }
+
+  /**
+   * Create the tray and start listening for changes from other tabs
+   * @returns {CompareTray} This instance
+   */
+  init () {
+    if (this.tray) return this;
+
+    this.tray = document.createElement('aside');
+    this.tray.className = 'compare-tray';
+    this.tray.setAttribute('aria-label', 'Homes selected for comparison');
+    this.tray.innerHTML = `
+      <div class="compare-tray__inner">
+        <h2 class="compare-tray__title" id="compare-tray-title">Compare homes</h2>
+        <ul class="compare-tray__list" aria-labelledby="compare-tray-title"></ul>
+        <div class="compare-tray__actions">
+          <button type="button" class="btn btn-primary btn-sm compare-tray__open"></button>
+          <button type="button" class="btn btn-secondary btn-sm compare-tray__clear">Clear</button>
+        </div>
+      </div>
+    `;
+
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'sr-only';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+
+    this.tray.querySelector('.compare-tray__open').addEventListener('click', () => {
+      this.openComparison();
+    });
+    this.tray.querySelector('.compare-tray__clear').addEventListener('click', () => {
+      this.clear();
+    });
+    this.tray.querySelector('.compare-tray__list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-compare-remove]');
+      if (button) this.remove(button.dataset.compareRemove);
+    });
+
+    document.body.appendChild(this.tray);
+    document.body.appendChild(this.liveRegion);
+    window.addEventListener('storage', this.handleStorage);
+
+    this.renderTray();
+    return this;
+  }
+
+  /**
+   * Provide the property data used for the tray and table
+   * Selections for homes that are no longer listed are dropped
+   * @param {Array<Object>} properties - Normalized properties
+   */
+  setProperties (properties) {
+    this.properties = new Map(properties.map((prop) => [prop.id, prop]));
+
+    if (this.properties.size > 0) {
+      const listed = this.selected.filter((id) => this.properties.has(id));
+      if (listed.length !== this.selected.length) {
+        this.selected = listed;
+        this.saveSelection();
+      }
+    }
+
+    this.renderTray();
+  }
+
+  /**
+   * Read the stored selection
+   * @returns {Array<string>} Property IDs
+   */
+  loadSelection () {
+    try {
+      const stored = JSON.parse(this.options.storage.getItem(COMPARE_STORAGE_KEY) || '[]');
+      return Array.isArray(stored)
+        ? stored.filter((id) => typeof id === 'string').slice(0, this.options.maxItems)
+        : [];
+    } catch (e) {
+      // Corrupt or unavailable storage - start empty
+      return [];
+    }
+  }
+
+  /**
+   * Persist the selection
+   */
+  saveSelection () {
+    try {
+      this.options.storage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(this.selected));
+    } catch (e) {
+      // Storage full or disabled - selection lasts for this page only
+    }
+  }
+
+  /**
+   * Keep tabs in sync when another tab changes the selection
+   * @param {StorageEvent} e - Storage event
+   */
+  handleStorage (e) {
+    if (e.key !== COMPARE_STORAGE_KEY) return;
+    this.selected = this.loadSelection();
+    this.renderTray();
+    this.notify();
+  }
+
+  /**
+   * Check whether a property is selected
+   * @param {string} id - Property ID
+   * @returns {boolean} True when selected
+   */
+  has (id) {
+    return this.selected.includes(id);
+  }
+
+  /**
+   * Check whether the tray is full
+   * @returns {boolean} True at the maximum
+   */
+  isFull () {
+    return this.selected.length >= this.options.maxItems;
+  }
+
+  /**
+   * Add a property
+   * @param {string} id - Property ID
+   * @returns {boolean} False when the tray is already full
+   */
+  add (id) {
+    if (this.has(id)) return true;
+
+    if (this.isFull()) {
+      this.announce(`You can compare up to ${this.options.maxItems} homes. Remove one to add another.`);
+      return false;
+    }
+
+    this.selected.push(id);
+    this.commit(`${this.getName(id)} added to comparison. ${this.selected.length} of ${this.options.maxItems} selected.`);
+    return true;
+  }
+
+  /**
+   * Remove a property
+   * @param {string} id - Property ID
+   */
+  remove (id) {
+    if (!this.has(id)) return;
+
+    this.selected = this.selected.filter((selectedId) => selectedId !== id);
+    this.commit(`${this.getName(id)} removed from comparison.`);
+
+    // Keep the open table in step with the tray
+    if (this.isComparisonOpen()) {
+      if (this.selected.length === 0) {
+        getModalInstance().close();
+      } else {
+        this.renderComparison();
+      }
+    }
+  }
+
+  /**
+   * Add or remove a property
+   * @param {string} id - Property ID
+   * @returns {boolean} True when the property is selected afterwards
+   */
+  toggle (id) {
+    if (this.has(id)) {
+      this.remove(id);
+      return false;
+    }
+    return this.add(id);
+  }
+
+  /**
+   * Remove every selection
+   */
+  clear () {
+    if (this.selected.length === 0) return;
+    this.selected = [];
+    this.commit('Comparison cleared.');
+  }
+
+  /**
+   * Replace the selection with a set of homes
+   * Unlisted IDs are skipped and the list is cut to the maximum
+   * @param {Array<string>} ids - Property IDs in priority order
+   * @returns {Array<string>} The IDs now selected
+   */
+  select (ids) {
+    const listed = this.properties.size > 0
+      ? ids.filter((id) => this.properties.has(id))
+      : ids;
+
+    this.selected = [...new Set(listed)].slice(0, this.options.maxItems);
+    this.commit(`${this.selected.length} ${this.selected.length === 1 ? 'home' : 'homes'} selected for comparison.`);
+    return [...this.selected];
+  }
+
+  /**
+   * Save, re-render and notify after a change
+   * @param {string} message - Screen reader announcement
+   */
+  commit (message) {
+    this.saveSelection();
+    this.renderTray();
+    this.notify();
+    this.announce(message);
+  }
+
+  /**
+   * Subscribe to selection changes
+   * @param {Function} callback - Called with the selected IDs
+   * @returns {Function} Unsubscribe function
+   */
+  onChange (callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify subscribers
+   */
+  notify () {
+    const ids = [...this.selected];
+    this.listeners.forEach((callback) => {
+      try {
+        callback(ids);
+      } catch (e) {
+        // Listener errors must not break the tray - silently ignore
+      }
+    });
+  }
+
+  /**
+   * Display name for a property
+   * @param {string} id - Property ID
+   * @returns {string} Name
+   */
+  getName (id) {
+    const prop = this.properties.get(id);
+    return prop ? prop.name : 'Home';
+  }
+
+  /**
+   * Update the tray contents and visibility
+   */
+  renderTray () {
+    if (!this.tray) return;
+
+    const selected = this.selected.filter((id) => this.properties.has(id));
+    const list = this.tray.querySelector('.compare-tray__list');
+    list.textContent = '';
+
+    selected.forEach((id) => {
+      const item = document.createElement('li');
+      item.className = 'compare-tray__item';
+
+      const name = document.createElement('span');
+      name.textContent = this.getName(id);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'compare-tray__remove';
+      remove.dataset.compareRemove = id;
+      remove.setAttribute('aria-label', `Remove ${this.getName(id)} from comparison`);
+      remove.textContent = '✕';
+
+      item.appendChild(name);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+
+    const openButton = this.tray.querySelector('.compare-tray__open');
+    openButton.textContent = `Compare (${selected.length})`;
+    openButton.disabled = selected.length < 2;
+    openButton.title = selected.length < 2 ? 'Select at least two homes to compare' : '';
+
+    this.tray.hidden = selected.length === 0;
+  }
+
+  /**
+   * Check whether the comparison dialog is showing
+   * @returns {boolean} True when open
+   */
+  isComparisonOpen () {
+    const modal = getModalInstance();
+    return modal.isOpen() && modal.getActiveModal().id === MODAL_ID;
+  }
+
+  /**
+   * Open the comparison table in the shared modal
+   */
+  openComparison () {
+    if (this.selected.length < 2) return;
+
+    Modal.destroy(MODAL_ID);
+    const modalElement = Modal.create({
+      id: MODAL_ID,
+      title: 'Compare homes',
+      size: 'large'
+    });
+
+    // Modal only binds close buttons that exist when it is first created
+    modalElement.querySelectorAll('[data-modal-close]').forEach((btn) => {
+      btn.addEventListener('click', () => getModalInstance().close());
+    });
+
+    this.renderComparison();
+    getModalInstance().open(MODAL_ID);
+  }
+
+  /**
+   * Build the comparison table inside the modal body
+   */
+  renderComparison () {
+    const modalElement = document.getElementById(MODAL_ID);
+    if (!modalElement) return;
+
+    const body = modalElement.querySelector('.modal__body');
+    body.textContent = '';
+    body.appendChild(this.createTable());
+  }
+
+  /**
+   * Create the side-by-side table
+   * @returns {HTMLElement} Scrollable table wrapper
+   */
+  createTable () {
+    const properties = this.selected
+      .map((id) => this.properties.get(id))
+      .filter(Boolean);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'compare-table__wrapper';
+    // Focusable so keyboard users can scroll a wide table
+    wrapper.tabIndex = 0;
+    wrapper.setAttribute('role', 'region');
+    wrapper.setAttribute('aria-labelledby', 'compare-table-caption');
+
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const caption = document.createElement('caption');
+    caption.id = 'compare-table-caption';
+    caption.textContent = `Comparing ${properties.length} homes. Rows marked "differs" have different values.`;
+    table.appendChild(caption);
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const corner = document.createElement('td');
+    headRow.appendChild(corner);
+
+    properties.forEach((prop) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+
+      const name = prop.url ? document.createElement('a') : document.createElement('span');
+      name.textContent = prop.name;
+      if (prop.url) name.href = prop.url;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'compare-table__remove';
+      remove.setAttribute('aria-label', `Remove ${prop.name} from comparison`);
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => this.remove(prop.id));
+
+      th.appendChild(name);
+      th.appendChild(remove);
+      headRow.appendChild(th);
+    });
+
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+
+    COMPARE_ROWS.forEach((row) => {
+      const values = properties.map((prop) => row.value(prop));
+      const differs = new Set(values).size > 1;
+
+      const tr = document.createElement('tr');
+      if (differs) tr.className = 'compare-table__row--differs';
+
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = row.label;
+      if (differs) {
+        const note = document.createElement('span');
+        note.className = 'compare-table__differs';
+        note.textContent = ' (differs)';
+        th.appendChild(note);
+      }
+      tr.appendChild(th);
+
+      values.forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+
+      tbody.appendChild(tr);
+    });
+
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+
+  /**
+   * Announce a message to screen readers
+   * @param {string} message - Message
+   */
+  announce (message) {
+    if (!this.liveRegion) return;
+    this.liveRegion.textContent = '';
+    // Clear first so repeated messages are announced again
+    setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, 50);
+  }
+
+  /**
+   * Remove the tray and listeners
+   */
+  destroy () {
+    window.removeEventListener('storage', this.handleStorage);
+    if (this.tray) this.tray.remove();
+    if (this.liveRegion) this.liveRegion.remove();
+    Modal.destroy(MODAL_ID);
+    this.tray = null;
+    this.listeners.clear();
+  }
+}
+
+// Singleton shared by the property list and every other page
+let compareTrayInstance = null;
+
+/**
+ * Get or create the global comparison tray
+ * @param {Object} options - CompareTray options
+ * @returns {CompareTray} Tray instance
+ */
+export function getCompareTray (options = {}) {
+  if (!compareTrayInstance) {
+    compareTrayInstance = new CompareTray(options);
+  }
+  return compareTrayInstance;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.CompareTray = CompareTray;
+}
+
+export default CompareTray;
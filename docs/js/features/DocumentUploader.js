@@ -0,0 +1,607 @@
+/**
+ * DocumentUploader - Checked, previewed document uploads for applications
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Type, size and magic-byte checks before anything is sent
+ * - Thumbnails for photos and PDFs
+ * - Remove and reorder files (Move up / Move down buttons)
+ * - Per-file upload progress with Retry
+ * - Location data removed from photos before upload
+ * - "documents" validator type for FormValidator
+ *
+ * Uploaded files are submitted with the form as ordered `documentIds` values;
+ * the file input itself is left out of the form data.
+ */
+
+import {
+  FILE_TYPES,
+  MAX_DOCUMENT_SIZE,
+  formatFileSize,
+  inspectFile,
+  stripLocationData
+} from '../utils/fileInspector.js';
+
+export const DOCUMENT_UPLOAD_ENDPOINT = '/api/documents';
+
+// Uploaders by file input, used by the FormValidator "documents" type
+const uploaders = new WeakMap();
+
+let nextEntryId = 0;
+
+export class DocumentUploader {
+  /**
+   * @param {HTMLInputElement|string} input - File input or selector
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - Upload URL (responds with JSON { id })
+   * @param {number} options.maxFiles - Most files allowed
+   * @param {number} options.maxSize - Largest file in bytes
+   * @param {Array<string>} options.allowedTypes - FILE_TYPES keys to accept
+   * @param {string} options.idFieldName - Form field name for uploaded document IDs
+   * @param {Function} options.getHeaders - Extra request headers (e.g. auth)
+   */
+  constructor (input, options = {}) {
+    this.input =
+      typeof input === 'string' ? document.querySelector(input) : input;
+
+    this.options = {
+      endpoint: DOCUMENT_UPLOAD_ENDPOINT,
+      maxFiles: 5,
+      maxSize: MAX_DOCUMENT_SIZE,
+      allowedTypes: Object.keys(FILE_TYPES),
+      idFieldName: 'documentIds',
+      getHeaders: () => ({}),
+      ...options
+    };
+
+    this.entries = [];
+    this.listeners = new Set();
+    this.root = null;
+    this.list = null;
+    this.errorList = null;
+    this.idFields = null;
+    this.status = null;
+    this.handleChange = this.handleChange.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+  }
+
+  /**
+   * Build the file list and take over the input
+   * @returns {DocumentUploader} This instance
+   */
+  init () {
+    if (!this.input) {
+      // DocumentUploader: Input not found - silently ignore
+      return this;
+    }
+
+    uploaders.set(this.input, this);
+
+    // Raw files are uploaded here, so keep them out of the form submission
+    this.input.removeAttribute('name');
+    this.input.accept = this.options.allowedTypes
+      .flatMap((key) => FILE_TYPES[key].extensions.map((ext) => `.${ext}`))
+      .join(',');
+    this.input.addEventListener('change', this.handleChange);
+    if (this.input.form) {
+      this.input.form.addEventListener('reset', this.handleReset);
+    }
+
+    this.root = document.createElement('div');
+    this.root.className = 'document-uploader';
+
+    this.errorList = document.createElement('ul');
+    this.errorList.className = 'document-uploader__errors';
+    this.errorList.setAttribute('role', 'alert');
+
+    this.list = document.createElement('ol');
+    this.list.className = 'document-uploader__list';
+    this.list.setAttribute('aria-label', 'Attached documents');
+
+    this.status = document.createElement('div');
+    this.status.className = 'sr-only';
+    this.status.setAttribute('role', 'status');
+    this.status.setAttribute('aria-live', 'polite');
+
+    this.idFields = document.createElement('div');
+    this.idFields.hidden = true;
+
+    this.root.append(this.errorList, this.list, this.status, this.idFields);
+    this.input.insertAdjacentElement('afterend', this.root);
+
+    this.update();
+    return this;
+  }
+
+  /**
+   * Handle newly chosen files
+   */
+  handleChange () {
+    const files = Array.from(this.input.files || []);
+    // Allow the same file to be chosen again after removing it
+    this.input.value = '';
+    this.addFiles(files);
+  }
+
+  /**
+   * Drop the attached files when the form is reset
+   */
+  handleReset () {
+    this.clear();
+  }
+
+  /**
+   * Check and upload files
+   * @param {Array<File>} files - Chosen files
+   * @returns {Promise<void>} Resolves when every accepted file has been sent
+   */
+  async addFiles (files) {
+    const errors = [];
+    const accepted = [];
+
+    for (const file of files) {
+      if (this.entries.length + accepted.length >= this.options.maxFiles) {
+        errors.push(`${file.name} was not added; you can attach up to ${this.options.maxFiles} files.`);
+        continue;
+      }
+
+      const duplicate = this.entries.some((entry) =>
+        entry.file.name === file.name &&
+        entry.file.size === file.size &&
+        entry.file.lastModified === file.lastModified
+      );
+      if (duplicate) continue;
+
+      const result = await inspectFile(file, this.options);
+      if (!result.valid) {
+        errors.push(...result.errors);
+        continue;
+      }
+
+      accepted.push(this.createEntry(await stripLocationData(file, result.type), result.type));
+    }
+
+    this.showErrors(errors);
+    if (accepted.length === 0) {
+      this.update();
+      return;
+    }
+
+    this.entries.push(...accepted);
+    this.update();
+    this.announce(`${accepted.length} ${accepted.length === 1 ? 'file' : 'files'} added`);
+
+    await Promise.all(accepted.map((entry) => this.upload(entry)));
+  }
+
+  /**
+   * Create the record and list item for an accepted file
+   * @param {File} file - Cleaned file
+   * @param {string} type - FILE_TYPES key
+   * @returns {Object} Entry
+   */
+  createEntry (file, type) {
+    const entry = {
+      key: `document-${++nextEntryId}`,
+      file,
+      type,
+      status: 'pending',
+      progress: 0,
+      documentId: null,
+      error: null,
+      xhr: null,
+      previewUrl: null,
+      element: null
+    };
+
+    if ((FILE_TYPES[type].image || type === 'pdf') && typeof URL.createObjectURL === 'function') {
+      entry.previewUrl = URL.createObjectURL(file);
+    }
+
+    entry.element = this.createItem(entry);
+    return entry;
+  }
+
+  /**
+   * List item with thumbnail, progress and controls
+   * @param {Object} entry - Entry
+   * @returns {HTMLElement} List item
+   */
+  createItem (entry) {
+    const item = document.createElement('li');
+    item.className = 'document-uploader__item';
+    item.dataset.key = entry.key;
+
+    item.appendChild(this.createThumbnail(entry));
+
+    const details = document.createElement('div');
+    details.className = 'document-uploader__details';
+
+    const name = document.createElement('span');
+    name.className = 'document-uploader__name';
+    name.textContent = entry.file.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'document-uploader__meta';
+    meta.textContent = `${FILE_TYPES[entry.type].label}, ${formatFileSize(entry.file.size)}`;
+
+    const progress = document.createElement('progress');
+    progress.className = 'document-uploader__progress';
+    progress.max = 100;
+    progress.value = 0;
+    progress.setAttribute('aria-label', `Upload progress for ${entry.file.name}`);
+
+    const state = document.createElement('span');
+    state.className = 'document-uploader__state';
+
+    details.append(name, meta, progress, state);
+
+    const actions = document.createElement('div');
+    actions.className = 'document-uploader__actions';
+    actions.append(
+      this.createButton('Move up', `Move ${entry.file.name} up`, 'up', () => this.move(entry.key, -1)),
+      this.createButton('Move down', `Move ${entry.file.name} down`, 'down', () => this.move(entry.key, 1)),
+      this.createButton('Retry', `Retry uploading ${entry.file.name}`, 'retry', () => this.retry(entry.key)),
+      this.createButton('Remove', `Remove ${entry.file.name}`, 'remove', () => this.remove(entry.key))
+    );
+
+    item.append(details, actions);
+    return item;
+  }
+
+  /**
+   * Thumbnail for photos and PDFs, or a type badge for Word files
+   * @param {Object} entry - Entry
+   * @returns {HTMLElement} Thumbnail element
+   */
+  createThumbnail (entry) {
+    const thumb = document.createElement('div');
+    thumb.className = 'document-uploader__thumb';
+
+    if (entry.previewUrl && FILE_TYPES[entry.type].image) {
+      const img = document.createElement('img');
+      img.src = entry.previewUrl;
+      img.alt = '';
+      thumb.appendChild(img);
+    } else if (entry.previewUrl && entry.type === 'pdf') {
+      const preview = document.createElement('object');
+      preview.data = `${entry.previewUrl}#page=1&toolbar=0&navpanes=0&view=Fit`;
+      preview.type = 'application/pdf';
+      preview.setAttribute('aria-hidden', 'true');
+      preview.tabIndex = -1;
+      preview.textContent = 'PDF';
+      thumb.appendChild(preview);
+    } else {
+      thumb.textContent = FILE_TYPES[entry.type].label;
+      thumb.setAttribute('aria-hidden', 'true');
+    }
+
+    return thumb;
+  }
+
+  /**
+   * Small action button
+   * @param {string} text - Visible text
+   * @param {string} label - Accessible name
+   * @param {string} action - Action name for styling and tests
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   */
+  createButton (text, label, action, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary btn-sm';
+    button.dataset.action = action;
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Upload one file with progress
+   * @param {Object} entry - Entry
+   * @returns {Promise<void>} Resolves when the upload finishes or fails
+   */
+  upload (entry) {
+    entry.status = 'uploading';
+    entry.progress = 0;
+    entry.error = null;
+    this.update();
+
+    return new Promise((resolve) => {
+      const xhr = new XMLHttpRequest();
+      entry.xhr = xhr;
+
+      const fail = (message) => {
+        entry.xhr = null;
+        entry.status = 'error';
+        entry.error = message;
+        this.update();
+        this.announce(`${entry.file.name} could not be uploaded`);
+        resolve();
+      };
+
+      xhr.upload.addEventListener('progress', (e) => {
+        if (!e.lengthComputable) return;
+        entry.progress = Math.round((e.loaded / e.total) * 100);
+        this.updateItem(entry);
+      });
+
+      xhr.addEventListener('load', () => {
+        if (xhr.status < 200 || xhr.status >= 300) {
+          let message = 'Upload failed. Try again.';
+          try {
+            message = JSON.parse(xhr.responseText).msg || message;
+          } catch (e) {
+            // Non-JSON error body - keep the default message
+          }
+          fail(message);
+          return;
+        }
+
+        let body = null;
+        try {
+          body = JSON.parse(xhr.responseText);
+        } catch (e) {
+          // Handled below as a missing document ID
+        }
+        if (!body || !body.id) {
+          fail('Upload failed. Try again.');
+          return;
+        }
+
+        entry.xhr = null;
+        entry.status = 'uploaded';
+        entry.progress = 100;
+        entry.documentId = String(body.id);
+        this.update();
+        this.announce(`${entry.file.name} uploaded`);
+        resolve();
+      });
+
+      xhr.addEventListener('error', () => fail('Upload failed. Check your connection and try again.'));
+      xhr.addEventListener('abort', () => resolve());
+
+      xhr.open('POST', this.options.endpoint);
+      Object.entries(this.options.getHeaders() || {}).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      const body = new FormData();
+      body.append('file', entry.file, entry.file.name);
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Upload a failed file again
+   * @param {string} key - Entry key
+   * @returns {Promise<void>} Resolves when the upload finishes or fails
+   */
+  retry (key) {
+    const entry = this.entries.find((item) => item.key === key);
+    if (!entry || entry.status !== 'error') return Promise.resolve();
+    return this.upload(entry);
+  }
+
+  /**
+   * Remove a file, cancelling its upload
+   * @param {string} key - Entry key
+   */
+  remove (key) {
+    const index = this.entries.findIndex((item) => item.key === key);
+    if (index === -1) return;
+
+    const [entry] = this.entries.splice(index, 1);
+    if (entry.xhr) entry.xhr.abort();
+    if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+    entry.element.remove();
+
+    this.update();
+    this.announce(`${entry.file.name} removed`);
+
+    // Keep focus in the list for keyboard users
+    const next = this.entries[index] || this.entries[index - 1];
+    (next ? next.element.querySelector('[data-action="remove"]') : this.input).focus();
+  }
+
+  /**
+   * Move a file up or down the list
+   * @param {string} key - Entry key
+   * @param {number} offset - -1 for up, 1 for down
+   */
+  move (key, offset) {
+    const index = this.entries.findIndex((item) => item.key === key);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.entries.length) return;
+
+    const [entry] = this.entries.splice(index, 1);
+    this.entries.splice(target, 0, entry);
+    this.update();
+    this.announce(`${entry.file.name} moved to position ${target + 1} of ${this.entries.length}`);
+
+    const button = entry.element.querySelector(`[data-action="${offset < 0 ? 'up' : 'down'}"]`);
+    (button.disabled ? entry.element.querySelector('[data-action="remove"]') : button).focus();
+  }
+
+  /**
+   * Reflect one entry's state on its list item
+   * @param {Object} entry - Entry
+   */
+  updateItem (entry) {
+    const item = entry.element;
+    const index = this.entries.indexOf(entry);
+
+    item.dataset.status = entry.status;
+    item.querySelector('progress').value = entry.progress;
+    item.querySelector('progress').hidden = entry.status !== 'uploading';
+    item.querySelector('.document-uploader__state').textContent = {
+      pending: 'Waiting to upload',
+      uploading: `Uploading… ${entry.progress}%`,
+      uploaded: 'Uploaded',
+      error: entry.error
+    }[entry.status];
+
+    item.querySelector('[data-action="up"]').disabled = index === 0;
+    item.querySelector('[data-action="down"]').disabled = index === this.entries.length - 1;
+    item.querySelector('[data-action="retry"]').hidden = entry.status !== 'error';
+  }
+
+  /**
+   * Re-render list order, ID fields and input state, then notify listeners
+   */
+  update () {
+    if (!this.root) return;
+
+    this.entries.forEach((entry) => {
+      this.list.appendChild(entry.element);
+      this.updateItem(entry);
+    });
+    this.list.hidden = this.entries.length === 0;
+
+    this.idFields.textContent = '';
+    this.entries
+      .filter((entry) => entry.status === 'uploaded')
+      .forEach((entry) => {
+        const field = document.createElement('input');
+        field.type = 'hidden';
+        field.name = this.options.idFieldName;
+        field.value = entry.documentId;
+        field.dataset.noAutosave = '';
+        this.idFields.appendChild(field);
+      });
+
+    this.input.dataset.summaryValue = this.entries.length > 0
+      ? this.entries.map((entry) => entry.file.name).join(', ')
+      : 'None attached';
+
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  /**
+   * Show files that were not added
+   * @param {Array<string>} errors - Messages
+   */
+  showErrors (errors) {
+    this.errorList.textContent = '';
+    errors.forEach((message) => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      this.errorList.appendChild(item);
+    });
+  }
+
+  /**
+   * Announce a change to screen readers
+   * @param {string} message - Message
+   */
+  announce (message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Validation result for the "documents" validator type
+   * @returns {Object} { valid, message }
+   */
+  validate () {
+    if (this.entries.some((entry) => entry.status === 'error')) {
+      return { valid: false, message: 'Some documents failed to upload. Retry or remove them.' };
+    }
+    if (this.entries.some((entry) => entry.status !== 'uploaded')) {
+      return { valid: false, message: 'Please wait for your documents to finish uploading.' };
+    }
+    return { valid: true, message: '' };
+  }
+
+  /**
+   * Uploaded document IDs in list order
+   * @returns {Array<string>} Document IDs
+   */
+  getDocumentIds () {
+    return this.entries
+      .filter((entry) => entry.status === 'uploaded')
+      .map((entry) => entry.documentId);
+  }
+
+  /**
+   * Subscribe to list changes
+   * @param {Function} listener - Called with the uploader
+   * @returns {Function} Unsubscribe function
+   */
+  onChange (listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Forget every file (e.g. after the application is submitted)
+   */
+  clear () {
+    [...this.entries].forEach((entry) => {
+      if (entry.xhr) entry.xhr.abort();
+      if (entry.previewUrl) URL.revokeObjectURL(entry.previewUrl);
+      entry.element.remove();
+    });
+    this.entries = [];
+    this.showErrors([]);
+    this.update();
+  }
+
+  /**
+   * Remove the list and restore the plain input
+   */
+  destroy () {
+    if (!this.input) return;
+    this.clear();
+    this.input.removeEventListener('change', this.handleChange);
+    if (this.input.form) {
+      this.input.form.removeEventListener('reset', this.handleReset);
+    }
+    if (this.root) this.root.remove();
+    uploaders.delete(this.input);
+  }
+}
+
+/**
+ * Uploader attached to a file input
+ * @param {HTMLInputElement} input - File input
+ * @returns {DocumentUploader|null} Uploader
+ */
+export function getDocumentUploader (input) {
+  return uploaders.get(input) || null;
+}
+
+/**
+ * Register the "documents" validator type on a FormValidator
+ * Fields use data-validate="documents"; they are re-checked as uploads change
+ * @param {FormValidator} validator - Form validator
+ */
+export function registerDocumentValidator (validator) {
+  validator.addValidator(
+    'documents',
+    (value, param, field) => {
+      const uploader = getDocumentUploader(field);
+      return uploader ? uploader.validate() : { valid: true, message: '' };
+    },
+    { validateEmpty: true }
+  );
+
+  validator.form.querySelectorAll('[data-validate~="documents"]').forEach((field) => {
+    const uploader = getDocumentUploader(field);
+    if (!uploader) return;
+
+    uploader.onChange(() => {
+      if (validator.fieldStates.get(field.id)?.touched) {
+        validator.validateField(field);
+      }
+    });
+  });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.DocumentUploader = DocumentUploader;
+}
+
+export default DocumentUploader;
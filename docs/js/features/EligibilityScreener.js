@@ -0,0 +1,356 @@
+/**
+ * EligibilityScreener - Voucher-aware pre-screener on the listings page
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Household size, income, voucher type and bedroom need
+ * - Bedroom need pre-filled from the voucher size
+ * - Explained result for every listed home (likely, unlikely, needs a call)
+ * - "Only show homes I likely qualify for" filter on the PropertyFilter grid
+ * - Answers kept for the browser session, never sent to the server
+ */
+
+import { FormValidator } from './FormValidator.js';
+import {
+  ELIGIBILITY_STATUS,
+  getVoucherBedroomSize,
+  loadEligibilityTables,
+  screenProperties
+} from '../utils/eligibility.js';
+import { getInputMask } from '../utils/inputMask.js';
+
+export const ELIGIBILITY_STORAGE_KEY = 'p4c_eligibility_answers';
+
+// Headings and display order for each result group
+const STATUS_GROUPS = [
+  { status: ELIGIBILITY_STATUS.likely, label: 'You likely qualify' },
+  { status: ELIGIBILITY_STATUS.unknown, label: 'Call us to check' },
+  { status: ELIGIBILITY_STATUS.unlikely, label: 'Probably not a match' }
+];
+
+// Screen reader text for each check outcome
+const CHECK_LABELS = {
+  true: 'Meets',
+  false: 'Does not meet',
+  null: 'Unknown'
+};
+
+const MAX_BEDROOM_OPTION = 4;
+
+export class EligibilityScreener {
+  /**
+   * @param {HTMLElement|string} container - Screener element or selector
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.properties - Normalized properties
+   * @param {Object} options.propertyFilter - PropertyFilter to narrow (optional)
+   * @param {Storage} options.storage - Storage for the answers (sessionStorage by default)
+   * @param {string} options.tablesUrl - Eligibility tables URL
+   */
+  constructor (container, options = {}) {
+    this.container =
+      typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+    this.options = {
+      properties: [],
+      propertyFilter: null,
+      storage: typeof sessionStorage !== 'undefined' ? sessionStorage : null,
+      tablesUrl: undefined,
+      ...options
+    };
+
+    this.form = null;
+    this.resultsEl = null;
+    this.validator = null;
+    this.results = null;
+    this.eligibleOnly = false;
+    this.bedroomsEdited = false;
+  }
+
+  /**
+   * Wire up the form and restore answers from this session
+   * @returns {Promise<EligibilityScreener>} This instance
+   */
+  async init () {
+    if (!this.container) return this;
+
+    this.form = this.container.querySelector('form');
+    this.resultsEl = this.container.querySelector('.eligibility-results');
+    if (!this.form || !this.resultsEl) return this;
+
+    this.validator = new FormValidator(this.form, {
+      enableRateLimit: false,
+      onSubmit: (data) => this.run(this.parseAnswers(data))
+    });
+
+    this.form.elements.householdSize.addEventListener('change', () => this.suggestBedrooms());
+    this.form.elements.bedrooms.addEventListener('change', () => {
+      this.bedroomsEdited = true;
+    });
+    this.form.addEventListener('reset', () => this.clear());
+
+    this.container.hidden = false;
+
+    const saved = this.loadAnswers();
+    if (saved) {
+      this.fillForm(saved.household);
+      this.eligibleOnly = Boolean(saved.only);
+      await this.run(saved.household);
+    }
+
+    return this;
+  }
+
+  /**
+   * Convert form values to a household
+   * @param {Object} data - Form values
+   * @returns {Object} { householdSize, monthlyIncome, voucherType, bedrooms }
+   */
+  parseAnswers (data) {
+    return {
+      householdSize: parseInt(data.householdSize, 10),
+      monthlyIncome: parseFloat(data.monthlyIncome),
+      voucherType: data.voucherType,
+      bedrooms: parseInt(data.bedrooms, 10)
+    };
+  }
+
+  /**
+   * Put saved answers back in the form
+   * @param {Object} household - Household answers
+   */
+  fillForm (household) {
+    const { elements } = this.form;
+    elements.householdSize.value = String(household.householdSize);
+    elements.monthlyIncome.value = String(household.monthlyIncome);
+    getInputMask(elements.monthlyIncome)?.refresh();
+    elements.voucherType.value = household.voucherType;
+    elements.bedrooms.value = String(Math.min(household.bedrooms, MAX_BEDROOM_OPTION));
+    this.bedroomsEdited = true;
+  }
+
+  /**
+   * Pre-fill the bedroom need from the household's voucher size
+   */
+  suggestBedrooms () {
+    const size = parseInt(this.form.elements.householdSize.value, 10);
+    if (this.bedroomsEdited || !size) return;
+
+    this.form.elements.bedrooms.value = String(
+      Math.min(getVoucherBedroomSize(size), MAX_BEDROOM_OPTION)
+    );
+  }
+
+  /**
+   * Screen every property and show the results
+   * @param {Object} household - Household answers
+   */
+  async run (household) {
+    let tables;
+    try {
+      tables = await loadEligibilityTables(
+        this.options.tablesUrl ? { url: this.options.tablesUrl } : {}
+      );
+    } catch (e) {
+      this.renderMessage('Eligibility rules could not be loaded. Please try again or call 903-555-1234.');
+      return;
+    }
+
+    try {
+      this.results = screenProperties(household, this.options.properties, tables);
+    } catch (error) {
+      this.renderMessage(error.message);
+      return;
+    }
+
+    this.saveAnswers(household);
+    this.renderResults();
+    this.applyToGrid();
+  }
+
+  /**
+   * Render the grouped, explained results
+   */
+  renderResults () {
+    this.resultsEl.textContent = '';
+
+    const properties = new Map(this.options.properties.map((prop) => [prop.id, prop]));
+    const likely = this.results.filter((result) => result.status === ELIGIBILITY_STATUS.likely);
+
+    const summary = document.createElement('p');
+    summary.className = 'eligibility-results__summary';
+    summary.textContent = `You likely qualify for ${likely.length} of ${this.results.length} ${this.results.length === 1 ? 'home' : 'homes'}.`;
+    this.resultsEl.appendChild(summary);
+
+    if (this.options.propertyFilter) {
+      this.resultsEl.appendChild(this.createOnlyToggle(likely.length));
+    }
+
+    STATUS_GROUPS.forEach(({ status, label }) => {
+      const group = this.results.filter((result) => result.status === status);
+      if (group.length === 0) return;
+
+      const heading = document.createElement('h3');
+      heading.className = 'eligibility-results__heading';
+      heading.textContent = `${label} (${group.length})`;
+
+      const list = document.createElement('ul');
+      list.className = `eligibility-results__list eligibility-results__list--${status}`;
+      group.forEach((result) => {
+        list.appendChild(this.createResultItem(result, properties.get(result.id)));
+      });
+
+      this.resultsEl.append(heading, list);
+    });
+  }
+
+  /**
+   * "Only show homes I likely qualify for" checkbox
+   * @param {number} likelyCount - Homes the household likely qualifies for
+   * @returns {HTMLElement} Label wrapping the checkbox
+   */
+  createOnlyToggle (likelyCount) {
+    const label = document.createElement('label');
+    label.className = 'eligibility-results__only';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = this.eligibleOnly;
+    checkbox.disabled = likelyCount === 0 && !this.eligibleOnly;
+    checkbox.addEventListener('change', () => {
+      this.eligibleOnly = checkbox.checked;
+      this.saveAnswers();
+      this.applyToGrid();
+    });
+
+    label.append(checkbox, ' Only show homes I likely qualify for');
+    return label;
+  }
+
+  /**
+   * One home's result with its explanation
+   * @param {Object} result - Result from checkEligibility
+   * @param {Object} prop - Normalized property
+   * @returns {HTMLElement} List item
+   */
+  createResultItem (result, prop) {
+    const item = document.createElement('li');
+    item.className = `eligibility-result eligibility-result--${result.status}`;
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+
+    const name = document.createElement('strong');
+    name.textContent = prop ? prop.name : result.id;
+    summary.append(name, ` – ${result.summary}`);
+    details.appendChild(summary);
+
+    const checks = document.createElement('ul');
+    checks.className = 'eligibility-result__checks';
+    result.checks.forEach((check) => {
+      const line = document.createElement('li');
+      line.className = `eligibility-check eligibility-check--${check.passed === null ? 'unknown' : check.passed ? 'pass' : 'fail'}`;
+
+      const state = document.createElement('span');
+      state.className = 'sr-only';
+      state.textContent = `${CHECK_LABELS[check.passed]}: `;
+
+      line.append(state, check.message);
+      checks.appendChild(line);
+    });
+    details.appendChild(checks);
+
+    if (prop && prop.url) {
+      const link = document.createElement('a');
+      link.href = prop.url;
+      link.className = 'eligibility-result__link';
+      link.textContent = `View ${prop.name}`;
+      details.appendChild(link);
+    }
+
+    item.appendChild(details);
+    return item;
+  }
+
+  /**
+   * Show a single message in place of the results
+   * @param {string} message - Message text
+   */
+  renderMessage (message) {
+    this.resultsEl.textContent = '';
+    const text = document.createElement('p');
+    text.className = 'eligibility-results__error';
+    text.setAttribute('role', 'alert');
+    text.textContent = message;
+    this.resultsEl.appendChild(text);
+  }
+
+  /**
+   * Pass the results to the listings grid
+   */
+  applyToGrid () {
+    if (!this.options.propertyFilter) return;
+    this.options.propertyFilter.setEligibility(this.results, { only: this.eligibleOnly });
+  }
+
+  /**
+   * Read answers saved earlier in this session
+   * @returns {Object|null} { household, only } or null
+   */
+  loadAnswers () {
+    try {
+      const saved = JSON.parse(this.options.storage.getItem(ELIGIBILITY_STORAGE_KEY) || 'null');
+      return saved && saved.household ? saved : null;
+    } catch (e) {
+      // Corrupt or unavailable storage - start with an empty form
+      return null;
+    }
+  }
+
+  /**
+   * Save the answers for this session
+   * @param {Object} household - Household answers (defaults to the last saved answers)
+   */
+  saveAnswers (household) {
+    const answers = household || (this.loadAnswers() || {}).household;
+    if (!answers) return;
+
+    try {
+      this.options.storage.setItem(
+        ELIGIBILITY_STORAGE_KEY,
+        JSON.stringify({ household: answers, only: this.eligibleOnly })
+      );
+    } catch (e) {
+      // Storage full or disabled - answers last for this page only
+    }
+  }
+
+  /**
+   * Forget the answers and show every home again (runs on form reset)
+   */
+  clear () {
+    this.results = null;
+    this.eligibleOnly = false;
+    this.bedroomsEdited = false;
+    this.resultsEl.textContent = '';
+    this.form.querySelectorAll('[required]').forEach((field) => this.validator.clearField(field));
+
+    try {
+      this.options.storage.removeItem(ELIGIBILITY_STORAGE_KEY);
+    } catch (e) {
+      // Storage unavailable - nothing to clear
+    }
+
+    if (this.options.propertyFilter) {
+      this.options.propertyFilter.setEligibility(null);
+    }
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.EligibilityScreener = EligibilityScreener;
+}
+
+export default EligibilityScreener;
@@ -0,0 +1,149 @@
+/**
+ * EmailVerification - Email verification step after registering (/verify-email/)
+ * Properties 4 Creations
+ *
+ * Features:
+ * - With ?token= from the emailed link: verifies the address
+ * - Without a token: asks the new member to check their inbox
+ * - "Send a new link" form; signed-out visitors enter their email
+ * - The token is removed from the address bar as soon as it is read
+ */
+
+import { auth } from '../auth.js';
+import { FormValidator } from './FormValidator.js';
+import { takeUrlToken } from '../utils/urlToken.js';
+
+const STATUS_MESSAGES = {
+  checking: 'Verifying your email address…',
+  pending: 'We sent a verification link to your email address. Open it to finish setting up your account.'
+};
+
+export class EmailVerification {
+  /**
+   * @param {HTMLElement|string} container - Page section or selector
+   * @param {Object} options - Options
+   * @param {Object} options.auth - Auth module
+   * @param {Object} options.validatorOptions - Extra FormValidator options
+   * @param {string} options.token - Verification token (read from the URL by default)
+   */
+  constructor (container, options = {}) {
+    this.container =
+      typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+    this.options = {
+      auth,
+      token: undefined,
+      validatorOptions: {},
+      ...options
+    };
+
+    this.auth = this.options.auth;
+    this.statusEl = null;
+    this.continueEl = null;
+    this.resendForm = null;
+    this.validator = null;
+  }
+
+  /**
+   * Verify the link's token, or explain the next step
+   * @returns {Promise<EmailVerification>} This instance
+   */
+  async init () {
+    if (!this.container) return this;
+
+    this.statusEl = this.container.querySelector('[data-verify-status]');
+    this.continueEl = this.container.querySelector('[data-verify-continue]');
+    this.resendForm = this.container.querySelector('#resend-verification-form');
+    if (!this.statusEl || !this.resendForm) return this;
+
+    this.setupResendForm();
+
+    const token = this.options.token === undefined ? takeUrlToken() : this.options.token;
+    if (!token) {
+      this.showStatus(STATUS_MESSAGES.pending, 'pending');
+      this.resendForm.hidden = false;
+      return this;
+    }
+
+    await this.verify(token);
+    return this;
+  }
+
+  /**
+   * Ask only signed-out visitors for their email
+   */
+  setupResendForm () {
+    const emailField = this.resendForm.querySelector('[name="email"]');
+    if (emailField) {
+      const signedIn = this.auth.isAuthenticated;
+      // Disabled fields are skipped by FormValidator and left out of the form data
+      emailField.disabled = signedIn;
+      (emailField.closest('.form-group') || emailField).hidden = signedIn;
+    }
+
+    this.validator = new FormValidator(this.resendForm, {
+      rateLimitEndpoint: '/api/users/resend-verification',
+      ...this.options.validatorOptions,
+      onSubmit: (data) => this.resend(data.email)
+    });
+  }
+
+  /**
+   * Check the token with the server
+   * @param {string} token - Token from the emailed link
+   * @returns {Promise<Object>} Auth result ({ success, message })
+   */
+  async verify (token) {
+    this.resendForm.hidden = true;
+    this.showStatus(STATUS_MESSAGES.checking, 'pending');
+
+    const result = await this.auth.verifyEmail(token);
+    this.showStatus(result.message, result.success ? 'success' : 'error');
+
+    if (result.success) {
+      if (this.continueEl) this.continueEl.hidden = false;
+    } else {
+      this.resendForm.hidden = false;
+    }
+    return result;
+  }
+
+  /**
+   * Send a new verification link
+   * @param {string} email - Email (signed-out visitors only)
+   * @returns {Promise<Object>} Auth result ({ success, message })
+   */
+  async resend (email) {
+    const result = await this.auth.resendVerification(email ? email.trim() : undefined);
+    this.showStatus(result.message, result.success ? 'success' : 'error');
+    return result;
+  }
+
+  /**
+   * Show where verification stands
+   * @param {string} message - Message
+   * @param {string} state - 'pending', 'success' or 'error'
+   */
+  showStatus (message, state) {
+    this.statusEl.textContent = message;
+    this.statusEl.dataset.state = state;
+    this.statusEl.className = `message-box${state === 'pending' ? '' : ` ${state}-message`}`;
+  }
+
+  /**
+   * Remove validation listeners
+   */
+  destroy () {
+    if (this.validator) this.validator.destroy();
+    this.validator = null;
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.EmailVerification = EmailVerification;
+}
+
+export default EmailVerification;
@@ -5,14 +5,47 @@
  * Features:
  * - Real-time validation with debouncing
  * - Multiple validation types (email, phone, zip, required, etc.)
- * - ARIA-compliant error messages
+ * - ARIA-compliant error messages, all messages per field
+ * - Error summary linking to every invalid field after a failed submit
+ * - Templated, translatable messages
  * - Custom validation rules
+ * - Cross-field rules (requiredIf, gte/lte, after/before) and JSON schemas
+ * - Debounced, cancellable async validators (e.g. duplicate email checks)
+ * - Live password strength meter (data-password-strength)
  * - Form submission handling
  * - Visual feedback with animations
- * - Rate limiting for DDoS protection
+ * - Rate limiting for DDoS protection, with a live countdown while locked out;
+ *   attempts are stored per form, so reloading or another tab does not reset them
+ * - A server 429 on the form's endpoint locks the form for the server's Retry-After
+ * - Server validation errors (ValidationError from onSubmit) shown on their fields
  */
 
-import { RateLimiter, createFormRateLimiter } from '../utils/rateLimiter.js';
+import { RateLimiter, RATE_LIMIT_MESSAGES, createFormRateLimiter } from '../utils/rateLimiter.js';
+import { httpClient } from '../utils/httpClient.js';
+import { apiClient, RateLimitError, ValidationError } from '../utils/apiClient.js';
+import { RateLimitNotice } from '../components/RateLimitNotice.js';
+import {
+  RULES,
+  EMPTY_RULES,
+  MESSAGES,
+  formatMessage,
+  parseRules,
+  getRuleDependencies,
+  getPasswordStrength
+} from '../utils/validationRules.js';
+import { getGlobalAriaLiveRegions } from '../utils/ariaLiveRegions.js';
+import { getInputMask } from '../utils/inputMask.js';
+
+// Form-level message templates; translate alongside the rule messages
+export const FORM_MESSAGES = {
+  invalid: 'Please check this field',
+  errorSummaryTitle: 'There is a problem',
+  errorSummaryItem: '{label}: {message}',
+  errorSummaryStatusOne: 'There is a problem with 1 field. The list of errors is at the top of the form.',
+  errorSummaryStatusMany: 'There are problems with {count} fields. The list of errors is at the top of the form.',
+  passwordStrength: 'Password strength: {strength}',
+  ...RATE_LIMIT_MESSAGES
+};
 
 export class FormValidator {
   constructor (formSelector, options = {}) {
@@ -25,6 +58,7 @@ export class FormValidator {
       validateOnBlur: true,
       validateOnInput: true,
       debounceDelay: 300,
+      asyncDebounce: 500,
       showSuccessState: true,
       scrollToError: true,
       onSubmit: null,
@@ -34,93 +68,75 @@ export class FormValidator {
       // Rate limiting options
       enableRateLimit: true,
       rateLimitConfig: null,
+      // Endpoint whose server rate limit (429) also locks this form (defaults to the action attribute)
+      rateLimitEndpoint: null,
+      // Rules by field name ({ fields: { email: ['required', 'email'] } })
+      schema: null,
+      // Message templates by rule type or FORM_MESSAGES key (for translations)
+      messages: null,
+      // Show every message for a field, not just the first
+      showAllErrors: true,
+      // List every invalid field in a summary box at the top after a failed submit
+      errorSummary: true,
       ...options
     };
 
-    // Initialize rate limiter
+    // Initialize rate limiter (one namespace per form ID)
     if (this.options.enableRateLimit) {
+      const name = this.form && this.form.id ? this.form.id : 'form';
       this.rateLimiter = this.options.rateLimitConfig
         ? new RateLimiter(
-          this.rateLimitConfig.maxAttempts,
-          this.rateLimitConfig.windowMs
+          this.options.rateLimitConfig.maxAttempts,
+          this.options.rateLimitConfig.windowMs,
+          { name, ...this.options.rateLimitConfig }
         )
-        : createFormRateLimiter();
-    }
-
-    // Built-in validators
-    this.validators = {
-      required: (value) => ({
-        valid: value.trim().length > 0,
-        message: 'This field is required'
-      }),
-
-      email: (value) => ({
-        valid: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
-        message: 'Please enter a valid email address'
-      }),
-
-      phone: (value) => ({
-        valid: /^\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})$/.test(
-          value
-        ),
-        message: 'Please enter a valid phone number (e.g., 903-555-1234)'
-      }),
-
-      zip: (value) => ({
-        valid: /^\d{5}(-\d{4})?$/.test(value),
-        message: 'Please enter a valid ZIP code (e.g., 75701 or 75701-1234)'
-      }),
-
-      minLength: (value, length) => ({
-        valid: value.length >= parseInt(length, 10),
-        message: `Must be at least ${length} characters`
-      }),
-
-      maxLength: (value, length) => ({
-        valid: value.length <= parseInt(length, 10),
-        message: `Must be no more than ${length} characters`
-      }),
-
-      pattern: (value, pattern) => ({
-        valid: new RegExp(pattern).test(value),
-        message: 'Please match the requested format'
-      }),
-
-      match: (value, fieldName) => {
-        const matchField = this.form.querySelector(`[name='${fieldName}']`);
-        return {
-          valid: matchField && value === matchField.value,
-          message: `Must match ${fieldName}`
-        };
-      },
-
-      number: (value) => ({
-        valid: !isNaN(parseFloat(value)) && isFinite(value),
-        message: 'Please enter a valid number'
-      }),
-
-      url: (value) => ({
-        valid:
-          /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})([/\w .-]*)*\/?$/.test(
-            value
-          ),
-        message: 'Please enter a valid URL'
-      }),
-
-      date: (value) => ({
-        valid: !isNaN(Date.parse(value)),
-        message: 'Please enter a valid date'
-      }),
-
-      ssn: (value) => ({
-        valid: /^\d{3}-?\d{2}-?\d{4}$/.test(value),
-        message: 'Please enter a valid SSN (XXX-XX-XXXX)'
-      })
+        : createFormRateLimiter(name);
+    }
+    this.rateLimitNotice = null;
+    this.unsubscribeRateLimit = null;
+    this.unbindRateLimit = null;
+
+    // Built-in validators share their rules with the server (see validationRules.js);
+    // cross-field rules read the other values from the form
+    this.validators = Object.fromEntries(
+      Object.entries(RULES).map(([name, rule]) => [
+        name,
+        (value, param) => rule(value, param, this.getValues())
+      ])
+    );
+
+    // Validators that return a promise: (value, param, field, signal) => { valid, message }
+    this.asyncValidators = {
+      remote: (value, url, field, signal) => this.checkRemote(value, url, field, signal)
     };
 
+    // Rules from a JSON/JS schema, keyed by field name
+    this.schemaRules = this.options.schema?.fields || {};
+
+    this.messages = { ...MESSAGES, ...FORM_MESSAGES, ...this.options.messages };
+    this.errorSummary = null;
+    this.errorSummarySection = null;
+
+    // Custom validators that also run when the field value is empty
+    this.emptyValidators = new Set(EMPTY_RULES);
+
     this.debounceTimers = new Map();
     this.fieldStates = new Map();
 
+    // Async checks: pending timers, in-flight requests and results by field ID
+    this.asyncTimers = new Map();
+    this.asyncChecks = new Map();
+    this.asyncResults = new Map();
+
+    // Messages from the server by field ID, kept until the value changes
+    this.serverErrors = new Map();
+
+    // Fields whose rules read another field, keyed by that field's name
+    this.dependents = new Map();
+
+    // Password strength meters by field ID
+    this.strengthMeters = new Map();
+
     this.init();
   }
 
@@ -137,14 +153,124 @@ export class FormValidator {
     this.form.setAttribute('novalidate', 'true');
 
     // Find all validatable fields
-    const fields = this.form.querySelectorAll('[data-validate], [required]');
+    const fields = this.getValidatableFields(this.form);
 
     fields.forEach((field) => {
       this.setupField(field);
     });
 
+    // Re-check touched fields when a field their rules depend on changes
+    this.form.addEventListener('change', (e) => this.validateDependents(e.target));
+
     // Form submission handler
     this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+    this.restoreRateLimit();
+  }
+
+  /**
+   * Show a lockout that is still running (e.g. from before a reload),
+   * follow lockouts started or cleared in other tabs, and take server
+   * rate limits for the form's endpoint
+   */
+  restoreRateLimit () {
+    if (!this.rateLimiter) return;
+
+    const endpoint = this.options.rateLimitEndpoint || this.form.getAttribute('action');
+    if (endpoint) {
+      this.unbindRateLimit = httpClient.bindRateLimiter(endpoint, this.rateLimiter, () => this.getUserIdentifier());
+    }
+
+    const refresh = () => {
+      this.rateLimiter.peek(this.getUserIdentifier())
+        .then((result) => {
+          if (!result.allowed) {
+            this.showRateLimitError(result, { notify: false });
+          } else if (this.rateLimitNotice && this.rateLimitNotice.isActive()) {
+            this.clearRateLimitError();
+          }
+        })
+        .catch(() => {
+          // Storage unavailable - the next submit checks again
+        });
+    };
+
+    this.unsubscribeRateLimit = this.rateLimiter.onChange((key) => {
+      if (key === this.getUserIdentifier()) refresh();
+    });
+    refresh();
+  }
+
+  /**
+   * Find the fields inside an element that have validation rules
+   * @param {HTMLElement} root - Form or part of it
+   * @returns {NodeList} Fields
+   */
+  getValidatableFields (root) {
+    const selectors = ['[data-validate]', '[required]'].concat(
+      Object.keys(this.schemaRules).map((name) => `[name="${name}"]`)
+    );
+    return root.querySelectorAll(selectors.join(', '));
+  }
+
+  /**
+   * Get the rules for a field from its data-validate attribute and the schema
+   * @param {HTMLElement} field - Form field element
+   * @returns {Array<Object>} Rules as { type, param, message }
+   */
+  getFieldRules (field) {
+    const rules = parseRules(field.dataset.validate || '').concat(
+      parseRules(this.schemaRules[field.name] || [])
+    );
+
+    // The attribute wins when both define the same rule type
+    return rules.filter(
+      (rule, index) => rules.findIndex((other) => other.type === rule.type) === index
+    );
+  }
+
+  /**
+   * Get the value a field is validated with
+   * @param {HTMLElement} field - Form field element
+   * @returns {string} Value (raw value for masked inputs)
+   */
+  getFieldValue (field) {
+    // An unchecked checkbox counts as empty
+    if (field.type === 'checkbox') {
+      return field.checked ? field.value : '';
+    }
+
+    const mask = getInputMask(field);
+    return mask ? mask.getValue() : field.value;
+  }
+
+  /**
+   * Get the current form values, one string per field name
+   * @returns {Object} Values keyed by field name
+   */
+  getValues () {
+    const values = {};
+    new FormData(this.form).forEach((value, name) => {
+      if (!(name in values) && typeof value === 'string') {
+        values[name] = value;
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Re-validate touched fields whose rules read the changed field
+   * @param {HTMLElement} changed - Field that changed
+   */
+  validateDependents (changed) {
+    const dependents = this.dependents.get(changed.name);
+    if (!dependents) return;
+
+    dependents.forEach((field) => {
+      if (field !== changed && this.fieldStates.get(field.id)?.touched) {
+        this.validateField(field);
+      }
+    });
   }
 
   /**
@@ -178,10 +304,30 @@ export class FormValidator {
     // Link field to error container
     field.setAttribute('aria-describedby', errorContainer.id);
 
+    const rules = this.getFieldRules(field);
+    if (rules.some((rule) => rule.type === 'required')) {
+      field.setAttribute('aria-required', 'true');
+    }
+
+    rules.forEach((rule) => {
+      getRuleDependencies(rule).forEach((name) => {
+        if (!this.dependents.has(name)) {
+          this.dependents.set(name, new Set());
+        }
+        this.dependents.get(name).add(field);
+      });
+    });
+
+    if ('passwordStrength' in field.dataset) {
+      this.setupPasswordStrength(field);
+    }
+
     // Blur validation
     if (this.options.validateOnBlur) {
       field.addEventListener('blur', () => {
-        this.validateField(field);
+        if (this.validateField(field)) {
+          this.queueAsyncCheck(field, 0);
+        }
       });
     }
 
@@ -193,10 +339,15 @@ export class FormValidator {
           clearTimeout(this.debounceTimers.get(fieldId));
         }
 
+        // Any async check is for the old value
+        this.cancelAsyncCheck(field);
+
         // Only validate on input if field has been touched (has error)
         if (this.fieldStates.get(fieldId)?.touched) {
           const timer = setTimeout(() => {
-            this.validateField(field);
+            if (this.validateField(field)) {
+              this.queueAsyncCheck(field);
+            }
           }, this.options.debounceDelay);
 
           this.debounceTimers.set(fieldId, timer);
@@ -212,67 +363,132 @@ export class FormValidator {
     });
   }
 
+  /**
+   * Add a strength meter below a password field, updated on every keystroke
+   * @param {HTMLElement} field - Password field with data-password-strength
+   */
+  setupPasswordStrength (field) {
+    const meter = document.createElement('div');
+    meter.className = 'password-strength';
+    meter.id = `${field.id}-strength`;
+    meter.hidden = true;
+    meter.innerHTML = `
+      <div class="password-strength__bar" aria-hidden="true"><span class="password-strength__fill"></span></div>
+      <span class="password-strength__label" aria-live="polite"></span>
+    `;
+    field.insertAdjacentElement('afterend', meter);
+
+    this.strengthMeters.set(field.id, meter);
+    field.addEventListener('input', () => this.updatePasswordStrength(field));
+    this.updatePasswordStrength(field);
+  }
+
+  /**
+   * Show the strength of a password field's current value
+   * @param {HTMLElement} field - Password field
+   * @returns {Object|null} Strength ({ score, label, suggestions }), or null for an empty field
+   */
+  updatePasswordStrength (field) {
+    const meter = this.strengthMeters.get(field.id);
+    if (!meter) return null;
+
+    const value = field.value;
+    meter.hidden = value.length === 0;
+    if (meter.hidden) {
+      meter.querySelector('.password-strength__label').textContent = '';
+      return null;
+    }
+
+    const strength = getPasswordStrength(value);
+    meter.dataset.score = String(strength.score);
+    meter.querySelector('.password-strength__label').textContent = formatMessage(
+      this.messages.passwordStrength,
+      { strength: strength.label }
+    );
+    return strength;
+  }
+
   /**
    * Validate a single field
    * @param {HTMLElement} field - Form field element
    * @returns {boolean} True if field is valid
    */
   validateField (field) {
-    const value = field.value;
+    const value = this.getFieldValue(field);
     const fieldId = field.id;
     const errors = [];
 
+    // Disabled fields are not submitted, so there is nothing to check
+    if (field.disabled) {
+      this.clearField(field);
+      return true;
+    }
+
     // Mark as touched
     const state = this.fieldStates.get(fieldId) || {};
     state.touched = true;
 
+    const rules = this.getFieldRules(field);
+    const required = field.hasAttribute('required') ||
+      rules.some((rule) => rule.type === 'required');
+    const isEmpty = value.trim().length === 0;
+
     // Check required
-    if (
-      field.hasAttribute('required') ||
-      field.dataset.validate?.includes('required')
-    ) {
+    if (required) {
+      const requiredRule = rules.find((rule) => rule.type === 'required') || { type: 'required' };
       const result = this.validators.required(value);
       if (!result.valid) {
-        errors.push(result.message);
+        errors.push(this.formatError(field, requiredRule, result));
       }
     }
 
-    // Skip other validations if empty and not required
-    if (value.trim().length > 0) {
-      // Get validation types from data attribute
-      const validateTypes = (field.dataset.validate || '')
-        .split(' ')
-        .filter(Boolean);
+    rules.forEach((rule) => {
+      const { type, param } = rule;
+      if (type === 'required' || (type === 'requiredIf' && required)) return;
 
-      validateTypes.forEach((type) => {
-        // Handle validators with parameters (e.g., minLength:5)
-        const [validatorName, param] = type.split(':');
+      // Skip other validations if empty and not required
+      if (isEmpty && !this.emptyValidators.has(type)) return;
 
-        if (this.validators[validatorName] && validatorName !== 'required') {
-          const result = this.validators[validatorName](value, param);
-          if (!result.valid) {
-            errors.push(result.message);
-          }
-        }
-      });
+      let result = null;
+      if (this.validators[type]) {
+        result = this.validators[type](value, param, field);
+      } else if (this.asyncValidators[type]) {
+        // Async rules report the last finished check for this value
+        const cached = this.asyncResults.get(fieldId);
+        result = cached && cached.value === value && cached.results[type];
+      }
 
+      if (result && !result.valid) {
+        errors.push(this.formatError(field, rule, result));
+      }
+    });
+
+    if (!isEmpty) {
       // Check HTML5 validation attributes
       if (field.minLength > 0 && value.length < field.minLength) {
-        errors.push(`Must be at least ${field.minLength} characters`);
+        errors.push(this.formatError(field, { type: 'minLength', param: field.minLength }));
       }
 
       if (field.maxLength > 0 && value.length > field.maxLength) {
-        errors.push(`Must be no more than ${field.maxLength} characters`);
+        errors.push(this.formatError(field, { type: 'maxLength', param: field.maxLength }));
       }
 
       if (field.pattern && !new RegExp(field.pattern).test(value)) {
-        errors.push(field.title || 'Please match the requested format');
+        errors.push(field.title || this.formatError(field, { type: 'pattern' }));
       }
     }
 
-    // Update state
+    // The server's message stands until the value it was given for changes
+    const serverError = this.serverErrors.get(fieldId);
+    if (serverError && serverError.value === value) {
+      errors.push(serverError.message);
+    } else {
+      this.serverErrors.delete(fieldId);
+    }
+
+    // Update state (the same message from an attribute and a rule shows once)
     state.valid = errors.length === 0;
-    state.errors = errors;
+    state.errors = [...new Set(errors)];
     this.fieldStates.set(fieldId, state);
 
     // Update UI
@@ -285,12 +501,44 @@ export class FormValidator {
       !state.valid &&
       typeof this.options.onFieldInvalid === 'function'
     ) {
-      this.options.onFieldInvalid(field, errors);
+      this.options.onFieldInvalid(field, state.errors);
+    }
+
+    if (this.errorSummary && !this.errorSummary.hidden) {
+      this.updateErrorSummary();
     }
 
     return state.valid;
   }
 
+  /**
+   * Build the message for a failed rule
+   * Uses the rule's own message, then the messages option, then the validator's message
+   * @param {HTMLElement} field - Form field element
+   * @param {Object} rule - Parsed rule ({ type, param, message })
+   * @param {Object} result - Validator result ({ message, vars })
+   * @returns {string} Message with placeholders filled in
+   */
+  formatError (field, rule, result = {}) {
+    const template = rule.message || this.messages[rule.type] || result.message || this.messages.invalid;
+    return formatMessage(template, {
+      label: this.getFieldLabel(field),
+      param: rule.param,
+      ...result.vars
+    });
+  }
+
+  /**
+   * Label text for a field
+   * @param {HTMLElement} field - Form field element
+   * @returns {string} Label without the required marker
+   */
+  getFieldLabel (field) {
+    if (field.dataset.summaryLabel) return field.dataset.summaryLabel;
+    const label = field.labels && field.labels[0];
+    return label ? label.textContent.replace(/\s*\*\s*$/, '').replace(/\s+/g, ' ').trim() : field.name;
+  }
+
   /**
    * Update field UI based on validation state
    * @param {HTMLElement} field - Form field element
@@ -312,23 +560,33 @@ export class FormValidator {
       field.setAttribute('aria-invalid', 'true');
 
       if (errorContainer) {
-        errorContainer.textContent = state.errors[0] || '';
+        const messages = this.options.showAllErrors ? state.errors : state.errors.slice(0, 1);
+        errorContainer.replaceChildren(
+          ...messages.map((message) => {
+            const line = document.createElement('span');
+            line.className = 'form-error__message';
+            line.textContent = message;
+            return line;
+          })
+        );
         errorContainer.style.display = 'block';
       }
 
       // Add shake animation
       field.classList.add('shake');
       setTimeout(() => field.classList.remove('shake'), 300);
-    } else if (state.touched && this.options.showSuccessState) {
-      // Success state
-      group.classList.add('form-group--success');
-      field.classList.add('form-control--success');
-      field.setAttribute('aria-invalid', 'false');
-
+    } else {
       if (errorContainer) {
         errorContainer.textContent = '';
         errorContainer.style.display = 'none';
       }
+
+      if (state.touched && this.options.showSuccessState) {
+        // Success state
+        group.classList.add('form-group--success');
+        field.classList.add('form-control--success');
+        field.setAttribute('aria-invalid', 'false');
+      }
     }
   }
 
@@ -352,7 +610,18 @@ export class FormValidator {
    * @returns {boolean} True if form is valid
    */
   validateForm () {
-    const fields = this.form.querySelectorAll('[data-validate], [required]');
+    return this.validateSection(this.form);
+  }
+
+  /**
+   * Validate the fields inside part of the form (e.g. one wizard step)
+   * @param {HTMLElement} section - Element containing the fields
+   * @param {Object} options - Options
+   * @param {boolean} options.scroll - Scroll to and focus the first invalid field
+   * @returns {boolean} True if every field in the section is valid
+   */
+  validateSection (section, { scroll = this.options.scrollToError } = {}) {
+    const fields = this.getValidatableFields(section);
     let isValid = true;
     let firstInvalidField = null;
 
@@ -365,7 +634,7 @@ export class FormValidator {
     });
 
     // Scroll to first error
-    if (!isValid && firstInvalidField && this.options.scrollToError) {
+    if (!isValid && firstInvalidField && scroll) {
       firstInvalidField.scrollIntoView({ behavior: 'smooth', block: 'center' });
       firstInvalidField.focus();
     }
@@ -373,6 +642,298 @@ export class FormValidator {
     return isValid;
   }
 
+  /**
+   * Get a field's async rules
+   * @param {HTMLElement} field - Form field element
+   * @returns {Array<Object>} Rules with an async validator
+   */
+  getAsyncRules (field) {
+    return this.getFieldRules(field).filter((rule) => this.asyncValidators[rule.type]);
+  }
+
+  /**
+   * Schedule an async check after the field stops changing
+   * @param {HTMLElement} field - Form field element
+   * @param {number} delay - Delay in ms (defaults to asyncDebounce)
+   */
+  queueAsyncCheck (field, delay = this.options.asyncDebounce) {
+    if (this.getAsyncRules(field).length === 0) return;
+
+    clearTimeout(this.asyncTimers.get(field.id));
+    this.asyncTimers.set(
+      field.id,
+      setTimeout(() => {
+        this.asyncTimers.delete(field.id);
+        this.validateFieldAsync(field);
+      }, delay)
+    );
+  }
+
+  /**
+   * Cancel a scheduled or in-flight async check
+   * @param {HTMLElement} field - Form field element
+   */
+  cancelAsyncCheck (field) {
+    clearTimeout(this.asyncTimers.get(field.id));
+    this.asyncTimers.delete(field.id);
+
+    const check = this.asyncChecks.get(field.id);
+    if (check) {
+      check.controller.abort();
+      this.asyncChecks.delete(field.id);
+      this.setCheckingState(field, false);
+    }
+  }
+
+  /**
+   * Validate a field including its async rules
+   * Sync rules run first; the endpoint is only called for otherwise valid values
+   * @param {HTMLElement} field - Form field element
+   * @returns {Promise<boolean>} True if field is valid
+   */
+  async validateFieldAsync (field) {
+    if (!this.validateField(field)) return false;
+
+    const rules = this.getAsyncRules(field);
+    if (rules.length === 0 || field.disabled) return true;
+
+    const value = this.getFieldValue(field);
+    if (value.trim().length === 0) return true;
+
+    // Already checked for this value
+    if (this.asyncResults.get(field.id)?.value === value) {
+      return this.validateField(field);
+    }
+
+    // Share a check that is already running for the same value
+    const pending = this.asyncChecks.get(field.id);
+    if (pending && pending.value === value) return pending.promise;
+
+    this.cancelAsyncCheck(field);
+
+    const controller = new AbortController();
+    const check = { value, controller, promise: null };
+
+    check.promise = (async () => {
+      this.setCheckingState(field, true);
+
+      try {
+        const results = {};
+        await Promise.all(
+          rules.map(async (rule) => {
+            results[rule.type] = await this.asyncValidators[rule.type](
+              value,
+              rule.param,
+              field,
+              controller.signal
+            );
+          })
+        );
+        this.asyncResults.set(field.id, { value, results });
+      } catch (error) {
+        // Cancelled because the value changed; the newer check decides
+        if (controller.signal.aborted) return false;
+        // Endpoint unreachable - the server checks again on submit
+      } finally {
+        if (this.asyncChecks.get(field.id) === check) {
+          this.asyncChecks.delete(field.id);
+          this.setCheckingState(field, false);
+        }
+      }
+
+      return this.validateField(field);
+    })();
+
+    this.asyncChecks.set(field.id, check);
+    return check.promise;
+  }
+
+  /**
+   * Run async rules for the fields inside part of the form
+   * Call after validateSection() has passed
+   * @param {HTMLElement} section - Element containing the fields (defaults to the form)
+   * @param {Object} options - Options
+   * @param {boolean} options.scroll - Scroll to and focus the first invalid field
+   * @returns {Promise<boolean>} True if every async check passed
+   */
+  async validateAsync (section = this.form, { scroll = this.options.scrollToError } = {}) {
+    const fields = Array.from(this.getValidatableFields(section)).filter(
+      (field) => this.getAsyncRules(field).length > 0
+    );
+
+    fields.forEach((field) => {
+      clearTimeout(this.asyncTimers.get(field.id));
+      this.asyncTimers.delete(field.id);
+    });
+
+    const results = await Promise.all(fields.map((field) => this.validateFieldAsync(field)));
+    const firstInvalid = fields[results.indexOf(false)];
+
+    if (firstInvalid && scroll) {
+      firstInvalid.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      firstInvalid.focus();
+    }
+
+    return !firstInvalid;
+  }
+
+  /**
+   * Show the error summary for part of the form and move focus to it
+   * @param {HTMLElement} section - Element whose invalid fields are listed (defaults to the form)
+   * @param {Object} options - Options
+   * @param {boolean} options.focus - Move focus to the summary
+   * @returns {HTMLElement|null} Summary element, or null when nothing is invalid
+   */
+  showErrorSummary (section = this.form, { focus = true } = {}) {
+    if (!this.errorSummary) {
+      this.errorSummary = this.createErrorSummary();
+    }
+
+    this.errorSummarySection = section;
+    const count = this.updateErrorSummary();
+    if (count === 0) return null;
+
+    if (focus) {
+      this.errorSummary.focus();
+    }
+
+    const status = count === 1
+      ? this.messages.errorSummaryStatusOne
+      : this.messages.errorSummaryStatusMany;
+    getGlobalAriaLiveRegions().announceFormStatus('error', formatMessage(status, { count }));
+
+    return this.errorSummary;
+  }
+
+  /**
+   * Create the error summary box at the top of the form
+   * @returns {HTMLElement} Summary element
+   */
+  createErrorSummary () {
+    const summary = document.createElement('div');
+    const titleId = `${this.form.id || 'form'}-error-summary-title`;
+    summary.className = 'error-summary';
+    summary.tabIndex = -1;
+    summary.hidden = true;
+    summary.setAttribute('aria-labelledby', titleId);
+
+    const title = document.createElement('h2');
+    title.className = 'error-summary__title';
+    title.id = titleId;
+    title.textContent = this.messages.errorSummaryTitle;
+
+    const list = document.createElement('ul');
+    list.className = 'error-summary__list';
+
+    summary.append(title, list);
+
+    // Links move focus to the field rather than just jumping to it
+    summary.addEventListener('click', (e) => {
+      const link = e.target.closest('a[data-field-id]');
+      if (!link) return;
+
+      const field = document.getElementById(link.dataset.fieldId);
+      if (field) {
+        e.preventDefault();
+        this.focusField(field);
+      }
+    });
+
+    this.form.prepend(summary);
+    return summary;
+  }
+
+  /**
+   * Re-list the invalid fields in the summary; hides it once everything is fixed
+   * @returns {number} Number of invalid fields listed
+   */
+  updateErrorSummary () {
+    if (!this.errorSummary) return 0;
+
+    const section = this.errorSummarySection || this.form;
+    // Any field in the section, so server errors on fields without rules are listed too
+    const invalid = Array.from(section.querySelectorAll('input, select, textarea')).filter(
+      (field) => this.fieldStates.get(field.id)?.valid === false
+    );
+
+    const list = this.errorSummary.querySelector('.error-summary__list');
+    list.replaceChildren(
+      ...invalid.map((field) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${field.id}`;
+        link.dataset.fieldId = field.id;
+        link.textContent = formatMessage(this.messages.errorSummaryItem, {
+          label: this.getFieldLabel(field),
+          message: this.fieldStates.get(field.id).errors[0]
+        });
+        item.appendChild(link);
+        return item;
+      })
+    );
+
+    this.errorSummary.hidden = invalid.length === 0;
+    return invalid.length;
+  }
+
+  /**
+   * Hide the error summary
+   */
+  hideErrorSummary () {
+    if (!this.errorSummary) return;
+
+    this.errorSummary.hidden = true;
+    this.errorSummary.querySelector('.error-summary__list').replaceChildren();
+  }
+
+  /**
+   * Move focus to a field, first letting containers reveal it
+   * Dispatches a bubbling "revealfield" event (e.g. a wizard shows the field's step)
+   * @param {HTMLElement} field - Form field element
+   */
+  focusField (field) {
+    field.dispatchEvent(new CustomEvent('revealfield', { bubbles: true }));
+
+    const group = field.closest('.form-group');
+    if (group && typeof group.scrollIntoView === 'function') {
+      group.scrollIntoView({ block: 'start' });
+    }
+    field.focus();
+  }
+
+  /**
+   * Show that a field is being checked
+   * @param {HTMLElement} field - Form field element
+   * @param {boolean} checking - Checking state
+   */
+  setCheckingState (field, checking) {
+    const group = field.closest('.form-group') || field.parentElement;
+    group.classList.toggle('form-group--checking', checking);
+
+    if (checking) {
+      field.setAttribute('aria-busy', 'true');
+    } else {
+      field.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Built-in "remote:/url" validator
+   * POSTs { field, value } and expects { valid, message } back
+   * @param {string} value - Field value
+   * @param {string} url - Endpoint URL
+   * @param {HTMLElement} field - Form field element
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<Object>} { valid, message }
+   */
+  async checkRemote (value, url, field, signal) {
+    const result = await apiClient.post(url, { field: field.name, value }, { signal }) || {};
+    return {
+      valid: result.valid !== false,
+      message: result.message || 'This value is not available'
+    };
+  }
+
   /**
    * Handle form submission
    * @param {Event} e - Submit event
@@ -383,7 +944,12 @@ export class FormValidator {
     // Check rate limiting first
     if (this.options.enableRateLimit && this.rateLimiter) {
       const userKey = this.getUserIdentifier();
-      const rateLimitResult = this.rateLimiter.isAllowed(userKey);
+      let rateLimitResult = { allowed: true };
+      try {
+        rateLimitResult = await this.rateLimiter.isAllowed(userKey);
+      } catch (error) {
+        // Storage failed - do not block the visitor
+      }
 
       if (!rateLimitResult.allowed) {
         this.showRateLimitError(rateLimitResult);
@@ -391,15 +957,26 @@ export class FormValidator {
       }
     }
 
-    const isValid = this.validateForm();
+    // The error summary takes focus instead of the first invalid field
+    const scroll = this.options.scrollToError && !this.options.errorSummary;
+
+    // Async checks (e.g. duplicate email) only run once everything else passes
+    const isValid = this.validateSection(this.form, { scroll }) &&
+      await this.validateAsync(this.form, { scroll });
 
     if (!isValid) {
+      if (this.options.errorSummary) {
+        this.showErrorSummary();
+      }
+
       if (typeof this.options.onError === 'function') {
         this.options.onError(this.getErrors());
       }
       return;
     }
 
+    this.hideErrorSummary();
+
     // Get form data
     const formData = new FormData(this.form);
     const data = Object.fromEntries(formData.entries());
@@ -412,8 +989,19 @@ export class FormValidator {
 
         await this.options.onSubmit(data, formData);
       } catch (error) {
-        // Form submission error logged for debugging
-        if (typeof this.options.onError === 'function') {
+        if (error instanceof RateLimitError) {
+          // The server asked to wait; a bound limiter keeps the lockout across reloads
+          this.showRateLimitError({ allowed: false, retryAfter: error.retryAfter });
+        } else if (error instanceof ValidationError && Object.keys(error.fields).length > 0) {
+          const unmatched = this.showServerErrors(error.fields);
+          if (typeof this.options.onError === 'function') {
+            this.options.onError([
+              ...this.getErrors(),
+              ...unmatched.map((message) => ({ field: 'form', message }))
+            ]);
+          }
+        } else if (typeof this.options.onError === 'function') {
+          // Form submission error logged for debugging
           this.options.onError([{ field: 'form', message: error.message }]);
         }
       } finally {
@@ -422,6 +1010,39 @@ export class FormValidator {
     }
   }
 
+  /**
+   * Show errors the server returned for fields (e.g. ValidationError.fields)
+   * Each stays on its field until the value changes
+   * @param {Object} fields - Messages by field name
+   * @returns {Array<string>} Messages for names that match no field in the form
+   */
+  showServerErrors (fields) {
+    const unmatched = [];
+
+    Object.entries(fields).forEach(([name, message]) => {
+      const named = this.form.elements.namedItem(name);
+      const field = named && typeof named.length === 'number' && !named.tagName ? named[0] : named;
+      if (!field) {
+        unmatched.push(message);
+        return;
+      }
+
+      // Fields without client-side rules get listeners and an error container first
+      if (!this.fieldStates.has(field.id)) this.setupField(field);
+      this.serverErrors.set(field.id, { value: this.getFieldValue(field), message });
+      this.validateField(field);
+    });
+
+    if (this.options.errorSummary) {
+      this.showErrorSummary();
+    } else if (this.options.scrollToError) {
+      const firstInvalid = this.form.querySelector('[aria-invalid="true"]');
+      if (firstInvalid) this.focusField(firstInvalid);
+    }
+
+    return unmatched;
+  }
+
   /**
    * Get user identifier for rate limiting
    * @returns {string} User identifier key
@@ -434,67 +1055,38 @@ export class FormValidator {
   }
 
   /**
-   * Show rate limiting error message
+   * Show rate limiting error message with a countdown until the next attempt
    * @param {Object} rateLimitResult - Rate limit check result
+   * @param {Object} options - Options
+   * @param {boolean} options.notify - Call the onError callback
    */
-  showRateLimitError (rateLimitResult) {
-    const errorMessage = rateLimitResult.retryAfter
-      ? `Too many attempts. Please wait ${rateLimitResult.retryAfter} seconds before trying again.`
-      : 'Too many attempts. Please try again later.';
-
-    // Show error in form-level error container
-    let formErrorContainer = this.form.querySelector('.form-error--global');
-    if (!formErrorContainer) {
-      formErrorContainer = document.createElement('div');
-      formErrorContainer.className = 'form-error form-error--global';
-      formErrorContainer.setAttribute('role', 'alert');
-      formErrorContainer.setAttribute('aria-live', 'assertive');
-
-      const submitButton = this.form.querySelector('[type="submit"]');
-      if (submitButton) {
-        submitButton.parentNode.insertBefore(formErrorContainer, submitButton);
-      } else {
-        this.form.appendChild(formErrorContainer);
-      }
-    }
-
-    formErrorContainer.textContent = errorMessage;
-    formErrorContainer.style.display = 'block';
-
-    // Add rate limit class for styling
-    this.form.classList.add('form--rate-limited');
-
-    // Disable submit button during rate limit
-    const submitButton = this.form.querySelector('[type="submit"]');
-    if (submitButton) {
-      submitButton.disabled = true;
-      submitButton.classList.add('btn--rate-limited');
-    }
-
-    // Auto-hide error after rate limit expires
-    if (rateLimitResult.retryAfter) {
-      setTimeout(() => {
-        formErrorContainer.style.display = 'none';
-        this.form.classList.remove('form--rate-limited');
-        if (submitButton) {
-          submitButton.disabled = false;
-          submitButton.classList.remove('btn--rate-limited');
-        }
-      }, rateLimitResult.retryAfter * 1000);
+  showRateLimitError (rateLimitResult, { notify = true } = {}) {
+    if (!this.rateLimitNotice) {
+      this.rateLimitNotice = new RateLimitNotice(this.form, { messages: this.messages });
     }
+    const message = this.rateLimitNotice.show(rateLimitResult.retryAfter);
 
     // Call error callback
-    if (typeof this.options.onError === 'function') {
+    if (notify && typeof this.options.onError === 'function') {
       this.options.onError([
         {
           field: 'form',
-          message: errorMessage,
+          message,
           type: 'rate_limit'
         }
       ]);
     }
   }
 
+  /**
+   * Hide the rate limit message and re-enable the submit button
+   */
+  clearRateLimitError () {
+    if (this.rateLimitNotice) {
+      this.rateLimitNotice.clear();
+    }
+  }
+
   /**
    * Set form loading state
    * @param {boolean} loading - Loading state
@@ -513,7 +1105,8 @@ export class FormValidator {
     } else {
       this.form.classList.remove('form--loading');
       if (submitButton) {
-        submitButton.disabled = false;
+        // Stay disabled while a rate limit countdown runs
+        submitButton.disabled = Boolean(this.rateLimitNotice && this.rateLimitNotice.isActive());
         submitButton.classList.remove('btn--loading');
         if (submitButton.dataset.originalText) {
           submitButton.textContent = submitButton.dataset.originalText;
@@ -545,48 +1138,51 @@ export class FormValidator {
    * Get rate limiting statistics
    * @returns {Object|null} Rate limit stats or null if disabled
    */
-  getRateLimitStats () {
+  async getRateLimitStats () {
     if (!this.rateLimiter) return null;
 
     const userKey = this.getUserIdentifier();
-    return {
-      attempts: this.rateLimiter.getAttemptCount(userKey),
-      remaining: this.rateLimiter.getRemainingAttempts(userKey),
-      timeUntilReset: this.rateLimiter.getTimeUntilReset(userKey),
-      ...this.rateLimiter.getStats()
-    };
+    const [attempts, remaining, timeUntilReset, stats] = await Promise.all([
+      this.rateLimiter.getAttemptCount(userKey),
+      this.rateLimiter.getRemainingAttempts(userKey),
+      this.rateLimiter.getTimeUntilReset(userKey),
+      this.rateLimiter.getStats()
+    ]);
+    return { attempts, remaining, timeUntilReset, ...stats };
   }
 
   /**
    * Reset rate limiting for user (admin/testing function)
    */
-  resetRateLimit () {
+  async resetRateLimit () {
     if (this.rateLimiter) {
-      const userKey = this.getUserIdentifier();
-      this.rateLimiter.resetUserAttempts(userKey);
-
-      // Clear any rate limit error display
-      const formErrorContainer = this.form.querySelector('.form-error--global');
-      if (formErrorContainer) {
-        formErrorContainer.style.display = 'none';
-      }
-
-      this.form.classList.remove('form--rate-limited');
-      const submitButton = this.form.querySelector('[type="submit"]');
-      if (submitButton) {
-        submitButton.disabled = false;
-        submitButton.classList.remove('btn--rate-limited');
-      }
+      await this.rateLimiter.resetUserAttempts(this.getUserIdentifier());
+      this.clearRateLimitError();
     }
   }
 
   /**
    * Add custom validator
    * @param {string} name - Validator name
-   * @param {Function} validator - Validator function
+   * @param {Function} validator - Validator function (value, param, field) => { valid, message }
+   * @param {Object} options - Options
+   * @param {boolean} options.validateEmpty - Also run when the field value is empty
    */
-  addValidator (name, validator) {
+  addValidator (name, validator, options = {}) {
     this.validators[name] = validator;
+    if (options.validateEmpty) {
+      this.emptyValidators.add(name);
+    }
+  }
+
+  /**
+   * Add custom async validator
+   * Checks are debounced, and cancelled when the value changes
+   * @param {string} name - Validator name
+   * @param {Function} validator - (value, param, field, signal) => Promise<{ valid, message }>
+   */
+  addAsyncValidator (name, validator) {
+    this.asyncValidators[name] = validator;
   }
 
   /**
@@ -596,27 +1192,53 @@ export class FormValidator {
     this.form.reset();
 
     this.fieldStates.forEach((state, fieldId) => {
-      state.touched = false;
-      state.valid = true;
-      state.errors = [];
-
       const field = document.getElementById(fieldId);
       if (field) {
-        const group = field.closest('.form-group') || field.parentElement;
-        group.classList.remove('form-group--error', 'form-group--success');
-        field.classList.remove('form-control--error', 'form-control--success');
-        field.removeAttribute('aria-invalid');
-
-        const errorContainer = this.getErrorContainer(field);
-        if (errorContainer) {
-          errorContainer.textContent = '';
-          errorContainer.style.display = 'none';
-        }
+        this.clearField(field);
       }
     });
 
-    // Clear rate limit errors
-    this.resetRateLimit();
+    this.hideErrorSummary();
+
+    this.strengthMeters.forEach((meter, fieldId) => {
+      const field = document.getElementById(fieldId);
+      if (field) this.updatePasswordStrength(field);
+    });
+
+    // Clear rate limit errors (stored attempts keep counting)
+    this.clearRateLimitError();
+  }
+
+  /**
+   * Clear a field's validation state and messages
+   * Used when a field is hidden or stops being required
+   * @param {HTMLElement} field - Form field element
+   */
+  clearField (field) {
+    this.cancelAsyncCheck(field);
+    this.serverErrors.delete(field.id);
+
+    const state = this.fieldStates.get(field.id);
+    if (state) {
+      state.touched = false;
+      state.valid = true;
+      state.errors = [];
+    }
+
+    const group = field.closest('.form-group') || field.parentElement;
+    group.classList.remove('form-group--error', 'form-group--success');
+    field.classList.remove('form-control--error', 'form-control--success');
+    field.removeAttribute('aria-invalid');
+
+    const errorContainer = this.getErrorContainer(field);
+    if (errorContainer) {
+      errorContainer.textContent = '';
+      errorContainer.style.display = 'none';
+    }
+
+    if (this.errorSummary && !this.errorSummary.hidden) {
+      this.updateErrorSummary();
+    }
   }
 
   /**
@@ -625,10 +1247,34 @@ export class FormValidator {
   destroy () {
     this.debounceTimers.forEach((timer) => clearTimeout(timer));
     this.debounceTimers.clear();
+    this.asyncTimers.forEach((timer) => clearTimeout(timer));
+    this.asyncTimers.clear();
+    this.asyncChecks.forEach((check) => check.controller.abort());
+    this.asyncChecks.clear();
+    this.serverErrors.clear();
     this.fieldStates.clear();
+    this.strengthMeters.forEach((meter) => meter.remove());
+    this.strengthMeters.clear();
     this.form.removeAttribute('novalidate');
 
-    // Clean up rate limiter
+    if (this.errorSummary) {
+      this.errorSummary.remove();
+      this.errorSummary = null;
+    }
+
+    // Clean up rate limiter (stored attempts stay)
+    if (this.rateLimitNotice) {
+      this.rateLimitNotice.destroy();
+      this.rateLimitNotice = null;
+    }
+    if (this.unbindRateLimit) {
+      this.unbindRateLimit();
+      this.unbindRateLimit = null;
+    }
+    if (this.unsubscribeRateLimit) {
+      this.unsubscribeRateLimit();
+      this.unsubscribeRateLimit = null;
+    }
     if (this.rateLimiter) {
       this.rateLimiter.destroy();
     }
@@ -0,0 +1,129 @@
+/**
+ * OutboxStatus - Persistent banner for submissions waiting to send
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Shows on every page while the outbox holds submissions
+ * - Says when queued submissions were sent, or refused by the server
+ * - Status role so changes are read out without moving focus
+ */
+
+import { getSubmissionOutbox } from '../utils/submissionOutbox.js';
+
+const CONTACT_PHONE = '903-555-1234';
+
+export class OutboxStatus {
+  /**
+   * @param {Object} options - Options
+   * @param {SubmissionOutbox} options.outbox - Outbox to watch (defaults to the shared one)
+   */
+  constructor (options = {}) {
+    this.options = {
+      outbox: null,
+      ...options
+    };
+
+    this.outbox = this.options.outbox || getSubmissionOutbox();
+    this.banner = null;
+    this.messageEl = null;
+    this.unsubscribe = null;
+
+    this.handleChange = this.handleChange.bind(this);
+    this.dismiss = this.dismiss.bind(this);
+  }
+
+  /**
+   * Create the banner and follow the outbox
+   * @returns {OutboxStatus} This instance
+   */
+  init () {
+    if (this.banner) return this;
+
+    this.banner = document.createElement('div');
+    this.banner.className = 'outbox-status';
+    this.banner.setAttribute('role', 'status');
+    this.banner.hidden = true;
+
+    this.messageEl = document.createElement('p');
+    this.messageEl.className = 'outbox-status__message';
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'outbox-status__close';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.textContent = '×';
+    close.addEventListener('click', this.dismiss);
+
+    this.banner.append(this.messageEl, close);
+    document.body.appendChild(this.banner);
+
+    this.unsubscribe = this.outbox.onChange(this.handleChange);
+    return this;
+  }
+
+  /**
+   * Update the banner after the queue changes
+   * @param {Array<Object>} pending - Queued submissions
+   * @param {Object|null} result - { sent, rejected } after a retry
+   */
+  handleChange (pending, result) {
+    const lines = [];
+
+    if (result && result.sent.length > 0) {
+      lines.push(`Sent: ${this.describe(result.sent)}.`);
+    }
+    if (result && result.rejected.length > 0) {
+      lines.push(`${this.describe(result.rejected)} could not be sent. Please call ${CONTACT_PHONE}.`);
+    }
+    if (pending.length > 0) {
+      lines.push(pending.length === 1
+        ? `${pending[0].label} is waiting to be sent. It will send automatically when you're back online.`
+        : `${pending.length} submissions are waiting to be sent. They will send automatically when you're back online.`);
+    }
+
+    if (lines.length === 0) {
+      this.banner.hidden = true;
+      return;
+    }
+
+    this.banner.classList.toggle('outbox-status--pending', pending.length > 0);
+    this.banner.classList.toggle('outbox-status--error', Boolean(result && result.rejected.length > 0));
+    this.messageEl.textContent = lines.join(' ');
+    this.banner.hidden = false;
+  }
+
+  /**
+   * Join submission labels for a sentence
+   * @param {Array<Object>} submissions - Submissions with labels
+   * @returns {string} e.g. "Contact message and Rental application"
+   */
+  describe (submissions) {
+    const labels = submissions.map((submission) => submission.label);
+    return labels.length > 1
+      ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+      : labels[0];
+  }
+
+  /**
+   * Hide the banner until the queue changes again
+   */
+  dismiss () {
+    this.banner.hidden = true;
+  }
+
+  /**
+   * Remove the banner
+   */
+  destroy () {
+    if (this.unsubscribe) this.unsubscribe();
+    if (this.banner) this.banner.remove();
+    this.banner = null;
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.OutboxStatus = OutboxStatus;
+}
+
+export default OutboxStatus;
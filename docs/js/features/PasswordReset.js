@@ -0,0 +1,155 @@
+/**
+ * PasswordReset - Forgot-password and new-password forms (/reset-password/)
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Without a token: asks for the account email and sends a reset link
+ * - With ?token= from the emailed link: sets a new password
+ * - Live password strength meter and confirmation check through FormValidator
+ * - The token is removed from the address bar as soon as it is read
+ */
+
+import { auth } from '../auth.js';
+import { FormValidator } from './FormValidator.js';
+import { takeUrlToken } from '../utils/urlToken.js';
+
+export class PasswordReset {
+  /**
+   * @param {HTMLElement|string} container - Page section or selector
+   * @param {Object} options - Options
+   * @param {Object} options.auth - Auth module
+   * @param {Object} options.validatorOptions - Extra FormValidator options
+   * @param {string} options.token - Reset token (read from the URL by default)
+   * @param {string} options.loginUrl - Login page
+   */
+  constructor (container, options = {}) {
+    this.container =
+      typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+    this.options = {
+      auth,
+      token: undefined,
+      validatorOptions: {},
+      loginUrl: '/login/',
+      ...options
+    };
+
+    this.auth = this.options.auth;
+    this.token = null;
+    this.requestForm = null;
+    this.resetForm = null;
+    this.messageEl = null;
+    this.validator = null;
+  }
+
+  /**
+   * Show the form that matches the link and wire it up
+   * @returns {PasswordReset} This instance
+   */
+  init () {
+    if (!this.container) return this;
+
+    this.requestForm = this.container.querySelector('#forgot-password-form');
+    this.resetForm = this.container.querySelector('#reset-password-form');
+    this.messageEl = this.container.querySelector('[data-reset-message]');
+    if (!this.requestForm || !this.resetForm) return this;
+
+    this.token = this.options.token === undefined ? takeUrlToken() : this.options.token;
+
+    if (this.token) {
+      this.requestForm.hidden = true;
+      this.resetForm.hidden = false;
+      this.validator = new FormValidator(this.resetForm, {
+        rateLimitEndpoint: '/api/users/reset-password',
+        ...this.options.validatorOptions,
+        onSubmit: (data) => this.reset(data.password)
+      });
+    } else {
+      this.requestForm.hidden = false;
+      this.resetForm.hidden = true;
+      this.validator = new FormValidator(this.requestForm, {
+        rateLimitEndpoint: '/api/users/forgot-password',
+        ...this.options.validatorOptions,
+        onSubmit: (data) => this.request(data.email)
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Send the reset link
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} Auth result ({ success, message })
+   */
+  async request (email) {
+    const result = await this.auth.requestPasswordReset(email.trim());
+    this.showMessage(result.message, result.success);
+    if (result.success) {
+      this.validator.reset();
+    }
+    return result;
+  }
+
+  /**
+   * Save the new password
+   * @param {string} password - New password
+   * @returns {Promise<Object>} Auth result ({ success, message })
+   */
+  async reset (password) {
+    const result = await this.auth.resetPassword(this.token, password);
+    this.showMessage(result.message, result.success);
+
+    if (result.success) {
+      // The token is used up - the form cannot be sent again
+      this.resetForm.hidden = true;
+      this.appendLink(this.options.loginUrl, 'Log in');
+    } else if (!result.retryAfter) {
+      // Rate limited: the link may still work once the wait is over
+      this.appendLink(window.location.pathname, 'Request a new link');
+    }
+    return result;
+  }
+
+  /**
+   * Show the outcome above the form
+   * @param {string} message - Message
+   * @param {boolean} success - Style as success rather than error
+   */
+  showMessage (message, success) {
+    if (!this.messageEl) return;
+    this.messageEl.className = `message-box ${success ? 'success-message' : 'error-message'}`;
+    this.messageEl.textContent = message;
+    this.messageEl.hidden = false;
+  }
+
+  /**
+   * Add a follow-up link after the message
+   * @param {string} href - Link target
+   * @param {string} text - Link text
+   */
+  appendLink (href, text) {
+    if (!this.messageEl) return;
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = text;
+    this.messageEl.append(' ', link);
+  }
+
+  /**
+   * Remove validation listeners
+   */
+  destroy () {
+    if (this.validator) this.validator.destroy();
+    this.validator = null;
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.PasswordReset = PasswordReset;
+}
+
+export default PasswordReset;
@@ -0,0 +1,108 @@
+/**
+ * PropertyDetail - Detail Page Hydration
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Reads the page's property from the shared /properties.json feed
+ * - Uses the validated, normalized record, like the listings grid
+ * - Fills [data-property-field] elements so pages never drift from the data
+ * - Leaves the static markup in place if the feed cannot be loaded or the record is invalid
+ */
+
+import { loadNormalizedFeed } from '../utils/propertyFeed.js';
+
+export class PropertyDetail {
+  constructor (container) {
+    this.container =
+      typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+    this.propertyId = this.container
+      ? this.container.dataset.propertyDetail
+      : null;
+    this.property = null;
+  }
+
+  /**
+   * Load the property and hydrate the page
+   * @returns {Promise<Object|null>} Normalized property or null
+   */
+  async init () {
+    if (!this.container || !this.propertyId) {
+      return null;
+    }
+
+    const { properties } = await loadNormalizedFeed();
+    this.property = properties.find((prop) => prop.id === this.propertyId) || null;
+
+    if (!this.property) {
+      // Unknown or invalid record - keep the static content
+      return null;
+    }
+
+    this.render();
+    return this.property;
+  }
+
+  /**
+   * Write feed values into the page
+   */
+  render () {
+    const fields = this.container.querySelectorAll('[data-property-field]');
+
+    fields.forEach((element) => {
+      const value = this.formatField(element.dataset.propertyField);
+      if (value !== null) {
+        element.textContent = value;
+      }
+    });
+
+    this.container.dataset.availability = this.property.availability;
+  }
+
+  /**
+   * Format a single field for display
+   * @param {string} field - Field name
+   * @returns {string|null} Display value, or null to leave the element untouched
+   */
+  formatField (field) {
+    const prop = this.property;
+
+    switch (field) {
+    case 'title':
+      return prop.name;
+    case 'location':
+      return prop.location;
+    case 'bedrooms':
+      return prop.bedrooms === 0 ? 'Studio' : String(prop.bedrooms);
+    case 'bathrooms':
+      return String(prop.bathrooms);
+    case 'sqft':
+      return typeof prop.sqft === 'number' ? prop.sqft.toLocaleString('en-US') : null;
+    case 'price':
+      return prop.price.formatted;
+    default:
+      return null;
+    }
+  }
+}
+
+/**
+ * Initialize the detail page, if this is one
+ * @returns {Promise<PropertyDetail|null>} Instance or null
+ */
+export async function initPropertyDetail () {
+  const container = document.querySelector('[data-property-detail]');
+  if (!container) return null;
+
+  const detail = new PropertyDetail(container);
+  await detail.init();
+  return detail;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.PropertyDetail = PropertyDetail;
+}
+
+export default PropertyDetail;
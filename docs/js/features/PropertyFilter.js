@@ -6,18 +6,118 @@
  * - Debounced search input
  * - Bedroom/bathroom filters
  * - Tag-based filtering (Section 8, HUD-VASH, Pet Friendly)
+ * - Live facet counts; type and tag options generated from the data
  * - Live results count with aria-live announcements
  * - Accessible filter controls
+ * - Filter state mirrored in the query string (bookmarkable, Back/Forward aware)
+ * - Sort modes and incremental "Show more" pagination
+ * - Fuzzy multi-word search with ranked results and highlighted matches
+ * - List/map toggle; markers follow the filters and focus their card
+ * - "Compare" toggle on each card, backed by the shared CompareTray
+ * - "Save" toggle for guests and members, backed by the saved-properties store;
+ *   refreshed when the visitor signs in or out
+ * - Eligibility pre-screen results on cards and a "likely qualify" filter
+ *
+ * Expects properties normalized by utils/propertyModel.js
  */
 
-import { auth } from '../../js/auth.js';
+import { SearchIndex } from '../utils/searchIndex.js';
+import { CANONICAL_TAGS } from '../utils/propertyModel.js';
+import { PropertyMap } from './PropertyMap.js';
+import { createPropertyCard } from '../components/PropertyCard.js';
+import { savedProperties } from '../utils/savedProperties.js';
+import { auth } from '../auth.js';
+
+// Query string keys for each filter
+const URL_PARAMS = {
+  search: 'q',
+  bedrooms: 'beds',
+  bathrooms: 'baths',
+  propertyType: 'type',
+  minPrice: 'min',
+  maxPrice: 'max',
+  tags: 'tags',
+  sort: 'sort'
+};
+
+/**
+ * Compare two properties by name, used as the tie-breaker for every sort
+ * @param {Object} a - Property
+ * @param {Object} b - Property
+ * @returns {number} Sort order
+ */
+const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+
+/**
+ * Convert a YYYY-MM-DD date to a sortable timestamp
+ * @param {string|null} date - Date string
+ * @returns {number} Timestamp, or 0 when missing
+ */
+const toTime = (date) => (date ? Date.parse(date) || 0 : 0);
+
+// Sort modes offered in the sort select, in display order
+export const SORT_MODES = {
+  featured: {
+    label: 'Featured first',
+    compare: (a, b) => Number(b.featured) - Number(a.featured) || byName(a, b)
+  },
+  'price-asc': {
+    label: 'Price: low to high',
+    compare: (a, b) => a.price.amount - b.price.amount || byName(a, b)
+  },
+  'price-desc': {
+    label: 'Price: high to low',
+    compare: (a, b) => b.price.amount - a.price.amount || byName(a, b)
+  },
+  bedrooms: {
+    label: 'Most bedrooms',
+    compare: (a, b) => b.bedrooms - a.bedrooms || byName(a, b)
+  },
+  sqft: {
+    label: 'Largest first',
+    compare: (a, b) => b.sqft - a.sqft || byName(a, b)
+  },
+  newest: {
+    label: 'Newest available',
+    // Move-in ready homes before coming-soon, then most recently posted
+    compare: (a, b) =>
+      Number(b.availability === 'available') - Number(a.availability === 'available') ||
+      toTime(b.datePosted) - toTime(a.datePosted) ||
+      byName(a, b)
+  }
+};
+
+const DEFAULT_SORT = 'featured';
 
 export class PropertyFilter {
-  constructor (properties, containerSelector) {
+  constructor (properties, containerSelector, options = {}) {
+    this.options = {
+      syncUrl: true,
+      pageSize: 6,
+      enableMap: true,
+      mapOptions: {},
+      compareTray: null,
+      savedStore: savedProperties,
+      auth,
+      ...options
+    };
     this.allProperties = properties || [];
     this.filteredProperties = [...this.allProperties];
+    this.searchIndex = new SearchIndex(this.allProperties);
+    this.searchMatches = new Map();
     this.container = document.querySelector(containerSelector);
     this.filterBar = null;
+    this.pagination = null;
+    this.facetOptions = null;
+    this.mapContainer = null;
+    this.propertyMap = null;
+    this.view = 'list';
+    this.unsubscribeCompare = null;
+    this.unsubscribeSaved = null;
+    this.unsubscribeAuth = null;
+    this.eligibility = null;
+    this.eligibleOnly = false;
+    this.visibleCount = this.options.pageSize;
     this.filters = {
       bedrooms: null,
       bathrooms: null,
@@ -25,10 +125,14 @@ export class PropertyFilter {
       search: '',
       minPrice: null,
       maxPrice: null,
-      propertyType: ''
+      propertyType: '',
+      sort: DEFAULT_SORT
     };
-    this.debounceTimeout = null;
+    // Separate timers so typing in one box does not cancel the other's update
+    this.searchDebounce = null;
+    this.priceDebounce = null;
     this.debounceDelay = 300;
+    this.handlePopState = this.handlePopState.bind(this);
   }
 
   /**
@@ -42,14 +146,39 @@ export class PropertyFilter {
 
     this.createFilterUI();
     this.attachEventListeners();
-    this.render();
-    this.updateResultsCount();
+
+    if (this.options.compareTray) {
+      this.unsubscribeCompare = this.options.compareTray.onChange(() => {
+        this.updateCompareToggles();
+      });
+    }
+
+    if (this.options.savedStore) {
+      this.unsubscribeSaved = this.options.savedStore.onChange(() => {
+        this.updateSaveToggles();
+      });
+    }
+
+    if (this.options.auth) {
+      this.unsubscribeAuth = this.options.auth.onChange(() => {
+        this.updateSaveToggles();
+      });
+    }
+
+    if (this.options.syncUrl) {
+      this.filters = this.parseQuery(window.location.search);
+      this.syncControls();
+      window.addEventListener('popstate', this.handlePopState);
+    }
+
+    this.applyFilters({ history: false });
   }
 
   /**
    * Create the filter UI elements
    */
   createFilterUI () {
+    this.facetOptions = this.buildFacetOptions();
     this.filterBar = document.createElement('div');
     this.filterBar.className = 'filter-bar';
     this.filterBar.setAttribute('role', 'search');
@@ -62,8 +191,8 @@ export class PropertyFilter {
           <input type="search" 
                  id="property-search" 
                  class="filter-input"
-                 placeholder="Search by name or location..."
-                 aria-label="Search properties by name or location"
+                 placeholder="Try &quot;Tyler 3 bed&quot; or &quot;pet friendly&quot;"
+                 aria-label="Search properties by name, city, type or amenity"
                  autocomplete="off">
         </div>
         
@@ -71,10 +200,7 @@ export class PropertyFilter {
           <label for="filter-bedrooms" class="filter-label">Bedrooms</label>
           <select id="filter-bedrooms" class="filter-select" aria-label="Filter by number of bedrooms">
             <option value="">Any Bedrooms</option>
-            <option value="1">1+ Bedroom</option>
-            <option value="2">2+ Bedrooms</option>
-            <option value="3">3+ Bedrooms</option>
-            <option value="4">4+ Bedrooms</option>
+            ${this.renderMinimumOptions(this.facetOptions.bedrooms, 'Bedroom', 'Bedrooms')}
           </select>
         </div>
         
@@ -82,9 +208,7 @@ export class PropertyFilter {
           <label for="filter-bathrooms" class="filter-label">Bathrooms</label>
           <select id="filter-bathrooms" class="filter-select" aria-label="Filter by number of bathrooms">
             <option value="">Any Bathrooms</option>
-            <option value="1">1+ Bathroom</option>
-            <option value="2">2+ Bathrooms</option>
-            <option value="3">3+ Bathrooms</option>
+            ${this.renderMinimumOptions(this.facetOptions.bathrooms, 'Bathroom', 'Bathrooms')}
           </select>
         </div>
 
@@ -92,13 +216,9 @@ export class PropertyFilter {
           <label for="filter-property-type" class="filter-label">Property Type</label>
           <select id="filter-property-type" class="filter-select" aria-label="Filter by property type">
             <option value="">All Types</option>
-            <option value="Single Family">Single Family</option>
-            <option value="Townhome">Townhome</option>
-            <option value="Historic">Historic</option>
-            <option value="Waterfront">Waterfront</option>
-            <option value="Studio">Studio</option>
-            <option value="Suburban">Suburban</option>
-            <option value="Urban">Urban</option>
+            ${this.facetOptions.propertyType
+    .map((type) => `<option value="${this.escapeHtml(type)}" data-label="${this.escapeHtml(type)}">${this.escapeHtml(type)}</option>`)
+    .join('')}
           </select>
         </div>
 
@@ -114,39 +234,31 @@ export class PropertyFilter {
         <div class="filter-group filter-group--tags">
           <span class="filter-label" id="tag-filter-label">Amenities & Programs</span>
           <div class="filter-tags" role="group" aria-labelledby="tag-filter-label">
-            <button type="button" 
-                    class="tag-filter" 
-                    data-tag="Section 8"
-                    aria-pressed="false">
-              Section 8
-            </button>
-            <button type="button" 
-                    class="tag-filter" 
-                    data-tag="HUD-VASH"
-                    aria-pressed="false">
-              HUD-VASH
-            </button>
-            <button type="button" 
-                    class="tag-filter" 
-                    data-tag="Pet Friendly"
-                    aria-pressed="false">
-              Pet Friendly
-            </button>
-            <button type="button" 
-                    class="tag-filter" 
-                    data-tag="ADA Accessible"
-                    aria-pressed="false">
-              ADA Accessible
-            </button>
-            <button type="button" 
+            ${this.facetOptions.tags
+    .map((tag) => `<button type="button" 
                     class="tag-filter" 
-                    data-tag="Family Friendly"
+                    data-tag="${this.escapeHtml(tag)}"
                     aria-pressed="false">
-              Family Friendly
-            </button>
+              ${this.escapeHtml(tag)} <span class="tag-filter__count"></span>
+            </button>`)
+    .join('')}
           </div>
         </div>
         
+        <div class="filter-group filter-group--sort">
+          <label for="filter-sort" class="filter-label">Sort By</label>
+          <select id="filter-sort" class="filter-select">
+            ${Object.entries(SORT_MODES)
+    .map(([value, mode]) => `<option value="${value}">${mode.label}</option>`)
+    .join('')}
+          </select>
+        </div>
+
+        ${this.options.enableMap ? `<div class="filter-group filter-group--view" role="group" aria-label="Results view">
+          <button type="button" class="view-toggle" data-view="list" aria-pressed="true">List</button>
+          <button type="button" class="view-toggle" data-view="map" aria-pressed="false" aria-controls="properties-map">Map</button>
+        </div>` : ''}
+
         <div class="filter-group filter-group--actions">
           <button type="button" id="reset-filters" class="btn btn-secondary btn-sm">
             <span aria-hidden="true">✕</span> Reset Filters
@@ -159,10 +271,47 @@ export class PropertyFilter {
           <strong id="results-count">${this.allProperties.length}</strong> 
           <span id="results-label">properties found</span>
         </span>
+        <span class="results-range" id="results-range"></span>
       </div>
     `;
 
     this.container.insertAdjacentElement('beforebegin', this.filterBar);
+
+    if (this.options.enableMap) {
+      this.mapContainer = document.createElement('div');
+      this.mapContainer.className = 'properties-map';
+      this.mapContainer.id = 'properties-map';
+      this.mapContainer.setAttribute('role', 'region');
+      this.mapContainer.setAttribute('aria-label', 'Map of matching properties');
+      this.mapContainer.hidden = true;
+      this.container.insertAdjacentElement('beforebegin', this.mapContainer);
+    }
+
+    // "Show more" control lives after the grid so it follows the cards in tab order
+    this.pagination = document.createElement('div');
+    this.pagination.className = 'results-pagination';
+    this.pagination.innerHTML = `
+      <button type="button" class="btn btn-secondary" id="load-more-properties" aria-controls="${this.container.id || ''}">
+        Show more homes
+      </button>
+    `;
+    this.container.insertAdjacentElement('afterend', this.pagination);
+  }
+
+  /**
+   * Render "n+" options for a minimum-count select
+   * @param {Array<number>} values - Option values
+   * @param {string} singular - Label for 1
+   * @param {string} plural - Label for more than 1
+   * @returns {string} Option markup
+   */
+  renderMinimumOptions (values, singular, plural) {
+    return values
+      .map((value) => {
+        const label = `${value}+ ${value === 1 ? singular : plural}`;
+        return `<option value="${value}" data-label="${label}">${label}</option>`;
+      })
+      .join('');
   }
 
   /**
@@ -173,19 +322,21 @@ export class PropertyFilter {
     const searchInput = document.getElementById('property-search');
     if (searchInput) {
       searchInput.addEventListener('input', (e) => {
-        clearTimeout(this.debounceTimeout);
-        this.debounceTimeout = setTimeout(() => {
-          this.filters.search = e.target.value.toLowerCase().trim();
-          this.applyFilters();
+        clearTimeout(this.searchDebounce);
+        this.searchDebounce = setTimeout(() => {
+          this.filters.search = e.target.value.trim();
+          // Typing replaces the current entry so Back skips keystrokes
+          this.applyFilters({ history: 'replace' });
         }, this.debounceDelay);
       });
 
       // Clear search on Escape
       searchInput.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
+          clearTimeout(this.searchDebounce);
           searchInput.value = '';
           this.filters.search = '';
-          this.applyFilters();
+          this.applyFilters({ history: 'replace' });
         }
       });
     }
@@ -228,19 +379,43 @@ export class PropertyFilter {
     const handlePriceChange = () => {
       this.filters.minPrice = minPriceInput.value ? parseInt(minPriceInput.value, 10) : null;
       this.filters.maxPrice = maxPriceInput.value ? parseInt(maxPriceInput.value, 10) : null;
-      this.applyFilters();
+      this.applyFilters({ history: 'replace' });
     };
 
     if (minPriceInput) {
       minPriceInput.addEventListener('input', () => {
-        clearTimeout(this.debounceTimeout);
-        this.debounceTimeout = setTimeout(handlePriceChange, this.debounceDelay);
+        clearTimeout(this.priceDebounce);
+        this.priceDebounce = setTimeout(handlePriceChange, this.debounceDelay);
       });
     }
     if (maxPriceInput) {
       maxPriceInput.addEventListener('input', () => {
-        clearTimeout(this.debounceTimeout);
-        this.debounceTimeout = setTimeout(handlePriceChange, this.debounceDelay);
+        clearTimeout(this.priceDebounce);
+        this.priceDebounce = setTimeout(handlePriceChange, this.debounceDelay);
+      });
+    }
+
+    // Sort order
+    const sortSelect = document.getElementById('filter-sort');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', (e) => {
+        this.filters.sort = e.target.value;
+        this.applyFilters();
+      });
+    }
+
+    // List/map toggle
+    this.filterBar.querySelectorAll('.view-toggle').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.setView(btn.dataset.view);
+      });
+    });
+
+    // Show more
+    const loadMoreButton = document.getElementById('load-more-properties');
+    if (loadMoreButton) {
+      loadMoreButton.addEventListener('click', () => {
+        this.showMore();
       });
     }
 
@@ -279,72 +454,225 @@ export class PropertyFilter {
 
   /**
    * Apply all active filters to the property list
+   * @param {Object} options - Options
+   * @param {string|boolean} options.history - 'push', 'replace' or false to leave the URL alone
    */
-  applyFilters () {
-    this.filteredProperties = this.allProperties.filter((prop) => {
-      // Search filter
-      if (this.filters.search) {
-        const searchable =
-          `${prop.name || ''} ${prop.address || ''} ${prop.city || ''} ${prop.description || ''}`.toLowerCase();
-        if (!searchable.includes(this.filters.search)) {
-          return false;
-        }
-      }
+  applyFilters (options = {}) {
+    const { history = 'push' } = options;
+    const search = this.filters.search;
 
-      // Bedroom filter
-      if (
-        this.filters.bedrooms !== null &&
-        prop.bedrooms < this.filters.bedrooms
-      ) {
-        return false;
-      }
+    // Search results keyed by property ID, with score and matched words
+    this.searchMatches = new Map(
+      search
+        ? this.searchIndex.search(search).map((result) => [result.id, result])
+        : []
+    );
 
-      // Bathroom filter
-      if (
-        this.filters.bathrooms !== null &&
-        prop.bathrooms < this.filters.bathrooms
-      ) {
-        return false;
-      }
+    this.filteredProperties = this.allProperties.filter((prop) =>
+      this.matchesFilters(prop, this.filters)
+    );
 
-      // Property type filter
-      if (
-        this.filters.propertyType &&
-        prop.type !== this.filters.propertyType
-      ) {
-        return false;
-      }
+    const sortMode = SORT_MODES[this.filters.sort] || SORT_MODES[DEFAULT_SORT];
+
+    if (search && this.filters.sort === DEFAULT_SORT) {
+      // With a query and no explicit sort, best matches come first
+      this.filteredProperties.sort(
+        (a, b) =>
+          this.searchMatches.get(b.id).score - this.searchMatches.get(a.id).score ||
+          sortMode.compare(a, b)
+      );
+    } else {
+      this.filteredProperties.sort(sortMode.compare);
+    }
+    this.visibleCount = this.options.pageSize;
 
-      // Price range filter
-      if (
-        this.filters.minPrice !== null &&
-        prop.price_amount < this.filters.minPrice
-      ) {
+    this.render();
+    this.updateResultsCount();
+    this.updateFacets();
+
+    if (this.propertyMap) {
+      this.propertyMap.setProperties(this.filteredProperties);
+    }
+
+    if (history) {
+      this.updateUrl(history);
+    }
+  }
+
+  /**
+   * Check a property against a filter state
+   * @param {Object} prop - Property
+   * @param {Object} filters - Filter state
+   * @param {string|null} except - Filter key to ignore (used for facet counts)
+   * @returns {boolean} True when the property passes every other filter
+   */
+  matchesFilters (prop, filters, except = null) {
+    // Search filter
+    if (filters.search && !this.searchMatches.has(prop.id)) {
+      return false;
+    }
+
+    // Bedroom filter
+    if (
+      except !== 'bedrooms' &&
+      filters.bedrooms !== null &&
+      prop.bedrooms < filters.bedrooms
+    ) {
+      return false;
+    }
+
+    // Bathroom filter
+    if (
+      except !== 'bathrooms' &&
+      filters.bathrooms !== null &&
+      prop.bathrooms < filters.bathrooms
+    ) {
+      return false;
+    }
+
+    // Property type filter
+    if (
+      except !== 'propertyType' &&
+      filters.propertyType &&
+      prop.type !== filters.propertyType
+    ) {
+      return false;
+    }
+
+    // Price range filter
+    if (filters.minPrice !== null && prop.price.amount < filters.minPrice) {
+      return false;
+    }
+    if (filters.maxPrice !== null && prop.price.amount > filters.maxPrice) {
+      return false;
+    }
+
+    // Tag filter (must have ALL selected tags)
+    if (except !== 'tags' && filters.tags.length > 0) {
+      const propTags = prop.tags || [];
+      const hasAllTags = filters.tags.every((tag) => propTags.includes(tag));
+      if (!hasAllTags) {
         return false;
       }
-      if (
-        this.filters.maxPrice !== null &&
-        prop.price_amount > this.filters.maxPrice
-      ) {
+    }
+
+    // Eligibility filter (homes the household likely qualifies for)
+    if (this.eligibleOnly && this.eligibility) {
+      const result = this.eligibility.get(prop.id);
+      if (!result || result.status !== 'likely') {
         return false;
       }
+    }
 
-      // Tag filter (must have ALL selected tags)
-      if (this.filters.tags.length > 0) {
-        const propTags = prop.tags || [];
-        const hasAllTags = this.filters.tags.every((tag) =>
-          propTags.includes(tag)
-        );
-        if (!hasAllTags) {
-          return false;
-        }
-      }
+    return true;
+  }
+
+  /**
+   * Count matches for every facet option against the other active filters
+   * @returns {Object} Counts as { bedrooms, bathrooms, propertyType, tags } maps
+   */
+  getFacetCounts () {
+    const counts = {
+      bedrooms: new Map(),
+      bathrooms: new Map(),
+      propertyType: new Map(),
+      tags: new Map()
+    };
 
-      return true;
+    const countWhere = (facet, values, test) => {
+      const pool = this.allProperties.filter((prop) =>
+        this.matchesFilters(prop, this.filters, facet)
+      );
+      values.forEach((value) => {
+        counts[facet].set(value, pool.filter((prop) => test(prop, value)).length);
+      });
+    };
+
+    countWhere('bedrooms', this.facetOptions.bedrooms, (prop, min) => prop.bedrooms >= min);
+    countWhere('bathrooms', this.facetOptions.bathrooms, (prop, min) => prop.bathrooms >= min);
+    countWhere('propertyType', this.facetOptions.propertyType, (prop, type) => prop.type === type);
+
+    // Tags combine with AND, so each count includes the tags already selected
+    const tagPool = this.allProperties.filter((prop) =>
+      this.matchesFilters(prop, this.filters, 'tags')
+    );
+    this.facetOptions.tags.forEach((tag) => {
+      const required = this.filters.tags.includes(tag)
+        ? this.filters.tags
+        : [...this.filters.tags, tag];
+      counts.tags.set(
+        tag,
+        tagPool.filter((prop) => required.every((t) => (prop.tags || []).includes(t))).length
+      );
     });
 
-    this.render();
-    this.updateResultsCount();
+    return counts;
+  }
+
+  /**
+   * Refresh option labels and disabled states with live counts
+   */
+  updateFacets () {
+    if (!this.filterBar) return;
+
+    const counts = this.getFacetCounts();
+
+    const updateSelect = (id, facet) => {
+      const select = document.getElementById(id);
+      if (!select) return;
+
+      Array.from(select.options).forEach((option) => {
+        if (!option.value) return;
+        const value = facet === 'propertyType' ? option.value : parseInt(option.value, 10);
+        const count = counts[facet].get(value) || 0;
+        option.textContent = `${option.dataset.label} (${count})`;
+        // Keep the current selection usable so it can be changed back
+        option.disabled = count === 0 && !option.selected;
+      });
+    };
+
+    updateSelect('filter-bedrooms', 'bedrooms');
+    updateSelect('filter-bathrooms', 'bathrooms');
+    updateSelect('filter-property-type', 'propertyType');
+
+    this.filterBar.querySelectorAll('.tag-filter').forEach((btn) => {
+      const count = counts.tags.get(btn.dataset.tag) || 0;
+      const pressed = btn.getAttribute('aria-pressed') === 'true';
+      const countEl = btn.querySelector('.tag-filter__count');
+      if (countEl) countEl.textContent = `(${count})`;
+      btn.disabled = count === 0 && !pressed;
+      btn.classList.toggle('tag-filter--empty', count === 0);
+    });
+  }
+
+  /**
+   * Derive facet option values from the property data
+   * @returns {Object} Option values for each facet
+   */
+  buildFacetOptions () {
+    const maxBedrooms = Math.max(1, ...this.allProperties.map((prop) => prop.bedrooms || 0));
+    const maxBathrooms = Math.max(1, ...this.allProperties.map((prop) => Math.floor(prop.bathrooms || 0)));
+    const range = (max) => Array.from({ length: max }, (_, i) => i + 1);
+
+    const types = Array.from(
+      new Set(this.allProperties.map((prop) => prop.type).filter(Boolean))
+    ).sort((a, b) => a.localeCompare(b));
+
+    // Canonical program/amenity tags first, then the rest alphabetically
+    const dataTags = new Set(this.allProperties.flatMap((prop) => prop.tags || []));
+    const tags = [
+      ...CANONICAL_TAGS.filter((tag) => dataTags.has(tag)),
+      ...Array.from(dataTags)
+        .filter((tag) => !CANONICAL_TAGS.includes(tag))
+        .sort((a, b) => a.localeCompare(b))
+    ];
+
+    return {
+      bedrooms: range(maxBedrooms),
+      bathrooms: range(maxBathrooms),
+      propertyType: types,
+      tags
+    };
   }
 
   /**
@@ -359,41 +687,149 @@ export class PropertyFilter {
       search: '',
       minPrice: null,
       maxPrice: null,
-      propertyType: ''
+      propertyType: '',
+      sort: DEFAULT_SORT
     };
 
     // Reset UI elements
-    const searchInput = document.getElementById('property-search');
-    if (searchInput) searchInput.value = '';
+    this.syncControls();
 
-    const bedroomSelect = document.getElementById('filter-bedrooms');
-    if (bedroomSelect) bedroomSelect.value = '';
+    // Reset filtered properties
+    this.applyFilters();
 
-    const bathroomSelect = document.getElementById('filter-bathrooms');
-    if (bathroomSelect) bathroomSelect.value = '';
+    // Announce reset to screen readers
+    this.announceToScreenReader(`Filters reset. ${this.getRangeText()}.`);
+  }
 
-    const propertyTypeSelect = document.getElementById('filter-property-type');
-    if (propertyTypeSelect) propertyTypeSelect.value = '';
+  /**
+   * Write the current filter state into the filter controls
+   */
+  syncControls () {
+    const values = {
+      'property-search': this.filters.search,
+      'filter-bedrooms': this.filters.bedrooms,
+      'filter-bathrooms': this.filters.bathrooms,
+      'filter-property-type': this.filters.propertyType,
+      'filter-min-price': this.filters.minPrice,
+      'filter-max-price': this.filters.maxPrice,
+      'filter-sort': this.filters.sort
+    };
 
-    const minPriceInput = document.getElementById('filter-min-price');
-    if (minPriceInput) minPriceInput.value = '';
+    Object.entries(values).forEach(([id, value]) => {
+      const control = document.getElementById(id);
+      if (control) {
+        control.value = value === null || value === undefined ? '' : String(value);
+      }
+    });
 
-    const maxPriceInput = document.getElementById('filter-max-price');
-    if (maxPriceInput) maxPriceInput.value = '';
+    if (this.filterBar) {
+      this.filterBar.querySelectorAll('.tag-filter').forEach((btn) => {
+        const pressed = this.filters.tags.includes(btn.dataset.tag);
+        btn.classList.toggle('active', pressed);
+        btn.setAttribute('aria-pressed', String(pressed));
+      });
+    }
+  }
 
-    // Reset tag buttons
-    document.querySelectorAll('.tag-filter').forEach((btn) => {
-      btn.classList.remove('active');
-      btn.setAttribute('aria-pressed', 'false');
-    });
+  /**
+   * Serialize filters into query parameters
+   * Parameters that do not belong to the filter are preserved
+   * @param {Object} filters - Filter state
+   * @param {string} currentSearch - Existing query string
+   * @returns {string} Query string including the leading "?", or ""
+   */
+  buildQuery (filters, currentSearch = '') {
+    const params = new URLSearchParams(currentSearch);
 
-    // Reset filtered properties
-    this.filteredProperties = [...this.allProperties];
-    this.render();
-    this.updateResultsCount();
+    Object.values(URL_PARAMS).forEach((key) => params.delete(key));
 
-    // Announce reset to screen readers
-    this.announceToScreenReader('Filters reset. Showing all properties.');
+    const set = (key, value) => {
+      if (value !== null && value !== undefined && value !== '') {
+        params.set(key, String(value));
+      }
+    };
+
+    set(URL_PARAMS.search, filters.search);
+    set(URL_PARAMS.bedrooms, filters.bedrooms);
+    set(URL_PARAMS.bathrooms, filters.bathrooms);
+    set(URL_PARAMS.propertyType, filters.propertyType);
+    set(URL_PARAMS.minPrice, filters.minPrice);
+    set(URL_PARAMS.maxPrice, filters.maxPrice);
+    if (filters.sort !== DEFAULT_SORT) {
+      set(URL_PARAMS.sort, filters.sort);
+    }
+    if (filters.tags.length > 0) {
+      params.set(URL_PARAMS.tags, filters.tags.join(','));
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Parse filter state from a query string
+   * Unknown or malformed values fall back to their defaults
+   * @param {string} search - Query string, e.g. window.location.search
+   * @returns {Object} Filter state
+   */
+  parseQuery (search) {
+    const params = new URLSearchParams(search);
+
+    const toInt = (key) => {
+      const value = parseInt(params.get(key), 10);
+      return Number.isNaN(value) || value < 0 ? null : value;
+    };
+
+    const tags = (params.get(URL_PARAMS.tags) || '')
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter((tag, index, list) => tag && list.indexOf(tag) === index);
+
+    return {
+      bedrooms: toInt(URL_PARAMS.bedrooms),
+      bathrooms: toInt(URL_PARAMS.bathrooms),
+      tags,
+      search: (params.get(URL_PARAMS.search) || '').trim(),
+      minPrice: toInt(URL_PARAMS.minPrice),
+      maxPrice: toInt(URL_PARAMS.maxPrice),
+      propertyType: params.get(URL_PARAMS.propertyType) || '',
+      sort: SORT_MODES[params.get(URL_PARAMS.sort)]
+        ? params.get(URL_PARAMS.sort)
+        : DEFAULT_SORT
+    };
+  }
+
+  /**
+   * Mirror the filter state into the address bar
+   * @param {string} mode - 'push' adds a history entry, 'replace' rewrites the current one
+   */
+  updateUrl (mode = 'push') {
+    if (!this.options.syncUrl) return;
+
+    const query = this.buildQuery(this.filters, window.location.search);
+    if (query === window.location.search) return;
+
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    const state = { propertyFilters: this.getFilters() };
+
+    try {
+      if (mode === 'replace') {
+        window.history.replaceState(state, '', url);
+      } else {
+        window.history.pushState(state, '', url);
+      }
+    } catch (e) {
+      // History API unavailable (e.g. sandboxed iframe) - silently ignore
+    }
+  }
+
+  /**
+   * Restore filters when the user navigates with Back/Forward
+   */
+  handlePopState () {
+    this.filters = this.parseQuery(window.location.search);
+    this.syncControls();
+    this.applyFilters({ history: false });
   }
 
   /**
@@ -403,6 +839,7 @@ export class PropertyFilter {
     if (!this.container) return;
 
     this.container.innerHTML = '';
+    this.updatePagination();
 
     if (this.filteredProperties.length === 0) {
       this.container.innerHTML = `
@@ -430,11 +867,144 @@ export class PropertyFilter {
       return;
     }
 
-    // Render property cards
-    this.filteredProperties.forEach((prop, index) => {
-      const card = this.createPropertyCard(prop, index);
-      this.container.appendChild(card);
+    // Render the first page of property cards
+    this.appendCards(0, this.visibleCount);
+  }
+
+  /**
+   * Append a slice of the filtered properties to the grid
+   * @param {number} start - First index (inclusive)
+   * @param {number} end - Last index (exclusive)
+   * @returns {Array<HTMLElement>} Appended cards
+   */
+  appendCards (start, end) {
+    const cards = this.filteredProperties
+      .slice(start, end)
+      .map((prop, offset) => this.createPropertyCard(prop, offset));
+
+    cards.forEach((card) => this.container.appendChild(card));
+    return cards;
+  }
+
+  /**
+   * Render the next page of cards without re-rendering the existing ones
+   */
+  showMore () {
+    const cards = this.revealUpTo(this.visibleCount + this.options.pageSize);
+    if (cards.length === 0) return;
+
+    // Move focus to the first new card so keyboard users continue from there
+    if (cards[0]) {
+      cards[0].setAttribute('tabindex', '-1');
+      cards[0].focus();
+    }
+
+    this.announceToScreenReader(`${this.getRangeText()}.`);
+  }
+
+  /**
+   * Render cards up to a count, appending only the ones not yet shown
+   * @param {number} count - Number of cards that should be visible
+   * @returns {Array<HTMLElement>} Newly appended cards
+   */
+  revealUpTo (count) {
+    const start = this.visibleCount;
+    const end = Math.min(count, this.filteredProperties.length);
+    if (end <= start) return [];
+
+    this.visibleCount = end;
+    const cards = this.appendCards(start, end);
+    this.updatePagination();
+    this.updateResultsCount();
+    return cards;
+  }
+
+  /**
+   * Switch between the list and the map view
+   * The map view keeps the cards below the map so markers can focus them
+   * @param {string} view - 'list' or 'map'
+   */
+  async setView (view) {
+    if (!this.mapContainer || (view !== 'list' && view !== 'map')) return;
+
+    this.view = view;
+    this.mapContainer.hidden = view !== 'map';
+    this.filterBar.querySelectorAll('.view-toggle').forEach((btn) => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.view === view));
     });
+
+    if (view !== 'map') return;
+
+    try {
+      if (!this.propertyMap) {
+        this.propertyMap = new PropertyMap(this.mapContainer, {
+          ...this.options.mapOptions,
+          onMarkerClick: (prop) => this.focusProperty(prop.id)
+        });
+        this.propertyMap.setProperties(this.filteredProperties);
+        await this.propertyMap.init();
+      }
+      this.propertyMap.refresh();
+    } catch (e) {
+      // Leaflet unavailable (offline or blocked) - stay on the list
+      this.propertyMap = null;
+      this.mapContainer.textContent = '';
+      this.setView('list');
+      this.announceToScreenReader('The map could not be loaded. Showing the list instead.');
+    }
+  }
+
+  /**
+   * Bring a property's card into view and move focus to it
+   * @param {string} id - Property ID
+   */
+  focusProperty (id) {
+    const index = this.filteredProperties.findIndex((prop) => prop.id === id);
+    if (index === -1) return;
+
+    if (index >= this.visibleCount) {
+      // Reveal whole pages so paging stays consistent
+      const pages = Math.ceil((index + 1) / this.options.pageSize);
+      this.revealUpTo(pages * this.options.pageSize);
+    }
+
+    const card = Array.from(this.container.querySelectorAll('.property-card'))
+      .find((el) => el.dataset.propertyId === id);
+    if (!card) return;
+
+    card.setAttribute('tabindex', '-1');
+    card.focus();
+    if (typeof card.scrollIntoView === 'function') {
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  /**
+   * Show or hide the "Show more" control
+   */
+  updatePagination () {
+    if (!this.pagination) return;
+
+    const remaining = this.filteredProperties.length - this.visibleCount;
+    const button = this.pagination.querySelector('#load-more-properties');
+
+    this.pagination.hidden = remaining <= 0;
+    if (button && remaining > 0) {
+      const next = Math.min(remaining, this.options.pageSize);
+      button.textContent = `Show ${next} more ${next === 1 ? 'home' : 'homes'}`;
+    }
+  }
+
+  /**
+   * Describe the visible range, e.g. "Showing 1–6 of 8 properties"
+   * @returns {string} Range text
+   */
+  getRangeText () {
+    const total = this.filteredProperties.length;
+    if (total === 0) return 'No properties match your filters';
+
+    const end = Math.min(this.visibleCount, total);
+    return `Showing 1–${end} of ${total} ${total === 1 ? 'property' : 'properties'}`;
   }
 
   /**
@@ -444,85 +1014,43 @@ export class PropertyFilter {
    * @returns {HTMLElement} Property card element
    */
   createPropertyCard (prop, index) {
-    const card = document.createElement('article');
-    card.className = 'property-card';
-    card.style.animationDelay = `${index * 50}ms`;
-    card.setAttribute('data-property-id', prop.id || prop.slug);
-
-    const tagsHtml = (prop.tags || [])
-      .map(
-        (tag) =>
-          `<span class="property-card__tag">${this.escapeHtml(tag)}</span>`
-      )
-      .join('');
+    const match = this.searchMatches.get(prop.id);
 
-    card.innerHTML = `
-      <div class="property-card__image-container">
-        <img src="${this.escapeHtml(prop.image || '/images/properties/placeholder.webp')}" 
-             alt="${this.escapeHtml(prop.name)}" 
-             loading="lazy" 
-             decoding="async"
-             class="property-card__image">
-        ${prop.featured ? '<span class="property-card__badge">Featured</span>' : ''}
-      </div>
-      <div class="property-card__content">
-        <h3 class="property-card__title">${this.escapeHtml(prop.name)}</h3>
-        <p class="property-card__address">
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
-            <circle cx="12" cy="10" r="3"/>
-          </svg>
-          ${this.escapeHtml(prop.address || '')}${prop.city ? `, ${this.escapeHtml(prop.city)}` : ''}
-        </p>
-        <ul class="property-card__features" aria-label="Property features">
-          <li>
-            <strong>${prop.bedrooms || 0}</strong> 
-            Bed${(prop.bedrooms || 0) !== 1 ? 's': ''}
-          </li>
-          <li>
-            <strong>${prop.bathrooms || 0}</strong> 
-            Bath${(prop.bathrooms || 0) !== 1 ? 's': ''}
-          </li>
-          <li>
-            <strong>${(prop.sqft || 0).toLocaleString()}</strong> 
-            sqft
-          </li>
-        </ul>
-        ${tagsHtml ? `<div class="property-card__tags">${tagsHtml}</div>` : ''}
-        <div class="property-card__actions">
-          <a href="./${this.escapeHtml(prop.slug || prop.id)}.html" 
-             class="btn btn-primary btn-sm">
-            View Details
-          </a>
-          ${auth.isAuthenticated ? 
-    `<button class="btn btn-secondary btn-sm save-property-btn" data-property-id="${prop.id}">
-              ${auth.isPropertySaved(prop.id) ? 'Unsave' : 'Save'}
-            </button>` : ''}
-        </div>
-      </div>
-    `;
+    return createPropertyCard(prop, {
+      index,
+      highlightWords: match ? match.words : [],
+      eligibility: this.eligibility ? this.eligibility.get(prop.id) : null,
+      savedStore: this.options.savedStore,
+      compareTray: this.options.compareTray,
+      announce: (message) => this.announceToScreenReader(message)
+    });
+  }
 
-    // Attach event listener for save/unsave button
-    if (auth.isAuthenticated) {
-      const saveButton = card.querySelector('.save-property-btn');
-      if (saveButton) {
-        saveButton.addEventListener('click', async (e) => {
-          const propertyId = e.target.dataset.propertyId;
-          if (auth.isPropertySaved(propertyId)) {
-            await auth.removeProperty(propertyId);
-            e.target.textContent = 'Save';
-          } else {
-            await auth.saveProperty(propertyId);
-            e.target.textContent = 'Unsave';
-          }
-          // Optionally, re-render the card or entire list to update state
-          // this.render(); // This would re-render everything, might be too heavy
-          // Just update the button text for now.
-        });
-      }
-    }
+  /**
+   * Reflect the comparison selection on every rendered card
+   */
+  updateCompareToggles () {
+    if (!this.container || !this.options.compareTray) return;
 
-    return card;
+    this.container.querySelectorAll('.compare-toggle').forEach((btn) => {
+      btn.setAttribute(
+        'aria-pressed',
+        String(this.options.compareTray.has(btn.dataset.compareId))
+      );
+    });
+  }
+
+  /**
+   * Reflect the saved-properties store on every rendered card
+   */
+  updateSaveToggles () {
+    if (!this.container || !this.options.savedStore) return;
+
+    this.container.querySelectorAll('.save-property-btn').forEach((btn) => {
+      const saved = this.options.savedStore.has(btn.dataset.propertyId);
+      btn.setAttribute('aria-pressed', String(saved));
+      btn.textContent = saved ? 'Saved' : 'Save';
+    });
   }
 
   /**
@@ -542,6 +1070,14 @@ export class PropertyFilter {
           ? 'property found'
           : 'properties found';
     }
+
+    const rangeElement = document.getElementById('results-range');
+    if (rangeElement) {
+      rangeElement.textContent =
+        this.filteredProperties.length > this.options.pageSize
+          ? this.getRangeText()
+          : '';
+    }
   }
 
   /**
@@ -563,6 +1099,7 @@ export class PropertyFilter {
 
   /**
    * Escape HTML to prevent XSS
+   * Quotes are escaped too, since option values and data attributes come from the feed
    * @param {string} text - Text to escape
    * @returns {string} Escaped text
    */
@@ -570,7 +1107,7 @@ export class PropertyFilter {
     if (typeof text !== 'string') return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 
   /**
@@ -579,6 +1116,21 @@ export class PropertyFilter {
    */
   updateProperties (properties) {
     this.allProperties = properties || [];
+    this.searchIndex.build(this.allProperties);
+
+    // Facet options come from the data, so rebuild the controls
+    if (this.filterBar) {
+      this.filterBar.remove();
+      if (this.pagination) this.pagination.remove();
+      if (this.mapContainer) this.mapContainer.remove();
+      if (this.propertyMap) this.propertyMap.destroy();
+      this.propertyMap = null;
+      this.view = 'list';
+      this.createFilterUI();
+      this.attachEventListeners();
+      this.syncControls();
+    }
+
     this.applyFilters();
   }
 
@@ -587,7 +1139,7 @@ export class PropertyFilter {
    * @returns {Object} Current filters
    */
   getFilters () {
-    return { ...this.filters };
+    return { ...this.filters, tags: [...this.filters.tags] };
   }
 
   /**
@@ -596,9 +1148,24 @@ export class PropertyFilter {
    */
   setFilters (filters) {
     this.filters = { ...this.filters, ...filters };
+    this.syncControls();
     this.applyFilters();
   }
 
+  /**
+   * Show pre-screen results on the cards, optionally hiding unlikely homes
+   * @param {Array<Object>|null} results - Results from utils/eligibility.js, or null to clear
+   * @param {Object} options - Options
+   * @param {boolean} options.only - Only show homes the household likely qualifies for
+   */
+  setEligibility (results, options = {}) {
+    this.eligibility = results
+      ? new Map(results.map((result) => [result.id, result]))
+      : null;
+    this.eligibleOnly = Boolean(results && options.only);
+    this.applyFilters({ history: false });
+  }
+
   /**
    * Destroy the filter instance and clean up
    */
@@ -606,7 +1173,27 @@ export class PropertyFilter {
     if (this.filterBar) {
       this.filterBar.remove();
     }
-    clearTimeout(this.debounceTimeout);
+    if (this.pagination) {
+      this.pagination.remove();
+    }
+    if (this.propertyMap) {
+      this.propertyMap.destroy();
+    }
+    if (this.mapContainer) {
+      this.mapContainer.remove();
+    }
+    if (this.unsubscribeCompare) {
+      this.unsubscribeCompare();
+    }
+    if (this.unsubscribeSaved) {
+      this.unsubscribeSaved();
+    }
+    if (this.unsubscribeAuth) {
+      this.unsubscribeAuth();
+    }
+    window.removeEventListener('popstate', this.handlePopState);
+    clearTimeout(this.searchDebounce);
+    clearTimeout(this.priceDebounce);
   }
 }
 
@@ -0,0 +1,266 @@
+/**
+ * PropertyMap - Leaflet map of property markers
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Loads Leaflet on demand (reuses window.L when the page already has it)
+ * - Plots properties from their feed coordinates and keeps markers in sync
+ * - Marker click callback so lists can focus the matching card
+ * - Single-property map for detail pages
+ * - Configurable tile URL (options, data-tile-url or window.P4C_MAP_TILE_URL)
+ */
+
+import { getPropertyById } from '../utils/propertyFeed.js';
+import { normalizeProperty, validateProperty } from '../utils/propertyModel.js';
+
+export const MAP_DEFAULTS = {
+  tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '© OpenStreetMap contributors',
+  maxZoom: 19,
+  // East Texas, used when there is nothing to fit
+  center: [32.35, -95.3],
+  zoom: 8,
+  singleZoom: 15,
+  leafletScript: 'https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/leaflet.js',
+  leafletScriptIntegrity: 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=',
+  leafletStyles: 'https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/leaflet.min.css',
+  leafletStylesIntegrity: 'sha384-b8ANgTJvdlAnWM5YGMpKn7Kodm+1k7NYNG9zdjTCcZcKatzYHwZ0RLdWarbJJVzU',
+  iconBaseUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/'
+};
+
+let leafletPromise = null;
+
+/**
+ * Load Leaflet once per page
+ * @param {Object} options - Map options (script and style URLs)
+ * @returns {Promise<Object>} The Leaflet namespace
+ */
+export function loadLeaflet (options = MAP_DEFAULTS) {
+  if (window.L) {
+    return Promise.resolve(window.L);
+  }
+
+  if (!leafletPromise) {
+    leafletPromise = new Promise((resolve, reject) => {
+      if (options.leafletStyles && !document.querySelector(`link[href="${options.leafletStyles}"]`)) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = options.leafletStyles;
+        if (options.leafletStylesIntegrity) link.integrity = options.leafletStylesIntegrity;
+        link.crossOrigin = 'anonymous';
+        document.head.appendChild(link);
+      }
+
+      const script = document.createElement('script');
+      script.src = options.leafletScript;
+      if (options.leafletScriptIntegrity) script.integrity = options.leafletScriptIntegrity;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => (window.L ? resolve(window.L) : reject(new Error('Leaflet did not load')));
+      script.onerror = () => reject(new Error('Leaflet failed to load'));
+      document.head.appendChild(script);
+    }).catch((error) => {
+      // Allow a later attempt after a network failure
+      leafletPromise = null;
+      throw error;
+    });
+  }
+
+  return leafletPromise;
+}
+
+/**
+ * Check that a property has usable coordinates
+ * @param {Object} prop - Normalized property
+ * @returns {boolean} True when lat/lng are numbers
+ */
+function hasCoordinates (prop) {
+  return typeof prop.lat === 'number' && typeof prop.lng === 'number';
+}
+
+export class PropertyMap {
+  /**
+   * @param {HTMLElement|string} container - Map element or selector
+   * @param {Object} options - Overrides for MAP_DEFAULTS plus onMarkerClick(prop)
+   */
+  constructor (container, options = {}) {
+    this.container =
+      typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+    const tileUrl =
+      options.tileUrl ||
+      (this.container && this.container.dataset.tileUrl) ||
+      (typeof window !== 'undefined' && window.P4C_MAP_TILE_URL) ||
+      MAP_DEFAULTS.tileUrl;
+
+    this.options = { ...MAP_DEFAULTS, ...options, tileUrl };
+    this.L = null;
+    this.map = null;
+    this.markerLayer = null;
+    this.markers = new Map();
+    this.properties = [];
+  }
+
+  /**
+   * Load Leaflet and create the map
+   * @returns {Promise<PropertyMap>} This instance
+   */
+  async init () {
+    if (!this.container || this.map) return this;
+
+    this.L = await loadLeaflet(this.options);
+
+    // CDN builds cannot detect their own image path
+    if (this.options.iconBaseUrl && this.L.Icon && this.L.Icon.Default) {
+      Object.assign(this.L.Icon.Default.prototype.options, {
+        iconUrl: `${this.options.iconBaseUrl}marker-icon.png`,
+        iconRetinaUrl: `${this.options.iconBaseUrl}marker-icon-2x.png`,
+        shadowUrl: `${this.options.iconBaseUrl}marker-shadow.png`
+      });
+    }
+
+    this.map = this.L.map(this.container).setView(this.options.center, this.options.zoom);
+    this.L.tileLayer(this.options.tileUrl, {
+      attribution: this.options.attribution,
+      maxZoom: this.options.maxZoom
+    }).addTo(this.map);
+    this.markerLayer = this.L.layerGroup().addTo(this.map);
+
+    if (this.properties.length > 0) {
+      this.setProperties(this.properties);
+    }
+
+    return this;
+  }
+
+  /**
+   * Replace the plotted properties
+   * @param {Array<Object>} properties - Normalized properties
+   */
+  setProperties (properties) {
+    this.properties = (properties || []).filter(hasCoordinates);
+    if (!this.map) return;
+
+    this.markerLayer.clearLayers();
+    this.markers.clear();
+
+    this.properties.forEach((prop) => {
+      const marker = this.L.marker([prop.lat, prop.lng], {
+        title: prop.name,
+        alt: `${prop.name}, ${prop.location}`,
+        keyboard: true
+      });
+
+      marker.bindPopup(this.createPopup(prop));
+      marker.on('click', () => {
+        if (typeof this.options.onMarkerClick === 'function') {
+          this.options.onMarkerClick(prop);
+        }
+      });
+
+      marker.addTo(this.markerLayer);
+      this.markers.set(prop.id, marker);
+    });
+
+    this.fitToMarkers();
+  }
+
+  /**
+   * Fit the view to the current markers
+   */
+  fitToMarkers () {
+    if (!this.map) return;
+
+    if (this.properties.length === 0) {
+      this.map.setView(this.options.center, this.options.zoom);
+    } else if (this.properties.length === 1) {
+      const [prop] = this.properties;
+      this.map.setView([prop.lat, prop.lng], this.options.singleZoom);
+    } else {
+      const bounds = this.properties.map((prop) => [prop.lat, prop.lng]);
+      this.map.fitBounds(bounds, { padding: [30, 30] });
+    }
+  }
+
+  /**
+   * Build popup content from DOM nodes (no HTML strings)
+   * @param {Object} prop - Normalized property
+   * @returns {HTMLElement} Popup content
+   */
+  createPopup (prop) {
+    const content = document.createElement('div');
+    content.className = 'property-map__popup';
+
+    const title = document.createElement('strong');
+    title.textContent = prop.name;
+    content.appendChild(title);
+
+    const details = document.createElement('div');
+    const beds = prop.bedrooms === 0 ? 'Studio' : `${prop.bedrooms} bd`;
+    details.textContent = `${beds} · ${prop.bathrooms} ba · ${prop.price.formatted}`;
+    content.appendChild(details);
+
+    return content;
+  }
+
+  /**
+   * Open a property's popup
+   * @param {string} id - Property ID
+   */
+  openPopup (id) {
+    const marker = this.markers.get(id);
+    if (marker) marker.openPopup();
+  }
+
+  /**
+   * Recalculate the map size after its container was shown
+   */
+  refresh () {
+    if (this.map) {
+      this.map.invalidateSize();
+      this.fitToMarkers();
+    }
+  }
+
+  /**
+   * Remove the map
+   */
+  destroy () {
+    if (this.map) {
+      this.map.remove();
+      this.map = null;
+    }
+    this.markers.clear();
+  }
+}
+
+/**
+ * Render the single-property map on a detail page, if present
+ * @param {Object} options - PropertyMap options
+ * @returns {Promise<PropertyMap|null>} Instance or null
+ */
+export async function initPropertyDetailMap (options = {}) {
+  const page = document.querySelector('[data-property-detail]');
+  const container = document.getElementById('property-map');
+  if (!page || !container) return null;
+
+  const record = await getPropertyById(page.dataset.propertyDetail);
+  if (!record || validateProperty(record).length > 0) return null;
+
+  const prop = normalizeProperty(record);
+  if (!hasCoordinates(prop)) return null;
+
+  const propertyMap = new PropertyMap(container, options);
+  propertyMap.setProperties([prop]);
+  await propertyMap.init();
+  propertyMap.openPopup(prop.id);
+  return propertyMap;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.PropertyMap = PropertyMap;
+}
+
+export default PropertyMap;
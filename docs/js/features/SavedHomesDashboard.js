@@ -0,0 +1,333 @@
+/**
+ * SavedHomesDashboard - Saved homes on the profile page
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Resolves saved IDs against the property feed
+ * - Full property cards from the shared PropertyCard renderer
+ * - Unsave from the card; the list follows the saved-properties store
+ * - Private notes per home (kept on this device)
+ * - "Compare these" sends the saved homes to the CompareTray
+ * - Leased and removed homes are labelled instead of silently dropped
+ */
+
+import { createPropertyCard } from '../components/PropertyCard.js';
+import { getCompareTray } from './CompareTray.js';
+import { savedProperties } from '../utils/savedProperties.js';
+import { loadNormalizedProperties } from '../utils/propertyFeed.js';
+
+export const NOTES_STORAGE_KEY = 'p4c_saved_notes';
+
+// Status shown on saved homes that can no longer be rented as listed
+const AVAILABILITY_NOTICES = {
+  leased: 'Leased – this home is no longer available',
+  'coming-soon': 'Coming soon – not yet open for move-in'
+};
+
+export class SavedHomesDashboard {
+  /**
+   * @param {HTMLElement|string} container - Dashboard element or selector
+   * @param {Object} options - Options
+   * @param {Object} options.store - Saved-properties store
+   * @param {Object} options.compareTray - CompareTray instance
+   * @param {Array<Object>} options.properties - Normalized properties (loaded from the feed when omitted)
+   * @param {Storage} options.storage - Storage backend for notes
+   */
+  constructor (container, options = {}) {
+    this.container =
+      typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+    this.options = {
+      store: savedProperties,
+      compareTray: null,
+      properties: null,
+      storage: typeof localStorage !== 'undefined' ? localStorage : null,
+      ...options
+    };
+
+    this.store = this.options.store;
+    this.compareTray = this.options.compareTray;
+    this.properties = new Map();
+    this.notes = this.loadNotes();
+    this.noteTimer = null;
+    this.unsubscribeStore = null;
+    this.unsubscribeCompare = null;
+  }
+
+  /**
+   * Load property data and render
+   * @returns {Promise<SavedHomesDashboard>} This instance
+   */
+  async init () {
+    if (!this.container) return this;
+
+    const properties = this.options.properties || await loadNormalizedProperties();
+    this.properties = new Map(properties.map((prop) => [prop.id, prop]));
+
+    if (!this.compareTray) {
+      this.compareTray = getCompareTray({ properties });
+    }
+    this.compareTray.setProperties(properties);
+    this.compareTray.init();
+
+    this.unsubscribeStore = this.store.onChange(() => this.render());
+    this.unsubscribeCompare = this.compareTray.onChange(() => this.updateCompareToggles());
+
+    this.container.removeAttribute('aria-busy');
+    this.render();
+    return this;
+  }
+
+  /**
+   * Render the toolbar and saved-home cards
+   */
+  render () {
+    if (!this.container) return;
+
+    // Keep keyboard users in the dashboard when their card disappears
+    const hadFocus = this.container.contains(document.activeElement);
+    const ids = this.store.getAll();
+
+    this.container.textContent = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'saved-homes__summary';
+    summary.tabIndex = -1;
+
+    if (ids.length === 0) {
+      summary.textContent = "You haven't saved any properties yet. ";
+      const browse = document.createElement('a');
+      browse.href = '/properties/';
+      browse.textContent = 'Browse available homes';
+      summary.appendChild(browse);
+      this.container.appendChild(summary);
+      if (hadFocus) summary.focus();
+      return;
+    }
+
+    const unavailable = ids.filter((id) => {
+      const prop = this.properties.get(id);
+      return !prop || prop.availability === 'leased';
+    }).length;
+
+    summary.textContent = `${ids.length} saved ${ids.length === 1 ? 'home' : 'homes'}` +
+      (unavailable > 0 ? `, ${unavailable} no longer available` : '');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'saved-homes__toolbar';
+    toolbar.appendChild(summary);
+
+    const compareButton = document.createElement('button');
+    compareButton.type = 'button';
+    compareButton.className = 'btn btn-primary btn-sm saved-homes__compare';
+    compareButton.textContent = 'Compare these';
+    compareButton.disabled = this.getComparableIds().length < 2;
+    compareButton.addEventListener('click', () => this.compareSaved());
+    toolbar.appendChild(compareButton);
+
+    const grid = document.createElement('div');
+    grid.className = 'properties-grid saved-homes__grid';
+
+    ids.forEach((id, index) => {
+      const prop = this.properties.get(id);
+      grid.appendChild(prop ? this.createSavedCard(prop, index) : this.createRemovedCard(id));
+    });
+
+    this.container.appendChild(toolbar);
+    this.container.appendChild(grid);
+    if (hadFocus) summary.focus();
+  }
+
+  /**
+   * Card for a saved home that is still in the feed
+   * @param {Object} prop - Normalized property
+   * @param {number} index - Card index
+   * @returns {HTMLElement} Card
+   */
+  createSavedCard (prop, index) {
+    const card = createPropertyCard(prop, {
+      index,
+      savedStore: this.store,
+      compareTray: this.compareTray,
+      announce: (message) => this.compareTray.announce(message)
+    });
+    card.classList.add('saved-home');
+
+    const notice = AVAILABILITY_NOTICES[prop.availability];
+    if (notice) {
+      card.classList.add(`saved-home--${prop.availability}`);
+      const status = document.createElement('p');
+      status.className = 'saved-home__status';
+      status.textContent = notice;
+      card.querySelector('.property-card__content').prepend(status);
+    }
+
+    card.querySelector('.property-card__content').appendChild(this.createNotesField(prop.id, prop.name));
+    return card;
+  }
+
+  /**
+   * Card for a saved ID that is no longer in the feed
+   * @param {string} id - Property ID
+   * @returns {HTMLElement} Card
+   */
+  createRemovedCard (id) {
+    const card = document.createElement('article');
+    card.className = 'property-card saved-home saved-home--removed';
+    card.dataset.propertyId = id;
+
+    const content = document.createElement('div');
+    content.className = 'property-card__content';
+
+    const status = document.createElement('p');
+    status.className = 'saved-home__status';
+    status.textContent = 'Removed – this home is no longer listed';
+
+    const title = document.createElement('h3');
+    title.className = 'property-card__title';
+    title.textContent = 'Home no longer listed';
+
+    const actions = document.createElement('div');
+    actions.className = 'property-card__actions';
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-secondary btn-sm';
+    removeButton.textContent = 'Remove from saved';
+    removeButton.addEventListener('click', () => {
+      this.store.remove(id);
+      this.compareTray.announce('Removed from saved homes');
+    });
+    actions.appendChild(removeButton);
+
+    content.append(status, title, actions, this.createNotesField(id, 'this home'));
+    card.appendChild(content);
+    return card;
+  }
+
+  /**
+   * Labelled notes textarea for a saved home
+   * @param {string} id - Property ID
+   * @param {string} name - Property name for the label
+   * @returns {HTMLElement} Field wrapper
+   */
+  createNotesField (id, name) {
+    const field = document.createElement('div');
+    field.className = 'saved-home__notes';
+
+    const fieldId = `saved-note-${id}`;
+    const label = document.createElement('label');
+    label.htmlFor = fieldId;
+    label.textContent = `Notes on ${name}`;
+
+    const textarea = document.createElement('textarea');
+    textarea.id = fieldId;
+    textarea.rows = 2;
+    textarea.maxLength = 500;
+    textarea.placeholder = 'Questions for the landlord, school visits, move-in dates…';
+    textarea.value = this.notes[id] || '';
+    textarea.addEventListener('input', () => {
+      this.setNote(id, textarea.value);
+      clearTimeout(this.noteTimer);
+      this.noteTimer = setTimeout(() => this.saveNotes(), 400);
+    });
+    textarea.addEventListener('change', () => {
+      this.setNote(id, textarea.value);
+      clearTimeout(this.noteTimer);
+      this.saveNotes();
+    });
+
+    field.append(label, textarea);
+    return field;
+  }
+
+  /**
+   * Read notes from storage
+   * @returns {Object} Notes keyed by property ID
+   */
+  loadNotes () {
+    try {
+      const stored = JSON.parse(this.options.storage.getItem(NOTES_STORAGE_KEY) || '{}');
+      return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+    } catch (e) {
+      // Corrupt or unavailable storage - start empty
+      return {};
+    }
+  }
+
+  /**
+   * Update the note for one home
+   * @param {string} id - Property ID
+   * @param {string} text - Note text (empty removes the note)
+   */
+  setNote (id, text) {
+    if (text.trim()) {
+      this.notes[id] = text;
+    } else {
+      delete this.notes[id];
+    }
+  }
+
+  /**
+   * Write notes to storage
+   */
+  saveNotes () {
+    try {
+      this.options.storage.setItem(NOTES_STORAGE_KEY, JSON.stringify(this.notes));
+    } catch (e) {
+      // Storage full or disabled - notes last for this page only
+    }
+  }
+
+  /**
+   * Saved homes that can go into the comparison, available homes first
+   * @returns {Array<string>} Property IDs
+   */
+  getComparableIds () {
+    const listed = this.store.getAll().filter((id) => this.properties.has(id));
+    const isAvailable = (id) => this.properties.get(id).availability === 'available';
+    return [...listed.filter(isAvailable), ...listed.filter((id) => !isAvailable(id))];
+  }
+
+  /**
+   * Put the saved homes in the comparison and open it
+   */
+  compareSaved () {
+    const selected = this.compareTray.select(this.getComparableIds());
+    if (selected.length >= 2) {
+      this.compareTray.openComparison();
+    }
+  }
+
+  /**
+   * Reflect the comparison selection on the cards
+   */
+  updateCompareToggles () {
+    if (!this.container) return;
+
+    this.container.querySelectorAll('.compare-toggle').forEach((btn) => {
+      btn.setAttribute('aria-pressed', String(this.compareTray.has(btn.dataset.compareId)));
+    });
+  }
+
+  /**
+   * Stop listening for changes
+   */
+  destroy () {
+    if (this.unsubscribeStore) this.unsubscribeStore();
+    if (this.unsubscribeCompare) this.unsubscribeCompare();
+    if (this.noteTimer) {
+      clearTimeout(this.noteTimer);
+      this.saveNotes();
+    }
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.SavedHomesDashboard = SavedHomesDashboard;
+}
+
+export default SavedHomesDashboard;
@@ -0,0 +1,173 @@
+/**
+ * SessionTimeoutWarning - Idle sign-out warning in the shared Modal
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Opens before an idle sign-out with a countdown
+ * - "Stay signed in" keeps the session, "Sign out" ends it now
+ * - Closes by itself when activity in another tab keeps the session
+ * - Tells the visitor when they were signed out for inactivity or an expired session
+ */
+
+import { Modal, getModalInstance } from '../components/Modal.js';
+import { getSessionManager, SESSION_END_REASONS } from '../utils/sessionManager.js';
+
+const MODAL_ID = 'session-timeout-modal';
+const LOGIN_URL = '/login/';
+
+const SIGNED_OUT_MESSAGES = {
+  [SESSION_END_REASONS.idle]: 'You were signed out because you were inactive for a while.',
+  [SESSION_END_REASONS.expired]: 'Your session has expired.'
+};
+
+export class SessionTimeoutWarning {
+  /**
+   * @param {Object} options - Options
+   * @param {SessionManager} options.session - Session manager (defaults to the shared one)
+   */
+  constructor (options = {}) {
+    this.options = {
+      session: null,
+      ...options
+    };
+
+    this.session = this.options.session || getSessionManager();
+    this.countdownTimer = null;
+    this.unsubscribe = null;
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  /**
+   * Follow the session
+   * @returns {SessionTimeoutWarning} This instance
+   */
+  init () {
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.session.onChange(this.handleChange);
+    }
+    return this;
+  }
+
+  /**
+   * React to session events
+   * @param {Object} event - Session event
+   */
+  handleChange (event) {
+    if (event.type === 'warning') {
+      this.showWarning(event.signOutAt);
+    } else if (event.type === 'active') {
+      this.close();
+    } else if (event.type === 'logout') {
+      this.close();
+      if (SIGNED_OUT_MESSAGES[event.reason]) {
+        this.showSignedOut(SIGNED_OUT_MESSAGES[event.reason]);
+      }
+    }
+  }
+
+  /**
+   * Build the dialog in the shared modal
+   * @param {string} title - Dialog title
+   * @param {string} footer - Footer buttons HTML
+   * @param {boolean} closable - Show the close button
+   * @returns {HTMLElement} Modal element
+   */
+  createModal (title, footer, closable = true) {
+    Modal.destroy(MODAL_ID);
+    const modalElement = Modal.create({ id: MODAL_ID, title, size: 'small', footer, closable });
+
+    // Modal only binds close buttons that exist when it is first created
+    modalElement.querySelectorAll('[data-modal-close]').forEach((btn) => {
+      btn.addEventListener('click', () => getModalInstance().close());
+    });
+
+    return modalElement;
+  }
+
+  /**
+   * Warn before the idle sign-out
+   * @param {number} signOutAt - Sign-out time (ms)
+   */
+  showWarning (signOutAt) {
+    const modalElement = this.createModal(
+      'Are you still there?',
+      `<button type="button" class="btn btn-primary" data-session-action="stay">Stay signed in</button>
+       <button type="button" class="btn btn-secondary" data-session-action="sign-out">Sign out</button>`,
+      false
+    );
+
+    const body = modalElement.querySelector('.modal__body');
+    const text = document.createElement('p');
+    const countdown = document.createElement('strong');
+    text.append('For your security, you will be signed out in ', countdown, ' unless you choose to stay signed in.');
+    body.appendChild(text);
+
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((signOutAt - Date.now()) / 1000));
+      countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    update();
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = setInterval(update, 1000);
+
+    modalElement.querySelector('[data-session-action="stay"]').addEventListener('click', () => {
+      this.close();
+      this.session.staySignedIn();
+    });
+    modalElement.querySelector('[data-session-action="sign-out"]').addEventListener('click', () => {
+      this.close();
+      this.session.end(SESSION_END_REASONS.signedOut);
+      window.location.href = LOGIN_URL;
+    });
+
+    getModalInstance().open(MODAL_ID);
+  }
+
+  /**
+   * Explain why the visitor was signed out
+   * @param {string} message - Reason
+   */
+  showSignedOut (message) {
+    const modalElement = this.createModal(
+      'You have been signed out',
+      `<a href="${LOGIN_URL}" class="btn btn-primary">Sign in again</a>
+       <button type="button" class="btn btn-secondary" data-modal-close>Close</button>`
+    );
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    modalElement.querySelector('.modal__body').appendChild(text);
+
+    getModalInstance().open(MODAL_ID);
+  }
+
+  /**
+   * Close the dialog if it is open
+   */
+  close () {
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+
+    const modal = getModalInstance();
+    if (modal.isOpen() && modal.getActiveModal().id === MODAL_ID) {
+      modal.close();
+    }
+  }
+
+  /**
+   * Stop following the session and remove the dialog
+   */
+  destroy () {
+    this.close();
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    Modal.destroy(MODAL_ID);
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.SessionTimeoutWarning = SessionTimeoutWarning;
+}
+
+export default SessionTimeoutWarning;
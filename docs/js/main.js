@@ -7,18 +7,40 @@
 
 // Import components and utilities
 import { PropertyFilter } from './features/PropertyFilter.js';
+import { initPropertyDetail } from './features/PropertyDetail.js';
+import { PropertyMap, initPropertyDetailMap } from './features/PropertyMap.js';
+import { getCompareTray } from './features/CompareTray.js';
+import { SavedHomesDashboard } from './features/SavedHomesDashboard.js';
+import { EligibilityScreener } from './features/EligibilityScreener.js';
 import { getModalInstance } from './components/Modal.js';
 import { initAccordions } from './components/Accordion.js';
+import { RateLimitNotice } from './components/RateLimitNotice.js';
 import { FormValidator } from './features/FormValidator.js';
+import { ApplicationWizard } from './features/ApplicationWizard.js';
+import { DocumentUploader, registerDocumentValidator } from './features/DocumentUploader.js';
+import { loadValidationSchema } from './utils/validationRules.js';
+import { initInputMasks } from './utils/inputMask.js';
+import { createContactFormRateLimiter } from './utils/rateLimiter.js';
+import { httpClient } from './utils/httpClient.js';
+import { createApiError, API_MESSAGES } from './utils/apiClient.js';
+import { getSubmissionOutbox } from './utils/submissionOutbox.js';
+import { OutboxStatus } from './features/OutboxStatus.js';
 import { initErrorHandler } from './utils/errorHandler.js';
 import { createPropertiesErrorBoundary } from './utils/errorBoundary.js';
 import { LazyLoader } from './utils/lazyLoad.js';
 import { initComparisonSliders } from './comparison-slider.js';
 import { auth } from './auth.js';
+import { csrfService } from './security/csrfService.js';
+import { getSessionManager } from './utils/sessionManager.js';
+import { SessionTimeoutWarning } from './features/SessionTimeoutWarning.js';
+import { PasswordReset } from './features/PasswordReset.js';
+import { EmailVerification } from './features/EmailVerification.js';
+import { savedProperties } from './utils/savedProperties.js';
+import { loadNormalizedFeed, loadNormalizedProperties } from './utils/propertyFeed.js';
 import './theme-toggle.js';
 
 // Initialize error boundary first (before other components)
-createPropertiesErrorBoundary();
+const errorBoundary = createPropertiesErrorBoundary();
 
 // SERVICE WORKER REGISTRATION
 function registerServiceWorker () {
@@ -147,39 +169,13 @@ const mainErrorHandler = errorHandler.createBoundary(() => {
 // Execute main initialization with error boundary
 mainErrorHandler();
 
-let propertiesData = []; // Declare propertiesData globally
-
-const propertiesDataElement = document.getElementById('properties-data');
-if (propertiesDataElement) {
-  try {
-    const data = JSON.parse(propertiesDataElement.textContent);
-    // Map fetched data to the format expected by existing code
-    propertiesData = data.map((prop) => ({ // Removed index as it's not used in this map
-      id: prop.id,
-      name: prop.title,
-      bedrooms: prop.bedrooms,
-      bathrooms: prop.bathrooms,
-      price: prop.price ? prop.price.formatted : 'N/A',
-      price_amount: prop.price ? prop.price.amount : 0,
-      type: prop.type,
-      tags: prop.tags,
-      location: prop.location,
-      image: prop.images && prop.images.length > 0 ? prop.images[0] : 'images/properties/properties-default.webp'
-    }));
-  } catch (error) {
-    
-    // Fallback or error handling
-    propertiesData = []; // Ensure propertiesData is an empty array on error
-  }
-}
-
-
-
-
+let propertiesData = []; // Normalized properties, populated from the feed on DOMContentLoaded
 
 // POPULATE PROPERTIES GRID (SECURE - NO XSS VULNERABILITIES)
-const propertiesGrid = document.getElementById('properties-grid');
-if (propertiesGrid) {
+// Fallback renderer used when PropertyFilter cannot be initialized
+function renderPropertiesGrid (propertiesGrid) {
+  propertiesGrid.innerHTML = '';
+
   propertiesData.forEach((prop) => {
     const card = document.createElement('div');
     card.className = 'property-card';
@@ -265,7 +261,7 @@ if (propertiesGrid) {
     statusValue.className = 'detail-value';
     statusValue.style.fontSize = '0.8rem';
     statusValue.style.color = 'var(--gold)';
-    statusValue.textContent = prop.price;
+    statusValue.textContent = prop.price.formatted;
     statusItem.appendChild(statusLabel);
     statusItem.appendChild(statusValue);
 
@@ -293,9 +289,9 @@ if (propertiesGrid) {
 
     // Create apply button
     const applyLink = document.createElement('a');
-    applyLink.href = 'apply.html';
+    applyLink.href = prop.url || '/apply/';
     applyLink.className = 'btn btn-primary property-btn';
-    applyLink.textContent = 'Apply for This Home';
+    applyLink.textContent = prop.url ? 'View This Home' : 'Apply for This Home';
 
     // Assemble all elements
     contentDiv.appendChild(titleEl);
@@ -342,110 +338,22 @@ function sanitizeInput (input) {
     .trim();
 }
 
-// FORM VALIDATION WITH INPUT SANITIZATION
-const form = document.getElementById('application-form');
-if (form) {
-  const successMessage = document.getElementById('success-message');
-
-  form.addEventListener('submit', (e) => {
-    e.preventDefault();
-
-    let isValid = true;
-    const formGroups = form.querySelectorAll('.form-group');
-
-    formGroups.forEach((group) => {
-      const input = group.querySelector('input, select, textarea');
-      if (!input) return;
-
-      group.classList.remove('error');
-      input.removeAttribute('aria-invalid');
-
-      // Sanitize input value with additional validation
-      const sanitizedValue = sanitizeInput(input.value);
-
-      // Additional validation for specific fields
-      if (input.required && (!sanitizedValue || sanitizedValue.trim() === '')) {
-        group.classList.add('error');
-        input.setAttribute('aria-invalid', 'true');
-        isValid = false;
-      } else if (
-        input.type === 'email' &&
-        sanitizedValue &&
-        !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sanitizedValue)
-      ) {
-        group.classList.add('error');
-        input.setAttribute('aria-invalid', 'true');
-        isValid = false;
-      } else if (
-        input.id === 'phone' &&
-        sanitizedValue &&
-        !/^[0-9\-+()\s.,]+$/.test(sanitizedValue)
-      ) {
-        group.classList.add('error');
-        input.setAttribute('aria-invalid', 'true');
-        isValid = false;
-      } else if (input.type === 'checkbox' && !input.checked) {
-        group.classList.add('error');
-        input.setAttribute('aria-invalid', 'true');
-        isValid = false;
-      } else if (
-        input.type === 'text' &&
-        input.name === 'name' &&
-        sanitizedValue &&
-        sanitizedValue.length < 2
-      ) {
-        // Additional validation for name field
-        group.classList.add('error');
-        input.setAttribute('aria-invalid', 'true');
-        isValid = false;
-      }
-    });
-
-    if (isValid) {
-      successMessage.classList.add('show');
-      form.style.display = 'none';
-
-      // Production build will strip console statements
-      // Development logging removed for security
-
-      setTimeout(() => {
-        form.reset();
-        form.style.display = 'block';
-        successMessage.classList.remove('show');
-      }, 3000);
-    }
-  });
-}
-
-// CSRF TOKEN MANAGEMENT
-async function fetchCSRFToken () {
-  try {
-    const response = await fetch('/api/csrf', {
-      method: 'GET',
-      credentials: 'include'
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      return data.csrfToken;
-    }
-
-    // Fallback token if API fails
-    return 'fallback-csrf-token';
-  } catch {
-    // Network error - use fallback token
-    return 'fallback-csrf-token';
+/**
+ * Show a form-level error above the submit button
+ * @param {HTMLFormElement} form - Form
+ * @param {string} message - Error message
+ */
+function showFormError (form, message) {
+  let container = form.querySelector('.form-error--global');
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'form-error form-error--global';
+    container.setAttribute('role', 'alert');
+    form.querySelector('[type="submit"]').before(container);
   }
-}
 
-// Add CSRF token to form
-async function addCSRFTokenToForm (form) {
-  const csrfToken = await fetchCSRFToken();
-  const csrfInput = form.querySelector('input[name="csrfToken"]');
-  
-  if (csrfInput) {
-    csrfInput.value = csrfToken;
-  }
+  container.textContent = message;
+  container.style.display = 'block';
 }
 
 // CONTACT FORM HANDLING
@@ -453,8 +361,33 @@ const contactForm = document.getElementById('contact-form');
 if (contactForm) {
   const contactSuccess = document.getElementById('contact-success');
 
-  // Fetch and add CSRF token when form loads
-  addCSRFTokenToForm(contactForm);
+  // Fetch a CSRF token when the form loads; submit fetches one again if this fails
+  csrfService.attachToForm(contactForm).catch(() => {});
+
+  // Client-side limit, plus any 429 wait from the server, with a countdown while locked
+  const contactLimiter = createContactFormRateLimiter();
+  const contactLimitKey = contactLimiter.getUserIdentifier();
+  const contactLimitNotice = new RateLimitNotice(contactForm);
+  httpClient.bindRateLimiter('/api/contact', contactLimiter, () => contactLimitKey);
+
+  const showContactLimit = () => {
+    contactLimiter.peek(contactLimitKey)
+      .then((result) => {
+        if (!result.allowed) {
+          contactLimitNotice.show(result.retryAfter);
+        } else {
+          contactLimitNotice.clear();
+        }
+      })
+      .catch(() => {
+        // Storage unavailable - the next submit checks again
+      });
+  };
+  // Also picks up lockouts from other tabs and from before a reload
+  contactLimiter.onChange((key) => {
+    if (key === contactLimitKey) showContactLimit();
+  });
+  showContactLimit();
 
   contactForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -498,47 +431,57 @@ if (contactForm) {
     });
 
     if (isValid) {
-      // Get form data including CSRF token
+      const limit = await contactLimiter.isAllowed(contactLimitKey).catch(() => ({ allowed: true }));
+      if (!limit.allowed) {
+        contactLimitNotice.show(limit.retryAfter);
+        return;
+      }
+
       const formData = new FormData(contactForm);
-      const csrfToken = formData.get('csrfToken');
 
       try {
-        // Submit to server with CSRF token
-        const response = await fetch('/api/contact', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-CSRF-Token': csrfToken
-          },
-          body: JSON.stringify({
+        // The outbox adds the CSRF header and queues the message if offline
+        const result = await getSubmissionOutbox().submit({
+          url: '/api/contact',
+          label: 'Your contact message',
+          body: {
             name: formData.get('contactName'),
             email: formData.get('contactEmail'),
             phone: formData.get('contactPhone'),
             subject: formData.get('contactSubject'),
             message: formData.get('contactMessage')
-          })
+          }
         });
 
-        if (response.ok) {
-          contactSuccess.style.display = 'block';
+        if (result.queued || result.response.ok) {
+          const confirmation = result.queued
+            ? document.getElementById('contact-queued')
+            : contactSuccess;
+          confirmation.hidden = false;
+          confirmation.style.display = 'block';
           contactForm.style.display = 'none';
 
           setTimeout(() => {
             contactForm.reset();
             contactForm.style.display = 'block';
-            contactSuccess.style.display = 'none';
-            
-            // Refresh CSRF token after successful submission
-            addCSRFTokenToForm(contactForm);
+            confirmation.style.display = 'none';
           }, 3000);
         } else {
-          // Handle server validation errors
-          const errorData = await response.json();
-          alert('Error submitting form: ' + (errorData.message || 'Please try again'));
+          // Server refused the message (e.g. validation) - non-JSON answers get a generic message
+          const error = await createApiError(result.response);
+          showFormError(contactForm, error.message);
         }
       } catch (error) {
-        // Network error
-        alert('Network error. Please check your connection and try again.');
+        if (error.name === 'CSRFError') {
+          // No valid token - the message was not sent
+          showFormError(contactForm, error.message);
+        } else if (error.name === 'RateLimitError') {
+          // The server asked to wait - the message was not sent
+          contactLimitNotice.show(error.retryAfter);
+        } else {
+          // Outbox unavailable and the request failed
+          showFormError(contactForm, API_MESSAGES.network);
+        }
       }
     }
   });
@@ -586,6 +529,26 @@ document.querySelectorAll('img').forEach((img) => {
  */
 document.addEventListener('DOMContentLoaded', async () => {
   auth.init(); // Initialize auth state
+  // Token refresh, idle sign-out warning and sign-in/out across tabs
+  try {
+    new SessionTimeoutWarning().init();
+    getSessionManager().init();
+  } catch (e) {
+    // Session manager initialization failed silently
+  }
+
+  // Merge or refresh saved properties for the current auth state
+  savedProperties.init().catch(() => {
+    // Saved properties sync failed silently - the store retries on its own
+  });
+  // Offline submission queue and its status banner
+  try {
+    new OutboxStatus().init();
+    getSubmissionOutbox().init();
+  } catch (e) {
+    // Outbox initialization failed silently - forms send directly
+  }
+
   // Initialize Lazy Loading
   try {
     const lazyLoader = new LazyLoader();
@@ -624,93 +587,74 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Slider initialization failed silently
   }
 
+  // Format phone, SSN, ZIP and currency inputs as they are typed
+  // Runs before the forms below so saved answers are formatted when restored
+  try {
+    initInputMasks();
+  } catch (e) {
+    // Input mask initialization failed silently
+  }
+
   // Initialize Property Filter (Properties page)
   const propertiesContainer = document.getElementById('properties-grid');
-  if (propertiesContainer && propertiesData.length > 0) {
+  if (propertiesContainer) {
+    initPropertiesGrid(propertiesContainer);
+  }
+
+  // Hydrate property detail pages from the feed
+  initPropertyDetail().catch(() => {
+    // Detail page keeps its static content if the feed is unavailable
+  });
+  initPropertyDetailMap().catch(() => {
+    // Map is an enhancement - the address text stays visible without it
+  });
+
+  // Saved-homes dashboard (Profile page)
+  const savedHomesContainer = document.getElementById('saved-homes');
+  if (savedHomesContainer) {
+    initSavedHomes(savedHomesContainer);
+  }
+
+  // Forgot-password and new-password forms (Reset Password page)
+  const passwordResetEl = document.getElementById('password-reset');
+  if (passwordResetEl) {
     try {
-      // Transform data for PropertyFilter
-      const formattedProperties = propertiesData.map((prop, index) => ({
-        id: `property-${index}`,
-        slug: prop.name.toLowerCase().replace(/\s+/g, '-'),
-        name: prop.name,
-        address: prop.location,
-        city: prop.location.split(',')[0].trim(),
-        bedrooms: prop.bedrooms,
-        bathrooms: prop.bathrooms,
-        sqft: prop.sqft, // Use actual sqft from fetched data
-        image: prop.image,
-        tags: prop.tags.map((tag) => {
-          if (tag.includes('Section 8')) return 'Section 8';
-          if (tag.includes('HUD-VASH')) return 'HUD-VASH';
-          if (tag.includes('Pet') || tag.includes('Family'))
-            return 'Pet Friendly';
-          return tag;
-        }),
-        featured: index === 0
-      }));
-
-      const propertyFilter = new PropertyFilter(
-        formattedProperties,
-        '#properties-grid'
-      );
-      propertyFilter.init();
-      window.propertyFilter = propertyFilter;
+      new PasswordReset(passwordResetEl).init();
     } catch (e) {
-      // PropertyFilter initialization failed silently
+      // PasswordReset initialization failed silently
     }
   }
 
-  // Initialize Form Validators
-  const applicationForm = document.getElementById('application-form');
-  if (applicationForm) {
-    try {
-      const appValidator = new FormValidator('#application-form', {
-        onSubmit: async (data) => { // eslint-disable-line no-unused-vars
-          // Handle form submission
-          const successMessage = document.getElementById('success-message');
-          if (successMessage) {
-            successMessage.classList.add('show');
-            applicationForm.style.display = 'none';
-          }
+  // Email verification step after registering (Verify Email page)
+  const emailVerificationEl = document.getElementById('email-verification');
+  if (emailVerificationEl) {
+    new EmailVerification(emailVerificationEl).init().catch(() => {
+      // EmailVerification initialization failed silently
+    });
+  }
 
-          setTimeout(() => {
-            applicationForm.reset();
-            applicationForm.style.display = 'block';
-            if (successMessage) {
-              successMessage.classList.remove('show');
-            }
-          }, 3000);
-        },
-        onError: (errors) => { // eslint-disable-line no-unused-vars
-          // Errors are handled by FormValidator UI
-        }
-      });
-      window.applicationFormValidator = appValidator;
-    } catch (e) {
-      // FormValidator initialization failed silently
-    }
+  // Comparison tray follows the visitor to other pages
+  if (!propertiesContainer && !savedHomesContainer) {
+    initCompareTray();
+  }
+
+  // Homepage service-area map
+  const homeMap = document.getElementById('map');
+  if (homeMap) {
+    initHomeMap(homeMap);
   }
 
+  // Initialize Form Validators
+  // Multi-step application forms (/apply/ and /apply-online/)
+  initApplicationWizard('application-form', 'success-message');
+  initApplicationWizard('property-application-form', 'application-success');
+
   const contactFormEl = document.getElementById('contact-form');
   if (contactFormEl) {
     try {
-      const contactValidator = new FormValidator('#contact-form', {
-        onSubmit: async (data) => { // eslint-disable-line no-unused-vars
-          const contactSuccess = document.getElementById('contact-success');
-          if (contactSuccess) {
-            contactSuccess.style.display = 'block';
-            contactFormEl.style.display = 'none';
-          }
-
-          setTimeout(() => {
-            contactFormEl.reset();
-            contactFormEl.style.display = 'block';
-            if (contactSuccess) {
-              contactSuccess.style.display = 'none';
-            }
-          }, 3000);
-        }
-      });
+      // Field validation only - the contact form handler above sends the
+      // message and shows the outcome, so a token failure never looks like success
+      const contactValidator = new FormValidator('#contact-form');
       
       window.contactFormValidator = contactValidator;
     } catch (e) {
@@ -733,6 +677,204 @@ document.addEventListener('DOMContentLoaded', async () => {
   initResponsiveHeroBackgrounds();
 });
 
+/**
+ * Load the property feed and render the properties grid
+ * @param {HTMLElement} propertiesContainer - Grid container
+ */
+async function initPropertiesGrid (propertiesContainer) {
+  try {
+    const { properties, errors } = await loadNormalizedFeed();
+    propertiesData = properties;
+
+    if (errors.length > 0) {
+      // The other listings still show, so report without the fallback UI
+      errorBoundary.report(new Error(`Property feed: ${errors.length} invalid record(s) skipped`), {
+        type: 'propertyFeed',
+        errors
+      });
+    }
+  } catch (e) {
+    propertiesContainer.textContent =
+      'Available homes could not be loaded. Please refresh the page or call 903-555-1234.';
+    propertiesContainer.removeAttribute('aria-busy');
+    return;
+  }
+
+  propertiesContainer.removeAttribute('aria-busy');
+
+  try {
+    const propertyFilter = new PropertyFilter(
+      propertiesData,
+      '#properties-grid',
+      {
+        mapOptions: { tileUrl: propertiesContainer.dataset.tileUrl },
+        compareTray: getCompareTray({ properties: propertiesData }).init()
+      }
+    );
+    propertyFilter.init();
+    window.propertyFilter = propertyFilter;
+    initEligibilityScreener(propertyFilter);
+  } catch (e) {
+    // PropertyFilter initialization failed - fall back to the basic grid
+    renderPropertiesGrid(propertiesContainer);
+  }
+}
+
+/**
+ * Initialize the eligibility pre-screener above the listings grid
+ * @param {PropertyFilter} propertyFilter - Grid to narrow
+ */
+function initEligibilityScreener (propertyFilter) {
+  const container = document.getElementById('eligibility-screener');
+  if (!container) return;
+
+  const screener = new EligibilityScreener(container, {
+    properties: propertiesData,
+    propertyFilter
+  });
+  screener.init().catch(() => {
+    // EligibilityScreener initialization failed silently
+  });
+  window.eligibilityScreener = screener;
+}
+
+/**
+ * Fill a property select from the feed (leased homes are left out)
+ * @param {HTMLSelectElement} select - Select with data-property-options
+ */
+async function populatePropertyOptions (select) {
+  try {
+    const properties = await loadNormalizedProperties();
+    properties
+      .filter((prop) => prop.availability !== 'leased')
+      .forEach((prop) => {
+        const option = document.createElement('option');
+        option.value = prop.id;
+        option.textContent = `${prop.name} – ${prop.location}`;
+        select.appendChild(option);
+      });
+  } catch (e) {
+    // Feed unavailable - the select keeps its default options
+  }
+}
+
+/**
+ * Turn an application form into a multi-step wizard that posts to its action URL
+ * Property options load first so a restored draft can select its home
+ * @param {string} formId - Form ID
+ * @param {string} successId - ID of the success message shown after submitting
+ */
+async function initApplicationWizard (formId, successId) {
+  const formElement = document.getElementById(formId);
+  if (!formElement) return;
+
+  // Shared validation rules; data-validate attributes still apply without them
+  const schemaUrl = formElement.dataset.validationSchema;
+  const [schema] = await Promise.all([
+    schemaUrl ? loadValidationSchema(schemaUrl).catch(() => null) : null,
+    ...Array.from(formElement.querySelectorAll('select[data-property-options]'), populatePropertyOptions)
+  ]);
+
+  // Documents are checked and uploaded as they are chosen; uploads use XHR
+  // for progress, so the CSRF token is fetched up front
+  csrfService.getToken().catch(() => {
+    // No token yet - the submit fetches one or fails closed
+  });
+  formElement.querySelectorAll('input[type="file"][data-validate~="documents"]').forEach((input) => {
+    new DocumentUploader(input, {
+      getHeaders: () => ({ ...auth.getAuthHeaders(), ...csrfService.getHeaders() })
+    }).init();
+  });
+
+  try {
+    const wizard = new ApplicationWizard(formElement, {
+      schema,
+      onSubmit: async (data, formData) => {
+        // Offline submissions wait in the outbox and send on reconnect
+        const result = await getSubmissionOutbox().submit({
+          url: formElement.action,
+          label: 'Your rental application',
+          // The token is added when sending, so it is never stored with a queued application
+          auth: true,
+          body: formData
+        });
+        if (result.queued) return result;
+
+        if (!result.response.ok) {
+          // ValidationError fields are shown on their inputs by the wizard's FormValidator
+          throw await createApiError(result.response, {
+            message: 'Your application could not be submitted. Please try again or call 903-555-1234.'
+          });
+        }
+        return result;
+      },
+      onSuccess: (data, result) => {
+        const successMessage = document.getElementById(successId);
+        formElement.hidden = true;
+        if (successMessage) {
+          if (result && result.queued) {
+            successMessage.textContent = "You're offline, so your application is saved on this device. It will send automatically when you're back online.";
+          }
+          successMessage.hidden = false;
+          successMessage.focus();
+        }
+      }
+    }).init();
+
+    registerDocumentValidator(wizard.validator);
+    window.applicationWizard = wizard;
+  } catch (e) {
+    // ApplicationWizard initialization failed silently
+  }
+}
+
+/**
+ * Show the comparison tray on pages without the property list
+ * The feed is only fetched when something is selected
+ */
+async function initCompareTray () {
+  const tray = getCompareTray();
+  if (tray.selected.length === 0) return;
+
+  try {
+    tray.setProperties(await loadNormalizedProperties());
+    tray.init();
+  } catch (e) {
+    // Tray initialization failed silently
+  }
+}
+
+/**
+ * Render saved homes with full cards, notes and comparison
+ * @param {HTMLElement} container - Dashboard container
+ */
+async function initSavedHomes (container) {
+  try {
+    const dashboard = new SavedHomesDashboard(container);
+    await dashboard.init();
+    window.savedHomesDashboard = dashboard;
+  } catch (e) {
+    container.textContent =
+      'Saved homes could not be loaded. Please refresh the page or call 903-555-1234.';
+    container.removeAttribute('aria-busy');
+  }
+}
+
+/**
+ * Plot every listed property on the homepage map
+ * @param {HTMLElement} mapElement - Map container
+ */
+async function initHomeMap (mapElement) {
+  try {
+    const properties = await loadNormalizedProperties();
+    const propertyMap = new PropertyMap(mapElement);
+    propertyMap.setProperties(properties);
+    await propertyMap.init();
+  } catch (e) {
+    // Map initialization failed silently
+  }
+}
+
 /**
  * Initialize responsive hero backgrounds using the lazy loading utility
  */
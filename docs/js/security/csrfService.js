@@ -0,0 +1,298 @@
+/**
+ * CSRF Service - Server-issued CSRF tokens for forms and fetch calls
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Fetches tokens from /api/csrf; tokens are never made up in the browser
+ * - Tracks expiry and refreshes shortly before it
+ * - Rotates the token after every successful mutating request
+ * - Fills hidden csrfToken inputs and keeps them current
+ * - csrfFetch() adds the X-CSRF-Token header to same-origin POST/PUT/PATCH/DELETE
+ * - Fails closed: without a valid token the request is not sent
+ * - Sends through the shared HTTP client, so server rate limits (429) apply
+ *
+ * Expected response from the endpoint:
+ * { "csrfToken": "...", "expiresIn": 1800 } (seconds) or { "csrfToken": "...", "expiresAt": "<ISO date>" }
+ */
+
+import { httpFetch, RateLimitError } from '../utils/httpClient.js';
+
+export const CSRF_ENDPOINT = '/api/csrf';
+export const CSRF_HEADER = 'X-CSRF-Token';
+export const CSRF_FIELD = 'csrfToken';
+
+// Used when the server does not say how long a token lasts
+const DEFAULT_TOKEN_TTL = 30 * 60 * 1000;
+// Refresh this long before the token expires
+const REFRESH_MARGIN = 60 * 1000;
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const isRequest = (input) => typeof Request !== 'undefined' && input instanceof Request;
+
+export const CSRF_MESSAGES = {
+  unavailable: "We couldn't verify this form is secure, so it wasn't sent. Please refresh the page and try again, or call 903-555-1234.",
+  offline: "You're offline, so this form can't be verified right now. It has not been sent."
+};
+
+/**
+ * Raised when no valid token can be obtained
+ * retryable is true when the cause was a network failure
+ */
+export class CSRFError extends Error {
+  /**
+   * @param {string} message - Message for the visitor
+   * @param {Object} options - Options
+   * @param {boolean} options.retryable - The request may succeed later without changes
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor (message, { retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'CSRFError';
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Check whether a request needs a CSRF token
+ * @param {string|URL|Request} input - fetch input
+ * @param {Object} init - fetch init
+ * @returns {boolean} True for same-origin mutating requests
+ */
+export function needsCSRFToken (input, init = {}) {
+  const method = (init.method || (isRequest(input) ? input.method : 'GET')).toUpperCase();
+  if (!MUTATING_METHODS.includes(method)) return false;
+
+  const url = new URL(isRequest(input) ? input.url : String(input), window.location.href);
+  return url.origin === window.location.origin;
+}
+
+export class CSRFService {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - Token endpoint
+   * @param {number} options.refreshMargin - Milliseconds before expiry to refresh
+   * @param {Function} options.fetch - fetch implementation (the shared HTTP client by default)
+   */
+  constructor (options = {}) {
+    this.options = {
+      endpoint: CSRF_ENDPOINT,
+      refreshMargin: REFRESH_MARGIN,
+      fetch: httpFetch,
+      ...options
+    };
+
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+    this.refreshTimer = null;
+    this.forms = new Set();
+  }
+
+  /**
+   * Check the current token is still usable
+   * @returns {boolean} True if a token exists and has not expired
+   */
+  isValid () {
+    return Boolean(this.token) && Date.now() < this.expiresAt;
+  }
+
+  /**
+   * Get a valid token, fetching one if needed
+   * @returns {Promise<string>} Token
+   * @throws {CSRFError} When no token can be obtained
+   */
+  async getToken () {
+    if (this.isValid()) return this.token;
+    return this.refresh();
+  }
+
+  /**
+   * Fetch a new token from the server
+   * Concurrent callers share one request
+   * @returns {Promise<string>} Token
+   * @throws {CSRFError} When no token can be obtained
+   */
+  refresh () {
+    if (!this.pending) {
+      this.pending = this.requestToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Request a token and record its expiry
+   * @returns {Promise<string>} Token
+   */
+  async requestToken () {
+    let response;
+    try {
+      response = await this.options.fetch(this.options.endpoint, {
+        method: 'GET',
+        credentials: 'same-origin',
+        headers: { Accept: 'application/json' }
+      });
+    } catch (error) {
+      // The server asked to wait - the caller shows the wait instead
+      if (error instanceof RateLimitError) throw error;
+      throw new CSRFError(CSRF_MESSAGES.offline, { retryable: true, cause: error });
+    }
+
+    const data = response.ok ? await response.json().catch(() => null) : null;
+    if (!data || typeof data.csrfToken !== 'string' || data.csrfToken === '') {
+      this.clear();
+      throw new CSRFError(CSRF_MESSAGES.unavailable);
+    }
+
+    this.setToken(data.csrfToken, this.getExpiry(data));
+    return this.token;
+  }
+
+  /**
+   * Work out when a token expires from the server response
+   * @param {Object} data - Token response
+   * @returns {number} Expiry timestamp (ms)
+   */
+  getExpiry (data) {
+    if (data.expiresAt) {
+      const expiresAt = new Date(data.expiresAt).getTime();
+      if (!Number.isNaN(expiresAt)) return expiresAt;
+    }
+    if (Number.isFinite(data.expiresIn)) {
+      return Date.now() + data.expiresIn * 1000;
+    }
+    return Date.now() + DEFAULT_TOKEN_TTL;
+  }
+
+  /**
+   * Store a token, update attached forms and schedule the next refresh
+   * @param {string} token - Token
+   * @param {number} expiresAt - Expiry timestamp (ms)
+   */
+  setToken (token, expiresAt) {
+    this.token = token;
+    this.expiresAt = expiresAt;
+    this.forms.forEach((form) => this.fillForm(form));
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Refresh shortly before the token expires
+   */
+  scheduleRefresh () {
+    clearTimeout(this.refreshTimer);
+    const delay = Math.max(0, this.expiresAt - Date.now() - this.options.refreshMargin);
+
+    this.refreshTimer = setTimeout(() => {
+      this.refresh().catch(() => {
+        // Refresh failed - the next request fetches a token or fails closed
+      });
+    }, delay);
+  }
+
+  /**
+   * Forget the current token (e.g. after the server rejected it)
+   */
+  clear () {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.token = null;
+    this.expiresAt = 0;
+    this.forms.forEach((form) => this.fillForm(form));
+  }
+
+  /**
+   * Header for requests that cannot go through csrfFetch (e.g. XHR uploads)
+   * Call getToken() first so a token is ready
+   * @returns {Object} { 'X-CSRF-Token': token } or {} without a valid token
+   */
+  getHeaders () {
+    return this.isValid() ? { [CSRF_HEADER]: this.token } : {};
+  }
+
+  /**
+   * Keep a form's hidden csrfToken input filled with the current token
+   * @param {HTMLFormElement} form - Form with an input named csrfToken
+   * @returns {Promise<string>} Token
+   * @throws {CSRFError} When no token can be obtained
+   */
+  async attachToForm (form) {
+    this.forms.add(form);
+    const token = await this.getToken();
+    this.fillForm(form);
+    return token;
+  }
+
+  /**
+   * Write the current token into a form
+   * @param {HTMLFormElement} form - Form
+   */
+  fillForm (form) {
+    const input = form.querySelector(`input[name="${CSRF_FIELD}"]`);
+    if (input) {
+      input.value = this.isValid() ? this.token : '';
+    }
+  }
+
+  /**
+   * fetch() that adds the CSRF header to same-origin mutating requests
+   * The token rotates after a successful request and is dropped after a 403
+   * @param {string|URL|Request} input - fetch input
+   * @param {Object} init - fetch init
+   * @returns {Promise<Response>} Response
+   * @throws {CSRFError} When the request needs a token and none can be obtained
+   * @throws {RateLimitError} When the server asked to wait
+   */
+  async fetch (input, init = {}) {
+    if (!needsCSRFToken(input, init)) {
+      return this.options.fetch(input, init);
+    }
+
+    const headers = new Headers(init.headers || (isRequest(input) ? input.headers : undefined));
+    headers.set(CSRF_HEADER, await this.getToken());
+
+    const response = await this.options.fetch(input, { ...init, headers });
+
+    if (response.ok) {
+      this.refresh().catch(() => {
+        // Rotation failed - the current token stays until it expires
+      });
+    } else if (response.status === 403) {
+      this.clear();
+    }
+
+    return response;
+  }
+
+  /**
+   * Stop the refresh timer and forget attached forms
+   */
+  destroy () {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.forms.clear();
+  }
+}
+
+// Shared service for the whole site
+export const csrfService = new CSRFService();
+
+/**
+ * fetch() with the CSRF header for same-origin mutating requests
+ * @param {string|URL|Request} input - fetch input
+ * @param {Object} init - fetch init
+ * @returns {Promise<Response>} Response
+ */
+export function csrfFetch (input, init) {
+  return csrfService.fetch(input, init);
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.csrfService = csrfService;
+}
+
+export default csrfService;
@@ -0,0 +1,375 @@
+/**
+ * API Client - One client for calls to the Properties 4 Creations API
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Base URL, so callers pass paths like '/users/login'
+ * - Auth header on request; CSRF header and server rate limits through csrfFetch
+ * - Timeouts with AbortController
+ * - Retries with jitter for idempotent requests only (GET, HEAD, OPTIONS, PUT,
+ *   DELETE, or any request carrying an Idempotency-Key)
+ * - Safe JSON parsing: empty or non-JSON bodies (e.g. an HTML 500 page) read as null
+ * - Typed errors: NetworkError, AuthError, ValidationError (with a field map),
+ *   RateLimitError, and ApiError for any other failed response; all are ApiErrors
+ */
+
+import { csrfFetch } from '../security/csrfService.js';
+import { RateLimitError } from './httpClient.js';
+import { API_MESSAGES, ApiError, NetworkError, AuthError, ValidationError } from './apiErrors.js';
+
+export { API_MESSAGES, ApiError, NetworkError, AuthError, ValidationError, RateLimitError };
+
+export const API_BASE_URL = '/api';
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 5000;
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+// Gateway and availability errors are usually gone a moment later
+const RETRY_STATUSES = [502, 503, 504];
+
+/**
+ * Parse JSON without throwing
+ * @param {string} text - Response text
+ * @returns {*} Parsed value, or null when empty or not JSON
+ */
+export function safeParseJSON (text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    // Not JSON (e.g. an HTML error page)
+    return null;
+  }
+}
+
+/**
+ * Read a response body as JSON without throwing
+ * @param {Response} response - Response
+ * @returns {Promise<*>} Parsed body or null
+ */
+export async function readBody (response) {
+  if (response.status === 204) return null;
+  try {
+    return safeParseJSON(await response.text());
+  } catch (e) {
+    // Body could not be read (connection dropped)
+    return null;
+  }
+}
+
+/**
+ * Collect field messages from a validation response
+ * Accepts { errors: [{ param|path|field, msg|message }] } (express-validator),
+ * { errors: { field: message } } and { fields: { field: message } }
+ * @param {*} data - Parsed response body
+ * @returns {Object} Messages by field name
+ */
+export function getFieldErrors (data) {
+  const source = data && (data.errors || data.fields);
+  const fields = {};
+  if (!source || typeof source !== 'object') return fields;
+
+  const add = (name, message) => {
+    const text = Array.isArray(message) ? message[0] : message;
+    if (name && typeof text === 'string' && !fields[name]) fields[name] = text;
+  };
+
+  if (Array.isArray(source)) {
+    source.forEach((item) => {
+      if (item) add(item.path || item.param || item.field, item.msg || item.message);
+    });
+  } else {
+    Object.entries(source).forEach(([name, message]) => add(name, message));
+  }
+  return fields;
+}
+
+/**
+ * Turn a failed response into a typed error
+ * @param {Response} response - Response that was not ok
+ * @param {Object} options - Options
+ * @param {string} options.message - Message when the server sends none (defaults by error type)
+ * @returns {Promise<ApiError>} AuthError, ValidationError or ApiError
+ */
+export async function createApiError (response, { message } = {}) {
+  const data = await readBody(response);
+  const serverMessage = data && typeof (data.msg || data.message) === 'string'
+    ? data.msg || data.message
+    : null;
+  const options = { status: response.status, data, serverMessage };
+
+  if (response.status === 401) {
+    return new AuthError(serverMessage || message || API_MESSAGES.auth, options);
+  }
+  if (response.status === 403) {
+    return new AuthError(serverMessage || message || API_MESSAGES.forbidden, options);
+  }
+  if (response.status === 400 || response.status === 422) {
+    return new ValidationError(serverMessage || message || API_MESSAGES.validation, {
+      ...options,
+      fields: getFieldErrors(data)
+    });
+  }
+  return new ApiError(serverMessage || message || API_MESSAGES.server, options);
+}
+
+/**
+ * Whether sending a request twice has the same effect as sending it once
+ * @param {string} method - HTTP method
+ * @param {Headers} headers - Request headers
+ * @returns {boolean} True if the request may be retried
+ */
+export function isIdempotent (method, headers) {
+  return IDEMPOTENT_METHODS.includes(method) || headers.has('Idempotency-Key');
+}
+
+export class ApiClient {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.baseUrl - Prefix for request paths
+   * @param {number} options.timeout - Milliseconds before a request is aborted
+   * @param {number} options.retries - Retries for idempotent requests
+   * @param {number} options.retryBaseDelay - First retry delay cap (ms), doubling each time
+   * @param {number} options.retryMaxDelay - Longest retry delay (ms)
+   * @param {Function} options.fetch - fetch implementation (csrfFetch by default)
+   * @param {Function} options.getAuthHeaders - Returns auth headers for requests sent with auth: true
+   */
+  constructor (options = {}) {
+    this.options = {
+      baseUrl: API_BASE_URL,
+      timeout: DEFAULT_TIMEOUT,
+      retries: DEFAULT_RETRIES,
+      retryBaseDelay: RETRY_BASE_DELAY,
+      retryMaxDelay: RETRY_MAX_DELAY,
+      fetch: csrfFetch,
+      getAuthHeaders: () => ({}),
+      ...options
+    };
+
+    this.listeners = new Set();
+  }
+
+  /**
+   * Set where auth headers come from (the auth module registers itself)
+   * @param {Function} getAuthHeaders - Returns headers such as { 'x-auth-token': token }
+   */
+  setAuthProvider (getAuthHeaders) {
+    this.options.getAuthHeaders = getAuthHeaders;
+  }
+
+  /**
+   * Full URL for a path
+   * Absolute URLs and paths that already start with the base URL are used as they are
+   * @param {string} path - Path relative to the base URL
+   * @returns {string} URL
+   */
+  url (path) {
+    const base = this.options.baseUrl.replace(/\/$/, '');
+    if (/^(https?:)?\/\//.test(path) || path === base || path.startsWith(`${base}/`)) {
+      return path;
+    }
+    return `${base}/${path.replace(/^\//, '')}`;
+  }
+
+  /**
+   * Send a request and read the JSON answer
+   * @param {string} path - Path relative to the base URL
+   * @param {Object} options - Options
+   * @param {string} options.method - HTTP method (default GET)
+   * @param {Object|FormData|string} options.body - Body; plain objects are sent as JSON
+   * @param {Object} options.headers - Extra headers
+   * @param {boolean} options.auth - Add the auth headers
+   * @param {number} options.timeout - Override the timeout (ms)
+   * @param {number} options.retries - Override the retry count
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<*>} Parsed body (null when empty or not JSON)
+   * @throws {ApiError} NetworkError, AuthError, ValidationError or ApiError
+   * @throws {RateLimitError} When the server asked to wait
+   * @throws {CSRFError} When no CSRF token could be obtained
+   */
+  async request (path, options = {}) {
+    const {
+      method = 'GET',
+      body,
+      auth = false,
+      timeout = this.options.timeout,
+      retries = this.options.retries,
+      signal
+    } = options;
+
+    const upperMethod = method.toUpperCase();
+    const headers = new Headers({ Accept: 'application/json', ...(auth ? this.options.getAuthHeaders() : {}) });
+    new Headers(options.headers).forEach((value, name) => headers.set(name, value));
+
+    let payload = body;
+    const isPlainBody = body !== undefined && body !== null && typeof body === 'object' &&
+      !(typeof FormData !== 'undefined' && body instanceof FormData) &&
+      !(typeof Blob !== 'undefined' && body instanceof Blob) &&
+      !(typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams);
+    if (isPlainBody) {
+      payload = JSON.stringify(body);
+      if (!headers.has('Content-Type')) headers.set('Content-Type', 'application/json');
+    }
+
+    const url = this.url(path);
+    const init = { method: upperMethod, headers, body: payload, credentials: 'same-origin' };
+    const canRetry = isIdempotent(upperMethod, headers);
+
+    for (let attempt = 0; ; attempt++) {
+      const retry = canRetry && attempt < retries;
+      let response;
+
+      try {
+        response = await this.send(url, init, timeout, signal);
+      } catch (error) {
+        if (error instanceof NetworkError && retry) {
+          await this.wait(attempt);
+          continue;
+        }
+        if (error instanceof NetworkError) this.report(error);
+        throw error;
+      }
+
+      if (response.ok) {
+        return readBody(response);
+      }
+
+      if (RETRY_STATUSES.includes(response.status) && retry) {
+        await this.wait(attempt);
+        continue;
+      }
+
+      const error = await createApiError(response);
+      this.report(error);
+      throw error;
+    }
+  }
+
+  /**
+   * One fetch with a timeout
+   * @param {string} url - URL
+   * @param {Object} init - fetch init
+   * @param {number} timeout - Milliseconds before aborting
+   * @param {AbortSignal} signal - Caller's signal
+   * @returns {Promise<Response>} Response
+   * @throws {NetworkError} On network failure or timeout
+   */
+  async send (url, init, timeout, signal) {
+    if (signal && signal.aborted) throw signal.reason;
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+
+    try {
+      return await this.options.fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new NetworkError(API_MESSAGES.timeout, { timeout: true, cause: error });
+      }
+      // Cancelled by the caller, CSRF and rate limit errors already say what happened
+      if ((signal && signal.aborted) || error.name === 'CSRFError' || error instanceof RateLimitError) {
+        throw error;
+      }
+      throw new NetworkError(API_MESSAGES.network, { cause: error });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  /**
+   * Wait before a retry: a random delay up to the backoff cap ("full jitter"),
+   * so many visitors retrying at once do not all arrive together
+   * @param {number} attempt - Attempts made so far, minus one
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  wait (attempt) {
+    const cap = Math.min(this.options.retryMaxDelay, this.options.retryBaseDelay * 2 ** attempt);
+    return new Promise((resolve) => setTimeout(resolve, Math.random() * cap));
+  }
+
+  /**
+   * GET a path
+   * @param {string} path - Path
+   * @param {Object} options - request() options
+   * @returns {Promise<*>} Parsed body
+   */
+  get (path, options = {}) {
+    return this.request(path, { ...options, method: 'GET' });
+  }
+
+  /**
+   * POST a body
+   * @param {string} path - Path
+   * @param {Object|FormData|string} body - Body
+   * @param {Object} options - request() options
+   * @returns {Promise<*>} Parsed body
+   */
+  post (path, body, options = {}) {
+    return this.request(path, { ...options, method: 'POST', body });
+  }
+
+  /**
+   * PUT a body
+   * @param {string} path - Path
+   * @param {Object|FormData|string} body - Body
+   * @param {Object} options - request() options
+   * @returns {Promise<*>} Parsed body
+   */
+  put (path, body, options = {}) {
+    return this.request(path, { ...options, method: 'PUT', body });
+  }
+
+  /**
+   * DELETE a path
+   * @param {string} path - Path
+   * @param {Object} options - request() options
+   * @returns {Promise<*>} Parsed body
+   */
+  delete (path, options = {}) {
+    return this.request(path, { ...options, method: 'DELETE' });
+  }
+
+  /**
+   * Subscribe to failed requests (after retries)
+   * @param {Function} listener - Called with the ApiError
+   * @returns {Function} Unsubscribe
+   */
+  onError (listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell listeners about a failed request
+   * @param {ApiError} error - Error
+   */
+  report (error) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(error);
+      } catch (e) {
+        // Listener errors must not hide the request error - silently ignore
+      }
+    });
+  }
+}
+
+// Shared client for the whole site
+export const apiClient = new ApiClient();
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.apiClient = apiClient;
+}
+
+export default apiClient;
@@ -0,0 +1,88 @@
+/**
+ * API Errors - Error types for calls to the Properties 4 Creations API
+ * Properties 4 Creations
+ *
+ * Features:
+ * - ApiError for any request that failed, with the status and parsed body
+ * - NetworkError, AuthError and ValidationError for the cases callers handle
+ * - Kept apart from apiClient.js so httpClient.js can build RateLimitError on
+ *   ApiError without an import cycle; import them from apiClient.js
+ */
+
+export const API_MESSAGES = {
+  network: "We couldn't reach the server. Please check your connection and try again.",
+  timeout: 'The server took too long to respond. Please try again.',
+  auth: 'Please log in to continue.',
+  forbidden: "You don't have permission to do that.",
+  validation: 'Please check the highlighted fields.',
+  server: 'Something went wrong on our side. Please try again, or call 903-555-1234.'
+};
+
+/**
+ * A request that reached the server and failed, or never got an answer
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Message for the visitor
+   * @param {Object} options - Options
+   * @param {number} options.status - HTTP status (0 when there was no response)
+   * @param {*} options.data - Parsed response body
+   * @param {string|null} options.serverMessage - Message the server sent, if any
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor (message, { status = 0, data = null, serverMessage = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.serverMessage = serverMessage;
+    this.cause = cause;
+  }
+}
+
+/**
+ * No response: offline, DNS, CORS or timeout
+ */
+export class NetworkError extends ApiError {
+  /**
+   * @param {string} message - Message for the visitor
+   * @param {Object} options - ApiError options, plus timeout (true when the request timed out)
+   */
+  constructor (message = API_MESSAGES.network, { timeout = false, ...options } = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * 401 (not signed in or token expired) or 403 (not allowed)
+ */
+export class AuthError extends ApiError {
+  constructor (message = API_MESSAGES.auth, options = {}) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * 400 or 422 with messages by field name in fields
+ */
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} message - Message for the visitor
+   * @param {Object} options - ApiError options, plus fields ({ email: 'Already registered' })
+   */
+  constructor (message = API_MESSAGES.validation, { fields = {}, ...options } = {}) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.ApiError = ApiError;
+}
+
+export default ApiError;
@@ -0,0 +1,310 @@
+/**
+ * Eligibility - Voucher-aware pre-screening for listed homes
+ * Properties 4 Creations
+ *
+ * Features:
+ * - County payment standards and income limits from /eligibility.json
+ * - Section 8 HCV, HUD-VASH and no-voucher rules
+ * - Bedroom need and voucher size from household size
+ * - One explained result per property ("likely", "unlikely" or "unknown")
+ *
+ * Results are estimates for guidance only; the housing authority makes the decision.
+ */
+
+export const ELIGIBILITY_TABLES_URL = '/eligibility.json';
+
+export const VOUCHER_TYPES = {
+  section8: 'Section 8 Housing Choice Voucher',
+  hudvash: 'HUD-VASH',
+  no_voucher: 'No voucher'
+};
+
+export const ELIGIBILITY_STATUS = {
+  likely: 'likely',
+  unlikely: 'unlikely',
+  unknown: 'unknown'
+};
+
+// Used when the tables file leaves a rule out
+const DEFAULT_RULES = {
+  tenantShareRate: 0.3,
+  initialRentBurdenMax: 0.4,
+  marketIncomeToRent: 3,
+  personsPerBedroom: 2,
+  extraPersonRate: 0.08,
+  incomeLimitByVoucher: { section8: 'veryLow', hudvash: 'low' },
+  voucherTags: ['Section 8', 'HUD-VASH']
+};
+
+const INCOME_LIMIT_LABELS = {
+  veryLow: '50% of area median income',
+  low: '80% of area median income'
+};
+
+let tablesPromise = null;
+
+/**
+ * Load the payment-standard and income-limit tables (cached per page)
+ * @param {Object} options - Options
+ * @param {string} options.url - Tables URL
+ * @param {boolean} options.force - Bypass the in-memory cache
+ * @returns {Promise<Object>} Tables with rules and counties
+ */
+export function loadEligibilityTables (options = {}) {
+  const { url = ELIGIBILITY_TABLES_URL, force = false } = options;
+
+  if (!tablesPromise || force) {
+    tablesPromise = fetch(url, { headers: { Accept: 'application/json' } })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Eligibility tables request failed: HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((tables) => {
+        if (!tables || typeof tables.counties !== 'object') {
+          throw new Error('Eligibility tables are missing the counties map');
+        }
+        return tables;
+      })
+      .catch((error) => {
+        // Allow a later call to retry after a failed load
+        tablesPromise = null;
+        throw error;
+      });
+  }
+
+  return tablesPromise;
+}
+
+/**
+ * Format whole dollars
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "$1,230"
+ */
+function formatMoney (amount) {
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+/**
+ * Check household answers
+ * @param {Object} household - { householdSize, monthlyIncome, voucherType, bedrooms }
+ * @returns {Array<Object>} Errors as { field, message }; empty when valid
+ */
+export function validateHousehold (household) {
+  const errors = [];
+  const { householdSize, monthlyIncome, voucherType, bedrooms } = household || {};
+
+  if (!Number.isInteger(householdSize) || householdSize < 1) {
+    errors.push({ field: 'householdSize', message: 'Household size must be at least 1' });
+  }
+  if (typeof monthlyIncome !== 'number' || !Number.isFinite(monthlyIncome) || monthlyIncome < 0) {
+    errors.push({ field: 'monthlyIncome', message: 'Monthly income must be 0 or more' });
+  }
+  if (!Object.prototype.hasOwnProperty.call(VOUCHER_TYPES, voucherType)) {
+    errors.push({ field: 'voucherType', message: 'Choose a voucher type' });
+  }
+  if (!Number.isInteger(bedrooms) || bedrooms < 0) {
+    errors.push({ field: 'bedrooms', message: 'Bedrooms must be 0 or more' });
+  }
+
+  return errors;
+}
+
+/**
+ * Voucher bedroom size for a household (persons per bedroom, at least one bedroom)
+ * @param {number} householdSize - People in the household
+ * @param {Object} rules - Rules from the tables
+ * @returns {number} Bedrooms
+ */
+export function getVoucherBedroomSize (householdSize, rules = DEFAULT_RULES) {
+  return Math.max(1, Math.ceil(householdSize / (rules.personsPerBedroom || 2)));
+}
+
+/**
+ * Find the county entry for a property's city
+ * @param {Object} tables - Eligibility tables
+ * @param {Object} prop - Normalized property
+ * @returns {Object|null} { name, ...county } or null when not configured
+ */
+export function findCounty (tables, prop) {
+  const city = String(prop.city || '').toLowerCase();
+
+  for (const [name, county] of Object.entries(tables.counties || {})) {
+    if ((county.cities || []).some((entry) => entry.toLowerCase() === city)) {
+      return { name, ...county };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Annual income limit for a household size
+ * Households above the table's largest size add extraPersonRate of the 4-person limit per person
+ * @param {Object} county - County entry
+ * @param {string} level - 'veryLow' or 'low'
+ * @param {number} householdSize - People in the household
+ * @param {Object} rules - Rules from the tables
+ * @returns {number|null} Annual limit or null when not configured
+ */
+export function getIncomeLimit (county, level, householdSize, rules = DEFAULT_RULES) {
+  const limits = county.incomeLimits && county.incomeLimits[level];
+  if (!Array.isArray(limits) || limits.length === 0) return null;
+
+  if (householdSize <= limits.length) {
+    return limits[householdSize - 1];
+  }
+
+  const base = limits[Math.min(3, limits.length - 1)];
+  const extra = householdSize - limits.length;
+  return Math.round(limits[limits.length - 1] + base * rules.extraPersonRate * extra);
+}
+
+/**
+ * Payment standard for a bedroom count (the largest listed size covers bigger units)
+ * @param {Object} county - County entry
+ * @param {number} bedrooms - Bedrooms
+ * @returns {number|null} Monthly payment standard
+ */
+export function getPaymentStandard (county, bedrooms) {
+  const standards = county.paymentStandards;
+  if (!Array.isArray(standards) || standards.length === 0) return null;
+  return standards[Math.min(bedrooms, standards.length - 1)];
+}
+
+/**
+ * Screen one property for a household
+ * @param {Object} household - { householdSize, monthlyIncome, voucherType, bedrooms }
+ * @param {Object} prop - Normalized property
+ * @param {Object} tables - Eligibility tables
+ * @returns {Object} { id, status, summary, checks: [{ id, passed, message }], tenantShare }
+ */
+export function checkEligibility (household, prop, tables) {
+  const rules = { ...DEFAULT_RULES, ...(tables.rules || {}) };
+  const { householdSize, monthlyIncome, voucherType, bedrooms } = household;
+  const rent = prop.price.amount;
+  const checks = [];
+  let tenantShare = null;
+  let unknown = false;
+
+  const add = (id, passed, message) => checks.push({ id, passed, message });
+
+  if (prop.availability === 'leased') {
+    add('availability', false, 'This home has been leased.');
+  } else if (prop.availability === 'coming-soon') {
+    add('availability', true, 'This home is coming soon; you can apply now to be considered.');
+  }
+
+  const rooms = (count) => (count === 0 ? 'a studio' : `${count} bedroom${count === 1 ? '' : 's'}`);
+  add(
+    'bedrooms',
+    prop.bedrooms >= bedrooms,
+    `${prop.bedrooms === 0 ? 'This home is a studio' : `This home has ${rooms(prop.bedrooms)}`}; you need ${rooms(bedrooms)}.`
+  );
+
+  if (voucherType === 'no_voucher') {
+    const needed = rent * rules.marketIncomeToRent;
+    add(
+      'income',
+      monthlyIncome >= needed,
+      monthlyIncome >= needed
+        ? `Your income of ${formatMoney(monthlyIncome)}/mo meets the usual ${rules.marketIncomeToRent}× rent guideline (${formatMoney(needed)}/mo).`
+        : `Landlords usually look for income of ${rules.marketIncomeToRent}× rent (${formatMoney(needed)}/mo); you reported ${formatMoney(monthlyIncome)}/mo.`
+    );
+  } else {
+    const acceptsVouchers = (prop.tags || []).some((tag) => rules.voucherTags.includes(tag));
+    add(
+      'voucher',
+      acceptsVouchers,
+      acceptsVouchers
+        ? 'Listed as accepting housing vouchers.'
+        : 'Not listed as accepting housing vouchers.'
+    );
+
+    const county = findCounty(tables, prop);
+
+    if (!county) {
+      unknown = true;
+      add('county', null, `We don't have payment standards for ${prop.city || 'this area'} yet. Call us to check.`);
+    } else {
+      const level = rules.incomeLimitByVoucher[voucherType] || 'veryLow';
+      const limit = getIncomeLimit(county, level, householdSize, rules);
+      const annual = monthlyIncome * 12;
+
+      if (limit === null) {
+        unknown = true;
+        add('income', null, `Income limits for ${county.name} County are not configured.`);
+      } else {
+        add(
+          'income',
+          annual <= limit,
+          annual <= limit
+            ? `Your annual income (${formatMoney(annual)}) is within the ${county.name} County limit of ${formatMoney(limit)} for ${householdSize} ${householdSize === 1 ? 'person' : 'people'} (${INCOME_LIMIT_LABELS[level] || level}).`
+            : `Your annual income (${formatMoney(annual)}) is above the ${county.name} County limit of ${formatMoney(limit)} for ${householdSize} ${householdSize === 1 ? 'person' : 'people'} (${INCOME_LIMIT_LABELS[level] || level}).`
+        );
+      }
+
+      // The subsidy follows the smaller of the voucher size and the home's size
+      const subsidySize = Math.min(getVoucherBedroomSize(householdSize, rules), prop.bedrooms);
+      const standard = getPaymentStandard(county, subsidySize);
+
+      if (standard === null) {
+        unknown = true;
+        add('rent', null, `Payment standards for ${county.name} County are not configured.`);
+      } else {
+        const baseShare = monthlyIncome * rules.tenantShareRate;
+        const overage = Math.max(0, rent - standard);
+        const maxShare = monthlyIncome * rules.initialRentBurdenMax;
+        tenantShare = Math.round(baseShare + overage);
+
+        if (overage === 0) {
+          add('rent', true, `Rent (${formatMoney(rent)}) is within the ${formatMoney(standard)} payment standard; you would pay about ${formatMoney(tenantShare)}/mo before utilities.`);
+        } else if (tenantShare <= maxShare) {
+          add('rent', true, `Rent is ${formatMoney(overage)} over the ${formatMoney(standard)} payment standard; your share of about ${formatMoney(tenantShare)}/mo stays within ${Math.round(rules.initialRentBurdenMax * 100)}% of income.`);
+        } else {
+          add('rent', false, `Rent is ${formatMoney(overage)} over the ${formatMoney(standard)} payment standard; your share (about ${formatMoney(tenantShare)}/mo) would be more than ${Math.round(rules.initialRentBurdenMax * 100)}% of income (${formatMoney(maxShare)}).`);
+        }
+      }
+    }
+  }
+
+  const failed = checks.find((check) => check.passed === false);
+  let status = ELIGIBILITY_STATUS.likely;
+  if (failed) {
+    status = ELIGIBILITY_STATUS.unlikely;
+  } else if (unknown) {
+    status = ELIGIBILITY_STATUS.unknown;
+  }
+
+  const summaries = {
+    likely: 'You likely qualify',
+    unlikely: failed ? failed.message : '',
+    unknown: 'We need to check this one with you'
+  };
+
+  return { id: prop.id, status, summary: summaries[status], checks, tenantShare };
+}
+
+/**
+ * Screen every property for a household
+ * @param {Object} household - { householdSize, monthlyIncome, voucherType, bedrooms }
+ * @param {Array<Object>} properties - Normalized properties
+ * @param {Object} tables - Eligibility tables
+ * @returns {Array<Object>} Results in property order
+ */
+export function screenProperties (household, properties, tables) {
+  const errors = validateHousehold(household);
+  if (errors.length > 0) {
+    throw new Error(errors.map((error) => error.message).join('. '));
+  }
+
+  return properties.map((prop) => checkEligibility(household, prop, tables));
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.screenProperties = screenProperties;
+}
+
+export default screenProperties;
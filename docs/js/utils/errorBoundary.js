@@ -7,9 +7,12 @@
  * - Promise rejection handling
  * - User-friendly fallback UI
  * - Error logging and monitoring integration
+ * - report() for problems the page recovered from, without the fallback UI
  * - Graceful degradation and recovery
  */
 
+import { csrfFetch } from '../security/csrfService.js';
+
 export class ErrorBoundary {
   constructor (options = {}) {
     this.options = {
@@ -127,6 +130,24 @@ export class ErrorBoundary {
     }
   }
 
+  /**
+   * Log and report a problem the page recovered from
+   * Unlike handleError(), no fallback UI is shown and no recovery is attempted
+   * @param {Error} error - The error object
+   * @param {Object} context - Additional error context
+   */
+  report (error, context = {}) {
+    const enhancedError = this.enhanceError(error, context);
+
+    if (this.options.enableLogging) {
+      this.logError(enhancedError, context);
+    }
+
+    if (this.options.enableMonitoring) {
+      this.reportToMonitoring(enhancedError, context);
+    }
+  }
+
   /**
    * Enhance error object with additional information
    * @param {Error} error - Original error
@@ -250,7 +271,7 @@ User Agent: ${error.userAgent}
    */
   async reportToCustomEndpoint (error, context) {
     try {
-      await fetch('/api/error-report', {
+      await csrfFetch('/api/error-report', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -8,8 +8,13 @@
  * - Error logging and reporting
  * - Error boundary for async operations
  * - Toast notifications for errors
+ * - API failures reported by apiClient (network errors and server errors);
+ *   the global fetch is left untouched
  */
 
+import { csrfFetch } from '../security/csrfService.js';
+import { apiClient, NetworkError } from './apiClient.js';
+
 export class ErrorHandler {
   constructor (options = {}) {
     this.options = {
@@ -60,45 +65,32 @@ export class ErrorHandler {
       });
     });
 
-    // Network error handler (fetch)
-    this.wrapFetch();
+    // Failed API requests
+    apiClient.onError((error) => this.handleApiError(error));
 
     this.isInitialized = true;
   }
 
   /**
-   * Wrap global fetch to catch network errors
+   * Report API requests that failed for reasons the visitor cannot fix
+   * Auth, validation and other 4xx errors are shown by the form that sent them
+   * @param {ApiError} error - Error from apiClient
    */
-  wrapFetch () {
-    const originalFetch = window.fetch;
-    const self = this;
-
-    window.fetch = async function (...args) {
-      try {
-        const response = await originalFetch.apply(this, args);
-
-        if (!response.ok) {
-          self.handleError({
-            type: 'Network Error',
-            message: `HTTP ${response.status}: ${response.statusText}`,
-            url: args[0],
-            status: response.status,
-            timestamp: new Date().toISOString()
-          });
-        }
-
-        return response;
-      } catch (error) {
-        self.handleError({
-          type: 'Fetch Error',
-          message: error.message,
-          url: args[0],
-          stack: error.stack,
-          timestamp: new Date().toISOString()
-        });
-        throw error;
-      }
-    };
+  handleApiError (error) {
+    if (error instanceof NetworkError) {
+      this.handleError({
+        type: 'Network Error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    } else if (error.status >= 500) {
+      this.handleError({
+        type: 'Network Error',
+        message: `HTTP ${error.status}`,
+        status: error.status,
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
   /**
@@ -284,7 +276,7 @@ export class ErrorHandler {
     }
 
     try {
-      await fetch(this.options.serverEndpoint, {
+      await csrfFetch(this.options.serverEndpoint, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -0,0 +1,362 @@
+/**
+ * File Inspector - Client-side checks for uploaded documents
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Extension, size and magic-byte checks against an allow list
+ * - Rejects programs and scripts renamed to look like documents
+ * - Removes location data from JPEG and PNG photos before upload
+ *
+ * These checks help applicants catch mistakes early; the server still
+ * scans every upload.
+ */
+
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+// Accepted document types and the bytes their files start with
+export const FILE_TYPES = {
+  jpeg: {
+    label: 'JPEG',
+    extensions: ['jpg', 'jpeg'],
+    mimeType: 'image/jpeg',
+    signatures: [[0xFF, 0xD8, 0xFF]],
+    image: true
+  },
+  png: {
+    label: 'PNG',
+    extensions: ['png'],
+    mimeType: 'image/png',
+    signatures: [[0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]],
+    image: true
+  },
+  pdf: {
+    label: 'PDF',
+    extensions: ['pdf'],
+    mimeType: 'application/pdf',
+    signatures: [[0x25, 0x50, 0x44, 0x46, 0x2D]]
+  },
+  doc: {
+    label: 'DOC',
+    extensions: ['doc'],
+    mimeType: 'application/msword',
+    signatures: [[0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]]
+  },
+  docx: {
+    label: 'DOCX',
+    extensions: ['docx'],
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    // DOCX files are ZIP archives
+    signatures: [[0x50, 0x4B, 0x03, 0x04]]
+  }
+};
+
+// Programs and scripts that must never be accepted, whatever their name
+const EXECUTABLE_SIGNATURES = [
+  [0x4D, 0x5A], // Windows executable (MZ)
+  [0x7F, 0x45, 0x4C, 0x46], // ELF
+  [0xFE, 0xED, 0xFA, 0xCE], // Mach-O
+  [0xFE, 0xED, 0xFA, 0xCF],
+  [0xCE, 0xFA, 0xED, 0xFE],
+  [0xCF, 0xFA, 0xED, 0xFE],
+  [0xCA, 0xFE, 0xBA, 0xBE], // Mach-O universal / Java class
+  [0x23, 0x21] // Script with a #! line
+];
+
+const HEADER_LENGTH = 16;
+
+// Byte sizes of TIFF field types, indexed by type ID
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+const GPS_IFD_TAG = 0x8825;
+
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/';
+
+/**
+ * Read bytes from a file or blob
+ * @param {Blob} blob - File or blob
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last (defaults to the end)
+ * @returns {Promise<Uint8Array>} Bytes
+ */
+export function readBytes (blob, start = 0, end = blob.size) {
+  const slice = blob.slice(start, end);
+
+  if (typeof slice.arrayBuffer === 'function') {
+    return slice.arrayBuffer().then((buffer) => new Uint8Array(buffer));
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(slice);
+  });
+}
+
+/**
+ * Check whether bytes start with a signature
+ * @param {Uint8Array} bytes - File header
+ * @param {Array<number>} signature - Expected bytes
+ * @returns {boolean} True on a match
+ */
+function startsWith (bytes, signature) {
+  return signature.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Lower-case extension of a file name
+ * @param {string} name - File name
+ * @returns {string} Extension without the dot, or ''
+ */
+export function getExtension (name) {
+  const match = /\.([^.]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Identify a file from its first bytes
+ * @param {Uint8Array} bytes - File header
+ * @returns {string|null} FILE_TYPES key, 'executable', or null when unknown
+ */
+export function detectFileType (bytes) {
+  if (EXECUTABLE_SIGNATURES.some((signature) => startsWith(bytes, signature))) {
+    return 'executable';
+  }
+
+  const match = Object.entries(FILE_TYPES).find(([, type]) =>
+    type.signatures.some((signature) => startsWith(bytes, signature))
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Human-readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "2.4 MB"
+ */
+export function formatFileSize (bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+/**
+ * Check a file against the allowed types and size limit
+ * @param {File} file - File to check
+ * @param {Object} options - Options
+ * @param {Array<string>} options.allowedTypes - FILE_TYPES keys to accept
+ * @param {number} options.maxSize - Largest accepted size in bytes
+ * @returns {Promise<Object>} { valid, type, errors }
+ */
+export async function inspectFile (file, options = {}) {
+  const { allowedTypes = Object.keys(FILE_TYPES), maxSize = MAX_DOCUMENT_SIZE } = options;
+  const name = file.name || 'This file';
+  const labels = allowedTypes.map((key) => FILE_TYPES[key].label).join(', ');
+  const errors = [];
+
+  const extension = getExtension(file.name);
+  const claimed = allowedTypes.find((key) => FILE_TYPES[key].extensions.includes(extension));
+
+  if (!claimed) {
+    errors.push(`${name} is not an accepted file type (${labels}).`);
+  }
+  if (file.size === 0) {
+    errors.push(`${name} is empty.`);
+  } else if (file.size > maxSize) {
+    errors.push(`${name} is ${formatFileSize(file.size)}; the limit is ${formatFileSize(maxSize)}.`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, type: claimed || null, errors };
+  }
+
+  const detected = detectFileType(await readBytes(file, 0, HEADER_LENGTH));
+
+  if (detected === 'executable') {
+    errors.push(`${name} is a program, not a document, and can't be uploaded.`);
+  } else if (detected !== claimed) {
+    errors.push(`${name} doesn't look like a real ${FILE_TYPES[claimed].label} file. Try saving it again or choose another file.`);
+  }
+
+  return { valid: errors.length === 0, type: claimed, errors };
+}
+
+/**
+ * Blank the GPS section of a TIFF (EXIF) block in place
+ * Other EXIF data such as orientation is kept
+ * @param {Uint8Array} bytes - Whole file
+ * @param {number} tiff - Offset of the TIFF header
+ * @param {number} end - Offset after the EXIF block
+ * @returns {boolean} True when GPS data was found
+ */
+function clearExifGps (bytes, tiff, end) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const little = bytes[tiff] === 0x49;
+  const read16 = (offset) => view.getUint16(offset, little);
+  const read32 = (offset) => view.getUint32(offset, little);
+  const inBlock = (offset, length) => offset >= tiff && offset + length <= end;
+
+  const ifd0 = tiff + read32(tiff + 4);
+  if (!inBlock(ifd0, 2)) return false;
+
+  for (let i = 0; i < read16(ifd0); i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (!inBlock(entry, 12) || read16(entry) !== GPS_IFD_TAG) continue;
+
+    const gps = tiff + read32(entry + 8);
+    if (!inBlock(gps, 2)) return false;
+
+    const count = read16(gps);
+    for (let j = 0; j < count; j++) {
+      const field = gps + 2 + j * 12;
+      if (!inBlock(field, 12)) break;
+
+      // Values larger than four bytes live elsewhere in the block
+      const size = (TIFF_TYPE_SIZES[read16(field + 2)] || 0) * read32(field + 4);
+      if (size > 4) {
+        const valueOffset = tiff + read32(field + 8);
+        if (inBlock(valueOffset, size)) {
+          bytes.fill(0, valueOffset, valueOffset + size);
+        }
+      }
+      bytes.fill(0, field, field + 12);
+    }
+
+    view.setUint16(gps, 0, little);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a segment payload starts with an ASCII header
+ * @param {Uint8Array} bytes - Whole file
+ * @param {number} offset - Payload offset
+ * @param {string} header - Expected text
+ * @returns {boolean} True on a match
+ */
+function hasHeader (bytes, offset, header) {
+  return Array.from(header).every((char, i) => bytes[offset + i] === char.charCodeAt(0));
+}
+
+/**
+ * Remove location data from JPEG bytes
+ * Clears the EXIF GPS section and drops XMP packets (which can repeat it)
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {Uint8Array|null} Cleaned bytes, or null when nothing changed
+ */
+function stripJpegLocation (bytes) {
+  const parts = [bytes.subarray(0, 2)];
+  let changed = false;
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+    const marker = bytes[offset + 1];
+
+    // Image data starts here; everything after is copied as-is
+    if (marker === 0xDA || marker === 0xD9) break;
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const next = offset + 2 + length;
+    if (length < 2 || next > bytes.length) break;
+
+    const payload = offset + 4;
+    if (marker === 0xE1 && hasHeader(bytes, payload, 'Exif\0\0')) {
+      changed = clearExifGps(bytes, payload + 6, next) || changed;
+    } else if (marker === 0xE1 && hasHeader(bytes, payload, XMP_HEADER)) {
+      changed = true;
+      offset = next;
+      continue;
+    }
+
+    parts.push(bytes.subarray(offset, next));
+    offset = next;
+  }
+
+  if (!changed) return null;
+
+  parts.push(bytes.subarray(offset));
+  return concatBytes(parts);
+}
+
+/**
+ * Remove location data from PNG bytes (eXIf chunks and XMP text chunks)
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Uint8Array|null} Cleaned bytes, or null when nothing changed
+ */
+function stripPngLocation (bytes) {
+  const parts = [bytes.subarray(0, 8)];
+  let changed = false;
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = new DataView(bytes.buffer, bytes.byteOffset + offset, 4).getUint32(0);
+    const next = offset + 12 + length;
+    if (next > bytes.length) break;
+
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const isXmp = type === 'iTXt' && hasHeader(bytes, offset + 8, 'XML:com.adobe.xmp');
+
+    if (type === 'eXIf' || isXmp) {
+      changed = true;
+    } else {
+      parts.push(bytes.subarray(offset, next));
+    }
+    offset = next;
+  }
+
+  if (!changed) return null;
+
+  parts.push(bytes.subarray(offset));
+  return concatBytes(parts);
+}
+
+/**
+ * Join byte arrays
+ * @param {Array<Uint8Array>} parts - Arrays to join
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes (parts) {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+/**
+ * Remove location data from a photo before upload
+ * Files of other types, or without location data, are returned unchanged
+ * @param {File} file - File to clean
+ * @param {string} type - FILE_TYPES key from inspectFile
+ * @returns {Promise<File>} Cleaned file
+ */
+export async function stripLocationData (file, type) {
+  if (type !== 'jpeg' && type !== 'png') return file;
+
+  const bytes = await readBytes(file);
+  let cleaned = null;
+
+  try {
+    cleaned = type === 'jpeg' ? stripJpegLocation(bytes) : stripPngLocation(bytes);
+  } catch (e) {
+    // Malformed metadata - upload the original and let the server decide
+    return file;
+  }
+
+  if (!cleaned) return file;
+
+  return new File([cleaned], file.name, {
+    type: file.type || FILE_TYPES[type].mimeType,
+    lastModified: file.lastModified
+  });
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.inspectFile = inspectFile;
+}
+
+export default inspectFile;
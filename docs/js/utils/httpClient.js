@@ -0,0 +1,225 @@
+/**
+ * HTTP Client - Shared fetch() for API calls that honors server rate limits
+ * Properties 4 Creations
+ *
+ * Features:
+ * - 429 responses (and 503 with Retry-After) throw a RateLimitError with the wait
+ * - Retry-After as delay-seconds or an HTTP date
+ * - Remembers the wait per endpoint, across reloads and tabs, and rejects
+ *   calls to that endpoint until it ends (or holds them when maxWait allows)
+ * - Passes the wait to RateLimiters bound to an endpoint, so a form's own
+ *   limiter shows the same countdown
+ *
+ * csrfFetch() sends through this client, so CSRF-protected calls get the same handling.
+ */
+
+import { RateLimiter, RATE_LIMIT_MESSAGES, formatWait } from './rateLimiter.js';
+import { formatMessage } from './validationRules.js';
+import { ApiError } from './apiErrors.js';
+
+export const RATE_LIMIT_STATUS = 429;
+export const SERVICE_UNAVAILABLE_STATUS = 503;
+
+// Used when a 429 has no usable Retry-After (seconds)
+const DEFAULT_RETRY_AFTER = 60;
+// Longest wait honored from the server (seconds)
+const MAX_RETRY_AFTER = 60 * 60;
+
+const isRequest = (input) => typeof Request !== 'undefined' && input instanceof Request;
+
+/**
+ * Raised when the server (now or earlier) asked the browser to slow down
+ * An ApiError, so one instanceof check covers every API failure; status is
+ * the response's (429 or 503), or 429 when the call was refused before sending
+ */
+export class RateLimitError extends ApiError {
+  /**
+   * @param {number} retryAfter - Seconds until the endpoint may be called again
+   * @param {Object} options - Options
+   * @param {string} options.endpoint - Endpoint that is limited
+   * @param {Response} options.response - Server response (absent when rejected before sending)
+   */
+  constructor (retryAfter, { endpoint, response } = {}) {
+    super(formatMessage(RATE_LIMIT_MESSAGES.rateLimited, { time: formatWait(retryAfter) }), {
+      status: response ? response.status : RATE_LIMIT_STATUS
+    });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+    this.endpoint = endpoint;
+    this.response = response;
+  }
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value: delay-seconds or an HTTP date
+ * @param {number} now - Current time (ms)
+ * @returns {number|null} Whole seconds to wait, or null if missing or invalid
+ */
+export function parseRetryAfter (value, now = Date.now()) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+/**
+ * Endpoint a request goes to, without the query string
+ * @param {string|URL|Request} input - fetch input
+ * @returns {string} Path for same-origin requests, otherwise origin and path
+ */
+export function getEndpoint (input) {
+  const url = new URL(isRequest(input) ? input.url : String(input), window.location.href);
+  return url.origin === window.location.origin ? url.pathname : `${url.origin}${url.pathname}`;
+}
+
+export class HttpClient {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.fetch - fetch implementation
+   * @param {RateLimiter} options.limiter - Stores server waits per endpoint
+   * @param {number} options.defaultRetryAfter - Seconds to wait when a 429 has no Retry-After
+   * @param {number} options.maxRetryAfter - Longest wait honored, in seconds
+   */
+  constructor (options = {}) {
+    this.options = {
+      fetch: (...args) => fetch(...args),
+      limiter: null,
+      defaultRetryAfter: DEFAULT_RETRY_AFTER,
+      maxRetryAfter: MAX_RETRY_AFTER,
+      ...options
+    };
+
+    // Only block() and peek() are used, so the attempt limit never applies
+    this.limiter = this.options.limiter || new RateLimiter(1, 1000, { name: 'server' });
+    this.bindings = new Map();
+  }
+
+  /**
+   * Send a request unless the server asked to wait
+   * @param {string|URL|Request} input - fetch input
+   * @param {Object} init - fetch init
+   * @param {Object} options - Options
+   * @param {number} options.maxWait - Hold the request (ms) instead of rejecting when the wait is this short
+   * @returns {Promise<Response>} Response
+   * @throws {RateLimitError} While the endpoint is limited, or when the response limits it
+   */
+  async fetch (input, init = {}, { maxWait = 0 } = {}) {
+    const endpoint = getEndpoint(input);
+
+    const wait = await this.getRetryAfter(endpoint);
+    if (wait > 0) {
+      if (wait * 1000 > maxWait) {
+        throw new RateLimitError(wait, { endpoint });
+      }
+      await new Promise((resolve) => setTimeout(resolve, wait * 1000));
+    }
+
+    const response = await this.options.fetch(input, init);
+
+    const retryAfter = this.getResponseRetryAfter(response);
+    if (retryAfter !== null) {
+      await this.recordLimit(endpoint, retryAfter);
+      throw new RateLimitError(retryAfter, { endpoint, response });
+    }
+
+    return response;
+  }
+
+  /**
+   * Read the wait from a rate-limited response
+   * @param {Response} response - Server response
+   * @returns {number|null} Seconds, or null when the response does not limit the endpoint
+   */
+  getResponseRetryAfter (response) {
+    const header = parseRetryAfter(response.headers.get('Retry-After'));
+
+    if (response.status === RATE_LIMIT_STATUS) {
+      return Math.min(this.options.maxRetryAfter, Math.max(1, header ?? this.options.defaultRetryAfter));
+    }
+    if (response.status === SERVICE_UNAVAILABLE_STATUS && header) {
+      return Math.min(this.options.maxRetryAfter, header);
+    }
+    return null;
+  }
+
+  /**
+   * Seconds until an endpoint may be called again
+   * @param {string|URL|Request} input - Endpoint or fetch input
+   * @returns {Promise<number>} Seconds (0 when not limited)
+   */
+  async getRetryAfter (input) {
+    try {
+      const result = await this.limiter.peek(getEndpoint(input));
+      return result.allowed ? 0 : result.retryAfter;
+    } catch (error) {
+      // Storage unavailable - let the server decide
+      return 0;
+    }
+  }
+
+  /**
+   * Remember the server's wait and pass it to bound limiters
+   * @param {string} endpoint - Endpoint
+   * @param {number} seconds - Wait
+   */
+  async recordLimit (endpoint, seconds) {
+    const waitMs = seconds * 1000;
+    const tasks = [this.limiter.block(endpoint, waitMs)];
+    (this.bindings.get(endpoint) || new Set()).forEach(({ limiter, getKey }) => {
+      tasks.push(limiter.block(getKey(), waitMs));
+    });
+
+    // Storage failures only lose the memory of the wait; the error still reaches the caller
+    await Promise.allSettled(tasks);
+  }
+
+  /**
+   * Lock a form's RateLimiter too when the server limits its endpoint
+   * @param {string|URL} endpoint - Endpoint (e.g. the form's action)
+   * @param {RateLimiter} limiter - Limiter to block
+   * @param {Function} getKey - Returns the limiter key to block (defaults to the user identifier)
+   * @returns {Function} Unbind
+   */
+  bindRateLimiter (endpoint, limiter, getKey = () => limiter.getUserIdentifier()) {
+    const path = getEndpoint(endpoint);
+    const binding = { limiter, getKey };
+    if (!this.bindings.has(path)) {
+      this.bindings.set(path, new Set());
+    }
+    this.bindings.get(path).add(binding);
+    return () => {
+      const bound = this.bindings.get(path);
+      if (!bound) return;
+      bound.delete(binding);
+      if (bound.size === 0) this.bindings.delete(path);
+    };
+  }
+}
+
+// Shared client for the whole site
+export const httpClient = new HttpClient();
+
+/**
+ * fetch() that honors server rate limits
+ * @param {string|URL|Request} input - fetch input
+ * @param {Object} init - fetch init
+ * @param {Object} options - HttpClient.fetch options
+ * @returns {Promise<Response>} Response
+ */
+export function httpFetch (input, init, options) {
+  return httpClient.fetch(input, init, options);
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.httpClient = httpClient;
+}
+
+export default httpClient;
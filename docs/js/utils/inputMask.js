@@ -0,0 +1,316 @@
+/**
+ * Input Mask - Format-as-you-type for phone, SSN, ZIP and currency fields
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Formats while typing: (903) 555-1234, 123-45-6789, 75701-1234, $1,100
+ * - Keeps the caret next to the digit it was after
+ * - Backspace over a separator deletes the digit before it
+ * - Sensitive masks (SSN) show only the last four digits when not focused
+ * - Forms submit the raw value (9035551234, 1100.50) through the formdata event
+ *
+ * Markup:
+ * <input type="text" name="ssn" data-mask="ssn" data-validate="ssn">
+ */
+
+// Character shown in place of hidden digits
+export const MASK_CHAR = '•';
+
+const onlyDigits = (value) => value.replace(/\D/g, '');
+
+// Mask definitions: clean() keeps the significant characters, format() adds
+// separators, toRaw() gives the submitted value
+export const MASKS = {
+  phone: {
+    inputMode: 'tel',
+    clean: (value) => {
+      let digits = onlyDigits(value);
+      // Drop the US country code from pasted or autofilled numbers
+      if (digits.length > 10 && digits[0] === '1') digits = digits.slice(1);
+      return digits.slice(0, 10);
+    },
+    format: (digits) => {
+      if (digits.length === 0) return '';
+      if (digits.length <= 3) return `(${digits}`;
+      if (digits.length <= 6) return `(${digits.slice(0, 3)}) ${digits.slice(3)}`;
+      return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+    },
+    toRaw: (digits) => digits
+  },
+
+  ssn: {
+    inputMode: 'numeric',
+    sensitive: true,
+    clean: (value) => onlyDigits(value).slice(0, 9),
+    format: (digits) => {
+      if (digits.length <= 3) return digits;
+      if (digits.length <= 5) return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+      return `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`;
+    },
+    toRaw: (digits) => digits
+  },
+
+  zip: {
+    inputMode: 'numeric',
+    clean: (value) => onlyDigits(value).slice(0, 9),
+    format: (digits) => (digits.length > 5 ? `${digits.slice(0, 5)}-${digits.slice(5)}` : digits),
+    // ZIP+4 keeps its hyphen so it still reads as one code
+    toRaw: (digits) => (digits.length > 5 ? `${digits.slice(0, 5)}-${digits.slice(5)}` : digits)
+  },
+
+  currency: {
+    inputMode: 'decimal',
+    significant: /[\d.]/,
+    clean: (value) => {
+      const [whole, ...rest] = value.replace(/[^\d.]/g, '').split('.');
+      const dollars = whole.replace(/^0+(?=\d)/, '');
+      return rest.length > 0 ? `${dollars}.${rest.join('').slice(0, 2)}` : dollars;
+    },
+    format: (amount) => {
+      if (amount.length === 0) return '';
+      const [dollars, cents] = amount.split('.');
+      const grouped = (dollars || '0').replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+      return cents === undefined ? `$${grouped}` : `$${grouped}.${cents}`;
+    },
+    toRaw: (amount) => (amount.endsWith('.') ? amount.slice(0, -1) : amount)
+  }
+};
+
+const masks = new WeakMap();
+
+export class InputMask {
+  /**
+   * @param {HTMLInputElement|string} input - Input or selector
+   * @param {Object} options - Options
+   * @param {string} options.type - Mask name in MASKS (defaults to data-mask)
+   * @param {boolean} options.sensitive - Hide all but the last four digits when not focused
+   */
+  constructor (input, options = {}) {
+    this.input = typeof input === 'string' ? document.querySelector(input) : input;
+    this.options = {
+      type: this.input ? this.input.dataset.mask : null,
+      sensitive: null,
+      ...options
+    };
+
+    this.mask = MASKS[this.options.type] || null;
+    this.sensitive = this.options.sensitive ?? Boolean(this.mask && this.mask.sensitive);
+    this.raw = '';
+    this.form = null;
+
+    this.handleInput = this.handleInput.bind(this);
+    this.handleFocus = this.handleFocus.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleFormData = this.handleFormData.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+  }
+
+  /**
+   * Start formatting the input
+   * @returns {InputMask} This instance
+   */
+  init () {
+    if (!this.input || !this.mask) {
+      // InputMask: Input or mask type not found - silently ignore
+      return this;
+    }
+
+    if (!this.input.hasAttribute('inputmode')) {
+      this.input.setAttribute('inputmode', this.mask.inputMode);
+    }
+
+    if (this.sensitive) {
+      // Never written to saved drafts
+      this.input.dataset.noAutosave = '';
+      this.input.setAttribute('autocomplete', 'off');
+    }
+
+    this.input.addEventListener('input', this.handleInput);
+    this.input.addEventListener('focus', this.handleFocus);
+    this.input.addEventListener('blur', this.handleBlur);
+
+    this.form = this.input.form;
+    if (this.form) {
+      this.form.addEventListener('formdata', this.handleFormData);
+      this.form.addEventListener('reset', this.handleReset);
+    }
+
+    masks.set(this.input, this);
+    this.refresh();
+    return this;
+  }
+
+  /**
+   * Count the characters that carry data (digits, or the decimal point for currency)
+   * @param {string} text - Text
+   * @returns {number} Count
+   */
+  countSignificant (text) {
+    const significant = this.mask.significant || /\d/;
+    return Array.from(text).filter((char) => significant.test(char)).length;
+  }
+
+  /**
+   * Caret position just after the nth significant character of formatted text
+   * @param {string} formatted - Formatted value
+   * @param {number} count - Significant characters before the caret
+   * @returns {number} Caret position
+   */
+  caretPosition (formatted, count) {
+    const significant = this.mask.significant || /\d/;
+    let seen = 0;
+
+    for (let i = 0; i < formatted.length; i++) {
+      if (count === 0 && significant.test(formatted[i])) return i;
+      if (significant.test(formatted[i])) {
+        seen++;
+        if (seen === count) return i + 1;
+      }
+    }
+
+    return formatted.length;
+  }
+
+  /**
+   * Reformat after each edit and put the caret back in place
+   * @param {InputEvent} e - Input event
+   */
+  handleInput (e) {
+    const { value } = this.input;
+    const caret = this.input.selectionStart ?? value.length;
+    let before = this.countSignificant(value.slice(0, caret));
+    let raw = this.mask.clean(value);
+
+    // Backspace only removed a separator, so remove the digit before it
+    if (e && e.inputType === 'deleteContentBackward' && raw === this.raw && before > 0) {
+      raw = raw.slice(0, before - 1) + raw.slice(before);
+      before -= 1;
+    }
+
+    this.raw = raw;
+    const formatted = this.mask.format(raw);
+    this.input.value = formatted;
+
+    if (document.activeElement === this.input) {
+      const position = this.caretPosition(formatted, Math.min(before, this.countSignificant(formatted)));
+      this.input.setSelectionRange(position, position);
+    }
+  }
+
+  /**
+   * Show the full value while editing
+   */
+  handleFocus () {
+    if (this.sensitive) {
+      this.input.value = this.mask.format(this.raw);
+    }
+  }
+
+  /**
+   * Hide sensitive digits once the applicant moves on
+   */
+  handleBlur () {
+    this.refresh();
+  }
+
+  /**
+   * Submit the raw value instead of the formatted one
+   * @param {FormDataEvent} e - formdata event
+   */
+  handleFormData (e) {
+    if (this.input.name && !this.input.disabled) {
+      e.formData.set(this.input.name, this.getValue());
+    }
+  }
+
+  /**
+   * Pick up the default value after the form resets
+   */
+  handleReset () {
+    setTimeout(() => {
+      this.raw = '';
+      this.refresh();
+    }, 0);
+  }
+
+  /**
+   * Re-read and reformat the current value
+   * Call after setting input.value from code
+   */
+  refresh () {
+    const shown = this.input.value;
+    if (!(this.sensitive && shown.includes(MASK_CHAR))) {
+      this.raw = this.mask.clean(shown);
+    }
+
+    this.input.value = this.sensitive && document.activeElement !== this.input
+      ? this.hide(this.raw)
+      : this.mask.format(this.raw);
+  }
+
+  /**
+   * Format a value with all but its last four digits hidden
+   * @param {string} raw - Cleaned value
+   * @returns {string} e.g. •••-••-6789
+   */
+  hide (raw) {
+    const visible = Math.max(0, raw.length - 4);
+    return this.mask.format(MASK_CHAR.repeat(visible) + raw.slice(visible));
+  }
+
+  /**
+   * The value that is validated and submitted
+   * @returns {string} Raw value (e.g. 9035551234, 1100.50)
+   */
+  getValue () {
+    return this.mask.toRaw(this.raw);
+  }
+
+  /**
+   * Stop formatting and leave the plain formatted value in place
+   */
+  destroy () {
+    if (!this.input) return;
+
+    this.input.removeEventListener('input', this.handleInput);
+    this.input.removeEventListener('focus', this.handleFocus);
+    this.input.removeEventListener('blur', this.handleBlur);
+    if (this.form) {
+      this.form.removeEventListener('formdata', this.handleFormData);
+      this.form.removeEventListener('reset', this.handleReset);
+    }
+
+    if (this.mask) {
+      this.input.value = this.mask.format(this.raw);
+    }
+    masks.delete(this.input);
+  }
+}
+
+/**
+ * Get the mask attached to an input
+ * @param {HTMLInputElement} input - Input
+ * @returns {InputMask|null} Mask instance
+ */
+export function getInputMask (input) {
+  return masks.get(input) || null;
+}
+
+/**
+ * Attach masks to every [data-mask] input
+ * @param {HTMLElement|Document} root - Where to look
+ * @returns {InputMask[]} Mask instances
+ */
+export function initInputMasks (root = document) {
+  return Array.from(root.querySelectorAll('input[data-mask]'), (input) =>
+    getInputMask(input) || new InputMask(input).init()
+  );
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.InputMask = InputMask;
+  window.initInputMasks = initInputMasks;
+}
+
+export default InputMask;
@@ -0,0 +1,140 @@
+/**
+ * Property Feed - Runtime loader for /properties.json
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Single fetch of the canonical property dataset per page
+ * - Feed version check against the supported major version
+ * - Lookup helpers for detail pages and forms
+ * - Normalized records via the property model, with invalid records returned to the caller
+ */
+
+import { normalizeProperties } from './propertyModel.js';
+
+export const PROPERTY_FEED_URL = '/properties.json';
+
+// Major version of properties.schema.json this code understands
+export const SUPPORTED_FEED_MAJOR_VERSION = 1;
+
+let feedPromise = null;
+let normalizedCache = null;
+
+/**
+ * Load the property feed (cached for the lifetime of the page)
+ * @param {Object} options - Options
+ * @param {string} options.url - Feed URL
+ * @param {boolean} options.force - Bypass the in-memory cache
+ * @returns {Promise<Object>} Feed object with version, updated and properties
+ */
+export function loadPropertyFeed (options = {}) {
+  const { url = PROPERTY_FEED_URL, force = false } = options;
+
+  if (!feedPromise || force) {
+    feedPromise = fetchFeed(url).catch((error) => {
+      // Allow a later call to retry after a failed load
+      feedPromise = null;
+      throw error;
+    });
+  }
+
+  return feedPromise;
+}
+
+/**
+ * Fetch and check the feed
+ * @param {string} url - Feed URL
+ * @returns {Promise<Object>} Feed object
+ */
+async function fetchFeed (url) {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Property feed request failed: HTTP ${response.status}`);
+  }
+
+  const feed = await response.json();
+
+  if (!isSupportedVersion(feed && feed.version)) {
+    throw new Error(
+      `Unsupported property feed version: ${feed && feed.version}`
+    );
+  }
+
+  if (!Array.isArray(feed.properties)) {
+    throw new Error('Property feed is missing the properties array');
+  }
+
+  return feed;
+}
+
+/**
+ * Check a feed version string against the supported major version
+ * @param {string} version - Semver string, e.g. "1.2.0"
+ * @returns {boolean} True if this code can read the feed
+ */
+export function isSupportedVersion (version) {
+  if (typeof version !== 'string') return false;
+  const major = parseInt(version.split('.')[0], 10);
+  return major === SUPPORTED_FEED_MAJOR_VERSION;
+}
+
+/**
+ * Load the raw property records
+ * @returns {Promise<Array>} Property records
+ */
+export async function loadProperties () {
+  const feed = await loadPropertyFeed();
+  return feed.properties;
+}
+
+/**
+ * Load validated, normalized properties along with the records left out
+ * Normalized once per feed load; the caller decides how to report errors
+ * @returns {Promise<Object>} { properties, errors } (see normalizeProperties)
+ */
+export async function loadNormalizedFeed () {
+  const feed = await loadPropertyFeed();
+
+  if (!normalizedCache || normalizedCache.feed !== feed) {
+    normalizedCache = { feed, ...normalizeProperties(feed.properties) };
+  }
+
+  return { properties: normalizedCache.properties, errors: normalizedCache.errors };
+}
+
+/**
+ * Load validated, normalized properties
+ * Invalid records are left out; use loadNormalizedFeed() to see them
+ * @returns {Promise<Array>} Normalized properties
+ */
+export async function loadNormalizedProperties () {
+  const { properties } = await loadNormalizedFeed();
+  return properties;
+}
+
+/**
+ * Find a single property record by ID
+ * @param {string} id - Property ID
+ * @returns {Promise<Object|null>} Property record or null
+ */
+export async function getPropertyById (id) {
+  const properties = await loadProperties();
+  return properties.find((prop) => prop.id === id) || null;
+}
+
+/**
+ * Clear the cached feed (for testing)
+ */
+export function resetPropertyFeed () {
+  feedPromise = null;
+  normalizedCache = null;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.loadPropertyFeed = loadPropertyFeed;
+}
+
+export default loadPropertyFeed;
@@ -0,0 +1,314 @@
+/**
+ * Property Model - Validation and normalization for property records
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Validates feed records against the property schema
+ * - Per-record error reports instead of silently dropped listings
+ * - One normalized shape with stable IDs, slugs and detail URLs
+ * - Canonical tag vocabulary shared by filters, cards and saved homes
+ */
+
+// Mirrors $defs.property in /properties.schema.json
+export const PROPERTY_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ },
+  title: { type: 'string', required: true, minLength: 1 },
+  location: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  price: { type: 'object', required: true },
+  availability: {
+    type: 'string',
+    required: true,
+    enum: ['available', 'coming-soon', 'leased']
+  },
+  bedrooms: { type: 'integer', required: true, minimum: 0 },
+  bathrooms: { type: 'number', required: true, minimum: 0, multipleOf: 0.5 },
+  sqft: { type: 'integer', required: true, minimum: 0 },
+  tags: { type: 'array', required: true },
+  images: { type: 'array', required: true, minItems: 1 },
+  featured: { type: 'boolean' },
+  yearBuilt: { type: 'integer', nullable: true, minimum: 1800 },
+  lotSize: { type: 'integer', nullable: true, minimum: 0 },
+  amenities: { type: 'array' },
+  description: { type: 'string' },
+  trust_badges: { type: 'array' },
+  url: { type: 'string', nullable: true, pattern: /^\/[a-z0-9\-/]*$/ },
+  lat: { type: 'number', minimum: -90, maximum: 90 },
+  lng: { type: 'number', minimum: -180, maximum: 180 }
+};
+
+// Tags shown as filter options, in display order
+export const CANONICAL_TAGS = [
+  'Section 8',
+  'HUD-VASH',
+  'Veteran Priority',
+  'Pet Friendly',
+  'ADA Accessible',
+  'Family Friendly',
+  'Historic Home',
+  'Market Rate'
+];
+
+// Lower-cased source tag -> canonical tag(s)
+const TAG_ALIASES = {
+  'section 8': ['Section 8'],
+  'section 8 ready': ['Section 8'],
+  'section 8 approved': ['Section 8'],
+  'section 8 voucher': ['Section 8'],
+  'hud-vash': ['HUD-VASH'],
+  'hud vash': ['HUD-VASH'],
+  'hud-vash approved': ['HUD-VASH'],
+  'both programs': ['Section 8', 'HUD-VASH'],
+  'veteran priority': ['Veteran Priority'],
+  'pet friendly': ['Pet Friendly'],
+  'pet-friendly': ['Pet Friendly'],
+  'ada accessible': ['ADA Accessible'],
+  'ada compliant': ['ADA Accessible'],
+  'family friendly': ['Family Friendly'],
+  'large family': ['Family Friendly'],
+  'market rate': ['Market Rate'],
+  'historic home': ['Historic Home'],
+  'historic property': ['Historic Home']
+};
+
+const DEFAULT_IMAGE = '/images/properties/projects-home-exterior-400w.webp';
+
+/**
+ * Check a single value against a field rule
+ * @param {*} value - Field value
+ * @param {Object} rule - Rule from PROPERTY_SCHEMA
+ * @returns {string|null} Error message or null when valid
+ */
+function checkField (value, rule) {
+  if (value === undefined) {
+    return rule.required ? 'is required' : null;
+  }
+
+  if (value === null) {
+    return rule.nullable ? null : 'must not be null';
+  }
+
+  switch (rule.type) {
+  case 'string':
+    if (typeof value !== 'string') return 'must be a string';
+    break;
+  case 'integer':
+    if (!Number.isInteger(value)) return 'must be an integer';
+    break;
+  case 'number':
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return 'must be a number';
+    }
+    break;
+  case 'boolean':
+    if (typeof value !== 'boolean') return 'must be a boolean';
+    break;
+  case 'array':
+    if (!Array.isArray(value)) return 'must be an array';
+    break;
+  case 'object':
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object';
+    }
+    break;
+  default:
+    break;
+  }
+
+  if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+    return 'must not be empty';
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return 'has an invalid format';
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.join(', ')}`;
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    return `must be at least ${rule.minimum}`;
+  }
+  if (rule.maximum !== undefined && value > rule.maximum) {
+    return `must be at most ${rule.maximum}`;
+  }
+  if (rule.multipleOf !== undefined && (value / rule.multipleOf) % 1 !== 0) {
+    return `must be a multiple of ${rule.multipleOf}`;
+  }
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return `must have at least ${rule.minItems} item(s)`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a raw feed record
+ * @param {Object} record - Record from /properties.json
+ * @returns {Array<Object>} Errors as { field, message }; empty when valid
+ */
+export function validateProperty (record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: null, message: 'Record must be an object' }];
+  }
+
+  const errors = [];
+
+  Object.entries(PROPERTY_SCHEMA).forEach(([field, rule]) => {
+    const message = checkField(record[field], rule);
+    if (message) {
+      errors.push({ field, message: `${field} ${message}` });
+    }
+  });
+
+  if (record.price && typeof record.price === 'object') {
+    const priceError = checkField(record.price.amount, {
+      type: 'number',
+      required: true,
+      minimum: 0
+    });
+    if (priceError) {
+      errors.push({ field: 'price.amount', message: `price.amount ${priceError}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Map source tags onto the canonical vocabulary
+ * Unknown tags are kept (trimmed) so new amenities still show up
+ * @param {Array<string>} tags - Source tags
+ * @returns {Array<string>} Canonical, de-duplicated tags
+ */
+export function normalizeTags (tags) {
+  const result = [];
+
+  (tags || []).forEach((tag) => {
+    if (typeof tag !== 'string' || !tag.trim()) return;
+
+    const aliases = TAG_ALIASES[tag.trim().toLowerCase()] || [tag.trim()];
+    aliases.forEach((canonical) => {
+      if (!result.includes(canonical)) {
+        result.push(canonical);
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Build a URL-safe slug
+ * @param {string} text - Source text
+ * @returns {string} Slug
+ */
+export function slugify (text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Split "City, ST" into its parts
+ * @param {string} location - Location string
+ * @returns {Object} { city, state }
+ */
+export function parseLocation (location) {
+  const [city = '', state = ''] = String(location || '')
+    .split(',')
+    .map((part) => part.trim());
+  return { city, state };
+}
+
+/**
+ * Format a monthly price for display
+ * @param {Object} price - Price object from the feed
+ * @returns {string} Display price
+ */
+function formatPrice (price) {
+  if (price.formatted) return price.formatted;
+  return `$${price.amount.toLocaleString('en-US')}/mo`;
+}
+
+/**
+ * Convert a validated record into the normalized property shape
+ * @param {Object} record - Valid feed record
+ * @returns {Object} Normalized property
+ */
+export function normalizeProperty (record) {
+  const { city, state } = parseLocation(record.location);
+  const images = record.images.filter((image) => typeof image === 'string');
+
+  return {
+    id: record.id,
+    slug: record.url ? slugify(record.url) || record.id : record.id,
+    name: record.title.trim(),
+    type: record.type,
+    location: record.location,
+    city,
+    state,
+    bedrooms: record.bedrooms,
+    bathrooms: record.bathrooms,
+    sqft: record.sqft,
+    yearBuilt: Number.isInteger(record.yearBuilt) ? record.yearBuilt : null,
+    lotSize: Number.isInteger(record.lotSize) ? record.lotSize : null,
+    amenities: (record.amenities || []).filter((item) => typeof item === 'string'),
+    price: {
+      amount: record.price.amount,
+      currency: record.price.currency || 'USD',
+      period: record.price.period || 'month',
+      formatted: formatPrice(record.price)
+    },
+    availability: record.availability,
+    featured: record.featured === true,
+    description: record.description || '',
+    tags: normalizeTags(record.tags),
+    badges: record.trust_badges || [],
+    images,
+    image: images[0] || DEFAULT_IMAGE,
+    url: record.url || null,
+    lat: typeof record.lat === 'number' ? record.lat : null,
+    lng: typeof record.lng === 'number' ? record.lng : null,
+    datePosted: record.datePosted || null,
+    lastUpdated: record.lastUpdated || null
+  };
+}
+
+/**
+ * Validate and normalize a list of feed records
+ * Invalid and duplicate records are left out and reported in `errors`
+ * @param {Array<Object>} records - Records from /properties.json
+ * @returns {Object} { properties, errors } where errors are { index, id, errors }
+ */
+export function normalizeProperties (records) {
+  const properties = [];
+  const errors = [];
+  const seen = new Set();
+
+  (records || []).forEach((record, index) => {
+    const recordErrors = validateProperty(record);
+    const id = record && typeof record.id === 'string' ? record.id : null;
+
+    if (recordErrors.length === 0 && seen.has(id)) {
+      recordErrors.push({ field: 'id', message: `id "${id}" is used more than once` });
+    }
+
+    if (recordErrors.length > 0) {
+      errors.push({ index, id, errors: recordErrors });
+      return;
+    }
+
+    seen.add(id);
+    properties.push(normalizeProperty(record));
+  });
+
+  return { properties, errors };
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.normalizeProperties = normalizeProperties;
+}
+
+export default normalizeProperties;
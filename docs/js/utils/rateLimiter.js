@@ -4,63 +4,540 @@
  *
  * Features:
  * - Configurable attempts and time window
- * - Memory-based attempt tracking
+ * - Two strategies: sliding-window log and token bucket
+ * - Exponential lockout after repeated violations
+ * - block() applies a wait the server asked for (HTTP 429 Retry-After)
+ * - Pluggable storage: memory, localStorage (default) or IndexedDB, so
+ *   limits survive reloads
+ * - Cross-tab coordination: Web Locks serialize updates to the same key and
+ *   a BroadcastChannel tells other tabs when a limit changes
  * - User identification via multiple methods
  * - Graceful error handling and cleanup
+ *
+ * Checks are asynchronous because the IndexedDB backend is.
+ */
+
+import { formatMessage } from './validationRules.js';
+
+export const RATE_LIMIT_STRATEGIES = {
+  slidingWindow: 'sliding-window',
+  tokenBucket: 'token-bucket'
+};
+
+export const RATE_LIMIT_STORAGE_PREFIX = 'p4c_rate_limit:';
+export const RATE_LIMIT_DB_NAME = 'p4c-rate-limits';
+export const RATE_LIMIT_DB_VERSION = 1;
+export const RATE_LIMIT_STORE = 'limits';
+export const RATE_LIMIT_CHANNEL = 'p4c-rate-limit';
+
+export const RATE_LIMIT_MESSAGES = {
+  rateLimited: 'Too many attempts. Please wait {time} before trying again.',
+  rateLimitedLater: 'Too many attempts. Please try again later.',
+  waitSeconds: '{seconds} seconds',
+  waitMinutes: '{minutes}:{seconds} minutes'
+};
+
+const LOCK_PREFIX = 'p4c-rate-limit:';
+
+// Second and later violations lock for lockoutMs, doubling each time up to this cap
+const MAX_LOCKOUT = 60 * 60 * 1000;
+// Violations are forgotten after this long without a new one
+const VIOLATION_RESET = 24 * 60 * 60 * 1000;
+
+/**
+ * Format the time left before the next attempt
+ * @param {number} seconds - Seconds left
+ * @param {Object} messages - waitSeconds and waitMinutes templates
+ * @returns {string} e.g. "45 seconds" or "2:05 minutes"
+ */
+export function formatWait (seconds, messages = RATE_LIMIT_MESSAGES) {
+  if (seconds < 60) {
+    return formatMessage(messages.waitSeconds, { seconds });
+  }
+  return formatMessage(messages.waitMinutes, {
+    minutes: Math.floor(seconds / 60),
+    seconds: String(seconds % 60).padStart(2, '0')
+  });
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify (request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Records kept in this tab only
+ */
+export class MemoryRateLimitStore {
+  constructor () {
+    this.records = new Map();
+  }
+
+  async get (key) {
+    return this.records.get(key) || null;
+  }
+
+  async set (key, record) {
+    this.records.set(key, record);
+  }
+
+  async delete (key) {
+    this.records.delete(key);
+  }
+
+  async entries () {
+    return Array.from(this.records.entries());
+  }
+}
+
+/**
+ * Records in localStorage, shared by every tab of the site
+ */
+export class LocalStorageRateLimitStore {
+  /**
+   * @param {Storage} storage - Storage (defaults to localStorage)
+   */
+  constructor (storage = localStorage) {
+    this.storage = storage;
+  }
+
+  async get (key) {
+    try {
+      return JSON.parse(this.storage.getItem(RATE_LIMIT_STORAGE_PREFIX + key) || 'null');
+    } catch (error) {
+      // Corrupt record - start over
+      return null;
+    }
+  }
+
+  async set (key, record) {
+    try {
+      this.storage.setItem(RATE_LIMIT_STORAGE_PREFIX + key, JSON.stringify(record));
+    } catch (error) {
+      // Storage full or disabled - the attempt is not recorded
+    }
+  }
+
+  async delete (key) {
+    this.storage.removeItem(RATE_LIMIT_STORAGE_PREFIX + key);
+  }
+
+  async entries () {
+    const entries = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const name = this.storage.key(i);
+      if (name && name.startsWith(RATE_LIMIT_STORAGE_PREFIX)) {
+        const key = name.slice(RATE_LIMIT_STORAGE_PREFIX.length);
+        const record = await this.get(key);
+        if (record) entries.push([key, record]);
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Records in IndexedDB, shared by every tab of the site
+ * Falls back to memory when IndexedDB is unavailable (e.g. private mode)
+ */
+export class IndexedDBRateLimitStore {
+  /**
+   * @param {IDBFactory} factory - IndexedDB factory (defaults to the browser's)
+   */
+  constructor (factory = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+    this.factory = factory;
+    this.db = null;
+    this.memory = new MemoryRateLimitStore();
+  }
+
+  /**
+   * Open the database once
+   * @returns {Promise<IDBDatabase|null>} Database, or null when unavailable
+   */
+  async open () {
+    if (this.db || !this.factory) return this.db;
+
+    try {
+      const request = this.factory.open(RATE_LIMIT_DB_NAME, RATE_LIMIT_DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(RATE_LIMIT_STORE)) {
+          request.result.createObjectStore(RATE_LIMIT_STORE);
+        }
+      };
+      this.db = await promisify(request);
+    } catch (error) {
+      this.factory = null;
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Run one request against the limits store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - (store) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async withStore (mode, action) {
+    const db = await this.open();
+    return promisify(action(db.transaction(RATE_LIMIT_STORE, mode).objectStore(RATE_LIMIT_STORE)));
+  }
+
+  async get (key) {
+    if (!(await this.open())) return this.memory.get(key);
+    return (await this.withStore('readonly', (store) => store.get(key))) || null;
+  }
+
+  async set (key, record) {
+    if (!(await this.open())) return this.memory.set(key, record);
+    await this.withStore('readwrite', (store) => store.put(record, key));
+  }
+
+  async delete (key) {
+    if (!(await this.open())) return this.memory.delete(key);
+    await this.withStore('readwrite', (store) => store.delete(key));
+  }
+
+  async entries () {
+    const db = await this.open();
+    if (!db) return this.memory.entries();
+
+    // One cursor so keys and records come from the same snapshot
+    return new Promise((resolve, reject) => {
+      const entries = [];
+      const request = db.transaction(RATE_LIMIT_STORE, 'readonly').objectStore(RATE_LIMIT_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(entries);
+          return;
+        }
+        entries.push([cursor.key, cursor.value]);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Create a storage backend
+ * Falls back to memory when the requested storage is unavailable
+ * @param {string} type - 'memory', 'local' or 'indexeddb'
+ * @returns {Object} Store with async get/set/delete/entries
  */
+export function createRateLimitStore (type = 'local') {
+  if (type === 'indexeddb' && typeof indexedDB !== 'undefined') {
+    return new IndexedDBRateLimitStore();
+  }
+  if (type === 'local' || type === 'indexeddb') {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        return new LocalStorageRateLimitStore(localStorage);
+      }
+    } catch (error) {
+      // localStorage blocked - keep limits in memory
+    }
+  }
+  return new MemoryRateLimitStore();
+}
 
 export class RateLimiter {
-  constructor (maxAttempts = 5, windowMs = 60000) {
+  /**
+   * @param {number} maxAttempts - Attempts allowed per window (bucket size for token-bucket)
+   * @param {number} windowMs - Window length; token-bucket refills maxAttempts tokens over it
+   * @param {Object} options - Options
+   * @param {string} options.name - Namespace, so limiters for different forms do not share attempts
+   * @param {string} options.strategy - One of RATE_LIMIT_STRATEGIES
+   * @param {string|Object} options.store - 'memory', 'local', 'indexeddb' or a store instance
+   * @param {number} options.lockoutMs - Lockout after the second violation, doubling after that
+   * @param {number} options.maxLockoutMs - Longest lockout
+   * @param {number} options.violationResetMs - Forget violations after this long without one
+   */
+  constructor (maxAttempts = 5, windowMs = 60000, options = {}) {
     this.maxAttempts = maxAttempts;
     this.windowMs = windowMs;
-    this.attempts = new Map();
+    this.options = {
+      name: 'default',
+      strategy: RATE_LIMIT_STRATEGIES.slidingWindow,
+      store: 'local',
+      lockoutMs: windowMs,
+      maxLockoutMs: MAX_LOCKOUT,
+      violationResetMs: VIOLATION_RESET,
+      ...options
+    };
+    this.name = this.options.name;
+    this.strategy = this.options.strategy;
+    this.store = typeof this.options.store === 'string'
+      ? createRateLimitStore(this.options.store)
+      : this.options.store;
+
+    this.listeners = new Set();
+    // Serializes updates in this tab when Web Locks are unavailable
+    this.queue = Promise.resolve();
     this.cleanupInterval = null;
+    this.channel = null;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(RATE_LIMIT_CHANNEL);
+      this.channel.onmessage = (e) => {
+        if (e.data && e.data.name === this.name) {
+          this.notify(e.data.key);
+        }
+      };
+    }
 
-    // Start cleanup interval to prevent memory leaks
+    // Start cleanup interval to prevent stale records piling up
     this.startCleanupInterval();
   }
 
   /**
-   * Check if user is allowed to proceed
+   * Record an attempt if the user is allowed to proceed
    * @param {string} key - User identifier
-   * @returns {Object} Result with allowed status and retry information
+   * @returns {Promise<Object>} Result with allowed status and retry information
    */
   isAllowed (key) {
-    const now = Date.now();
-    const userAttempts = this.attempts.get(key) || [];
+    return this.withLock(key, async () => {
+      const now = Date.now();
+      const { record, result } = this.evaluate(await this.load(key), now, true);
+      await this.store.set(this.storageKey(key), record);
+      this.broadcast(key);
+      return result;
+    });
+  }
 
-    // Remove expired attempts (older than windowMs)
-    const validAttempts = userAttempts.filter(
-      (timestamp) => now - timestamp < this.windowMs
-    );
+  /**
+   * Lock a user out for a wait set elsewhere (e.g. the server's Retry-After)
+   * Does not count as a violation; a longer lockout already in place is kept
+   * @param {string} key - User identifier
+   * @param {number} waitMs - Lockout length
+   * @returns {Promise<Object>} Same shape as isAllowed()
+   */
+  block (key, waitMs) {
+    return this.withLock(key, async () => {
+      const now = Date.now();
+      const stored = await this.load(key);
+      const lockedUntil = Math.max(stored ? stored.lockedUntil || 0 : 0, now + waitMs);
+      const { record, result } = this.evaluate({ ...stored, lockedUntil }, now, false);
+      await this.store.set(this.storageKey(key), record);
+      this.broadcast(key);
+      return result;
+    });
+  }
 
-    // Check if user has exceeded limit
-    if (validAttempts.length >= this.maxAttempts) {
-      const oldestAttempt = validAttempts[0];
-      const retryAfter = Math.ceil(
-        (oldestAttempt + this.windowMs - now) / 1000
-      );
-
-      return {
-        allowed: false,
-        retryAfter: Math.max(1, retryAfter), // Ensure positive value
-        attempts: validAttempts.length,
-        maxAttempts: this.maxAttempts
-      };
+  /**
+   * Check the current state without recording an attempt
+   * @param {string} key - User identifier
+   * @returns {Promise<Object>} Same shape as isAllowed()
+   */
+  async peek (key) {
+    return this.evaluate(await this.load(key), Date.now(), false).result;
+  }
+
+  /**
+   * Apply the strategy and lockout rules to a record
+   * @param {Object|null} stored - Stored record
+   * @param {number} now - Current time (ms)
+   * @param {boolean} consume - Record this attempt
+   * @returns {Object} { record, result }
+   */
+  evaluate (stored, now, consume) {
+    const record = {
+      attempts: [],
+      tokens: this.maxAttempts,
+      updatedAt: now,
+      violations: 0,
+      lastViolationAt: 0,
+      lockedUntil: 0,
+      ...stored
+    };
+
+    if (record.violations > 0 && now - record.lastViolationAt >= this.options.violationResetMs) {
+      record.violations = 0;
     }
 
-    // Add current attempt
-    validAttempts.push(now);
-    this.attempts.set(key, validAttempts);
+    const usage = this.strategy === RATE_LIMIT_STRATEGIES.tokenBucket
+      ? this.takeToken(record, now, consume)
+      : this.logAttempt(record, now, consume);
 
-    return {
-      allowed: true,
-      attempts: validAttempts.length,
+    const base = {
+      attempts: this.maxAttempts - usage.remaining,
       maxAttempts: this.maxAttempts,
-      remainingAttempts: this.maxAttempts - validAttempts.length
+      remainingAttempts: usage.remaining,
+      violations: record.violations,
+      strategy: this.strategy
+    };
+
+    // Locked out: wait it out; attempts meanwhile do not extend the lockout
+    if (record.lockedUntil > now) {
+      return { record, result: this.denied(base, record.lockedUntil - now, record) };
+    }
+
+    if (usage.allowed) {
+      return { record, result: { allowed: true, ...base } };
+    }
+
+    let waitMs = usage.waitMs;
+    if (consume) {
+      record.violations += 1;
+      record.lastViolationAt = now;
+      if (record.violations > 1) {
+        const lockoutMs = Math.min(
+          this.options.maxLockoutMs,
+          this.options.lockoutMs * 2 ** (record.violations - 2)
+        );
+        waitMs = Math.max(waitMs, lockoutMs);
+      }
+      record.lockedUntil = now + waitMs;
+    }
+
+    return { record, result: this.denied({ ...base, violations: record.violations }, waitMs, record) };
+  }
+
+  /**
+   * Build a denied result
+   * @param {Object} base - Shared result fields
+   * @param {number} waitMs - Time until the next attempt is allowed
+   * @param {Object} record - Record
+   * @returns {Object} Result
+   */
+  denied (base, waitMs, record) {
+    return {
+      allowed: false,
+      ...base,
+      retryAfter: Math.max(1, Math.ceil(waitMs / 1000)), // Ensure positive value
+      lockedUntil: record.lockedUntil
     };
   }
 
+  /**
+   * Sliding-window log: at most maxAttempts timestamps inside the window
+   * @param {Object} record - Record (updated in place)
+   * @param {number} now - Current time (ms)
+   * @param {boolean} consume - Record this attempt
+   * @returns {Object} { allowed, remaining, waitMs }
+   */
+  logAttempt (record, now, consume) {
+    record.attempts = record.attempts.filter((timestamp) => now - timestamp < this.windowMs);
+
+    if (record.attempts.length >= this.maxAttempts) {
+      return { allowed: false, remaining: 0, waitMs: record.attempts[0] + this.windowMs - now };
+    }
+
+    if (consume && record.lockedUntil <= now) {
+      record.attempts.push(now);
+    }
+    return { allowed: true, remaining: this.maxAttempts - record.attempts.length, waitMs: 0 };
+  }
+
+  /**
+   * Token bucket: maxAttempts tokens, refilled evenly over the window
+   * @param {Object} record - Record (updated in place)
+   * @param {number} now - Current time (ms)
+   * @param {boolean} consume - Take a token for this attempt
+   * @returns {Object} { allowed, remaining, waitMs }
+   */
+  takeToken (record, now, consume) {
+    const rate = this.maxAttempts / this.windowMs;
+    record.tokens = Math.min(this.maxAttempts, record.tokens + (now - record.updatedAt) * rate);
+    record.updatedAt = now;
+
+    if (record.tokens < 1) {
+      return { allowed: false, remaining: 0, waitMs: (1 - record.tokens) / rate };
+    }
+
+    if (consume && record.lockedUntil <= now) {
+      record.tokens -= 1;
+    }
+    return { allowed: true, remaining: Math.floor(record.tokens), waitMs: 0 };
+  }
+
+  /**
+   * Read a user's record
+   * @param {string} key - User identifier
+   * @returns {Promise<Object|null>} Record
+   */
+  async load (key) {
+    try {
+      return await this.store.get(this.storageKey(key));
+    } catch (error) {
+      // Storage failed - treat as a fresh record
+      return null;
+    }
+  }
+
+  /**
+   * Storage key for a user in this limiter's namespace
+   * @param {string} key - User identifier
+   * @returns {string} Namespaced key
+   */
+  storageKey (key) {
+    return `${this.name}:${key}`;
+  }
+
+  /**
+   * Run a read-modify-write without other tabs changing the same record
+   * Uses Web Locks when available, otherwise serializes within this tab
+   * @param {string} key - User identifier
+   * @param {Function} task - Async work
+   * @returns {Promise<*>} Task result
+   */
+  withLock (key, task) {
+    if (typeof navigator !== 'undefined' && navigator.locks && typeof navigator.locks.request === 'function') {
+      return navigator.locks.request(LOCK_PREFIX + this.storageKey(key), task);
+    }
+
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Tell this tab's and other tabs' listeners that a record changed
+   * @param {string} key - User identifier
+   */
+  broadcast (key) {
+    this.notify(key);
+    if (this.channel) {
+      try {
+        this.channel.postMessage({ name: this.name, key });
+      } catch (error) {
+        // Channel closed - other tabs read the new record on their next check
+      }
+    }
+  }
+
+  /**
+   * Subscribe to changes (from this tab or another)
+   * @param {Function} listener - Called with the changed user identifier
+   * @returns {Function} Unsubscribe
+   */
+  onChange (listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners
+   * @param {string} key - User identifier
+   */
+  notify (key) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(key);
+      } catch (error) {
+        // Listener errors must not break the limiter - silently ignore
+      }
+    });
+  }
+
   /**
    * Get user identifier using multiple methods
    * @returns {string} User identifier key
@@ -68,7 +545,6 @@ export class RateLimiter {
   getUserIdentifier () {
     // Try multiple identification methods for better accuracy
     const identifiers = [
-      () => this.getClientIP(),
       () => this.getFingerprint(),
       () => this.getSessionId(),
       () => this.getUserAgent()
@@ -89,16 +565,6 @@ export class RateLimiter {
     return this.getFallbackIdentifier();
   }
 
-  /**
-   * Get client IP address (best effort)
-   * @returns {string|null} IP address or null if unavailable
-   */
-  getClientIP () {
-    // This is a simplified version - in production, you'd get this from server headers
-    // For client-side implementation, we use other methods
-    return localStorage.getItem('client_ip') || null;
-  }
-
   /**
    * Generate browser fingerprint
    * @returns {string} Browser fingerprint
@@ -181,126 +647,120 @@ export class RateLimiter {
   /**
    * Get remaining attempts for user
    * @param {string} key - User identifier
-   * @returns {number} Remaining attempts
+   * @returns {Promise<number>} Remaining attempts
    */
-  getRemainingAttempts (key) {
-    const userAttempts = this.attempts.get(key) || [];
-    const now = Date.now();
-    const validAttempts = userAttempts.filter(
-      (timestamp) => now - timestamp < this.windowMs
-    );
-
-    return Math.max(0, this.maxAttempts - validAttempts.length);
+  async getRemainingAttempts (key) {
+    const result = await this.peek(key);
+    return result.allowed ? result.remainingAttempts : 0;
   }
 
   /**
-   * Get time until reset for user
+   * Get time until the user may try again
    * @param {string} key - User identifier
-   * @returns {number} Seconds until reset (0 if not rate limited)
+   * @returns {Promise<number>} Seconds (0 if not rate limited)
    */
-  getTimeUntilReset (key) {
-    const userAttempts = this.attempts.get(key) || [];
-    if (userAttempts.length === 0) return 0;
-
-    const now = Date.now();
-    const oldestAttempt = Math.min(...userAttempts);
-    const timeUntilReset = Math.ceil(
-      (oldestAttempt + this.windowMs - now) / 1000
-    );
-
-    return Math.max(0, timeUntilReset);
+  async getTimeUntilReset (key) {
+    const result = await this.peek(key);
+    return result.allowed ? 0 : result.retryAfter;
   }
 
   /**
-   * Reset attempts for user (for testing or admin purposes)
+   * Reset attempts and violations for user (for testing or admin purposes)
    * @param {string} key - User identifier
+   * @returns {Promise<void>} Resolves once removed
    */
   resetUserAttempts (key) {
-    this.attempts.delete(key);
+    return this.withLock(key, async () => {
+      await this.store.delete(this.storageKey(key));
+      this.broadcast(key);
+    });
   }
 
   /**
    * Get current attempt count for user
    * @param {string} key - User identifier
-   * @returns {number} Current attempt count
+   * @returns {Promise<number>} Attempts used in the current window (or tokens spent)
    */
-  getAttemptCount (key) {
-    const userAttempts = this.attempts.get(key) || [];
-    const now = Date.now();
-    return userAttempts.filter((timestamp) => now - timestamp < this.windowMs)
-      .length;
+  async getAttemptCount (key) {
+    return (await this.peek(key)).attempts;
   }
 
   /**
-   * Start cleanup interval to prevent memory leaks
+   * Start cleanup interval to prevent stale records piling up
    */
   startCleanupInterval () {
     // Clean up expired entries every 5 minutes
     this.cleanupInterval = setInterval(
       () => {
-        this.cleanup();
+        this.cleanup().catch(() => {
+          // Storage unavailable - try again next time
+        });
       },
       5 * 60 * 1000
     );
   }
 
   /**
-   * Clean up expired attempts to prevent memory leaks
+   * This limiter's records
+   * @returns {Promise<Array>} [key, record] pairs with the namespace removed
    */
-  cleanup () {
-    const now = Date.now();
-    const expiredKeys = [];
+  async getRecords () {
+    const prefix = `${this.name}:`;
+    return (await this.store.entries())
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, record]) => [key.slice(prefix.length), record]);
+  }
 
-    for (const [key, attempts] of this.attempts.entries()) {
-      const validAttempts = attempts.filter(
-        (timestamp) => now - timestamp < this.windowMs
-      );
+  /**
+   * Remove records with no attempts, lockout or remembered violations left
+   * @returns {Promise<void>} Resolves when done
+   */
+  async cleanup () {
+    const now = Date.now();
+    const records = await this.getRecords();
 
-      if (validAttempts.length === 0) {
-        expiredKeys.push(key);
-      } else if (validAttempts.length !== attempts.length) {
-        this.attempts.set(key, validAttempts);
+    for (const [key, stored] of records) {
+      const { record, result } = this.evaluate(stored, now, false);
+      if (result.allowed && result.remainingAttempts === this.maxAttempts && record.violations === 0) {
+        await this.store.delete(this.storageKey(key));
       }
     }
-
-    // Remove keys with no valid attempts
-    expiredKeys.forEach((key) => {
-      this.attempts.delete(key);
-    });
-
-    // Cleaned up expired entries
   }
 
   /**
    * Get statistics about current rate limiting state
-   * @returns {Object} Statistics object
+   * @returns {Promise<Object>} Statistics object
    */
-  getStats () {
+  async getStats () {
     const now = Date.now();
+    const records = await this.getRecords();
     let totalActiveUsers = 0;
     let totalAttempts = 0;
+    let totalLocked = 0;
 
-    for (const attempts of this.attempts.values()) {
-      const validAttempts = attempts.filter(
-        (timestamp) => now - timestamp < this.windowMs
-      );
-      if (validAttempts.length > 0) {
+    records.forEach(([, stored]) => {
+      const { result } = this.evaluate(stored, now, false);
+      if (result.attempts > 0) {
         totalActiveUsers++;
-        totalAttempts += validAttempts.length;
+        totalAttempts += result.attempts;
       }
-    }
+      if (!result.allowed) totalLocked++;
+    });
 
     return {
       totalActiveUsers,
       totalAttempts,
+      totalLocked,
       maxAttempts: this.maxAttempts,
       windowMs: this.windowMs,
-      mapSize: this.attempts.size
+      strategy: this.strategy,
+      recordCount: records.length
     };
   }
 
   /**
    * Destroy rate limiter and clean up resources
+   * Stored records stay, so the limit still applies after a reload
    */
   destroy () {
     if (this.cleanupInterval) {
@@ -308,32 +768,45 @@ export class RateLimiter {
       this.cleanupInterval = null;
     }
 
-    this.attempts.clear();
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    this.listeners.clear();
   }
 }
 
 /**
  * Create rate limiter instance with defaults for Properties 4 Creations
+ * @param {string} name - Namespace (e.g. the form ID)
  * @returns {RateLimiter} Configured rate limiter instance
  */
-export function createFormRateLimiter () {
-  return new RateLimiter(3, 60000); // 3 attempts per minute
+export function createFormRateLimiter (name = 'form') {
+  return new RateLimiter(3, 60000, { name }); // 3 attempts per minute
 }
 
 /**
  * Rate limiter for contact forms (more restrictive)
+ * @param {string} name - Namespace
  * @returns {RateLimiter} Contact form rate limiter
  */
-export function createContactFormRateLimiter () {
-  return new RateLimiter(2, 300000); // 2 attempts per 5 minutes
+export function createContactFormRateLimiter (name = 'contact') {
+  return new RateLimiter(2, 300000, { name }); // 2 attempts per 5 minutes
 }
 
 /**
  * Rate limiter for application forms (moderate)
+ * Token bucket so a few quick retries after a failed upload are not punished
+ * @param {string} name - Namespace
  * @returns {RateLimiter} Application form rate limiter
  */
-export function createApplicationRateLimiter () {
-  return new RateLimiter(5, 600000); // 5 attempts per 10 minutes
+export function createApplicationRateLimiter (name = 'application') {
+  return new RateLimiter(5, 600000, { // 5 attempts per 10 minutes
+    name,
+    strategy: RATE_LIMIT_STRATEGIES.tokenBucket,
+    store: 'indexeddb'
+  });
 }
 
 // Export for global access
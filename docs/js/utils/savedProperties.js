@@ -0,0 +1,460 @@
+/**
+ * Saved Properties - Shortlist storage for guests and signed-in users
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Works without an account (localStorage)
+ * - Merges the guest shortlist into the account on the first page load after login/register
+ * - Optimistic updates with a queue of pending server changes
+ * - Retries failed syncs with exponential backoff and when the browser comes back online
+ * - Follows auth: merges on sign-in, forgets the account list on sign-out
+ *
+ * Merge rules (deterministic):
+ * - The result is the union of the account list and the guest list
+ * - Account items keep the server's order, guest-only items follow, oldest save first
+ * - Queued changes for the same property collapse to the latest one
+ */
+
+import { auth } from '../auth.js';
+import { apiClient, ApiClient, ApiError, AuthError, NetworkError, RateLimitError } from './apiClient.js';
+
+export const SAVED_STORAGE_KEY = 'p4c_saved_properties';
+export const SAVED_PROPERTIES_ENDPOINT = '/api/users/me/saved-properties';
+
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+
+/**
+ * Empty store state
+ * mode is 'guest' until the list has been merged into an account
+ * @returns {Object} State
+ */
+function createEmptyState () {
+  return { mode: 'guest', items: [], pending: [] };
+}
+
+export class SavedPropertiesStore {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.auth - Auth module (token, headers, state)
+   * @param {Storage} options.storage - Storage backend
+   * @param {ApiClient} options.api - API client (the shared one by default)
+   * @param {Function} options.fetch - Fetch implementation for a private API client
+   */
+  constructor (options = {}) {
+    this.auth = options.auth || auth;
+    this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.api = options.api || (options.fetch ? new ApiClient({ fetch: options.fetch }) : apiClient);
+    this.state = this.load();
+    this.listeners = new Set();
+    this.retryAttempts = 0;
+    this.retryTimer = null;
+    this.syncing = null;
+    this.accountSync = null;
+    this.unsubscribeAuth = null;
+    this.handleOnline = () => this.flush();
+    this.handleStorage = this.handleStorage.bind(this);
+    this.handleAuthChange = this.handleAuthChange.bind(this);
+  }
+
+  /**
+   * Reconcile with the current auth state and start listening for changes
+   * @returns {Promise<void>} Resolves once the first sync attempt finishes
+   */
+  async init () {
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+      window.addEventListener('storage', this.handleStorage);
+    }
+    if (!this.unsubscribeAuth && typeof this.auth.onChange === 'function') {
+      this.unsubscribeAuth = this.auth.onChange(this.handleAuthChange);
+    }
+
+    if (this.auth.isAuthenticated) {
+      await this.syncWithAccount();
+    } else if (this.state.mode === 'account') {
+      // Signed out since the last visit - the account keeps the list, the device does not
+      this.state = createEmptyState();
+      this.save();
+      this.notify();
+    }
+  }
+
+  /**
+   * Read state from storage
+   * @returns {Object} State
+   */
+  load () {
+    try {
+      const stored = JSON.parse(this.storage.getItem(SAVED_STORAGE_KEY) || 'null');
+      if (stored && Array.isArray(stored.items) && Array.isArray(stored.pending)) {
+        return {
+          mode: stored.mode === 'account' ? 'account' : 'guest',
+          items: stored.items.filter((item) => item && typeof item.id === 'string'),
+          pending: stored.pending.filter((op) => op && typeof op.id === 'string')
+        };
+      }
+    } catch (e) {
+      // Corrupt or unavailable storage - start empty
+    }
+    return createEmptyState();
+  }
+
+  /**
+   * Write state to storage
+   */
+  save () {
+    try {
+      this.storage.setItem(SAVED_STORAGE_KEY, JSON.stringify(this.state));
+    } catch (e) {
+      // Storage full or disabled - state lasts for this page only
+    }
+  }
+
+  /**
+   * Merge on sign-in and forget the account list on sign-out
+   * A restored session ('restore') is synced by init(), so it is ignored here
+   * @param {Object} state - Auth state
+   * @param {Object} event - Auth event ({ type })
+   */
+  handleAuthChange (state, event) {
+    if (event.type === 'login') {
+      this.syncWithAccount();
+    } else if (event.type === 'logout' && this.state.mode === 'account') {
+      this.clear();
+    }
+  }
+
+  /**
+   * Pick up changes made in another tab
+   * @param {StorageEvent} e - Storage event
+   */
+  handleStorage (e) {
+    if (e.key !== SAVED_STORAGE_KEY) return;
+    this.state = this.load();
+    this.notify();
+  }
+
+  /**
+   * Saved property IDs in display order
+   * @returns {Array<string>} IDs
+   */
+  getAll () {
+    return this.state.items.map((item) => item.id);
+  }
+
+  /**
+   * Check whether a property is saved
+   * @param {string} id - Property ID
+   * @returns {boolean} True when saved
+   */
+  has (id) {
+    return this.state.items.some((item) => item.id === id);
+  }
+
+  /**
+   * Save a property
+   * @param {string} id - Property ID
+   */
+  add (id) {
+    if (this.has(id)) return;
+    this.state.items.push({ id, savedAt: Date.now() });
+    this.queue('add', id);
+  }
+
+  /**
+   * Remove a saved property
+   * @param {string} id - Property ID
+   */
+  remove (id) {
+    if (!this.has(id)) return;
+    this.state.items = this.state.items.filter((item) => item.id !== id);
+    this.queue('remove', id);
+  }
+
+  /**
+   * Save or unsave a property
+   * @param {string} id - Property ID
+   * @returns {boolean} True when saved afterwards
+   */
+  toggle (id) {
+    if (this.has(id)) {
+      this.remove(id);
+      return false;
+    }
+    this.add(id);
+    return true;
+  }
+
+  /**
+   * Record a change for the server, then persist and notify
+   * Guests have nothing to sync, so only account mode queues changes
+   * @param {string} op - 'add' or 'remove'
+   * @param {string} id - Property ID
+   */
+  queue (op, id) {
+    if (this.state.mode === 'account') {
+      // Latest change per property wins
+      this.state.pending = this.state.pending.filter((entry) => entry.id !== id);
+      this.state.pending.push({ op, id });
+    }
+
+    this.save();
+    this.notify();
+
+    if (this.state.mode === 'account') {
+      this.flush();
+    }
+  }
+
+  /**
+   * Merge with the account list and push local changes
+   * Concurrent callers share one sync
+   * @returns {Promise<void>} Resolves when done (temporary errors schedule a retry)
+   */
+  syncWithAccount () {
+    if (!this.accountSync) {
+      this.accountSync = this.mergeWithAccount().finally(() => {
+        this.accountSync = null;
+      });
+    }
+    return this.accountSync;
+  }
+
+  /**
+   * Fetch the account list once and merge it
+   * @returns {Promise<void>} Resolves when done (temporary errors schedule a retry)
+   */
+  async mergeWithAccount () {
+    let serverIds;
+    try {
+      serverIds = await this.request('GET');
+    } catch (error) {
+      // A 401 has already paused sync until the next login
+      if (error.retryable) {
+        this.scheduleRetry(() => this.syncWithAccount());
+      }
+      return;
+    }
+
+    if (!Array.isArray(serverIds)) return;
+
+    if (this.state.mode === 'guest') {
+      this.state = this.mergeGuestList(serverIds);
+    } else {
+      this.state.items = this.applyPending(serverIds);
+    }
+
+    this.save();
+    this.notify();
+    await this.flush();
+  }
+
+  /**
+   * Merge the guest shortlist into the account list
+   * @param {Array<string>} serverIds - Account list from the server
+   * @returns {Object} New state in account mode
+   */
+  mergeGuestList (serverIds) {
+    const serverSet = new Set(serverIds);
+    const now = Date.now();
+
+    const guestOnly = this.state.items
+      .filter((item) => !serverSet.has(item.id))
+      .sort((a, b) => a.savedAt - b.savedAt || a.id.localeCompare(b.id));
+
+    return {
+      mode: 'account',
+      items: [
+        ...serverIds.map((id) => ({ id, savedAt: now })),
+        ...guestOnly
+      ],
+      pending: guestOnly.map((item) => ({ op: 'add', id: item.id }))
+    };
+  }
+
+  /**
+   * Apply queued changes on top of a fresh server list
+   * @param {Array<string>} serverIds - Account list from the server
+   * @returns {Array<Object>} Items
+   */
+  applyPending (serverIds) {
+    const savedAt = new Map(this.state.items.map((item) => [item.id, item.savedAt]));
+    let ids = [...serverIds];
+
+    this.state.pending.forEach(({ op, id }) => {
+      if (op === 'add' && !ids.includes(id)) ids.push(id);
+      if (op === 'remove') ids = ids.filter((existing) => existing !== id);
+    });
+
+    return ids.map((id) => ({ id, savedAt: savedAt.get(id) || Date.now() }));
+  }
+
+  /**
+   * Send queued changes in order
+   * Stops at the first retryable failure and schedules another attempt;
+   * a 401 stops without a retry and keeps the queue for the next login
+   * @returns {Promise<void>} Resolves when the queue is empty or paused
+   */
+  flush () {
+    if (this.syncing) return this.syncing;
+    if (!this.auth.isAuthenticated || this.state.pending.length === 0) {
+      return Promise.resolve();
+    }
+
+    this.syncing = (async () => {
+      while (this.state.pending.length > 0) {
+        const [next] = this.state.pending;
+
+        try {
+          const ids = next.op === 'add'
+            ? await this.request('POST', { propertyId: next.id })
+            : await this.request('DELETE', null, next.id);
+
+          if (Array.isArray(ids) && this.auth.user) {
+            this.auth.user.savedProperties = ids;
+          }
+        } catch (error) {
+          if (error.retryable) {
+            this.scheduleRetry(() => this.flush());
+            return;
+          }
+          if (error instanceof AuthError && error.status === 401) {
+            // Signed out on the server - keep the queue for the next login
+            return;
+          }
+          // Rejected by the server (e.g. unknown property) - drop the change
+        }
+
+        // Only drop the entry we sent; a newer change for the same ID may have replaced it
+        if (this.state.pending[0] === next) {
+          this.state.pending.shift();
+        }
+        this.save();
+      }
+
+      this.retryAttempts = 0;
+    })().finally(() => {
+      this.syncing = null;
+    });
+
+    return this.syncing;
+  }
+
+  /**
+   * Call the saved-properties endpoint
+   * @param {string} method - HTTP method
+   * @param {Object|null} body - JSON body
+   * @param {string} id - Property ID for DELETE
+   * @returns {Promise<Array<string>>} Saved IDs returned by the server
+   */
+  async request (method, body = null, id = null) {
+    const url = id
+      ? `${SAVED_PROPERTIES_ENDPOINT}/${encodeURIComponent(id)}`
+      : SAVED_PROPERTIES_ENDPOINT;
+
+    try {
+      return await this.api.request(url, {
+        method,
+        body,
+        headers: this.auth.getAuthHeaders()
+      });
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        // Not sent (no CSRF token yet) - try again later
+        const notSent = new Error('Saved properties sync could not be sent');
+        notSent.retryable = true;
+        notSent.cause = error;
+        throw notSent;
+      }
+
+      // Network trouble, rate limits and server errors are temporary; 401 waits for the next login
+      error.retryable = error instanceof NetworkError || error instanceof RateLimitError || error.status >= 500;
+      if (error instanceof AuthError && error.status === 401) {
+        error.retryable = false;
+        this.pauseSync();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stop retrying until the next init (e.g. expired token)
+   */
+  pauseSync () {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Retry later with exponential backoff
+   * @param {Function} task - Work to retry
+   */
+  scheduleRetry (task) {
+    clearTimeout(this.retryTimer);
+    const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** this.retryAttempts);
+    this.retryAttempts += 1;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      task();
+    }, delay);
+  }
+
+  /**
+   * Forget the local list (used on logout)
+   */
+  clear () {
+    this.pauseSync();
+    this.state = createEmptyState();
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Subscribe to changes
+   * @param {Function} callback - Called with the saved IDs
+   * @returns {Function} Unsubscribe function
+   */
+  onChange (callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Notify subscribers
+   */
+  notify () {
+    const ids = this.getAll();
+    this.listeners.forEach((callback) => {
+      try {
+        callback(ids);
+      } catch (e) {
+        // Listener errors must not break the store - silently ignore
+      }
+    });
+  }
+
+  /**
+   * Stop listening and cancel retries
+   */
+  destroy () {
+    this.pauseSync();
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+      window.removeEventListener('storage', this.handleStorage);
+    }
+    if (this.unsubscribeAuth) this.unsubscribeAuth();
+    this.unsubscribeAuth = null;
+    this.listeners.clear();
+  }
+}
+
+// Shared store for the whole site
+export const savedProperties = new SavedPropertiesStore();
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.savedProperties = savedProperties;
+}
+
+export default savedProperties;
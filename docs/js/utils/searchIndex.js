@@ -0,0 +1,294 @@
+/**
+ * Search Index - Tokenized, typo-tolerant property search
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Weighted fields (name, location, type, tags, description)
+ * - Multi-token AND matching with exact, prefix and fuzzy tiers
+ * - Bedroom/bathroom phrases ("3 bed", "2br", "1 bath") as searchable terms
+ * - Ranked results plus the matched words for highlighting
+ * - DOM-based highlighting with <mark> (no innerHTML)
+ */
+
+// Field weights used for ranking
+const DEFAULT_FIELDS = [
+  { name: 'name', weight: 4, get: (item) => item.name },
+  { name: 'location', weight: 3, get: (item) => item.location },
+  { name: 'type', weight: 2, get: (item) => item.type },
+  { name: 'tags', weight: 2, get: (item) => (item.tags || []).join(' ') },
+  { name: 'description', weight: 1, get: (item) => item.description }
+];
+
+// Score multipliers for each match tier
+const MATCH_SCORES = {
+  exact: 3,
+  prefix: 2,
+  fuzzy: 1
+};
+
+const BEDROOM_WORDS = ['bed', 'beds', 'bedroom', 'bedrooms', 'br', 'bd'];
+const BATHROOM_WORDS = ['bath', 'baths', 'bathroom', 'bathrooms', 'ba'];
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Source text
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize (text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9.]+/)
+    .map((token) => token.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Tokenize a search query, joining "3 bed" / "3br" / "2 baths" into room terms
+ * @param {string} query - Raw query
+ * @returns {Array<string>} Query tokens, e.g. ['tyler', '3bed']
+ */
+export function tokenizeQuery (query) {
+  const raw = tokenize(query);
+  const tokens = [];
+
+  for (let i = 0; i < raw.length; i++) {
+    const token = raw[i];
+    const next = raw[i + 1];
+    const inline = token.match(/^(\d+(?:\.\d+)?)([a-z]+)$/);
+
+    if (/^\d+(\.\d+)?$/.test(token) && next && roomSuffix(next)) {
+      tokens.push(`${token}${roomSuffix(next)}`);
+      i += 1;
+    } else if (inline && roomSuffix(inline[2])) {
+      tokens.push(`${inline[1]}${roomSuffix(inline[2])}`);
+    } else if (!tokens.includes(token)) {
+      tokens.push(token);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Map a bedroom/bathroom word to its canonical suffix
+ * @param {string} word - Word following a number
+ * @returns {string|null} 'bed', 'bath' or null
+ */
+function roomSuffix (word) {
+  if (BEDROOM_WORDS.includes(word)) return 'bed';
+  if (BATHROOM_WORDS.includes(word)) return 'bath';
+  return null;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Stops early once the distance exceeds `max`
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when further apart
+ */
+export function editDistance (a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query token
+ * @param {string} token - Query token
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos (token) {
+  if (/\d/.test(token) || token.length < 4) return 0;
+  return token.length < 7 ? 1 : 2;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Array<Object>} items - Items to index (normalized properties)
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.fields - Fields as { name, weight, get }
+   * @param {Function} options.getId - Returns an item's unique ID
+   */
+  constructor (items = [], options = {}) {
+    this.fields = options.fields || DEFAULT_FIELDS;
+    this.getId = options.getId || ((item) => item.id);
+    this.documents = [];
+    this.build(items);
+  }
+
+  /**
+   * (Re)build the index
+   * @param {Array<Object>} items - Items to index
+   */
+  build (items) {
+    this.documents = (items || []).map((item) => {
+      // word -> highest field weight it appears in
+      const terms = new Map();
+
+      this.fields.forEach((field) => {
+        tokenize(field.get(item)).forEach((word) => {
+          terms.set(word, Math.max(terms.get(word) || 0, field.weight));
+        });
+      });
+
+      if (typeof item.bedrooms === 'number') {
+        terms.set(`${item.bedrooms}bed`, 2);
+        if (item.bedrooms === 0) terms.set('studio', Math.max(terms.get('studio') || 0, 2));
+      }
+      if (typeof item.bathrooms === 'number') {
+        terms.set(`${item.bathrooms}bath`, 2);
+      }
+
+      return { id: this.getId(item), item, terms };
+    });
+  }
+
+  /**
+   * Find the best match for one query token in a document
+   * @param {string} token - Query token
+   * @param {Map} terms - Document terms
+   * @returns {Object|null} { score, words } or null when nothing matches
+   */
+  matchToken (token, terms) {
+    const maxTypos = allowedTypos(token);
+    let best = null;
+
+    terms.forEach((weight, word) => {
+      let tier = null;
+
+      if (word === token) {
+        tier = 'exact';
+      } else if (token.length >= 2 && word.startsWith(token)) {
+        tier = 'prefix';
+      } else if (maxTypos > 0 && editDistance(token, word, maxTypos) <= maxTypos) {
+        tier = 'fuzzy';
+      }
+
+      if (!tier) return;
+
+      const score = weight * MATCH_SCORES[tier];
+      if (!best || score > best.score) {
+        best = { score, words: [word] };
+      } else if (score === best.score) {
+        best.words.push(word);
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Search the index; every query token must match (AND)
+   * @param {string} query - Raw query
+   * @returns {Array<Object>} Results as { id, item, score, words }, best first
+   */
+  search (query) {
+    const tokens = tokenizeQuery(query);
+    if (tokens.length === 0) {
+      return this.documents.map(({ id, item }) => ({ id, item, score: 0, words: [] }));
+    }
+
+    const results = [];
+
+    this.documents.forEach(({ id, item, terms }) => {
+      let score = 0;
+      const words = new Set();
+
+      for (const token of tokens) {
+        const match = this.matchToken(token, terms);
+        if (!match) return;
+
+        score += match.score;
+        match.words.forEach((word) => words.add(word));
+      }
+
+      results.push({ id, item, score, words: Array.from(words) });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Build a fragment with matched words wrapped in <mark>
+ * Words match at word starts only, case-insensitively
+ * @param {string} text - Plain text to render
+ * @param {Array<string>} words - Matched index words
+ * @returns {DocumentFragment} Fragment of text nodes and <mark> elements
+ */
+export function highlightText (text, words) {
+  const fragment = document.createDocumentFragment();
+  const source = String(text || '');
+  const terms = (words || []).filter((word) => /[a-z]/.test(word));
+
+  if (terms.length === 0) {
+    fragment.appendChild(document.createTextNode(source));
+    return fragment;
+  }
+
+  const escaped = terms
+    .sort((a, b) => b.length - a.length)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`\\b(${escaped.join('|')})`, 'gi');
+
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      fragment.appendChild(document.createTextNode(source.slice(lastIndex, match.index)));
+    }
+
+    const mark = document.createElement('mark');
+    mark.className = 'search-highlight';
+    mark.textContent = match[0];
+    fragment.appendChild(mark);
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < source.length) {
+    fragment.appendChild(document.createTextNode(source.slice(lastIndex)));
+  }
+
+  return fragment;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.SearchIndex = SearchIndex;
+}
+
+export default SearchIndex;
@@ -0,0 +1,422 @@
+/**
+ * Session Manager - Token expiry, silent refresh and idle timeout
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Reads the expiry (exp claim) from the auth token
+ * - Refreshes the token shortly before it expires, retrying network
+ *   failures with backoff instead of signing out
+ * - Signs out only when the server rejects the token (401); a 403 from a
+ *   stale CSRF token gets a new CSRF token and one more try
+ * - Idle timeout with a warning first; activity in any open tab counts
+ * - Sign-in and sign-out in one tab apply to every open tab (storage events)
+ *
+ * Expected API:
+ * POST /api/users/refresh with x-auth-token -> { "token": "..." }
+ */
+
+import { auth, AUTH_TOKEN_KEY, getTokenExpiry } from '../auth.js';
+import { apiClient, ApiClient, AuthError, RateLimitError } from './apiClient.js';
+import { csrfService } from '../security/csrfService.js';
+
+export const SESSION_REFRESH_ENDPOINT = '/api/users/refresh';
+export const SESSION_ACTIVITY_KEY = 'p4c_session_activity';
+
+const IDLE_TIMEOUT = 30 * 60 * 1000;
+const IDLE_WARNING = 2 * 60 * 1000;
+const REFRESH_MARGIN = 2 * 60 * 1000;
+// Activity is shared with other tabs at most this often
+const ACTIVITY_WRITE_INTERVAL = 15 * 1000;
+
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 60000;
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+
+export const SESSION_END_REASONS = {
+  idle: 'idle',
+  expired: 'expired',
+  otherTab: 'other-tab',
+  signedOut: 'signed-out'
+};
+
+export class SessionManager {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.auth - Auth module
+   * @param {Storage} options.storage - Shared storage (defaults to localStorage)
+   * @param {ApiClient} options.api - API client (the shared one by default)
+   * @param {Function} options.fetch - fetch implementation for a private API client
+   * @param {CSRFService} options.csrf - CSRF token source (the shared one by default)
+   * @param {number} options.idleTimeout - Sign out after this long without activity (ms)
+   * @param {number} options.idleWarning - Warn this long before the idle sign-out (ms)
+   * @param {number} options.refreshMargin - Refresh the token this long before it expires (ms)
+   */
+  constructor (options = {}) {
+    this.options = {
+      auth,
+      storage: typeof localStorage !== 'undefined' ? localStorage : null,
+      api: null,
+      fetch: null,
+      csrf: csrfService,
+      idleTimeout: IDLE_TIMEOUT,
+      idleWarning: IDLE_WARNING,
+      refreshMargin: REFRESH_MARGIN,
+      ...options
+    };
+
+    this.auth = this.options.auth;
+    this.api = this.options.api ||
+      (this.options.fetch ? new ApiClient({ fetch: this.options.fetch }) : apiClient);
+    this.active = false;
+    this.warning = false;
+    this.lastActivity = Date.now();
+    this.lastActivityWrite = 0;
+    this.refreshTimer = null;
+    this.idleTimer = null;
+    this.refreshing = null;
+    this.retryAttempts = 0;
+    this.listeners = new Set();
+    this.unsubscribeAuth = null;
+
+    this.recordActivity = this.recordActivity.bind(this);
+    this.handleStorage = this.handleStorage.bind(this);
+    this.handleVisibility = this.handleVisibility.bind(this);
+    this.handleAuthChange = this.handleAuthChange.bind(this);
+  }
+
+  /**
+   * Follow auth and other tabs, and start the session if signed in
+   * @returns {SessionManager} This instance
+   */
+  init () {
+    window.addEventListener('storage', this.handleStorage);
+    if (!this.unsubscribeAuth) {
+      this.unsubscribeAuth = this.auth.onChange(this.handleAuthChange);
+    }
+    if (this.auth.isAuthenticated) {
+      this.start();
+    }
+    return this;
+  }
+
+  /**
+   * Start on sign-in (or a restored session) and stop on sign-out
+   * @param {Object} state - Auth state
+   * @param {Object} event - Auth event ({ type })
+   */
+  handleAuthChange (state, event) {
+    if (event.type === 'login' || event.type === 'restore') {
+      this.start();
+    } else if (event.type === 'logout') {
+      this.stop();
+    }
+  }
+
+  /**
+   * Start tracking the current session
+   */
+  start () {
+    const expiry = getTokenExpiry(this.auth.token);
+    if (expiry !== null && expiry <= Date.now()) {
+      this.end(SESSION_END_REASONS.expired);
+      return;
+    }
+
+    if (!this.active) {
+      this.active = true;
+      ACTIVITY_EVENTS.forEach((type) => {
+        document.addEventListener(type, this.recordActivity, { passive: true });
+      });
+      document.addEventListener('visibilitychange', this.handleVisibility);
+    }
+
+    this.recordActivity({ force: true });
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Stop timers and activity tracking
+   */
+  stop () {
+    this.active = false;
+    this.warning = false;
+    clearTimeout(this.refreshTimer);
+    clearTimeout(this.idleTimer);
+    this.refreshTimer = null;
+    this.idleTimer = null;
+    this.retryAttempts = 0;
+
+    ACTIVITY_EVENTS.forEach((type) => {
+      document.removeEventListener(type, this.recordActivity);
+    });
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+  }
+
+  /**
+   * Sign out and tell listeners why
+   * @param {string} reason - One of SESSION_END_REASONS
+   */
+  end (reason) {
+    this.stop();
+    if (this.auth.isAuthenticated || this.auth.token) {
+      this.auth.logout();
+    }
+    this.emit({ type: 'logout', reason });
+  }
+
+  /**
+   * Refresh the token shortly before it expires
+   * Tokens without an exp claim are left alone
+   */
+  scheduleRefresh () {
+    clearTimeout(this.refreshTimer);
+    const expiry = getTokenExpiry(this.auth.token);
+    if (expiry === null) return;
+
+    const delay = Math.max(0, expiry - Date.now() - this.options.refreshMargin);
+    this.refreshTimer = setTimeout(() => this.refresh(), delay);
+  }
+
+  /**
+   * Swap the token for a fresh one
+   * Network and server errors retry with backoff until the token expires
+   * @returns {Promise<boolean>} True when the token was refreshed
+   */
+  refresh () {
+    if (!this.refreshing) {
+      this.refreshing = this.requestRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Call the refresh endpoint once (twice when the CSRF token was stale)
+   * @param {boolean} retryCSRF - Fetch a new CSRF token and try again after a 403
+   * @returns {Promise<boolean>} True when the token was refreshed
+   */
+  async requestRefresh (retryCSRF = true) {
+    let data = null;
+    let retryDelay;
+    try {
+      data = await this.api.post(SESSION_REFRESH_ENDPOINT, null, {
+        headers: this.auth.getAuthHeaders()
+      });
+    } catch (error) {
+      if (error instanceof AuthError && error.status === 401) {
+        this.end(SESSION_END_REASONS.expired);
+        return false;
+      }
+      if (error instanceof AuthError && error.status === 403 && retryCSRF) {
+        // Usually a stale CSRF token, not a bad session
+        const renewed = await this.options.csrf.refresh().then(() => true, () => false);
+        if (renewed) return this.requestRefresh(false);
+      }
+      // Network or server error, a 403 that persists, or no CSRF token yet - retried below;
+      // a rate limit is retried once the server's wait is over
+      if (error instanceof RateLimitError) retryDelay = error.retryAfter * 1000;
+    }
+
+    if (data && typeof data.token === 'string') {
+      this.retryAttempts = 0;
+      this.auth.setAuth(data.token, this.auth.user);
+      this.scheduleRefresh();
+      return true;
+    }
+
+    this.retryRefresh(retryDelay);
+    return false;
+  }
+
+  /**
+   * Try the refresh again later, or sign out once the token has expired
+   * @param {number} retryDelay - Wait before retrying (backs off exponentially when omitted)
+   */
+  retryRefresh (retryDelay) {
+    const expiry = getTokenExpiry(this.auth.token);
+    if (expiry !== null && expiry <= Date.now()) {
+      this.end(SESSION_END_REASONS.expired);
+      return;
+    }
+
+    clearTimeout(this.refreshTimer);
+    const delay = retryDelay ?? Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** this.retryAttempts);
+    this.retryAttempts += 1;
+    this.refreshTimer = setTimeout(
+      () => this.refresh(),
+      expiry === null ? delay : Math.min(delay, Math.max(0, expiry - Date.now()))
+    );
+  }
+
+  /**
+   * Note user activity and share it with other tabs
+   * @param {Event|Object} e - Activity event, or { force: true } to write immediately
+   */
+  recordActivity (e) {
+    const force = Boolean(e && e.force);
+    // Once the warning shows, only "Stay signed in" (or another tab) keeps the session
+    if (this.warning && !force) return;
+
+    const now = Date.now();
+    this.lastActivity = now;
+
+    if (force || now - this.lastActivityWrite >= ACTIVITY_WRITE_INTERVAL) {
+      this.lastActivityWrite = now;
+      try {
+        this.options.storage.setItem(SESSION_ACTIVITY_KEY, String(now));
+      } catch (error) {
+        // Storage unavailable - activity only counts in this tab
+      }
+    }
+
+    // Otherwise the pending idle check picks up the new time
+    if (force) this.checkIdle();
+  }
+
+  /**
+   * Most recent activity in any tab
+   * @returns {number} Timestamp (ms)
+   */
+  getLastActivity () {
+    let shared = 0;
+    try {
+      shared = parseInt(this.options.storage.getItem(SESSION_ACTIVITY_KEY), 10) || 0;
+    } catch (error) {
+      // Storage unavailable - use this tab's activity
+    }
+    return Math.max(this.lastActivity, shared);
+  }
+
+  /**
+   * Warn or sign out depending on how long the session has been idle,
+   * then check again when the next threshold is due
+   */
+  checkIdle () {
+    if (!this.active) return;
+
+    clearTimeout(this.idleTimer);
+    const signOutAt = this.getLastActivity() + this.options.idleTimeout;
+    const warnAt = signOutAt - this.options.idleWarning;
+    const now = Date.now();
+
+    if (now >= signOutAt) {
+      this.end(SESSION_END_REASONS.idle);
+      return;
+    }
+
+    if (now >= warnAt) {
+      if (!this.warning) {
+        this.warning = true;
+        this.emit({ type: 'warning', signOutAt });
+      }
+    } else if (this.warning) {
+      this.warning = false;
+      this.emit({ type: 'active' });
+    }
+
+    this.idleTimer = setTimeout(() => this.checkIdle(), (now >= warnAt ? signOutAt : warnAt) - now);
+  }
+
+  /**
+   * Keep the session after the idle warning
+   */
+  staySignedIn () {
+    this.recordActivity({ force: true });
+  }
+
+  /**
+   * Re-check the idle time when the tab becomes visible (timers are throttled in background tabs)
+   */
+  handleVisibility () {
+    if (document.visibilityState === 'visible') {
+      this.checkIdle();
+    }
+  }
+
+  /**
+   * Apply sign-in, sign-out and activity from other tabs
+   * @param {StorageEvent} e - Storage event
+   */
+  handleStorage (e) {
+    if (e.key === SESSION_ACTIVITY_KEY) {
+      this.checkIdle();
+      return;
+    }
+
+    // null key means storage was cleared
+    if (e.key !== AUTH_TOKEN_KEY && e.key !== null) return;
+
+    const token = e.key === null ? null : e.newValue;
+    if (!token) {
+      if (this.auth.isAuthenticated) this.end(SESSION_END_REASONS.otherTab);
+      return;
+    }
+
+    if (token !== this.auth.token) {
+      const signedIn = this.auth.isAuthenticated;
+      // Auth's login event starts the session
+      this.auth.setAuth(token, signedIn ? this.auth.user : null);
+      if (signedIn) {
+        // Another tab refreshed the token
+        this.scheduleRefresh();
+        return;
+      }
+
+      this.auth.loadUser();
+      this.emit({ type: 'login' });
+    }
+  }
+
+  /**
+   * Subscribe to session events
+   * @param {Function} listener - ({ type, reason, signOutAt }) => void
+   *   type is 'warning', 'active', 'login' or 'logout'
+   * @returns {Function} Unsubscribe
+   */
+  onChange (listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners
+   * @param {Object} event - Session event
+   */
+  emit (event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  /**
+   * Stop everything and drop listeners
+   */
+  destroy () {
+    this.stop();
+    window.removeEventListener('storage', this.handleStorage);
+    if (this.unsubscribeAuth) this.unsubscribeAuth();
+    this.unsubscribeAuth = null;
+    this.listeners.clear();
+  }
+}
+
+let sessionManagerInstance = null;
+
+/**
+ * Get the shared session manager
+ * @param {Object} options - SessionManager options (first call only)
+ * @returns {SessionManager} Session manager
+ */
+export function getSessionManager (options = {}) {
+  if (!sessionManagerInstance) {
+    sessionManagerInstance = new SessionManager(options);
+  }
+  return sessionManagerInstance;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.SessionManager = SessionManager;
+}
+
+export default SessionManager;
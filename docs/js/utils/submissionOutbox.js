@@ -0,0 +1,462 @@
+/**
+ * Submission Outbox - Offline queue for form submissions
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Stores submissions that hit a network error in IndexedDB
+ * - Retries with Background Sync through the service worker when available,
+ *   otherwise on the window "online" event
+ * - One record per submission ID; the ID is also sent as an Idempotency-Key
+ *   header so the server can drop repeats
+ * - CSRF and auth headers added at send time, so queued submissions never carry
+ *   a stale token and sign-in tokens are never written to IndexedDB
+ * - Submissions that need sign-in (or get a 401/403) wait for the page to send
+ *   them with the current token, after the next login if needed
+ * - Server rate limits (429) are not queued; the form shows the wait instead
+ * - Change listeners for a persistent "waiting to send" status
+ *
+ * The database, store and sync tag are shared with sw.js, which sends the
+ * queue when the browser fires the sync event.
+ */
+
+export const OUTBOX_DB_NAME = 'p4c-outbox';
+export const OUTBOX_DB_VERSION = 1;
+export const OUTBOX_STORE = 'submissions';
+export const OUTBOX_SYNC_TAG = 'p4c-outbox';
+
+import { auth } from '../auth.js';
+import { csrfFetch } from '../security/csrfService.js';
+import { RateLimitError } from './httpClient.js';
+
+/**
+ * Create an ID for a new submission
+ * @returns {string} Submission ID
+ */
+export function createSubmissionId () {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `sub-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Turn a request body into something IndexedDB can store
+ * @param {FormData|Object|string} body - Request body
+ * @returns {Object} { bodyType, body }
+ */
+export function serializeBody (body) {
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return { bodyType: 'form', body: Array.from(body.entries()) };
+  }
+  if (typeof body === 'string') {
+    return { bodyType: 'text', body };
+  }
+  return { bodyType: 'json', body: body ?? null };
+}
+
+/**
+ * Build fetch options for a stored submission
+ * @param {Object} submission - Stored submission
+ * @param {Object} authHeaders - Current auth headers (never stored)
+ * @returns {Object} fetch init
+ */
+export function buildRequestInit (submission, authHeaders = {}) {
+  const headers = { ...submission.headers, ...authHeaders, 'Idempotency-Key': submission.id };
+  let body = submission.body;
+
+  if (submission.bodyType === 'form') {
+    body = new FormData();
+    submission.body.forEach(([name, value]) => body.append(name, value));
+  } else if (submission.bodyType === 'json') {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(submission.body);
+  }
+
+  return { method: submission.method, headers, body };
+}
+
+// 4xx statuses that can succeed later: signed out or stale CSRF token, timeout, rate limit
+const RETRY_CLIENT_STATUSES = [401, 403, 408, 429];
+
+/**
+ * Decide what to do with a submission after a response
+ * Other 4xx responses will not succeed on retry
+ * @param {Response} response - Server response
+ * @returns {string} 'sent', 'rejected' or 'retry'
+ */
+export function classifyResponse (response) {
+  if (response.ok) return 'sent';
+  if (response.status >= 400 && response.status < 500 && !RETRY_CLIENT_STATUSES.includes(response.status)) {
+    return 'rejected';
+  }
+  return 'retry';
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify (request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class SubmissionOutbox {
+  /**
+   * @param {Object} options - Options
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory (defaults to the browser's)
+   * @param {Function} options.fetch - fetch implementation (adds the CSRF header by default)
+   * @param {Object} options.auth - Auth module (current token and login events)
+   */
+  constructor (options = {}) {
+    this.options = {
+      indexedDB: typeof indexedDB !== 'undefined' ? indexedDB : null,
+      fetch: csrfFetch,
+      auth,
+      ...options
+    };
+
+    this.db = null;
+    this.memory = new Map();
+    this.listeners = new Set();
+    this.flushing = null;
+    this.syncRegistered = false;
+    this.unsubscribeAuth = null;
+
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+    this.handleAuthChange = this.handleAuthChange.bind(this);
+  }
+
+  /**
+   * Listen for connectivity, sign-in and service worker updates, and retry anything left over
+   * @returns {SubmissionOutbox} This instance
+   */
+  init () {
+    window.addEventListener('online', this.handleOnline);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', this.handleWorkerMessage);
+    }
+    if (!this.unsubscribeAuth) {
+      this.unsubscribeAuth = this.options.auth.onChange(this.handleAuthChange);
+    }
+
+    this.getPending()
+      .then((pending) => {
+        this.notify();
+        if (pending.length === 0) return;
+        return this.requestSync().then((registered) => {
+          // The service worker has no token, so signed-in submissions are sent from here
+          if ((!registered || pending.some(needsAuth)) && navigator.onLine) this.flush();
+        });
+      })
+      .catch(() => {
+        // Outbox unavailable - submissions are sent directly
+      });
+
+    return this;
+  }
+
+  /**
+   * Open the outbox database once
+   * Falls back to an in-memory queue when IndexedDB is unavailable (e.g. private mode)
+   * @returns {Promise<IDBDatabase|null>} Database
+   */
+  async open () {
+    if (this.db || !this.options.indexedDB) return this.db;
+
+    try {
+      const request = this.options.indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(OUTBOX_STORE)) {
+          request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        }
+      };
+      this.db = await promisify(request);
+    } catch (error) {
+      this.options.indexedDB = null;
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Run one request against the submissions store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} action - (store) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async withStore (mode, action) {
+    const db = await this.open();
+    return promisify(action(db.transaction(OUTBOX_STORE, mode).objectStore(OUTBOX_STORE)));
+  }
+
+  /**
+   * Store a submission; a second save with the same ID replaces the first
+   * @param {Object} submission - Submission record
+   */
+  async save (submission) {
+    if (await this.open()) {
+      await this.withStore('readwrite', (store) => store.put(submission));
+    } else {
+      this.memory.set(submission.id, submission);
+    }
+  }
+
+  /**
+   * Remove a submission
+   * @param {string} id - Submission ID
+   */
+  async remove (id) {
+    if (await this.open()) {
+      await this.withStore('readwrite', (store) => store.delete(id));
+    } else {
+      this.memory.delete(id);
+    }
+  }
+
+  /**
+   * Get the submissions waiting to be sent, oldest first
+   * @returns {Promise<Array<Object>>} Submissions
+   */
+  async getPending () {
+    const all = (await this.open())
+      ? await this.withStore('readonly', (store) => store.getAll())
+      : Array.from(this.memory.values());
+    return all.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Send a submission now, queueing it if the network is unavailable
+   * @param {Object} request - Submission
+   * @param {string} request.url - Endpoint
+   * @param {string} request.method - HTTP method (default POST)
+   * @param {Object} request.headers - Headers to store with it (never credentials)
+   * @param {boolean} request.auth - Send with the auth headers current at send time
+   * @param {FormData|Object|string} request.body - Body; objects are sent as JSON
+   * @param {string} request.label - Short description for the status ("Contact message")
+   * @param {string} request.id - Submission ID (generated when omitted)
+   * @returns {Promise<Object>} { queued: false, response } or { queued: true, id }
+   */
+  async submit ({ url, method = 'POST', headers = {}, auth: withAuth = false, body, label = 'Form', id = createSubmissionId() }) {
+    const submission = {
+      id,
+      url,
+      method,
+      headers,
+      auth: withAuth,
+      label,
+      createdAt: Date.now(),
+      ...serializeBody(body)
+    };
+
+    try {
+      const response = await this.send(submission);
+      return { queued: false, id, response };
+    } catch (error) {
+      // Errors marked as not retryable (e.g. no CSRF token while online) are not queued
+      if (error.retryable === false) throw error;
+      // The server asked to wait - let the form show how long
+      if (error instanceof RateLimitError) throw error;
+
+      // Network error: keep it and try again later
+      await this.enqueue(submission);
+      return { queued: true, id };
+    }
+  }
+
+  /**
+   * Send a stored submission with the current auth headers
+   * @param {Object} submission - Submission record
+   * @returns {Promise<Response>} Response
+   */
+  send (submission) {
+    const authHeaders = needsAuth(submission) ? this.options.auth.getAuthHeaders() : {};
+    return this.options.fetch(submission.url, buildRequestInit(submission, authHeaders));
+  }
+
+  /**
+   * Queue a submission and schedule a retry
+   * @param {Object} submission - Submission record
+   */
+  async enqueue (submission) {
+    await this.save(submission);
+    await this.requestSync();
+    this.notify();
+  }
+
+  /**
+   * Ask the service worker to send the queue when the connection returns
+   * @returns {Promise<boolean>} True when Background Sync was registered
+   */
+  async requestSync () {
+    try {
+      if ('serviceWorker' in navigator && typeof SyncManager !== 'undefined') {
+        const registration = await navigator.serviceWorker.ready;
+        await registration.sync.register(OUTBOX_SYNC_TAG);
+        this.syncRegistered = true;
+        return true;
+      }
+    } catch (error) {
+      // Background Sync refused - the online event takes over
+    }
+    return false;
+  }
+
+  /**
+   * Send every queued submission from the page
+   * @returns {Promise<Object>} { sent, rejected, pending } submission lists
+   */
+  flush () {
+    if (!this.flushing) {
+      this.flushing = this.sendPending().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Try each queued submission once
+   * @returns {Promise<Object>} { sent, rejected, pending } submission lists
+   */
+  async sendPending () {
+    const result = { sent: [], rejected: [], pending: [] };
+
+    for (const submission of await this.getPending()) {
+      if (needsAuth(submission) && !this.options.auth.isAuthenticated) {
+        // Signed out - wait for the next login
+        result.pending.push(submission);
+        continue;
+      }
+
+      let outcome = 'retry';
+      try {
+        outcome = classifyResponse(await this.send(submission));
+      } catch (error) {
+        // Still offline, or the server asked to wait - try again later
+      }
+
+      if (outcome === 'retry') {
+        result.pending.push(submission);
+      } else {
+        await this.remove(submission.id);
+        result[outcome].push(submission);
+      }
+    }
+
+    this.notify(summarize(result));
+    return result;
+  }
+
+  /**
+   * Retry from the page when Background Sync is not available,
+   * or when signed-in submissions are waiting
+   */
+  async handleOnline () {
+    const pending = this.syncRegistered ? await this.getPending().catch(() => []) : [];
+    if (!this.syncRegistered || pending.some(needsAuth)) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send submissions that were waiting for sign-in
+   * @param {Object} state - Auth state
+   * @param {Object} event - Auth event ({ type })
+   */
+  handleAuthChange (state, event) {
+    if (event.type === 'login') {
+      this.flush();
+    }
+  }
+
+  /**
+   * Refresh listeners after the service worker sent the queue
+   * @param {MessageEvent} e - Message from the service worker
+   */
+  handleWorkerMessage (e) {
+    if (e.data && e.data.type === 'OUTBOX_UPDATED') {
+      this.notify(e.data.data);
+    }
+  }
+
+  /**
+   * Subscribe to queue changes
+   * @param {Function} listener - (pending, result) => void; result lists sent/rejected labels after a retry
+   * @returns {Function} Unsubscribe
+   */
+  onChange (listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell listeners about the current queue
+   * @param {Object|null} result - Outcome of the last retry
+   */
+  async notify (result = null) {
+    const pending = await this.getPending().catch(() => []);
+    this.listeners.forEach((listener) => listener(pending, result));
+  }
+
+  /**
+   * Stop listening for events
+   */
+  destroy () {
+    window.removeEventListener('online', this.handleOnline);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener('message', this.handleWorkerMessage);
+    }
+    if (this.unsubscribeAuth) this.unsubscribeAuth();
+    this.unsubscribeAuth = null;
+    this.listeners.clear();
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Whether a submission is sent with the user's auth headers
+ * @param {Object} submission - Submission record
+ * @returns {boolean} True for signed-in submissions
+ */
+function needsAuth (submission) {
+  return submission.auth === true;
+}
+
+/**
+ * Reduce a retry result to IDs and labels (same shape the service worker posts)
+ * @param {Object} result - { sent, rejected, pending } submission lists
+ * @returns {Object} { sent, rejected, pending } of { id, label }
+ */
+function summarize (result) {
+  const brief = (list) => list.map(({ id, label }) => ({ id, label }));
+  return { sent: brief(result.sent), rejected: brief(result.rejected), pending: brief(result.pending) };
+}
+
+let outboxInstance = null;
+
+/**
+ * Get the shared outbox
+ * @param {Object} options - SubmissionOutbox options (first call only)
+ * @returns {SubmissionOutbox} Outbox
+ */
+export function getSubmissionOutbox (options = {}) {
+  if (!outboxInstance) {
+    outboxInstance = new SubmissionOutbox(options);
+  }
+  return outboxInstance;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.SubmissionOutbox = SubmissionOutbox;
+}
+
+export default SubmissionOutbox;
@@ -0,0 +1,34 @@
+/**
+ * URL Token - One-time tokens from emailed links
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Reads ?token= from password reset and email verification links
+ * - Removes it from the address bar so it does not stay in history or
+ *   leak to other sites through the Referer header
+ */
+
+/**
+ * Read a token from the query string and drop it from the URL
+ * @param {string} name - Query parameter
+ * @param {Object} options - Options
+ * @param {Location} options.location - Location to read (defaults to window.location)
+ * @param {History} options.history - History to update (defaults to window.history)
+ * @returns {string|null} Token, or null when the link has none
+ */
+export function takeUrlToken (name = 'token', options = {}) {
+  const { location = window.location, history = window.history } = options;
+  const url = new URL(location.href);
+  const token = url.searchParams.get(name);
+  if (!token) return null;
+
+  url.searchParams.delete(name);
+  try {
+    history.replaceState(history.state, '', `${url.pathname}${url.search}${url.hash}`);
+  } catch (e) {
+    // History unavailable - the token stays in the address bar
+  }
+  return token;
+}
+
+export default takeUrlToken;
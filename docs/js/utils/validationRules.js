@@ -0,0 +1,432 @@
+/**
+ * Validation Rules - Shared, DOM-free form rules
+ * Properties 4 Creations
+ *
+ * Features:
+ * - Single-field rules (email, phone, zip, minLength, ...)
+ * - Cross-field rules: requiredIf, match, gte/lte, after/before
+ * - Rule strings ("minLength:5") or objects ({ type, param, message })
+ * - Templated messages ("Must be at least {param} characters") for translation
+ * - JSON schemas ({ fields: { name: [rules] } }) usable outside the browser
+ * - Password strength scoring ("password:3" needs a score of 3 out of 4)
+ *
+ * Rules receive (value, param, values) where values maps every field name to
+ * its string value, so the same schema can be checked on the server with
+ * validateValues(). Async rules (e.g. "remote") are run by FormValidator only.
+ */
+
+// Rules that run even when the field is empty
+export const EMPTY_RULES = new Set(['required', 'requiredIf']);
+
+// Rules checked by FormValidator with a network call; validateValues skips them
+export const ASYNC_RULES = new Set(['remote']);
+
+/**
+ * Parse a date-only value as local midnight
+ * @param {string} value - YYYY-MM-DD or 'today'
+ * @returns {number} Timestamp, or NaN when invalid
+ */
+function toDay (value) {
+  if (value === 'today') {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime()
+    : Date.parse(value);
+}
+
+/**
+ * Readable name for a field referenced by a rule
+ * @param {string} name - Field name (e.g. minPrice)
+ * @returns {string} e.g. "min price"
+ */
+function describeField (name) {
+  return name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+/**
+ * Compare a value with another field's value or a literal date
+ * @param {string} param - Field name or 'today'
+ * @param {Object} values - Form values
+ * @returns {Object} { time, label } for the comparison target
+ */
+function dateTarget (param, values) {
+  return param === 'today'
+    ? { time: toDay('today'), label: 'today' }
+    : { time: toDay(values[param] || ''), label: `the ${describeField(param)}` };
+}
+
+/**
+ * Test a requiredIf condition: "field", "field=value" or "field=a|b"
+ * @param {string} param - Condition
+ * @param {Object} values - Form values
+ * @returns {boolean} True when the field is required
+ */
+export function conditionMet (param, values) {
+  const [name, expected] = String(param).split('=');
+  const actual = values[name] || '';
+  return expected === undefined ? actual.trim().length > 0 : expected.split('|').includes(actual);
+}
+
+// Message templates by rule type; {param}, {label} and rule-specific
+// placeholders are filled in by formatMessage(). Pass a translated copy
+// through the messages option to change the wording.
+export const MESSAGES = {
+  required: 'This field is required',
+  requiredIf: 'This field is required',
+  email: 'Please enter a valid email address',
+  phone: 'Please enter a valid phone number (e.g., 903-555-1234)',
+  zip: 'Please enter a valid ZIP code (e.g., 75701 or 75701-1234)',
+  minLength: 'Must be at least {param} characters',
+  maxLength: 'Must be no more than {param} characters',
+  pattern: 'Please match the requested format',
+  match: 'Must match {field}',
+  number: 'Please enter a valid number',
+  min: 'Must be {param} or more',
+  max: 'Must be {param} or less',
+  gte: 'Must be at least the {field}',
+  lte: 'Must be no more than the {field}',
+  url: 'Please enter a valid URL',
+  date: 'Please enter a valid date',
+  after: 'Must be after {target}',
+  before: 'Must be before {target}',
+  ssn: 'Please enter a valid SSN (XXX-XX-XXXX)',
+  password: 'Choose a stronger password. {hint}'
+};
+
+// Password strength labels by score (0-4)
+export const PASSWORD_STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+// Score the "password" rule asks for when no param is given
+export const PASSWORD_MIN_SCORE = 3;
+
+// Scored as 0 no matter how they are padded with symbols or case
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'passw0rd', '123456', '12345678', '123456789',
+  'qwerty', 'letmein', 'welcome', 'admin', 'iloveyou', 'abc123', '111111',
+  'monkey', 'dragon', 'sunshine', 'football', 'baseball', 'veteran', 'properties4creations'
+]);
+
+/**
+ * Score a password from 0 (very weak) to 4 (strong)
+ * Length counts most; character variety and long passphrases add points,
+ * common passwords and a single repeated character score 0
+ * @param {string} value - Password
+ * @returns {Object} { score, label, suggestions } - suggestions are English hints, most useful first
+ */
+export function getPasswordStrength (value) {
+  const password = String(value || '');
+  const suggestions = [];
+  let score = 0;
+
+  if (password.length >= 8) {
+    score += 1;
+  } else {
+    suggestions.push('Use at least 8 characters.');
+  }
+
+  if (password.length >= 12) {
+    score += 1;
+  } else if (password.length >= 8) {
+    suggestions.push('Use 12 or more characters.');
+  }
+
+  const variety = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((pattern) => pattern.test(password)).length;
+  if (variety >= 3) {
+    score += 1;
+  } else {
+    suggestions.push('Mix upper and lower case letters, numbers and symbols.');
+  }
+
+  if ((variety === 4 && password.length >= 10) || password.length >= 16) {
+    score += 1;
+  }
+
+  const normalized = password.toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (COMMON_PASSWORDS.has(normalized) || /^(.)\1*$/.test(password)) {
+    score = 0;
+    suggestions.unshift('Avoid common passwords and repeated characters.');
+  }
+
+  score = Math.min(4, score);
+  if (score < 4 && suggestions.length === 0) {
+    suggestions.push('Add a few more characters or a symbol.');
+  }
+
+  return { score, label: PASSWORD_STRENGTH_LABELS[score], suggestions };
+}
+
+/**
+ * Fill {placeholders} in a message template
+ * Unknown placeholders are left as they are
+ * @param {string} template - e.g. "Must be at least {param} characters"
+ * @param {Object} vars - Placeholder values
+ * @returns {string} Message
+ */
+export function formatMessage (template, vars = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (placeholder, key) =>
+    vars[key] === undefined || vars[key] === null ? placeholder : String(vars[key])
+  );
+}
+
+// Rule implementations: (value, param, values) => { valid, message, vars }
+// message is the English template; vars fill its placeholders
+export const RULES = {
+  required: (value) => ({
+    valid: value.trim().length > 0,
+    message: MESSAGES.required
+  }),
+
+  requiredIf: (value, param, values) => ({
+    valid: !conditionMet(param, values) || value.trim().length > 0,
+    message: MESSAGES.requiredIf
+  }),
+
+  email: (value) => ({
+    valid: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: MESSAGES.email
+  }),
+
+  phone: (value) => ({
+    valid: /^\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})$/.test(
+      value
+    ),
+    message: MESSAGES.phone
+  }),
+
+  zip: (value) => ({
+    valid: /^\d{5}(-\d{4})?$/.test(value),
+    message: MESSAGES.zip
+  }),
+
+  minLength: (value, length) => ({
+    valid: value.length >= parseInt(length, 10),
+    message: MESSAGES.minLength
+  }),
+
+  maxLength: (value, length) => ({
+    valid: value.length <= parseInt(length, 10),
+    message: MESSAGES.maxLength
+  }),
+
+  pattern: (value, pattern) => ({
+    valid: new RegExp(pattern).test(value),
+    message: MESSAGES.pattern
+  }),
+
+  match: (value, fieldName, values) => ({
+    valid: fieldName in values && value === values[fieldName],
+    message: MESSAGES.match,
+    vars: { field: describeField(fieldName) }
+  }),
+
+  number: (value) => ({
+    valid: !isNaN(parseFloat(value)) && isFinite(value),
+    message: MESSAGES.number
+  }),
+
+  min: (value, limit) => ({
+    valid: parseFloat(value) >= parseFloat(limit),
+    message: MESSAGES.min
+  }),
+
+  max: (value, limit) => ({
+    valid: parseFloat(value) <= parseFloat(limit),
+    message: MESSAGES.max
+  }),
+
+  // Numeric ranges across two fields; an empty other field always passes
+  gte: (value, fieldName, values) => ({
+    valid: !values[fieldName] || parseFloat(value) >= parseFloat(values[fieldName]),
+    message: MESSAGES.gte,
+    vars: { field: describeField(fieldName) }
+  }),
+
+  lte: (value, fieldName, values) => ({
+    valid: !values[fieldName] || parseFloat(value) <= parseFloat(values[fieldName]),
+    message: MESSAGES.lte,
+    vars: { field: describeField(fieldName) }
+  }),
+
+  url: (value) => ({
+    valid:
+      /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})([/\w .-]*)*\/?$/.test(
+        value
+      ),
+    message: MESSAGES.url
+  }),
+
+  date: (value) => ({
+    valid: !isNaN(Date.parse(value)),
+    message: MESSAGES.date
+  }),
+
+  // Date ranges against 'today' or another field; an empty other field always passes
+  after: (value, param, values) => {
+    const target = dateTarget(param, values);
+    return {
+      valid: isNaN(target.time) || toDay(value) > target.time,
+      message: MESSAGES.after,
+      vars: { target: target.label }
+    };
+  },
+
+  before: (value, param, values) => {
+    const target = dateTarget(param, values);
+    return {
+      valid: isNaN(target.time) || toDay(value) < target.time,
+      message: MESSAGES.before,
+      vars: { target: target.label }
+    };
+  },
+
+  ssn: (value) => ({
+    valid: /^\d{3}-?\d{2}-?\d{4}$/.test(value),
+    message: MESSAGES.ssn
+  }),
+
+  password: (value, minScore) => {
+    const strength = getPasswordStrength(value);
+    return {
+      valid: strength.score >= (parseInt(minScore, 10) || PASSWORD_MIN_SCORE),
+      message: MESSAGES.password,
+      vars: { hint: strength.suggestions[0] || '', strength: strength.label }
+    };
+  }
+};
+
+/**
+ * Normalize one rule
+ * @param {string|Object} rule - "type:param" or { type, param, message }
+ * @returns {Object} { type, param, message }
+ */
+export function parseRule (rule) {
+  if (rule && typeof rule === 'object') {
+    return { type: rule.type, param: rule.param, message: rule.message };
+  }
+
+  // Split on the first colon only so params like URLs stay intact
+  const text = String(rule);
+  const index = text.indexOf(':');
+  return index === -1
+    ? { type: text, param: undefined, message: undefined }
+    : { type: text.slice(0, index), param: text.slice(index + 1), message: undefined };
+}
+
+/**
+ * Normalize a rule list
+ * @param {string|Array} rules - Space-separated data-validate string or array of rules
+ * @returns {Array<Object>} Rules as { type, param, message }
+ */
+export function parseRules (rules) {
+  const list = typeof rules === 'string' ? rules.split(' ').filter(Boolean) : (rules || []);
+  return list.map(parseRule);
+}
+
+/**
+ * Field names a rule reads besides its own field
+ * @param {Object} rule - Parsed rule
+ * @returns {Array<string>} Field names
+ */
+export function getRuleDependencies (rule) {
+  switch (rule.type) {
+    case 'requiredIf':
+      return [String(rule.param).split('=')[0]];
+    case 'match':
+    case 'gte':
+    case 'lte':
+      return [rule.param];
+    case 'after':
+    case 'before':
+      return rule.param === 'today' ? [] : [rule.param];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Run one rule
+ * @param {Object} rule - Parsed rule
+ * @param {string} value - Field value
+ * @param {Object} values - All form values
+ * @param {Object} options - Options
+ * @param {Object} options.rules - Rule implementations
+ * @param {Object} options.messages - Message templates by rule type
+ * @param {string} options.label - Field label for {label}
+ * @returns {Object|null} { valid, message }, or null when the rule does not apply
+ */
+export function runRule (rule, value, values, options = {}) {
+  const { rules = RULES, messages = MESSAGES, label = '' } = options;
+  const implementation = rules[rule.type];
+  if (!implementation) return null;
+  if (value.trim().length === 0 && !EMPTY_RULES.has(rule.type)) return null;
+
+  const result = implementation(value, rule.param, values);
+  if (result.valid) return { valid: true, message: '' };
+
+  const template = rule.message || messages[rule.type] || result.message;
+  return {
+    valid: false,
+    message: formatMessage(template, { label, param: rule.param, ...result.vars })
+  };
+}
+
+/**
+ * Check plain values against a schema (no DOM; async rules skipped)
+ * @param {Object} schema - { fields: { name: [rules] } }
+ * @param {Object} values - Values keyed by field name
+ * @param {Object} options - Options
+ * @param {Object} options.messages - Translated message templates by rule type
+ * @returns {Object} { valid, errors: { name: [messages] } }
+ */
+export function validateValues (schema, values, options = {}) {
+  const messages = { ...MESSAGES, ...options.messages };
+  const strings = Object.fromEntries(
+    Object.entries(values || {}).map(([name, value]) => [name, value == null ? '' : String(value)])
+  );
+  const errors = {};
+
+  Object.entries(schema.fields || {}).forEach(([name, fieldRules]) => {
+    const value = strings[name] || '';
+    const label = describeField(name);
+    const messagesForField = parseRules(fieldRules)
+      .filter((rule) => !ASYNC_RULES.has(rule.type))
+      .map((rule) => runRule(rule, value, strings, { messages, label }))
+      .filter((result) => result && !result.valid)
+      .map((result) => result.message);
+
+    if (messagesForField.length > 0) {
+      errors[name] = messagesForField;
+    }
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Load a JSON validation schema
+ * @param {string} url - Schema URL
+ * @returns {Promise<Object>} Schema with a fields map
+ */
+export async function loadValidationSchema (url) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Validation schema request failed: HTTP ${response.status}`);
+  }
+
+  const schema = await response.json();
+  if (!schema || typeof schema.fields !== 'object') {
+    throw new Error('Validation schema is missing the fields map');
+  }
+  return schema;
+}
+
+// Export for global access
+if (typeof window !== 'undefined') {
+  window.validateValues = validateValues;
+}
+
+export default validateValues;
@@ -0,0 +1,561 @@
+/**
+ * Service Worker
+ * Properties 4 Creations
+ *
+ * Features:
+ * - App shell precaching on install
+ * - Network-first HTML with /offline/ as the navigation fallback
+ * - Stale-while-revalidate for CSS and JavaScript
+ * - Network-first JSON data (property feed) with a cached copy offline
+ * - Cache-first for the images/ tree with an entry limit
+ * - Message API used by window.p4cCache in main.js
+ *   (CLEAR_CACHE, GET_CACHE_STATUS, CACHE_URLS)
+ * - Background Sync for the offline submission outbox
+ *   (js/utils/submissionOutbox.js queues, this worker sends)
+ */
+
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'p4c';
+
+const CACHE_NAMES = {
+  shell: `${CACHE_PREFIX}-shell-${CACHE_VERSION}`,
+  pages: `${CACHE_PREFIX}-pages-${CACHE_VERSION}`,
+  assets: `${CACHE_PREFIX}-assets-${CACHE_VERSION}`,
+  images: `${CACHE_PREFIX}-images-${CACHE_VERSION}`,
+  data: `${CACHE_PREFIX}-data-${CACHE_VERSION}`
+};
+
+const OFFLINE_URL = '/offline/';
+
+// Core files needed to render any page offline
+const APP_SHELL = [
+  '/',
+  OFFLINE_URL,
+  '/css/style.css',
+  '/js/main.js',
+  '/manifest.json',
+  '/properties.json',
+  '/images/logo/brand-logo.svg'
+];
+
+const MAX_PAGE_ENTRIES = 30;
+const MAX_IMAGE_ENTRIES = 60;
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAMES.shell)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Remove caches from previous versions. Clients are not claimed here:
+  // main.js reloads on controllerchange, so claiming would reload first visits.
+  const currentCaches = Object.values(CACHE_NAMES);
+
+  event.waitUntil(
+    caches.keys().then((cacheNames) =>
+      Promise.all(
+        cacheNames
+          .filter(
+            (name) =>
+              name.startsWith(`${CACHE_PREFIX}-`) &&
+              !currentCaches.includes(name)
+          )
+          .map((name) => caches.delete(name))
+      )
+    )
+  );
+});
+
+// ============================================
+// FETCH ROUTING
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Only handle same-origin requests, and never cache API responses
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) return;
+
+  if (isNavigationRequest(request)) {
+    event.respondWith(networkFirst(request));
+  } else if (isImageRequest(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (isAssetRequest(url)) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  } else if (isDataRequest(url)) {
+    event.respondWith(networkFirstData(request));
+  }
+});
+
+/**
+ * Check whether a request is for an HTML page
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True for navigations and HTML requests
+ */
+function isNavigationRequest (request) {
+  if (request.mode === 'navigate') return true;
+  const accept = request.headers.get('accept') || '';
+  return accept.includes('text/html');
+}
+
+/**
+ * Check whether a URL points into the images/ tree
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for image requests
+ */
+function isImageRequest (url) {
+  return url.pathname.startsWith('/images/');
+}
+
+/**
+ * Check whether a URL is a stylesheet or script
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for CSS and JS requests
+ */
+function isAssetRequest (url) {
+  return /\.(css|js)$/i.test(url.pathname);
+}
+
+/**
+ * Check whether a URL is a JSON data file, e.g. the property feed
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for JSON requests
+ */
+function isDataRequest (url) {
+  return /\.json$/i.test(url.pathname);
+}
+
+// ============================================
+// CACHING STRATEGIES
+// ============================================
+
+/**
+ * Network-first strategy for HTML pages
+ * Falls back to the cached page, then the offline page
+ * @param {Request} request - Page request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst (request) {
+  try {
+    const response = await fetch(request);
+
+    if (response && response.ok) {
+      const cache = await caches.open(CACHE_NAMES.pages);
+      await cache.put(request, response.clone());
+      await trimCache(CACHE_NAMES.pages, MAX_PAGE_ENTRIES);
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const offline = await caches.match(OFFLINE_URL);
+    if (offline) return offline;
+
+    return new Response('You are offline.', {
+      status: 503,
+      headers: { 'Content-Type': 'text/plain' }
+    });
+  }
+}
+
+/**
+ * Network-first strategy for JSON data
+ * Unlike pages there is no offline fallback document - callers get a 503
+ * @param {Request} request - Data request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirstData (request) {
+  try {
+    const response = await fetch(request);
+
+    if (response && response.ok) {
+      const cache = await caches.open(CACHE_NAMES.data);
+      await cache.put(request, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    return new Response(JSON.stringify({ error: 'offline' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+/**
+ * Stale-while-revalidate strategy for CSS and JavaScript
+ * @param {Request} request - Asset request
+ * @param {FetchEvent} event - Fetch event, kept alive for the revalidation
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate (request, event) {
+  const cache = await caches.open(CACHE_NAMES.assets);
+  const cached = await caches.match(request);
+
+  const revalidate = fetch(request)
+    .then(async (response) => {
+      if (response && response.ok) {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(revalidate);
+    return cached;
+  }
+
+  const response = await revalidate;
+  return response || Response.error();
+}
+
+/**
+ * Cache-first strategy for images
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst (request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+
+    if (response && response.ok) {
+      const cache = await caches.open(CACHE_NAMES.images);
+      await cache.put(request, response.clone());
+      await trimCache(CACHE_NAMES.images, MAX_IMAGE_ENTRIES);
+    }
+
+    return response;
+  } catch (error) {
+    return Response.error();
+  }
+}
+
+/**
+ * Remove the oldest entries from a cache until it fits the limit
+ * @param {string} cacheName - Cache to trim
+ * @param {number} maxEntries - Maximum number of entries to keep
+ */
+async function trimCache (cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+
+  if (keys.length <= maxEntries) return;
+
+  const excess = keys.slice(0, keys.length - maxEntries);
+  await Promise.all(excess.map((key) => cache.delete(key)));
+}
+
+// ============================================
+// MESSAGE API
+// ============================================
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  const port = event.ports && event.ports[0];
+
+  switch (data.type) {
+  case 'CLEAR_CACHE':
+    event.waitUntil(
+      clearCaches().then(() => reply(port, { type: 'CACHE_CLEARED' }))
+    );
+    break;
+
+  case 'GET_CACHE_STATUS':
+    event.waitUntil(
+      getCacheStatus().then((status) =>
+        reply(port, { type: 'CACHE_STATUS', data: status })
+      )
+    );
+    break;
+
+  case 'CACHE_URLS':
+    event.waitUntil(
+      cacheUrls(data.urls).then((result) =>
+        reply(port, { type: 'URLS_CACHED', data: result })
+      )
+    );
+    break;
+
+  default:
+    // Unknown message types are ignored
+  }
+});
+
+/**
+ * Post a reply on a MessageChannel port when one was provided
+ * @param {MessagePort|undefined} port - Reply port
+ * @param {Object} message - Message to send
+ */
+function reply (port, message) {
+  if (port) {
+    port.postMessage(message);
+  }
+}
+
+/**
+ * Delete every cache owned by this service worker
+ * @returns {Promise<void>}
+ */
+async function clearCaches () {
+  const cacheNames = await caches.keys();
+  await Promise.all(
+    cacheNames
+      .filter((name) => name.startsWith(`${CACHE_PREFIX}-`))
+      .map((name) => caches.delete(name))
+  );
+}
+
+/**
+ * Collect entry counts for every cache owned by this service worker
+ * @returns {Promise<Object>} Cache status
+ */
+async function getCacheStatus () {
+  const cacheNames = await caches.keys();
+  const status = {
+    version: CACHE_VERSION,
+    caches: {},
+    totalEntries: 0
+  };
+
+  for (const name of cacheNames) {
+    if (!name.startsWith(`${CACHE_PREFIX}-`)) continue;
+
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    status.caches[name] = keys.length;
+    status.totalEntries += keys.length;
+  }
+
+  return status;
+}
+
+/**
+ * Fetch and cache a list of same-origin URLs
+ * Each URL goes to the cache its strategy would use
+ * @param {string[]} urls - URLs to cache
+ * @returns {Promise<Object>} Lists of cached and failed URLs
+ */
+async function cacheUrls (urls) {
+  const result = { cached: [], failed: [] };
+
+  if (!Array.isArray(urls)) return result;
+
+  await Promise.all(
+    urls.map(async (rawUrl) => {
+      try {
+        const url = new URL(rawUrl, self.location.origin);
+        if (url.origin !== self.location.origin) {
+          result.failed.push(rawUrl);
+          return;
+        }
+
+        const response = await fetch(url.href);
+        if (!response || !response.ok) {
+          result.failed.push(rawUrl);
+          return;
+        }
+
+        const cache = await caches.open(getCacheNameForUrl(url));
+        await cache.put(url.href, response);
+        result.cached.push(rawUrl);
+      } catch (error) {
+        result.failed.push(rawUrl);
+      }
+    })
+  );
+
+  return result;
+}
+
+/**
+ * Pick the cache a URL belongs in
+ * @param {URL} url - URL to classify
+ * @returns {string} Cache name
+ */
+function getCacheNameForUrl (url) {
+  if (isImageRequest(url)) return CACHE_NAMES.images;
+  if (isAssetRequest(url)) return CACHE_NAMES.assets;
+  if (isDataRequest(url)) return CACHE_NAMES.data;
+  return CACHE_NAMES.pages;
+}
+
+// ============================================
+// OUTBOX
+// ============================================
+
+// Must match js/utils/submissionOutbox.js
+const OUTBOX_DB_NAME = 'p4c-outbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'submissions';
+const OUTBOX_SYNC_TAG = 'p4c-outbox';
+// Must match js/security/csrfService.js
+const CSRF_ENDPOINT = '/api/csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+// 4xx statuses that can succeed later (must match js/utils/submissionOutbox.js)
+const OUTBOX_RETRY_STATUSES = [401, 403, 408, 429];
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(syncOutbox());
+  }
+});
+
+/**
+ * Send the queue and report back to open pages
+ * Rejects while submissions the worker can send remain so the browser schedules another sync
+ * @returns {Promise<void>}
+ */
+async function syncOutbox () {
+  const { waiting, ...result } = await flushOutbox();
+
+  const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clients.forEach((client) => client.postMessage({ type: 'OUTBOX_UPDATED', data: result }));
+
+  const retry = result.pending.length - waiting;
+  if (retry > 0) {
+    throw new Error(`${retry} submission(s) still queued`);
+  }
+}
+
+/**
+ * Try each queued submission once
+ * Sent and rejected (4xx other than 401/403/408/429) submissions leave the queue.
+ * Signed-in submissions stay queued for the page, which has the auth token.
+ * @returns {Promise<Object>} { sent, rejected, pending } lists of { id, label }, and
+ *   waiting: how many pending submissions only the page can send
+ */
+async function flushOutbox () {
+  const result = { sent: [], rejected: [], pending: [], waiting: 0 };
+  const db = await openOutbox();
+
+  try {
+    const submissions = await outboxRequest(db, 'readonly', (store) => store.getAll());
+    submissions.sort((a, b) => a.createdAt - b.createdAt);
+
+    // Without a token every submission would be refused, so wait for the next sync
+    const csrfToken = submissions.some((submission) => submission.auth !== true) ? await fetchCSRFToken() : null;
+
+    for (const submission of submissions) {
+      const brief = { id: submission.id, label: submission.label };
+      let status = 0;
+
+      if (submission.auth === true) {
+        result.pending.push(brief);
+        result.waiting++;
+        continue;
+      }
+
+      try {
+        if (!csrfToken) throw new Error('No CSRF token');
+        const response = await fetch(submission.url, buildOutboxRequest(submission, csrfToken));
+        status = response.ok ? 200 : response.status;
+      } catch (error) {
+        // Still offline
+      }
+
+      const rejected = status >= 400 && status < 500 && !OUTBOX_RETRY_STATUSES.includes(status);
+      if (status === 200 || rejected) {
+        await outboxRequest(db, 'readwrite', (store) => store.delete(submission.id));
+        result[rejected ? 'rejected' : 'sent'].push(brief);
+      } else {
+        result.pending.push(brief);
+      }
+    }
+  } finally {
+    db.close();
+  }
+
+  return result;
+}
+
+/**
+ * Fetch a CSRF token for replaying submissions
+ * @returns {Promise<string|null>} Token, or null when none is available
+ */
+async function fetchCSRFToken () {
+  try {
+    const response = await fetch(CSRF_ENDPOINT, {
+      credentials: 'same-origin',
+      headers: { Accept: 'application/json' }
+    });
+    const data = response.ok ? await response.json() : null;
+    return data && typeof data.csrfToken === 'string' && data.csrfToken ? data.csrfToken : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build fetch options for a stored submission
+ * @param {Object} submission - Stored submission
+ * @param {string} csrfToken - Current CSRF token
+ * @returns {Object} fetch init
+ */
+function buildOutboxRequest (submission, csrfToken) {
+  const headers = { ...submission.headers, 'Idempotency-Key': submission.id, [CSRF_HEADER]: csrfToken };
+  let body = submission.body;
+
+  if (submission.bodyType === 'form') {
+    body = new FormData();
+    submission.body.forEach(([name, value]) => body.append(name, value));
+  } else if (submission.bodyType === 'json') {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(submission.body);
+  }
+
+  return { method: submission.method, headers, body };
+}
+
+/**
+ * Open the outbox database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openOutbox () {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(OUTBOX_STORE)) {
+        request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the submissions store
+ * @param {IDBDatabase} db - Database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function outboxRequest (db, mode, action) {
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(OUTBOX_STORE, mode).objectStore(OUTBOX_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,317 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'node:http';
+import {
+  ApiClient,
+  ApiError,
+  AuthError,
+  NetworkError,
+  RateLimitError,
+  ValidationError,
+  API_MESSAGES
+} from '../../docs/js/utils/apiClient.js';
+import { HttpClient } from '../../docs/js/utils/httpClient.js';
+import { RateLimiter, MemoryRateLimitStore } from '../../docs/js/utils/rateLimiter.js';
+
+/**
+ * Local mock of the API
+ * Each route answers with a list of [status, body, headers, delayMs], one entry per call;
+ * the last entry repeats
+ * @returns {Object} Server with baseUrl, routes, requests and close()
+ */
+function createApiServer () {
+  const mock = { routes: {}, requests: [], server: null, baseUrl: '' };
+
+  mock.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      mock.requests.push({
+        path,
+        method: req.method,
+        body: Buffer.concat(chunks).toString(),
+        token: req.headers['x-auth-token'],
+        idempotencyKey: req.headers['idempotency-key']
+      });
+
+      const answers = mock.routes[path] || [[404, { msg: 'Not found' }]];
+      const count = mock.requests.filter((request) => request.path === path).length;
+      const [status, body, headers = {}, delay = 0] = answers[Math.min(count, answers.length) - 1];
+
+      setTimeout(() => {
+        if (res.destroyed) return;
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/html' : 'application/json', ...headers });
+        res.end(text);
+      }, delay);
+    });
+  });
+
+  return new Promise((resolve) => {
+    mock.server.listen(0, '127.0.0.1', () => {
+      mock.baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+      mock.close = () => new Promise((done) => {
+        mock.server.closeAllConnections();
+        mock.server.close(done);
+      });
+      resolve(mock);
+    });
+  });
+}
+
+/**
+ * Capture the error a promise rejects with
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error>} The rejection reason
+ */
+async function rejection (promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+describe('ApiClient', () => {
+  let mock;
+  let client;
+
+  beforeAll(async () => {
+    mock = await createApiServer();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.routes = {};
+    mock.requests = [];
+    client = new ApiClient({
+      baseUrl: `${mock.baseUrl}/api`,
+      fetch: (input, init) => fetch(input, init),
+      retryBaseDelay: 1,
+      retryMaxDelay: 5,
+      getAuthHeaders: () => ({ 'x-auth-token': 'member-token' })
+    });
+  });
+
+  describe('requests', () => {
+    it('sends JSON bodies and auth headers only when asked', async () => {
+      mock.routes['/api/users/me'] = [[200, { name: 'Jordan' }]];
+
+      expect(await client.post('/users/me', { name: 'Jordan' }, { auth: true })).toEqual({ name: 'Jordan' });
+      await client.get('/users/me');
+
+      expect(mock.requests[0].body).toBe('{"name":"Jordan"}');
+      expect(mock.requests[0].token).toBe('member-token');
+      expect(mock.requests[1].token).toBeUndefined();
+    });
+
+    it('reads empty and non-JSON success bodies as null', async () => {
+      mock.routes['/api/empty'] = [[204, '']];
+      mock.routes['/api/html'] = [[200, '<p>OK</p>']];
+
+      expect(await client.delete('/empty')).toBeNull();
+      expect(await client.get('/html')).toBeNull();
+    });
+  });
+
+  describe('timeouts', () => {
+    it('aborts a slow request and raises a NetworkError marked as a timeout', async () => {
+      mock.routes['/api/slow'] = [[200, {}, {}, 500]];
+
+      const error = await rejection(client.get('/slow', { timeout: 50, retries: 0 }));
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.timeout).toBe(true);
+      expect(error.message).toBe(API_MESSAGES.timeout);
+    });
+
+    it('retries a GET that timed out', async () => {
+      mock.routes['/api/slow-once'] = [[200, {}, {}, 500], [200, { ok: true }]];
+
+      expect(await client.get('/slow-once', { timeout: 100 })).toEqual({ ok: true });
+      expect(mock.requests).toHaveLength(2);
+    });
+  });
+
+  describe('retries', () => {
+    it('retries idempotent requests on 502, 503 and 504', async () => {
+      mock.routes['/api/listings'] = [[502, ''], [504, ''], [200, ['kemp']]];
+
+      expect(await client.get('/listings')).toEqual(['kemp']);
+      expect(mock.requests).toHaveLength(3);
+    });
+
+    it('gives up after the configured number of retries', async () => {
+      mock.routes['/api/listings'] = [[503, '']];
+
+      const error = await rejection(client.get('/listings', { retries: 1 }));
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(503);
+      expect(mock.requests).toHaveLength(2);
+    });
+
+    it('does not retry a POST without an Idempotency-Key', async () => {
+      mock.routes['/api/applications'] = [[503, ''], [201, { id: 'app-1' }]];
+
+      const error = await rejection(client.post('/applications', { fullName: 'Jordan Smith' }));
+
+      expect(error.status).toBe(503);
+      expect(mock.requests).toHaveLength(1);
+    });
+
+    it('retries a POST that carries an Idempotency-Key, sending the same key', async () => {
+      mock.routes['/api/applications'] = [[503, ''], [201, { id: 'app-1' }]];
+
+      const result = await client.post('/applications', { fullName: 'Jordan Smith' }, {
+        headers: { 'Idempotency-Key': 'sub-1' }
+      });
+
+      expect(result).toEqual({ id: 'app-1' });
+      expect(mock.requests.map((request) => request.idempotencyKey)).toEqual(['sub-1', 'sub-1']);
+    });
+
+    it('does not retry client errors', async () => {
+      mock.routes['/api/listings'] = [[404, { msg: 'Not found' }]];
+
+      await rejection(client.get('/listings'));
+
+      expect(mock.requests).toHaveLength(1);
+    });
+  });
+
+  describe('typed errors', () => {
+    it('maps 401 to an AuthError with the server message', async () => {
+      mock.routes['/api/users/me'] = [[401, { msg: 'Token is not valid' }]];
+
+      const error = await rejection(client.get('/users/me'));
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.status).toBe(401);
+      expect(error.message).toBe('Token is not valid');
+      expect(error.serverMessage).toBe('Token is not valid');
+    });
+
+    it('maps 403 to an AuthError with the default message when the server sends none', async () => {
+      mock.routes['/api/admin'] = [[403, '']];
+
+      const error = await rejection(client.get('/admin'));
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error.status).toBe(403);
+      expect(error.message).toBe(API_MESSAGES.forbidden);
+    });
+
+    it('maps 400 and 422 to a ValidationError with messages by field', async () => {
+      mock.routes['/api/users'] = [[422, { errors: [{ path: 'email', msg: 'Already registered' }] }]];
+      mock.routes['/api/contact'] = [[400, { msg: 'Check the form', fields: { phone: ['Enter a phone number'] } }]];
+
+      const registerError = await rejection(client.post('/users', { email: 'member@example.com' }));
+      const contactError = await rejection(client.post('/contact', {}));
+
+      expect(registerError).toBeInstanceOf(ValidationError);
+      expect(registerError.fields).toEqual({ email: 'Already registered' });
+      expect(registerError.message).toBe(API_MESSAGES.validation);
+      expect(contactError.fields).toEqual({ phone: 'Enter a phone number' });
+      expect(contactError.message).toBe('Check the form');
+    });
+
+    it('maps other failures to ApiError, reading an HTML error page as no data', async () => {
+      mock.routes['/api/listings'] = [[500, '<h1>Internal Server Error</h1>']];
+
+      const error = await rejection(client.get('/listings', { retries: 0 }));
+
+      expect(error.name).toBe('ApiError');
+      expect(error.status).toBe(500);
+      expect(error.data).toBeNull();
+      expect(error.message).toBe(API_MESSAGES.server);
+    });
+
+    it('raises a NetworkError when the server cannot be reached', async () => {
+      const offline = new ApiClient({
+        baseUrl: 'http://127.0.0.1:1/api',
+        fetch: (input, init) => fetch(input, init),
+        retries: 0
+      });
+
+      const error = await rejection(offline.get('/listings'));
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.timeout).toBe(false);
+      expect(error.status).toBe(0);
+    });
+
+    it('raises a RateLimitError, which is also an ApiError, for a 429', async () => {
+      mock.routes['/api/contact'] = [[429, { msg: 'Slow down' }, { 'Retry-After': '30' }]];
+      const limiter = new RateLimiter(1, 1000, { name: 'server', store: new MemoryRateLimitStore() });
+      const httpClient = new HttpClient({ fetch: (input, init) => fetch(input, init), limiter });
+      const limited = new ApiClient({ baseUrl: `${mock.baseUrl}/api`, fetch: (input, init) => httpClient.fetch(input, init) });
+
+      const error = await rejection(limited.post('/contact', {}));
+      // The endpoint stays limited without calling the server again
+      const again = await rejection(limited.post('/contact', {}));
+      limiter.destroy();
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(429);
+      expect(error.retryAfter).toBe(30);
+      expect(again).toBeInstanceOf(RateLimitError);
+      expect(again.status).toBe(429);
+      expect(mock.requests).toHaveLength(1);
+    });
+
+    it('reports each failed request to onError listeners once, after retries', async () => {
+      const reported = [];
+      client.onError((error) => reported.push(error.status));
+      mock.routes['/api/listings'] = [[503, '']];
+      mock.routes['/api/users'] = [[422, {}]];
+
+      await rejection(client.get('/listings', { retries: 1 }));
+      await rejection(client.post('/users', {}));
+
+      expect(reported).toEqual([503, 422]);
+      expect(mock.requests).toHaveLength(3);
+    });
+  });
+
+  describe('abort', () => {
+    it("rejects with the caller's abort reason instead of a NetworkError", async () => {
+      mock.routes['/api/check-email'] = [[200, {}, {}, 500]];
+      const controller = new AbortController();
+
+      const pending = client.post('/check-email', { value: 'member@example.com' }, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      const error = await rejection(pending);
+
+      expect(error).not.toBeInstanceOf(ApiError);
+      expect(error.name).toBe('AbortError');
+    });
+
+    it('does not retry an aborted GET', async () => {
+      mock.routes['/api/listings'] = [[200, {}, {}, 500]];
+      const controller = new AbortController();
+
+      const pending = client.get('/listings', { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      await rejection(pending);
+
+      expect(mock.requests).toHaveLength(1);
+    });
+
+    it('does not send a request whose signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const error = await rejection(client.get('/listings', { signal: controller.signal }));
+
+      expect(error.name).toBe('AbortError');
+      expect(mock.requests).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  HttpClient,
+  RateLimitError,
+  RATE_LIMIT_STATUS,
+  getEndpoint,
+  parseRetryAfter
+} from '../../docs/js/utils/httpClient.js';
+import { ApiError } from '../../docs/js/utils/apiErrors.js';
+import { RateLimiter, MemoryRateLimitStore } from '../../docs/js/utils/rateLimiter.js';
+
+/**
+ * fetch stand-in answering every call with the next status and headers in a list
+ * @param {Array<Array>} answers - [status, headers] per call; the last one repeats
+ * @returns {Function} Mock fetch
+ */
+function createFetch (answers) {
+  const fetch = vi.fn(async () => {
+    const [status, headers = {}] = answers[Math.min(fetch.mock.calls.length, answers.length) - 1];
+    return new Response('{}', { status, headers });
+  });
+  return fetch;
+}
+
+/**
+ * Capture the error a promise rejects with
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error>} The rejection reason
+ */
+async function rejection (promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the request to fail');
+}
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2026-03-02T09:00:00Z');
+
+  it('reads delay-seconds', () => {
+    expect(parseRetryAfter('120', now)).toBe(120);
+    expect(parseRetryAfter(' 0 ', now)).toBe(0);
+  });
+
+  it('reads an HTTP date as whole seconds from now', () => {
+    expect(parseRetryAfter('Mon, 02 Mar 2026 09:01:30 GMT', now)).toBe(90);
+    expect(parseRetryAfter(new Date(now + 1500).toUTCString(), now)).toBe(1);
+  });
+
+  it('treats a date in the past as no wait', () => {
+    expect(parseRetryAfter('Mon, 02 Mar 2026 08:59:00 GMT', now)).toBe(0);
+  });
+
+  it('returns null for a missing or unreadable header', () => {
+    expect(parseRetryAfter(null, now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
+
+describe('HttpClient', () => {
+  const limiters = [];
+
+  /**
+   * Limiter kept in memory and destroyed after the test
+   * @param {string} name - Limiter name
+   * @returns {RateLimiter} Limiter
+   */
+  function createLimiter (name) {
+    const limiter = new RateLimiter(1, 1000, { name, store: new MemoryRateLimitStore() });
+    limiters.push(limiter);
+    return limiter;
+  }
+
+  /**
+   * Client using a mock fetch and an in-memory limiter
+   * @param {Array<Array>} answers - Responses for createFetch()
+   * @returns {HttpClient} Client with the mock as options.fetch
+   */
+  function createClient (answers) {
+    return new HttpClient({ fetch: createFetch(answers), limiter: createLimiter('server') });
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+  });
+
+  afterEach(() => {
+    limiters.splice(0).forEach((limiter) => limiter.destroy());
+    vi.useRealTimers();
+  });
+
+  describe('rate-limited responses', () => {
+    it('raises a RateLimitError with the Retry-After wait for a 429', async () => {
+      const client = createClient([[429, { 'Retry-After': '30' }]]);
+
+      const error = await rejection(client.fetch('/api/contact', { method: 'POST' }));
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(RATE_LIMIT_STATUS);
+      expect(error.retryAfter).toBe(30);
+      expect(error.endpoint).toBe('/api/contact');
+      expect(error.response.status).toBe(429);
+    });
+
+    it('reads an HTTP-date Retry-After', async () => {
+      const client = createClient([[429, { 'Retry-After': new Date(Date.now() + 2 * 60 * 1000).toUTCString() }]]);
+
+      expect((await rejection(client.fetch('/api/contact'))).retryAfter).toBe(120);
+    });
+
+    it('waits the default for a 429 without a usable Retry-After, and at least a second', async () => {
+      const client = createClient([[429]]);
+      const zero = createClient([[429, { 'Retry-After': '0' }]]);
+
+      expect((await rejection(client.fetch('/api/contact'))).retryAfter).toBe(60);
+      expect((await rejection(zero.fetch('/api/contact'))).retryAfter).toBe(1);
+    });
+
+    it('caps the wait at maxRetryAfter', async () => {
+      const client = new HttpClient({
+        fetch: createFetch([[429, { 'Retry-After': '86400' }]]),
+        limiter: createLimiter('server'),
+        maxRetryAfter: 600
+      });
+
+      expect((await rejection(client.fetch('/api/contact'))).retryAfter).toBe(600);
+    });
+
+    it('treats a 503 as a rate limit only when it has Retry-After', async () => {
+      const limited = createClient([[503, { 'Retry-After': '45' }]]);
+      const down = createClient([[503]]);
+
+      const error = await rejection(limited.fetch('/api/contact'));
+      const response = await down.fetch('/api/contact');
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error.status).toBe(503);
+      expect(error.retryAfter).toBe(45);
+      expect(response.status).toBe(503);
+    });
+
+    it('ignores Retry-After on other responses', async () => {
+      const client = createClient([[200, { 'Retry-After': '30' }]]);
+
+      expect((await client.fetch('/api/contact')).status).toBe(200);
+      expect(await client.getRetryAfter('/api/contact')).toBe(0);
+    });
+  });
+
+  describe('remembered waits', () => {
+    it('rejects further calls to the endpoint without sending them until the wait ends', async () => {
+      const client = createClient([[429, { 'Retry-After': '30' }], [200]]);
+      await rejection(client.fetch('/api/contact?source=footer', { method: 'POST' }));
+
+      vi.advanceTimersByTime(10000);
+      const error = await rejection(client.fetch('/api/contact', { method: 'POST' }));
+
+      expect(error.retryAfter).toBe(20);
+      expect(error.response).toBeUndefined();
+      expect(error.status).toBe(RATE_LIMIT_STATUS);
+      expect(client.options.fetch).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(20000);
+      expect((await client.fetch('/api/contact', { method: 'POST' })).status).toBe(200);
+    });
+
+    it('limits only the endpoint that answered 429', async () => {
+      const client = createClient([[429, { 'Retry-After': '30' }], [200]]);
+      await rejection(client.fetch('/api/contact'));
+
+      expect((await client.fetch('/api/properties')).status).toBe(200);
+    });
+
+    it('holds a call instead of rejecting when the wait fits in maxWait', async () => {
+      const client = createClient([[429, { 'Retry-After': '2' }], [200]]);
+      await rejection(client.fetch('/api/csrf'));
+
+      const held = client.fetch('/api/csrf', {}, { maxWait: 5000 });
+      await vi.advanceTimersByTimeAsync(2000);
+
+      expect((await held).status).toBe(200);
+      expect(client.options.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('lets the server decide when the limiter storage fails', async () => {
+      const client = createClient([[200]]);
+      client.limiter.peek = async () => {
+        throw new Error('storage unavailable');
+      };
+
+      expect((await client.fetch('/api/contact')).status).toBe(200);
+    });
+  });
+
+  describe('bindRateLimiter', () => {
+    it('blocks a bound limiter for the same wait when its endpoint is limited', async () => {
+      const client = createClient([[429, { 'Retry-After': '30' }]]);
+      const formLimiter = createLimiter('contact-form');
+      const block = vi.spyOn(formLimiter, 'block');
+      client.bindRateLimiter(`${window.location.origin}/api/contact`, formLimiter, () => 'visitor-1');
+
+      await rejection(client.fetch('/api/contact', { method: 'POST' }));
+
+      expect(block).toHaveBeenCalledWith('visitor-1', 30 * 1000);
+      const state = await formLimiter.peek('visitor-1');
+      expect(state.allowed).toBe(false);
+      expect(state.retryAfter).toBe(30);
+    });
+
+    it('does not block limiters bound to other endpoints', async () => {
+      const client = createClient([[429, { 'Retry-After': '30' }]]);
+      const formLimiter = createLimiter('signup-form');
+      const block = vi.spyOn(formLimiter, 'block');
+      client.bindRateLimiter('/api/users', formLimiter, () => 'visitor-1');
+
+      await rejection(client.fetch('/api/contact', { method: 'POST' }));
+
+      expect(block).not.toHaveBeenCalled();
+    });
+
+    it('stops blocking after unbind', async () => {
+      const client = createClient([[429, { 'Retry-After': '30' }]]);
+      const formLimiter = createLimiter('contact-form');
+      const block = vi.spyOn(formLimiter, 'block');
+      const unbind = client.bindRateLimiter('/api/contact', formLimiter, () => 'visitor-1');
+
+      unbind();
+      unbind();
+      await rejection(client.fetch('/api/contact', { method: 'POST' }));
+
+      expect(block).not.toHaveBeenCalled();
+      expect(client.bindings.size).toBe(0);
+    });
+
+    it('still raises the RateLimitError when a bound limiter cannot store the wait', async () => {
+      const client = createClient([[429, { 'Retry-After': '30' }]]);
+      const formLimiter = createLimiter('contact-form');
+      formLimiter.block = async () => {
+        throw new Error('storage unavailable');
+      };
+      client.bindRateLimiter('/api/contact', formLimiter, () => 'visitor-1');
+
+      const error = await rejection(client.fetch('/api/contact', { method: 'POST' }));
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(await client.getRetryAfter('/api/contact')).toBe(30);
+    });
+  });
+
+  describe('getEndpoint', () => {
+    it('keys same-origin requests by path and others by origin and path', () => {
+      expect(getEndpoint('/api/contact?source=footer')).toBe('/api/contact');
+      expect(getEndpoint(`${window.location.origin}/api/contact`)).toBe('/api/contact');
+      expect(getEndpoint('https://maps.example.com/api/geocode?q=Tyler')).toBe('https://maps.example.com/api/geocode');
+    });
+  });
+});
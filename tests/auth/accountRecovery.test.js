@@ -0,0 +1,403 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import http from 'node:http';
+import { auth } from '../../docs/js/auth.js';
+import { csrfService } from '../../docs/js/security/csrfService.js';
+import { PasswordReset } from '../../docs/js/features/PasswordReset.js';
+import { EmailVerification } from '../../docs/js/features/EmailVerification.js';
+import { FormValidator } from '../../docs/js/features/FormValidator.js';
+import { getPasswordStrength, RULES } from '../../docs/js/utils/validationRules.js';
+
+const STRONG_PASSWORD = 'Creek-Side-Porch-42';
+
+// Client-side rate limiting needs canvas, which jsdom does not have
+const validatorOptions = { enableRateLimit: false };
+
+/**
+ * Local mock of the account API
+ * Reset token "reset-ok" and verification token "verify-ok" are valid
+ * @returns {Object} Server with baseUrl, requests and close()
+ */
+function createAccountServer () {
+  const mock = { requests: [], server: null, baseUrl: '' };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  mock.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString();
+      const body = text ? JSON.parse(text) : null;
+
+      if (req.url === '/api/csrf') {
+        send(res, 200, { csrfToken: 'csrf-token', expiresIn: 1800 });
+        return;
+      }
+
+      mock.requests.push({
+        url: req.url,
+        body,
+        csrf: req.headers['x-csrf-token'],
+        token: req.headers['x-auth-token']
+      });
+
+      switch (req.url) {
+        case '/api/users/forgot-password':
+          if (body.email === 'member@example.com') {
+            send(res, 202, {});
+          } else {
+            send(res, 404, { msg: 'No account with that email' });
+          }
+          return;
+        case '/api/users/reset-password':
+          if (body.token === 'reset-ok') {
+            send(res, 200, {});
+          } else {
+            send(res, 400, { msg: 'This reset link has expired.' });
+          }
+          return;
+        case '/api/users/verify-email':
+          if (body.token === 'verify-ok') {
+            send(res, 200, {});
+          } else {
+            send(res, 400, { msg: 'This verification link has expired.' });
+          }
+          return;
+        case '/api/users/resend-verification':
+          send(res, 200, {});
+          return;
+        default:
+          send(res, 404, { msg: 'Not found' });
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    mock.server.listen(0, '127.0.0.1', () => {
+      mock.baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+      mock.close = () => new Promise((done) => mock.server.close(done));
+      resolve(mock);
+    });
+  });
+}
+
+/**
+ * Type into a field the way a visitor would
+ * @param {HTMLInputElement} field - Field
+ * @param {string} value - New value
+ */
+function type (field, value) {
+  field.value = value;
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Submit a form through its submit event
+ * @param {HTMLFormElement} form - Form
+ */
+function submit (form) {
+  form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+}
+
+describe('account recovery', () => {
+  let mock;
+  let realFetch;
+
+  beforeAll(async () => {
+    mock = await createAccountServer();
+    // Same-origin API paths go to the mock server
+    realFetch = globalThis.fetch;
+    globalThis.fetch = (input, init) => realFetch(new URL(String(input), mock.baseUrl), init);
+  });
+
+  afterAll(async () => {
+    globalThis.fetch = realFetch;
+    csrfService.destroy();
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.requests = [];
+    localStorage.clear();
+    auth.logout();
+  });
+
+  describe('auth methods', () => {
+    it('gives the same answer for known and unknown emails when requesting a reset', async () => {
+      const known = await auth.requestPasswordReset('member@example.com');
+      const unknown = await auth.requestPasswordReset('nobody@example.com');
+
+      expect(known.success).toBe(true);
+      expect(unknown).toEqual(known);
+      expect(mock.requests.map((request) => request.csrf)).toEqual(['csrf-token', 'csrf-token']);
+      expect(mock.requests[0].body).toEqual({ email: 'member@example.com' });
+    });
+
+    it('resets the password and signs out the current session', async () => {
+      auth.setAuth('old-session', { name: 'Member' });
+
+      const result = await auth.resetPassword('reset-ok', STRONG_PASSWORD);
+
+      expect(result.success).toBe(true);
+      expect(mock.requests[0].body).toEqual({ token: 'reset-ok', password: STRONG_PASSWORD });
+      expect(auth.isAuthenticated).toBe(false);
+      expect(localStorage.getItem('token')).toBeNull();
+    });
+
+    it('passes on the server message for an expired reset link', async () => {
+      const result = await auth.resetPassword('reset-old', STRONG_PASSWORD);
+
+      expect(result).toEqual({ success: false, message: 'This reset link has expired.' });
+    });
+
+    it('marks the signed-in member as verified and tells listeners', async () => {
+      auth.setAuth('session', { name: 'Member', emailVerified: false });
+      const events = [];
+      const unsubscribe = auth.onChange((state, event) => events.push(event.type));
+
+      const result = await auth.verifyEmail('verify-ok');
+      unsubscribe();
+
+      expect(result.success).toBe(true);
+      expect(auth.user.emailVerified).toBe(true);
+      expect(events).toEqual(['user']);
+      expect(mock.requests[0].token).toBe('session');
+    });
+
+    it('resends verification for the signed-in account or for an email', async () => {
+      auth.setAuth('session', { name: 'Member' });
+      await auth.resendVerification();
+      auth.logout();
+      await auth.resendVerification('member@example.com');
+
+      expect(mock.requests[0]).toMatchObject({ token: 'session', body: {} });
+      expect(mock.requests[1]).toMatchObject({ token: undefined, body: { email: 'member@example.com' } });
+    });
+  });
+
+  describe('password strength', () => {
+    it('scores length, variety and common passwords', () => {
+      expect(getPasswordStrength('abc').score).toBe(0);
+      expect(getPasswordStrength('Password1!').score).toBe(0);
+      expect(getPasswordStrength('abcdefghijkl').score).toBe(2);
+      expect(getPasswordStrength('correct horse battery').score).toBe(3);
+      expect(getPasswordStrength(STRONG_PASSWORD)).toMatchObject({ score: 4, label: 'Strong', suggestions: [] });
+    });
+
+    it('explains what to change when the password rule fails', () => {
+      expect(RULES.password('abcdefgh').valid).toBe(false);
+      expect(RULES.password('abcdefgh').vars.hint).toBe('Use 12 or more characters.');
+      expect(RULES.password('abcdefghijkl', '2').valid).toBe(true);
+    });
+
+    it('shows a live meter under fields with data-password-strength', () => {
+      document.body.innerHTML = `
+        <form>
+          <div class="form-group">
+            <label for="password">Password</label>
+            <input type="password" id="password" name="password" data-validate="password" data-password-strength>
+          </div>
+        </form>
+      `;
+      const validator = new FormValidator('form', { enableRateLimit: false });
+      const field = document.getElementById('password');
+      const meter = document.getElementById('password-strength');
+
+      expect(meter.hidden).toBe(true);
+
+      type(field, 'abcdefgh');
+      expect(meter.hidden).toBe(false);
+      expect(meter.dataset.score).toBe('1');
+      expect(meter.textContent).toContain('Password strength: Weak');
+
+      type(field, STRONG_PASSWORD);
+      expect(meter.dataset.score).toBe('4');
+
+      type(field, '');
+      expect(meter.hidden).toBe(true);
+
+      validator.destroy();
+      expect(document.getElementById('password-strength')).toBeNull();
+    });
+  });
+
+  describe('PasswordReset page', () => {
+    let page;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <section id="password-reset">
+          <div data-reset-message hidden></div>
+          <form id="forgot-password-form">
+            <div class="form-group">
+              <label for="reset-email">Email</label>
+              <input type="email" id="reset-email" name="email" required data-validate="email">
+            </div>
+            <button type="submit">Send</button>
+          </form>
+          <form id="reset-password-form" hidden>
+            <div class="form-group">
+              <label for="new-password">New password</label>
+              <input type="password" id="new-password" name="password" required data-validate="password" data-password-strength>
+            </div>
+            <div class="form-group">
+              <label for="confirm-password">Confirm</label>
+              <input type="password" id="confirm-password" name="confirmPassword" required data-validate="match:password">
+            </div>
+            <button type="submit">Save</button>
+          </form>
+        </section>
+      `;
+    });
+
+    afterEach(() => {
+      page.destroy();
+      window.history.replaceState(null, '', '/');
+    });
+
+    it('sends a reset link when the page has no token', async () => {
+      page = new PasswordReset('#password-reset', { validatorOptions }).init();
+      const form = document.getElementById('forgot-password-form');
+
+      expect(form.hidden).toBe(false);
+      expect(document.getElementById('reset-password-form').hidden).toBe(true);
+
+      type(document.getElementById('reset-email'), 'member@example.com');
+      submit(form);
+
+      const message = document.querySelector('[data-reset-message]');
+      await expect.poll(() => message.hidden).toBe(false);
+      expect(message.textContent).toMatch(/we sent it a link/);
+      expect(mock.requests[0].body).toEqual({ email: 'member@example.com' });
+    });
+
+    it('reads the token from the link and removes it from the address bar', () => {
+      window.history.replaceState(null, '', '/reset-password/?token=reset-ok&utm=email');
+      page = new PasswordReset('#password-reset', { validatorOptions }).init();
+
+      expect(page.token).toBe('reset-ok');
+      expect(window.location.search).toBe('?utm=email');
+      expect(document.getElementById('reset-password-form').hidden).toBe(false);
+    });
+
+    it('does not send a weak or mismatched password', async () => {
+      page = new PasswordReset('#password-reset', { token: 'reset-ok', validatorOptions }).init();
+
+      type(document.getElementById('new-password'), 'abcdefgh');
+      type(document.getElementById('confirm-password'), 'abcdefgh');
+      submit(document.getElementById('reset-password-form'));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(mock.requests).toHaveLength(0);
+      expect(document.getElementById('new-password-error').textContent).toContain('Choose a stronger password. Use 12 or more characters.');
+
+      type(document.getElementById('new-password'), STRONG_PASSWORD);
+      type(document.getElementById('confirm-password'), 'something-else');
+      submit(document.getElementById('reset-password-form'));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(mock.requests).toHaveLength(0);
+    });
+
+    it('saves a strong new password and links to the login page', async () => {
+      page = new PasswordReset('#password-reset', { token: 'reset-ok', loginUrl: '/login/', validatorOptions }).init();
+      const form = document.getElementById('reset-password-form');
+
+      type(document.getElementById('new-password'), STRONG_PASSWORD);
+      type(document.getElementById('confirm-password'), STRONG_PASSWORD);
+      submit(form);
+
+      await expect.poll(() => form.hidden).toBe(true);
+      const message = document.querySelector('[data-reset-message]');
+      expect(message.className).toContain('success-message');
+      expect(message.querySelector('a').getAttribute('href')).toBe('/login/');
+      expect(mock.requests[0].body).toEqual({ token: 'reset-ok', password: STRONG_PASSWORD });
+    });
+
+    it('offers a new link when the token has expired', async () => {
+      page = new PasswordReset('#password-reset', { token: 'reset-old', validatorOptions }).init();
+
+      const result = await page.reset(STRONG_PASSWORD);
+
+      expect(result.success).toBe(false);
+      const message = document.querySelector('[data-reset-message]');
+      expect(message.className).toContain('error-message');
+      expect(message.textContent).toContain('This reset link has expired. Request a new link');
+      expect(document.getElementById('reset-password-form').hidden).toBe(false);
+    });
+  });
+
+  describe('EmailVerification page', () => {
+    let page;
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <section id="email-verification">
+          <div data-verify-status></div>
+          <p data-verify-continue hidden><a href="/profile/">Go to your profile</a></p>
+          <form id="resend-verification-form" hidden>
+            <div class="form-group">
+              <label for="verify-email">Email</label>
+              <input type="email" id="verify-email" name="email" required data-validate="email">
+            </div>
+            <button type="submit">Send a new link</button>
+          </form>
+        </section>
+      `;
+    });
+
+    afterEach(() => {
+      page.destroy();
+    });
+
+    it('verifies the token from the link', async () => {
+      page = await new EmailVerification('#email-verification', { token: 'verify-ok', validatorOptions }).init();
+
+      const status = document.querySelector('[data-verify-status]');
+      expect(status.dataset.state).toBe('success');
+      expect(document.querySelector('[data-verify-continue]').hidden).toBe(false);
+      expect(document.getElementById('resend-verification-form').hidden).toBe(true);
+    });
+
+    it('offers a new link when verification fails', async () => {
+      page = await new EmailVerification('#email-verification', { token: 'verify-old', validatorOptions }).init();
+
+      const status = document.querySelector('[data-verify-status]');
+      expect(status.dataset.state).toBe('error');
+      expect(status.textContent).toBe('This verification link has expired.');
+      expect(document.getElementById('resend-verification-form').hidden).toBe(false);
+    });
+
+    it('asks a new member to check their inbox and resends for their account', async () => {
+      auth.setAuth('session', { name: 'Member' });
+      page = await new EmailVerification('#email-verification', { token: null, validatorOptions }).init();
+
+      const form = document.getElementById('resend-verification-form');
+      const email = document.getElementById('verify-email');
+      expect(document.querySelector('[data-verify-status]').dataset.state).toBe('pending');
+      expect(form.hidden).toBe(false);
+      expect(email.disabled).toBe(true);
+
+      submit(form);
+
+      await expect.poll(() => mock.requests.length).toBe(1);
+      expect(mock.requests[0]).toMatchObject({ url: '/api/users/resend-verification', token: 'session', body: {} });
+    });
+
+    it('asks signed-out visitors for their email before resending', async () => {
+      page = await new EmailVerification('#email-verification', { token: null, validatorOptions }).init();
+
+      const form = document.getElementById('resend-verification-form');
+      type(document.getElementById('verify-email'), 'member@example.com');
+      submit(form);
+
+      await expect.poll(() => mock.requests.length).toBe(1);
+      expect(mock.requests[0].body).toEqual({ email: 'member@example.com' });
+      expect(document.querySelector('[data-verify-status]').dataset.state).toBe('success');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest';
+import { auth, AUTH_TOKEN_KEY } from '../../docs/js/auth.js';
+import { SavedPropertiesStore } from '../../docs/js/utils/savedProperties.js';
+
+/**
+ * Auth stand-in whose events can be fired by hand
+ * @returns {Object} Auth-like object
+ */
+function createAuth () {
+  const fake = {
+    isAuthenticated: true,
+    user: null,
+    listeners: new Set(),
+    getAuthHeaders: () => ({ 'x-auth-token': 'token' }),
+    onChange: (listener) => {
+      fake.listeners.add(listener);
+      return () => fake.listeners.delete(listener);
+    },
+    emit: (type) => fake.listeners.forEach((listener) => listener({}, { type }))
+  };
+  return fake;
+}
+
+describe('auth events', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it("emits 'restore', not 'login', for a token stored by an earlier visit", () => {
+    const events = [];
+    const unsubscribe = auth.onChange((state, event) => events.push([event.type, state.isAuthenticated]));
+    localStorage.setItem(AUTH_TOKEN_KEY, 'stored-token');
+    // Keep init() from calling the API
+    auth.loadUser = () => {};
+
+    auth.init();
+    unsubscribe();
+
+    expect(events).toEqual([['restore', true]]);
+  });
+
+  it('merges saved properties on login but not on restore', async () => {
+    const fake = createAuth();
+    const requests = [];
+    const store = new SavedPropertiesStore({
+      auth: fake,
+      storage: { getItem: () => null, setItem: () => {} },
+      api: {
+        request: async (url, options) => {
+          requests.push(options.method);
+          return [];
+        }
+      }
+    });
+    await store.init();
+    requests.length = 0;
+
+    fake.emit('restore');
+    expect(requests).toEqual([]);
+
+    fake.emit('login');
+    await store.accountSync;
+    expect(requests).toEqual(['GET']);
+
+    store.destroy();
+  });
+});
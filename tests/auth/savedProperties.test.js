@@ -0,0 +1,122 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest';
+import { SavedPropertiesStore, SAVED_PROPERTIES_ENDPOINT, SAVED_STORAGE_KEY } from '../../docs/js/utils/savedProperties.js';
+
+/**
+ * In-memory Storage
+ * @param {Object} initial - Initial values
+ * @returns {Object} Storage-like object
+ */
+function createStorage (initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+/**
+ * Signed-in auth stand-in
+ * @returns {Object} Auth-like object
+ */
+function createAuth () {
+  return {
+    isAuthenticated: true,
+    user: { savedProperties: [] },
+    getAuthHeaders: () => ({ 'x-auth-token': 'token' }),
+    onChange: () => () => {}
+  };
+}
+
+/**
+ * fetch stand-in that answers every request with the same status
+ * @param {number} status - Response status
+ * @param {*} body - JSON body
+ * @returns {Function} fetch with a calls array
+ */
+function createFetch (status, body) {
+  const fetch = async (url, init) => {
+    fetch.calls.push({ url, method: init.method });
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  fetch.calls = [];
+  return fetch;
+}
+
+describe('SavedPropertiesStore.flush', () => {
+  let store;
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  it('keeps queued changes when the server answers 401', async () => {
+    const storage = createStorage();
+    const fetch = createFetch(401, { msg: 'Token is not valid' });
+    store = new SavedPropertiesStore({ auth: createAuth(), storage, fetch });
+    store.state = {
+      mode: 'account',
+      items: [{ id: 'p1', savedAt: 1 }],
+      pending: [{ op: 'add', id: 'p1' }, { op: 'remove', id: 'p2' }]
+    };
+
+    await store.flush();
+
+    expect(fetch.calls).toHaveLength(1);
+    expect(store.state.pending).toEqual([{ op: 'add', id: 'p1' }, { op: 'remove', id: 'p2' }]);
+    expect(store.retryTimer).toBeNull();
+  });
+
+  it('sends the kept queue on the next flush after signing in again', async () => {
+    const storage = createStorage();
+    store = new SavedPropertiesStore({ auth: createAuth(), storage, fetch: createFetch(401, {}) });
+    store.state = { mode: 'account', items: [{ id: 'p1', savedAt: 1 }], pending: [{ op: 'add', id: 'p1' }] };
+    await store.flush();
+
+    store.api.options.fetch = createFetch(200, ['p1']);
+    await store.flush();
+
+    expect(store.state.pending).toEqual([]);
+    expect(JSON.parse(storage.getItem(SAVED_STORAGE_KEY)).pending).toEqual([]);
+  });
+
+  it('drops a change the server rejects', async () => {
+    store = new SavedPropertiesStore({ auth: createAuth(), storage: createStorage(), fetch: createFetch(404, {}) });
+    store.state = { mode: 'account', items: [], pending: [{ op: 'remove', id: 'gone' }] };
+
+    await store.flush();
+
+    expect(store.state.pending).toEqual([]);
+  });
+});
+
+describe('SavedPropertiesStore.syncWithAccount', () => {
+  let store;
+
+  afterEach(() => {
+    store.destroy();
+  });
+
+  it('schedules no retry when the first GET after login answers 401', async () => {
+    const fetch = createFetch(401, { msg: 'Token is not valid' });
+    store = new SavedPropertiesStore({ auth: createAuth(), storage: createStorage(), fetch });
+
+    store.handleAuthChange(null, { type: 'login' });
+    await store.accountSync;
+
+    expect(fetch.calls).toEqual([{ url: SAVED_PROPERTIES_ENDPOINT, method: 'GET' }]);
+    expect(store.retryTimer).toBeNull();
+  });
+
+  it('schedules a retry when the first GET after login fails with a server error', async () => {
+    store = new SavedPropertiesStore({ auth: createAuth(), storage: createStorage(), fetch: createFetch(503, {}) });
+
+    await store.syncWithAccount();
+
+    expect(store.retryTimer).not.toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionManager, SESSION_END_REASONS } from '../../docs/js/utils/sessionManager.js';
+
+/**
+ * Unsigned JWT with an exp claim
+ * @param {number} expiresAt - Expiry timestamp (ms)
+ * @returns {string} Token
+ */
+function createToken (expiresAt) {
+  const payload = btoa(JSON.stringify({ exp: Math.floor(expiresAt / 1000) }));
+  return `header.${payload}.signature`;
+}
+
+/**
+ * Signed-in auth stand-in
+ * @param {string} token - Current token
+ * @returns {Object} Auth-like object recording logout() calls
+ */
+function createAuth (token) {
+  return {
+    token,
+    user: { name: 'Jordan' },
+    isAuthenticated: true,
+    loggedOut: false,
+    getAuthHeaders () {
+      return { 'x-auth-token': this.token };
+    },
+    setAuth (nextToken) {
+      this.token = nextToken;
+    },
+    logout () {
+      this.loggedOut = true;
+      this.isAuthenticated = false;
+      this.token = null;
+    },
+    onChange: () => () => {}
+  };
+}
+
+/**
+ * fetch stand-in that answers the refresh endpoint from a list of statuses
+ * @param {Array<number>} statuses - Status per call; 200 returns a new token
+ * @returns {Function} fetch with a calls array
+ */
+function createFetch (statuses) {
+  const fetch = async (url) => {
+    fetch.calls.push(url);
+    const status = statuses[fetch.calls.length - 1] ?? 200;
+    const body = status === 200 ? { token: createToken(Date.now() + 60 * 60 * 1000) } : { msg: 'Refused' };
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  };
+  fetch.calls = [];
+  return fetch;
+}
+
+describe('SessionManager token refresh', () => {
+  let auth;
+  let csrf;
+  let events;
+  let manager;
+
+  /**
+   * Session manager for the given refresh responses
+   * @param {Array<number>} statuses - Refresh endpoint statuses
+   * @returns {Function} The fetch stand-in
+   */
+  function setup (statuses) {
+    const fetch = createFetch(statuses);
+    manager = new SessionManager({ auth, csrf, fetch, storage: localStorage });
+    manager.onChange((event) => events.push(event));
+    return fetch;
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    auth = createAuth(createToken(Date.now() + 10 * 60 * 1000));
+    csrf = { refresh: vi.fn(async () => 'new-csrf-token') };
+    events = [];
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    vi.useRealTimers();
+  });
+
+  it('stores the new token and schedules the next refresh', async () => {
+    setup([200]);
+
+    expect(await manager.refresh()).toBe(true);
+
+    expect(auth.token).not.toBeNull();
+    expect(manager.refreshTimer).not.toBeNull();
+    expect(auth.loggedOut).toBe(false);
+  });
+
+  it('ends the session when the server answers 401', async () => {
+    setup([401]);
+
+    expect(await manager.refresh()).toBe(false);
+
+    expect(auth.loggedOut).toBe(true);
+    expect(events).toEqual([{ type: 'logout', reason: SESSION_END_REASONS.expired }]);
+  });
+
+  it('gets a new CSRF token and retries once after a 403', async () => {
+    const fetch = setup([403, 200]);
+
+    expect(await manager.refresh()).toBe(true);
+
+    expect(csrf.refresh).toHaveBeenCalledTimes(1);
+    expect(fetch.calls).toHaveLength(2);
+    expect(auth.loggedOut).toBe(false);
+  });
+
+  it('keeps the session and backs off when the 403 persists', async () => {
+    const fetch = setup([403, 403]);
+
+    expect(await manager.refresh()).toBe(false);
+
+    expect(csrf.refresh).toHaveBeenCalledTimes(1);
+    expect(fetch.calls).toHaveLength(2);
+    expect(auth.loggedOut).toBe(false);
+    expect(manager.retryAttempts).toBe(1);
+  });
+
+  it('keeps the session when no new CSRF token can be fetched', async () => {
+    csrf.refresh.mockRejectedValue(new Error('offline'));
+    const fetch = setup([403]);
+
+    expect(await manager.refresh()).toBe(false);
+
+    expect(fetch.calls).toHaveLength(1);
+    expect(auth.loggedOut).toBe(false);
+    expect(manager.refreshTimer).not.toBeNull();
+  });
+
+  it('starts tracking a session restored on page load', () => {
+    auth.isAuthenticated = false;
+    setup([]);
+    manager.init();
+    expect(manager.active).toBe(false);
+
+    auth.isAuthenticated = true;
+    manager.handleAuthChange({}, { type: 'restore' });
+
+    expect(manager.active).toBe(true);
+    expect(manager.refreshTimer).not.toBeNull();
+  });
+
+  it('retries server errors with backoff and signs out once the token has expired', async () => {
+    auth.token = createToken(Date.now() + 3000);
+    const fetch = setup([503, 503, 503, 503]);
+
+    await manager.refresh();
+    expect(auth.loggedOut).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetch.calls).toHaveLength(2);
+
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(auth.loggedOut).toBe(true);
+    expect(events).toEqual([{ type: 'logout', reason: SESSION_END_REASONS.expired }]);
+  });
+});
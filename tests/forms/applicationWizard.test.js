@@ -0,0 +1,383 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { ApplicationWizard, DRAFT_STORAGE_PREFIX } from '../../docs/js/features/ApplicationWizard.js';
+
+// The form exactly as /apply/ ships it
+const APPLY_PAGE = fileURLToPath(import.meta.url).replace(/tests\/forms\/[^/]+$/, 'docs/apply/index.html');
+const FORM_MARKUP = readFileSync(APPLY_PAGE, 'utf8').match(/<form id='application-form'[\s\S]*?<\/form>/)[0];
+
+const DRAFT_KEY = `${DRAFT_STORAGE_PREFIX}application-form`;
+const DAY = 24 * 60 * 60 * 1000;
+
+const HOUSEHOLD = {
+  fullName: 'Jordan Rivers',
+  email: 'jordan@example.com',
+  phone: '903-555-1234',
+  dateOfBirth: '1980-05-01',
+  householdSize: '3'
+};
+
+/**
+ * In-memory Storage
+ * @param {Object} initial - Initial values
+ * @returns {Object} Storage-like object
+ */
+function createStorage (initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+/**
+ * Set field values the way a visitor would, firing input and change
+ * @param {HTMLFormElement} form - Form
+ * @param {Object} values - Values by field name
+ */
+function fill (form, values) {
+  Object.entries(values).forEach(([name, value]) => {
+    const field = form.elements[name];
+    if (field.type === 'checkbox') {
+      field.checked = value;
+    } else {
+      field.value = value;
+    }
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
+
+/**
+ * Names of the steps currently shown
+ * @param {ApplicationWizard} wizard - Wizard
+ * @returns {Array<string>} data-wizard-step values of visible steps
+ */
+function visibleSteps (wizard) {
+  return wizard.steps.filter((step) => !step.hidden).map((step) => step.dataset.wizardStep);
+}
+
+/**
+ * Draft for the apply form
+ * @param {Object} overrides - Fields to replace
+ * @returns {string} Serialized draft
+ */
+function createDraft (overrides = {}) {
+  return JSON.stringify({
+    step: 2,
+    furthest: 2,
+    savedAt: Date.now() - DAY,
+    values: { ...HOUSEHOLD, monthlyIncome: '2400', voucherType: 'hudvash', applicantType: 'veteran' },
+    ...overrides
+  });
+}
+
+describe('ApplicationWizard', () => {
+  let storage;
+  let wizard;
+  let form;
+
+  /**
+   * Render the apply form and start a wizard on it
+   * @param {Object} options - Wizard options
+   * @returns {ApplicationWizard} Wizard
+   */
+  function createWizard (options = {}) {
+    document.body.innerHTML = FORM_MARKUP;
+    form = document.getElementById('application-form');
+    wizard = new ApplicationWizard(form, { storage, autosaveDelay: 500, ...options }).init();
+    return wizard;
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+    storage = createStorage();
+    // The form rate limiter's fingerprint needs a canvas jsdom does not have; it falls back without one
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+  });
+
+  afterEach(() => {
+    wizard.destroy();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('steps', () => {
+    it('shows the first step and only lets the applicant jump to steps reached', () => {
+      createWizard();
+      const buttons = [...form.querySelectorAll('.wizard-progress__button')];
+
+      expect(visibleSteps(wizard)).toEqual(['household']);
+      expect(wizard.status.textContent).toBe('Step 1 of 6: Household');
+      expect(buttons.map((button) => button.disabled)).toEqual([false, true, true, true, true, true]);
+      expect(buttons[0].getAttribute('aria-current')).toBe('step');
+    });
+
+    it('stays on a step until its fields are valid', async () => {
+      createWizard();
+
+      expect(await wizard.next()).toBe(false);
+      expect(visibleSteps(wizard)).toEqual(['household']);
+      expect(form.elements.fullName.getAttribute('aria-invalid')).toBe('true');
+
+      fill(form, { ...HOUSEHOLD, email: 'not-an-email' });
+      expect(await wizard.next()).toBe(false);
+      expect(form.elements.email.getAttribute('aria-invalid')).toBe('true');
+
+      fill(form, { email: HOUSEHOLD.email });
+      expect(await wizard.next()).toBe(true);
+      expect(visibleSteps(wizard)).toEqual(['income']);
+    });
+
+    it('marks completed steps and goes back without validating', async () => {
+      createWizard();
+      fill(form, HOUSEHOLD);
+      await wizard.next();
+
+      wizard.back();
+      const [first, second] = form.querySelectorAll('.wizard-progress__item');
+
+      expect(visibleSteps(wizard)).toEqual(['household']);
+      expect(second.querySelector('button').disabled).toBe(false);
+      expect(first.classList.contains('is-current')).toBe(true);
+
+      wizard.goTo(1);
+      expect(second.classList.contains('is-current')).toBe(true);
+      expect(first.classList.contains('is-complete')).toBe(true);
+      expect(first.querySelector('.wizard-progress__state').textContent).toBe(' (completed)');
+    });
+
+    it('does not jump ahead past an invalid step', async () => {
+      createWizard();
+      fill(form, HOUSEHOLD);
+      await wizard.next();
+      wizard.back();
+
+      fill(form, { fullName: '' });
+      wizard.goTo(1);
+
+      expect(visibleSteps(wizard)).toEqual(['household']);
+    });
+  });
+
+  describe('Enter on early steps', () => {
+    it('moves forward instead of submitting the application', async () => {
+      const onSubmit = vi.fn();
+      createWizard({ onSubmit });
+      fill(form, HOUSEHOLD);
+
+      const event = new Event('submit', { bubbles: true, cancelable: true });
+      form.dispatchEvent(event);
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(visibleSteps(wizard)).toEqual(['income']);
+    });
+
+    it('stays put when the step is invalid', async () => {
+      const onSubmit = vi.fn();
+      createWizard({ onSubmit });
+
+      form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(visibleSteps(wizard)).toEqual(['household']);
+    });
+  });
+
+  describe('conditional fields', () => {
+    it('shows military service only for veterans and spouses', () => {
+      createWizard();
+      const group = document.getElementById('military-service-group');
+      const branch = form.elements.militaryService;
+
+      expect(group.hidden).toBe(true);
+      expect(branch.disabled).toBe(true);
+      expect(branch.required).toBe(false);
+
+      fill(form, { applicantType: 'spouse' });
+      expect(group.hidden).toBe(false);
+      expect(branch.disabled).toBe(false);
+      expect(branch.required).toBe(true);
+
+      fill(form, { applicantType: 'general' });
+      expect(group.hidden).toBe(true);
+      expect(branch.required).toBe(false);
+    });
+
+    it('keeps optional fields optional when they are shown', () => {
+      createWizard();
+
+      fill(form, { moveInDate: 'future' });
+
+      expect(document.getElementById('move-in-by-group').hidden).toBe(false);
+      expect(form.elements.moveInBy.required).toBe(false);
+    });
+
+    it('clears the error of a field that gets hidden', async () => {
+      storage = createStorage({ [DRAFT_KEY]: createDraft() });
+      createWizard();
+
+      expect(visibleSteps(wizard)).toEqual(['veteran']);
+      expect(await wizard.next()).toBe(false);
+      expect(form.elements.militaryService.getAttribute('aria-invalid')).toBe('true');
+
+      fill(form, { applicantType: 'general' });
+
+      expect(form.elements.militaryService.getAttribute('aria-invalid')).not.toBe('true');
+      expect(await wizard.next()).toBe(true);
+    });
+  });
+
+  describe('drafts', () => {
+    it('saves values and the step under the draft key after a pause in typing', async () => {
+      createWizard();
+      fill(form, HOUSEHOLD);
+
+      expect(storage.getItem(DRAFT_KEY)).toBeNull();
+      vi.advanceTimersByTime(500);
+
+      const draft = JSON.parse(storage.getItem(DRAFT_KEY));
+      expect(draft).toMatchObject({ step: 0, furthest: 0, savedAt: Date.now() });
+      expect(draft.values).toMatchObject(HOUSEHOLD);
+      expect(draft.values).not.toHaveProperty('documents');
+      expect(wizard.draftStatus.textContent).toBe('Draft saved on this device.');
+    });
+
+    it('restores a draft on the step the applicant left', () => {
+      storage = createStorage({ [DRAFT_KEY]: createDraft() });
+
+      createWizard();
+
+      expect(visibleSteps(wizard)).toEqual(['veteran']);
+      expect(form.elements.fullName.value).toBe(HOUSEHOLD.fullName);
+      expect(form.elements.voucherType.value).toBe('hudvash');
+      expect(document.getElementById('military-service-group').hidden).toBe(false);
+      expect(wizard.draftStatus.textContent).toContain('We restored the application you started on');
+    });
+
+    it('keeps a draft for 30 days', () => {
+      storage = createStorage({ [DRAFT_KEY]: createDraft({ savedAt: Date.now() - 30 * DAY }) });
+
+      createWizard();
+
+      expect(visibleSteps(wizard)).toEqual(['veteran']);
+    });
+
+    it('discards a draft older than 30 days', () => {
+      storage = createStorage({ [DRAFT_KEY]: createDraft({ savedAt: Date.now() - 30 * DAY - 1 }) });
+
+      createWizard();
+
+      expect(visibleSteps(wizard)).toEqual(['household']);
+      expect(form.elements.fullName.value).toBe('');
+      expect(storage.getItem(DRAFT_KEY)).toBeNull();
+    });
+
+    it('ignores a corrupt draft', () => {
+      storage = createStorage({ [DRAFT_KEY]: '{not json' });
+
+      createWizard();
+
+      expect(visibleSteps(wizard)).toEqual(['household']);
+    });
+
+    it('starts over from the draft notice', () => {
+      storage = createStorage({ [DRAFT_KEY]: createDraft() });
+      createWizard();
+
+      wizard.draftStatus.querySelector('.wizard-draft__reset').click();
+
+      expect(storage.getItem(DRAFT_KEY)).toBeNull();
+      expect(visibleSteps(wizard)).toEqual(['household']);
+      expect(form.elements.fullName.value).toBe('');
+      expect(wizard.draftStatus.textContent).toBe('Your saved draft was cleared.');
+    });
+  });
+
+  describe('review summary', () => {
+    beforeEach(() => {
+      storage = createStorage({
+        [DRAFT_KEY]: createDraft({
+          step: 5,
+          furthest: 5,
+          values: {
+            ...HOUSEHOLD,
+            monthlyIncome: '2400',
+            voucherType: 'section8',
+            applicantType: 'general',
+            preferredBedrooms: '2',
+            housingPreferences: '<b>Ground floor</b>'
+          }
+        })
+      });
+      createWizard();
+    });
+
+    /**
+     * Summary terms and values of one section
+     * @param {string} title - Section heading
+     * @returns {Object} Values keyed by label
+     */
+    function section (title) {
+      const match = [...form.querySelectorAll('.wizard-summary__section')]
+        .find((el) => el.querySelector('h3').textContent === title);
+      const terms = [...match.querySelectorAll('dt')].map((dt) => dt.textContent);
+      const values = [...match.querySelectorAll('dd')].map((dd) => dd.textContent);
+      return Object.fromEntries(terms.map((term, i) => [term, values[i]]));
+    }
+
+    it('lists every earlier step with display values', () => {
+      const headings = [...form.querySelectorAll('.wizard-summary__section h3')].map((h3) => h3.textContent);
+
+      expect(headings).toEqual(['Household', 'Income & vouchers', 'Veteran status', 'Property preferences', 'Documents']);
+      expect(section('Household')).toMatchObject({ 'Full Legal Name': 'Jordan Rivers' });
+      expect(section('Income & vouchers')['What voucher or housing assistance do you hold?'])
+        .toBe('Section 8 Housing Choice Voucher');
+      expect(section('Property preferences')).toEqual({
+        "Home You're Interested In": 'Not provided',
+        'Preferred Number of Bedrooms': '2 Bedrooms',
+        'Preferred Move-in Date': 'Not provided',
+        'Housing Preferences': '<b>Ground floor</b>',
+        'Accessibility or Special Needs': 'Not provided'
+      });
+    });
+
+    it('leaves out hidden conditional fields and shows markup as text', () => {
+      expect(section('Veteran status')).toEqual({ 'How are you applying?': 'General Applicant' });
+      expect(form.querySelector('.wizard-summary b')).toBeNull();
+      expect(section('Property preferences')['Housing Preferences']).toBe('<b>Ground floor</b>');
+    });
+
+    it('edits a section and returns to the review', async () => {
+      form.querySelector('[aria-label="Edit Household"]').click();
+
+      expect(visibleSteps(wizard)).toEqual(['household']);
+      expect(form.querySelector('[data-wizard-step="household"] .wizard-nav__next').textContent)
+        .toBe('Save and return to review');
+
+      fill(form, { fullName: 'Jordan A. Rivers' });
+      expect(await wizard.next()).toBe(true);
+
+      expect(visibleSteps(wizard)).toEqual(['review']);
+      expect(section('Household')['Full Legal Name']).toBe('Jordan A. Rivers');
+      expect(form.querySelector('.wizard-nav__next').textContent).toBe('Continue');
+    });
+
+    it('stops returning to the review when Back is used during an edit', () => {
+      form.querySelector('[aria-label="Edit Income & vouchers"]').click();
+
+      wizard.back();
+
+      expect(visibleSteps(wizard)).toEqual(['household']);
+      expect(form.querySelector('.wizard-nav__next').textContent).toBe('Continue');
+    });
+  });
+});
@@ -0,0 +1,250 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FormValidator } from '../../docs/js/features/FormValidator.js';
+import { ValidationError } from '../../docs/js/utils/apiClient.js';
+
+/**
+ * Render a form into the document
+ * @param {string} fields - Inner HTML of the form
+ * @returns {HTMLFormElement} Form
+ */
+function renderForm (fields) {
+  document.body.innerHTML = `<form id="signup-form">${fields}<button type="submit">Create account</button></form>`;
+  return document.getElementById('signup-form');
+}
+
+/**
+ * Type into a field the way a visitor would
+ * @param {HTMLInputElement} field - Field
+ * @param {string} value - New value
+ */
+function type (field, value) {
+  field.value = value;
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Async validator whose checks settle by hand and reject when aborted
+ * @returns {Function} Validator with a checks array of { value, signal, resolve }
+ */
+function createAsyncCheck () {
+  const validator = vi.fn((value, param, field, signal) => new Promise((resolve, reject) => {
+    validator.checks.push({ value, signal, resolve });
+    signal.addEventListener('abort', () => reject(signal.reason));
+  }));
+  validator.checks = [];
+  return validator;
+}
+
+describe('FormValidator', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('async validators', () => {
+    let field;
+    let validator;
+    let check;
+
+    beforeEach(() => {
+      const form = renderForm(`
+        <div class="form-group">
+          <label for="username">Username</label>
+          <input id="username" name="username" data-validate="required available">
+        </div>
+      `);
+      validator = new FormValidator(form, { enableRateLimit: false });
+      check = createAsyncCheck();
+      validator.addAsyncValidator('available', check);
+      field = form.elements.username;
+    });
+
+    it('runs only after the sync rules pass', async () => {
+      expect(await validator.validateFieldAsync(field)).toBe(false);
+      expect(check).not.toHaveBeenCalled();
+    });
+
+    it('shares one check between calls for the same value', async () => {
+      field.value = 'jordan';
+
+      const first = validator.validateFieldAsync(field);
+      const second = validator.validateFieldAsync(field);
+      check.checks[0].resolve({ valid: false, message: 'That username is taken' });
+
+      expect(await Promise.all([first, second])).toEqual([false, false]);
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(validator.fieldStates.get('username').errors).toEqual(['That username is taken']);
+    });
+
+    it('aborts the running check when the visitor types, and ignores its result', async () => {
+      field.value = 'jordan';
+      const stale = validator.validateFieldAsync(field);
+      expect(field.getAttribute('aria-busy')).toBe('true');
+
+      type(field, 'jordan.smith');
+
+      expect(check.checks[0].signal.aborted).toBe(true);
+      expect(field.hasAttribute('aria-busy')).toBe(false);
+      expect(await stale).toBe(false);
+      expect(validator.asyncResults.has('username')).toBe(false);
+
+      // A late answer for the old value changes nothing
+      check.checks[0].resolve({ valid: false, message: 'That username is taken' });
+      const current = validator.validateFieldAsync(field);
+      check.checks[1].resolve({ valid: true });
+
+      expect(await current).toBe(true);
+      expect(check.checks.map((entry) => entry.value)).toEqual(['jordan', 'jordan.smith']);
+    });
+
+    it('reuses the finished result until the value changes', async () => {
+      field.value = 'jordan';
+      const pending = validator.validateFieldAsync(field);
+      check.checks[0].resolve({ valid: false, message: 'That username is taken' });
+      await pending;
+
+      expect(await validator.validateFieldAsync(field)).toBe(false);
+      expect(check).toHaveBeenCalledTimes(1);
+    });
+
+    it('debounces checks queued while typing', async () => {
+      vi.useFakeTimers();
+      try {
+        field.value = 'jo';
+        validator.queueAsyncCheck(field);
+        field.value = 'jordan';
+        validator.queueAsyncCheck(field);
+
+        vi.advanceTimersByTime(validator.options.asyncDebounce);
+
+        expect(check).toHaveBeenCalledTimes(1);
+        expect(check.checks[0].value).toBe('jordan');
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('error summary', () => {
+    let form;
+    let validator;
+
+    beforeEach(() => {
+      form = renderForm(`
+        <div class="form-group">
+          <label for="fullName">Full name *</label>
+          <input id="fullName" name="fullName" required>
+        </div>
+        <div class="form-group">
+          <label for="email">Email</label>
+          <input id="email" name="email" data-validate="required email" data-summary-label="Email address">
+        </div>
+      `);
+      validator = new FormValidator(form, { enableRateLimit: false });
+    });
+
+    /**
+     * Text of each summary link
+     * @returns {Array<string>} Link texts
+     */
+    function summaryItems () {
+      return Array.from(validator.errorSummary.querySelectorAll('a[data-field-id]')).map((link) => link.textContent);
+    }
+
+    it('lists every invalid field after a failed submit and takes focus', async () => {
+      await validator.handleSubmit(new Event('submit'));
+
+      expect(validator.errorSummary.hidden).toBe(false);
+      expect(form.firstElementChild).toBe(validator.errorSummary);
+      expect(document.activeElement).toBe(validator.errorSummary);
+      expect(summaryItems()).toEqual(['Full name: This field is required', 'Email address: This field is required']);
+    });
+
+    it('updates as fields are fixed and hides once none are invalid', async () => {
+      await validator.handleSubmit(new Event('submit'));
+
+      form.elements.fullName.value = 'Jordan Smith';
+      validator.validateField(form.elements.fullName);
+      form.elements.email.value = 'jordan@';
+      validator.validateField(form.elements.email);
+
+      expect(summaryItems()).toEqual(['Email address: Please enter a valid email address']);
+
+      form.elements.email.value = 'jordan@example.com';
+      validator.validateField(form.elements.email);
+
+      expect(validator.errorSummary.hidden).toBe(true);
+      expect(summaryItems()).toEqual([]);
+    });
+
+    it('moves focus to the field when a summary link is clicked', async () => {
+      await validator.handleSubmit(new Event('submit'));
+
+      validator.errorSummary.querySelector('a[data-field-id="email"]').click();
+
+      expect(document.activeElement).toBe(form.elements.email);
+    });
+  });
+
+  describe('server errors', () => {
+    let form;
+    let errors;
+    let validator;
+
+    beforeEach(() => {
+      form = renderForm(`
+        <div class="form-group">
+          <label for="email">Email</label>
+          <input id="email" name="email" data-validate="required email" value="member@example.com">
+        </div>
+        <div class="form-group">
+          <label for="referral">Referral code</label>
+          <input id="referral" name="referral" value="SPRING">
+        </div>
+      `);
+      errors = [];
+      validator = new FormValidator(form, {
+        enableRateLimit: false,
+        onSubmit: async () => {
+          throw new ValidationError(undefined, {
+            status: 422,
+            fields: { email: 'Already registered', referral: 'Code has expired', plan: 'Unknown plan' }
+          });
+        },
+        onError: (list) => errors.push(...list)
+      });
+    });
+
+    it('shows each message on its field, including fields without client rules', async () => {
+      await validator.handleSubmit(new Event('submit'));
+
+      expect(form.elements.email.getAttribute('aria-invalid')).toBe('true');
+      expect(document.getElementById('referral-error').textContent).toContain('Code has expired');
+      expect(Array.from(validator.errorSummary.querySelectorAll('a')).map((link) => link.textContent))
+        .toEqual(['Email: Already registered', 'Referral code: Code has expired']);
+    });
+
+    it('passes messages that match no field to onError', async () => {
+      await validator.handleSubmit(new Event('submit'));
+
+      expect(errors).toEqual([
+        { field: 'email', errors: ['Already registered'] },
+        { field: 'referral', errors: ['Code has expired'] },
+        { field: 'form', message: 'Unknown plan' }
+      ]);
+    });
+
+    it('keeps the message until the value changes', async () => {
+      await validator.handleSubmit(new Event('submit'));
+
+      expect(validator.validateField(form.elements.email)).toBe(false);
+
+      form.elements.email.value = 'other@example.com';
+      expect(validator.validateField(form.elements.email)).toBe(true);
+
+      // Going back to the rejected value does not bring the message back
+      form.elements.email.value = 'member@example.com';
+      expect(validator.validateField(form.elements.email)).toBe(true);
+    });
+  });
+});
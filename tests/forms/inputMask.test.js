@@ -0,0 +1,179 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { InputMask, MASK_CHAR, getInputMask, initInputMasks } from '../../docs/js/utils/inputMask.js';
+
+/**
+ * Render a form with one masked input, attach the mask and focus the input
+ * @param {string} type - Mask name
+ * @param {string} value - Initial value
+ * @returns {InputMask} Mask
+ */
+function createMask (type, value = '') {
+  document.body.innerHTML = `<form><input type="text" name="${type}" data-mask="${type}" value="${value}"></form>`;
+  const input = document.querySelector('input');
+  input.focus();
+  return new InputMask(input).init();
+}
+
+/**
+ * Apply an edit the way the browser does before the input event: new value and caret, then the event
+ * @param {HTMLInputElement} input - Masked input
+ * @param {string} value - Value after the edit
+ * @param {number} caret - Caret position after the edit
+ * @param {string} inputType - InputEvent inputType
+ */
+function edit (input, value, caret, inputType = 'insertText') {
+  input.value = value;
+  input.setSelectionRange(caret, caret);
+  input.dispatchEvent(new InputEvent('input', { inputType }));
+}
+
+/**
+ * Fire the formdata event jsdom leaves out of new FormData(form)
+ * @param {HTMLFormElement} form - Form
+ * @returns {FormData} Data after the listeners ran
+ */
+function collectFormData (form) {
+  const formData = new FormData(form);
+  const event = new Event('formdata');
+  event.formData = formData;
+  form.dispatchEvent(event);
+  return formData;
+}
+
+describe('InputMask', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('caret', () => {
+    it('keeps the caret after the typed digit when separators move', () => {
+      const mask = createMask('phone', '903555');
+      const { input } = mask;
+      expect(input.value).toBe('(903) 555');
+
+      // "1" typed between "3" and ")"
+      edit(input, '(9031) 555', 5);
+
+      expect(input.value).toBe('(903) 155-5');
+      expect(input.selectionStart).toBe(7);
+      expect(mask.getValue()).toBe('9031555');
+    });
+
+    it('keeps the caret right after the digit it followed when a digit is deleted', () => {
+      const { input } = createMask('phone', '9035551234');
+
+      // Delete key removed the "5" at index 6
+      edit(input, '(903) 551234', 6, 'deleteContentForward');
+
+      expect(input.value).toBe('(903) 551-234');
+      expect(input.selectionStart).toBe(4);
+    });
+
+    it('moves the caret past the decimal point for currency', () => {
+      const mask = createMask('currency', '1100');
+
+      edit(mask.input, '$1,100.', 7);
+
+      expect(mask.input.value).toBe('$1,100.');
+      expect(mask.input.selectionStart).toBe(7);
+      expect(mask.getValue()).toBe('1100');
+    });
+
+    it('leaves the caret alone when the input is not focused', () => {
+      const { input } = createMask('phone');
+      input.blur();
+      const setSelectionRange = vi.spyOn(input, 'setSelectionRange');
+
+      input.value = '9035551234';
+      input.dispatchEvent(new InputEvent('input', { inputType: 'insertFromPaste' }));
+
+      expect(input.value).toBe('(903) 555-1234');
+      expect(setSelectionRange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backspace over a separator', () => {
+    it('deletes the digit before the separator', () => {
+      const mask = createMask('phone', '9035551234');
+
+      // Backspace with the caret after "-" only removed the "-"
+      edit(mask.input, '(903) 5551234', 9, 'deleteContentBackward');
+
+      expect(mask.input.value).toBe('(903) 551-234');
+      expect(mask.input.selectionStart).toBe(8);
+      expect(mask.getValue()).toBe('903551234');
+    });
+
+    it('deletes the digit before ") " when the caret is after the space', () => {
+      const { input } = createMask('phone', '9035551234');
+
+      edit(input, '(903)555-1234', 5, 'deleteContentBackward');
+
+      expect(input.value).toBe('(905) 551-234');
+      expect(input.selectionStart).toBe(3);
+    });
+
+    it('does nothing more when backspace removed a digit', () => {
+      const { input } = createMask('ssn', '123456789');
+
+      edit(input, '123-45-678', 10, 'deleteContentBackward');
+
+      expect(input.value).toBe('123-45-678');
+      expect(input.selectionStart).toBe(10);
+    });
+
+    it('does nothing at the start of the value', () => {
+      const { input } = createMask('zip', '75701');
+
+      edit(input, '75701', 0, 'deleteContentBackward');
+
+      expect(input.value).toBe('75701');
+    });
+  });
+
+  describe('submitted value', () => {
+    it('replaces the formatted value with the raw one in form data', () => {
+      const mask = createMask('phone', '(903) 555-1234');
+
+      expect(new FormData(mask.input.form).get('phone')).toBe('(903) 555-1234');
+      expect(collectFormData(mask.input.form).get('phone')).toBe('9035551234');
+    });
+
+    it('submits the raw value even while sensitive digits are hidden', () => {
+      const mask = createMask('ssn', '123456789');
+      mask.input.blur();
+
+      expect(mask.input.value).toBe(`${MASK_CHAR.repeat(3)}-${MASK_CHAR.repeat(2)}-6789`);
+      expect(collectFormData(mask.input.form).get('ssn')).toBe('123456789');
+
+      mask.input.focus();
+      expect(mask.input.value).toBe('123-45-6789');
+    });
+
+    it('keeps the ZIP+4 hyphen and drops a trailing decimal point', () => {
+      document.body.innerHTML = `
+        <form>
+          <input name="zip" data-mask="zip" value="757011234">
+          <input name="rent" data-mask="currency" value="1100.">
+          <input name="phone" data-mask="phone" value="9035551234" disabled>
+        </form>
+      `;
+      initInputMasks();
+
+      const formData = collectFormData(document.querySelector('form'));
+
+      expect(formData.get('zip')).toBe('75701-1234');
+      expect(formData.get('rent')).toBe('1100');
+      expect(formData.has('phone')).toBe(false);
+    });
+
+    it('stops substituting after destroy()', () => {
+      const mask = createMask('phone', '9035551234');
+      mask.destroy();
+
+      expect(getInputMask(mask.input)).toBeNull();
+      expect(collectFormData(mask.input.form).get('phone')).toBe('(903) 555-1234');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  RULES,
+  conditionMet,
+  formatMessage,
+  getRuleDependencies,
+  parseRule,
+  parseRules,
+  runRule,
+  validateValues
+} from '../../docs/js/utils/validationRules.js';
+
+/**
+ * Run one rule string against a value and the other form values
+ * @param {string} rule - e.g. "gte:minPrice"
+ * @param {string} value - Field value
+ * @param {Object} values - All form values
+ * @returns {Object|null} runRule() result
+ */
+function check (rule, value, values = {}) {
+  return runRule(parseRule(rule), value, values);
+}
+
+describe('validationRules', () => {
+  describe('requiredIf', () => {
+    it('requires the field when the other field has any value', () => {
+      expect(check('requiredIf:hasPets', '', { hasPets: 'yes' }).valid).toBe(false);
+      expect(check('requiredIf:hasPets', '', { hasPets: '  ' })).toEqual({ valid: true, message: '' });
+      expect(check('requiredIf:hasPets', '', {}).valid).toBe(true);
+    });
+
+    it('requires the field only for the listed values', () => {
+      const rule = 'requiredIf:employment=employed|self-employed';
+
+      expect(check(rule, '', { employment: 'self-employed' }).valid).toBe(false);
+      expect(check(rule, '', { employment: 'retired' }).valid).toBe(true);
+      expect(check(rule, 'Acme Builders', { employment: 'employed' }).valid).toBe(true);
+    });
+
+    it('reads the condition field as a dependency', () => {
+      expect(getRuleDependencies(parseRule('requiredIf:employment=employed'))).toEqual(['employment']);
+      expect(conditionMet('employment=employed', { employment: 'employed' })).toBe(true);
+    });
+  });
+
+  describe('gte and lte', () => {
+    it('compares numbers, not strings', () => {
+      expect(check('gte:minPrice', '1000', { minPrice: '900' }).valid).toBe(true);
+      expect(check('gte:minPrice', '900', { minPrice: '1000' }).valid).toBe(false);
+      expect(check('lte:maxPrice', '1000', { maxPrice: '900' }).valid).toBe(false);
+      expect(check('lte:maxPrice', '900', { maxPrice: '900' }).valid).toBe(true);
+    });
+
+    it('passes while the other field is empty', () => {
+      expect(check('gte:minPrice', '100', { minPrice: '' }).valid).toBe(true);
+      expect(check('lte:maxPrice', '100', {}).valid).toBe(true);
+    });
+
+    it('names the other field in the message', () => {
+      expect(check('gte:minPrice', '5', { minPrice: '10' }).message).toBe('Must be at least the min price');
+      expect(check('lte:maxPrice', '50', { maxPrice: '10' }).message).toBe('Must be no more than the max price');
+    });
+  });
+
+  describe('after and before', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2026, 2, 2, 15, 30));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('compares against today as a whole day', () => {
+      expect(check('after:today', '2026-03-03').valid).toBe(true);
+      expect(check('after:today', '2026-03-02').valid).toBe(false);
+      expect(check('before:today', '2026-03-01').valid).toBe(true);
+      expect(check('before:today', '2026-03-02')).toEqual({ valid: false, message: 'Must be before today' });
+    });
+
+    it('compares against another date field', () => {
+      const values = { moveInDate: '2026-04-01' };
+
+      expect(check('after:moveInDate', '2026-04-02', values).valid).toBe(true);
+      expect(check('after:moveInDate', '2026-04-01', values)).toEqual({
+        valid: false,
+        message: 'Must be after the move in date'
+      });
+      expect(check('before:moveInDate', '2026-03-31', values).valid).toBe(true);
+    });
+
+    it('passes while the other date is empty or invalid', () => {
+      expect(check('after:moveInDate', '2026-04-02', { moveInDate: '' }).valid).toBe(true);
+      expect(check('before:moveInDate', '2026-04-02', { moveInDate: 'soon' }).valid).toBe(true);
+    });
+
+    it('depends on the other field but not on today', () => {
+      expect(getRuleDependencies(parseRule('after:moveInDate'))).toEqual(['moveInDate']);
+      expect(getRuleDependencies(parseRule('before:today'))).toEqual([]);
+    });
+  });
+
+  describe('match', () => {
+    it('needs the other field to exist and be equal', () => {
+      expect(check('match:password', 'Creek-Side-42', { password: 'Creek-Side-42' }).valid).toBe(true);
+      expect(check('match:password', 'Creek-Side-42', { password: 'other' }).message).toBe('Must match password');
+      expect(RULES.match('x', 'password', {}).valid).toBe(false);
+    });
+  });
+
+  describe('rule parsing and messages', () => {
+    it('splits a rule on its first colon only', () => {
+      expect(parseRule('remote:/api/check?x=1:2')).toEqual({ type: 'remote', param: '/api/check?x=1:2', message: undefined });
+      expect(parseRules('required  email')).toHaveLength(2);
+    });
+
+    it('skips rules other than required ones for empty values', () => {
+      expect(check('email', '')).toBeNull();
+      expect(check('required', '   ').valid).toBe(false);
+    });
+
+    it('uses the rule message first, then the messages option', () => {
+      const rule = { type: 'minLength', param: '8', message: '{label} needs {param}+ characters' };
+
+      expect(runRule(rule, 'short', {}, { label: 'Password' }).message).toBe('Password needs 8+ characters');
+      expect(runRule(parseRule('minLength:8'), 'short', {}, { messages: { minLength: 'Au moins {param}' } }).message)
+        .toBe('Au moins 8');
+    });
+
+    it('leaves unknown placeholders in place', () => {
+      expect(formatMessage('Hello {name} {missing}', { name: 'Jordan' })).toBe('Hello Jordan {missing}');
+    });
+  });
+
+  describe('validateValues', () => {
+    it('checks a schema with cross-field rules and skips async rules', () => {
+      const schema = {
+        fields: {
+          email: ['required', 'email', 'remote:/api/users/check-email'],
+          minPrice: ['number'],
+          maxPrice: ['number', 'gte:minPrice'],
+          employer: ['requiredIf:employment=employed']
+        }
+      };
+
+      const result = validateValues(schema, {
+        email: 'member@example.com',
+        minPrice: 1500,
+        maxPrice: 900,
+        employment: 'employed',
+        employer: null
+      });
+
+      expect(result).toEqual({
+        valid: false,
+        errors: {
+          maxPrice: ['Must be at least the min price'],
+          employer: ['This field is required']
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,258 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { CompareTray, COMPARE_STORAGE_KEY, MAX_COMPARE } from '../../docs/js/features/CompareTray.js';
+import { getModalInstance } from '../../docs/js/components/Modal.js';
+import { normalizeProperties } from '../../docs/js/utils/propertyModel.js';
+
+const FEED_PATH = fileURLToPath(import.meta.url).replace(/tests\/properties\/[^/]+$/, 'docs/properties.json');
+const feed = JSON.parse(readFileSync(FEED_PATH, 'utf8'));
+const { properties } = normalizeProperties(feed.properties);
+
+/**
+ * In-memory Storage
+ * @param {Object} initial - Initial values
+ * @returns {Object} Storage-like object
+ */
+function createStorage (initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+/**
+ * Names listed in the tray
+ * @returns {Array<string>} Names
+ */
+function trayNames () {
+  return [...document.querySelectorAll('.compare-tray__item span')].map((span) => span.textContent);
+}
+
+/**
+ * Rows of the open comparison table
+ * @returns {Array<Object>} { label, differs, values } per row
+ */
+function tableRows () {
+  return [...document.querySelectorAll('.compare-table tbody tr')].map((row) => ({
+    label: row.querySelector('th').firstChild.textContent,
+    differs: row.classList.contains('compare-table__row--differs'),
+    marker: row.querySelector('.compare-table__differs')?.textContent || null,
+    values: [...row.querySelectorAll('td')].map((td) => td.textContent)
+  }));
+}
+
+describe('CompareTray', () => {
+  let storage;
+  let tray;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    storage = createStorage();
+    tray = new CompareTray({ properties, storage }).init();
+  });
+
+  afterEach(() => {
+    const modal = getModalInstance();
+    if (modal.isOpen()) modal.close();
+    tray.destroy();
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('selection cap', () => {
+    it('holds three homes and refuses a fourth', () => {
+      ['tyler-ranch-home', 'kemp-townhome', 'van-downtown-loft'].forEach((id) => {
+        expect(tray.add(id)).toBe(true);
+      });
+
+      expect(MAX_COMPARE).toBe(3);
+      expect(tray.isFull()).toBe(true);
+      expect(tray.add('longview-victorian')).toBe(false);
+      expect(tray.toggle('longview-victorian')).toBe(false);
+      expect(tray.selected).toEqual(['tyler-ranch-home', 'kemp-townhome', 'van-downtown-loft']);
+      expect(JSON.parse(storage.getItem(COMPARE_STORAGE_KEY))).toHaveLength(3);
+    });
+
+    it('makes room again after a removal', () => {
+      tray.select(['tyler-ranch-home', 'kemp-townhome', 'van-downtown-loft']);
+
+      tray.toggle('kemp-townhome');
+
+      expect(tray.add('longview-victorian')).toBe(true);
+      expect(tray.selected).toEqual(['tyler-ranch-home', 'van-downtown-loft', 'longview-victorian']);
+    });
+
+    it('cuts a bulk selection to the cap, skipping repeats and unlisted homes', () => {
+      const selected = tray.select(['gone', 'kemp-townhome', 'kemp-townhome', 'tyler-ranch-home', 'van-downtown-loft', 'longview-victorian']);
+
+      expect(selected).toEqual(['kemp-townhome', 'tyler-ranch-home', 'van-downtown-loft']);
+    });
+
+    it('cuts a stored selection to the cap', () => {
+      const ids = properties.slice(0, 5).map((prop) => prop.id);
+      const stored = new CompareTray({ storage: createStorage({ [COMPARE_STORAGE_KEY]: JSON.stringify(ids) }) });
+
+      expect(stored.selected).toEqual(ids.slice(0, 3));
+    });
+
+    it('honors a smaller maxItems', () => {
+      const pair = new CompareTray({ properties, storage: createStorage(), maxItems: 2 });
+      pair.select(['tyler-ranch-home', 'kemp-townhome']);
+
+      expect(pair.add('van-downtown-loft')).toBe(false);
+    });
+  });
+
+  describe('tray', () => {
+    it('is hidden until a home is selected and opens the table from two homes', () => {
+      const open = document.querySelector('.compare-tray__open');
+
+      expect(tray.tray.hidden).toBe(true);
+
+      tray.add('tyler-ranch-home');
+      expect(tray.tray.hidden).toBe(false);
+      expect(open.disabled).toBe(true);
+      expect(open.title).toBe('Select at least two homes to compare');
+
+      tray.add('kemp-townhome');
+      expect(trayNames()).toEqual(['Tyler Ranch Home', 'Kemp Townhome']);
+      expect(open.textContent).toBe('Compare (2)');
+      expect(open.disabled).toBe(false);
+    });
+
+    it('removes a home from its tray button', () => {
+      tray.select(['tyler-ranch-home', 'kemp-townhome']);
+
+      document.querySelector('[aria-label="Remove Tyler Ranch Home from comparison"]').click();
+
+      expect(tray.selected).toEqual(['kemp-townhome']);
+    });
+  });
+
+  describe('cross-tab sync', () => {
+    it('picks up a selection made in another tab', () => {
+      const listener = vi.fn();
+      tray.onChange(listener);
+
+      storage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(['kemp-townhome', 'van-downtown-loft']));
+      window.dispatchEvent(new StorageEvent('storage', { key: COMPARE_STORAGE_KEY }));
+
+      expect(tray.selected).toEqual(['kemp-townhome', 'van-downtown-loft']);
+      expect(trayNames()).toEqual(['Kemp Townhome', 'Van Downtown Loft']);
+      expect(listener).toHaveBeenCalledWith(['kemp-townhome', 'van-downtown-loft']);
+    });
+
+    it('follows a clear in another tab', () => {
+      tray.select(['tyler-ranch-home', 'kemp-townhome']);
+
+      storage.removeItem(COMPARE_STORAGE_KEY);
+      window.dispatchEvent(new StorageEvent('storage', { key: COMPARE_STORAGE_KEY }));
+
+      expect(tray.selected).toEqual([]);
+      expect(tray.tray.hidden).toBe(true);
+    });
+
+    it('ignores other keys and stops listening when destroyed', () => {
+      const listener = vi.fn();
+      tray.onChange(listener);
+      storage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(['kemp-townhome']));
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'p4c_saved_properties' }));
+      expect(tray.selected).toEqual([]);
+
+      tray.destroy();
+      window.dispatchEvent(new StorageEvent('storage', { key: COMPARE_STORAGE_KEY }));
+      expect(tray.selected).toEqual([]);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('comparison table', () => {
+    it('marks the rows whose values differ', () => {
+      tray.select(['tyler-ranch-home', 'kemp-townhome']);
+
+      tray.openComparison();
+      const rows = tableRows();
+      const row = (label) => rows.find((entry) => entry.label === label);
+
+      expect(document.getElementById('compare-modal').contains(document.querySelector('.compare-table'))).toBe(true);
+      expect(row('Rent')).toMatchObject({ differs: true, marker: ' (differs)', values: ['$1,100/mo', '$650/mo'] });
+      expect(row('Vouchers accepted')).toMatchObject({ differs: false, marker: null, values: ['Section 8', 'Section 8'] });
+      expect(row('Bathrooms')).toMatchObject({ differs: true, values: ['2', '1'] });
+      expect(rows.filter((entry) => entry.marker !== null).every((entry) => entry.differs)).toBe(true);
+    });
+
+    it('needs two homes', () => {
+      tray.add('tyler-ranch-home');
+
+      tray.openComparison();
+
+      expect(document.querySelector('.compare-table')).toBeNull();
+    });
+
+    it('keeps the open table in step with removals and closes after the last', () => {
+      tray.select(['tyler-ranch-home', 'kemp-townhome', 'van-downtown-loft']);
+      tray.openComparison();
+
+      document.querySelector('.compare-table__remove[aria-label="Remove Kemp Townhome from comparison"]').click();
+      expect(tableRows()[0].values).toEqual(['$1,100/mo', '$800/mo']);
+
+      tray.remove('tyler-ranch-home');
+      tray.remove('van-downtown-loft');
+      expect(getModalInstance().isOpen()).toBe(false);
+    });
+  });
+
+  describe('announcements', () => {
+    /**
+     * Text of the tray's live region once the announcement delay has passed
+     * @returns {string} Announcement
+     */
+    function announcement () {
+      vi.advanceTimersByTime(50);
+      return tray.liveRegion.textContent;
+    }
+
+    it('uses a polite status region', () => {
+      expect(tray.liveRegion.getAttribute('role')).toBe('status');
+      expect(tray.liveRegion.getAttribute('aria-live')).toBe('polite');
+    });
+
+    it('announces additions with the count, removals and clearing', () => {
+      tray.add('tyler-ranch-home');
+      expect(announcement()).toBe('Tyler Ranch Home added to comparison. 1 of 3 selected.');
+
+      tray.remove('tyler-ranch-home');
+      expect(announcement()).toBe('Tyler Ranch Home removed from comparison.');
+
+      tray.select(['kemp-townhome', 'van-downtown-loft']);
+      expect(announcement()).toBe('2 homes selected for comparison.');
+
+      tray.clear();
+      expect(announcement()).toBe('Comparison cleared.');
+    });
+
+    it('explains a refused addition', () => {
+      tray.select(['tyler-ranch-home', 'kemp-townhome', 'van-downtown-loft']);
+
+      tray.add('longview-victorian');
+
+      expect(announcement()).toBe('You can compare up to 3 homes. Remove one to add another.');
+    });
+
+    it('clears the region first so a repeated message is read again', () => {
+      tray.select(['tyler-ranch-home', 'kemp-townhome', 'van-downtown-loft']);
+      tray.add('longview-victorian');
+      announcement();
+
+      tray.add('longview-victorian');
+
+      expect(tray.liveRegion.textContent).toBe('');
+      expect(announcement()).toBe('You can compare up to 3 homes. Remove one to add another.');
+    });
+  });
+});
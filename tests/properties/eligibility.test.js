@@ -0,0 +1,307 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import {
+  ELIGIBILITY_STATUS,
+  checkEligibility,
+  findCounty,
+  getIncomeLimit,
+  getPaymentStandard,
+  getVoucherBedroomSize,
+  screenProperties,
+  validateHousehold
+} from '../../docs/js/utils/eligibility.js';
+import { normalizeProperties } from '../../docs/js/utils/propertyModel.js';
+
+const tables = JSON.parse(fs.readFileSync(new URL('../../docs/eligibility.json', import.meta.url), 'utf8'));
+const feed = JSON.parse(fs.readFileSync(new URL('../../docs/properties.json', import.meta.url), 'utf8'));
+const { properties } = normalizeProperties(feed.properties);
+
+/**
+ * Household answers with overrides
+ * @param {Object} overrides - Answers to replace
+ * @returns {Object} Household
+ */
+function createHousehold (overrides = {}) {
+  return { householdSize: 3, monthlyIncome: 2000, voucherType: 'section8', bedrooms: 2, ...overrides };
+}
+
+/**
+ * Normalized property with overrides
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Property
+ */
+function createProperty (overrides = {}) {
+  return {
+    id: 'tyler-test-home',
+    city: 'Tyler',
+    bedrooms: 3,
+    availability: 'available',
+    price: { amount: 1100 },
+    tags: ['Section 8'],
+    ...overrides
+  };
+}
+
+/**
+ * Find one check of a result
+ * @param {Object} result - checkEligibility result
+ * @param {string} id - Check ID
+ * @returns {Object|undefined} Check
+ */
+function check (result, id) {
+  return result.checks.find((entry) => entry.id === id);
+}
+
+describe('eligibility', () => {
+  const smith = findCounty(tables, { city: 'Tyler' });
+
+  describe('eligibility.json', () => {
+    it('has a county for every city in the property feed', () => {
+      const missing = properties.filter((prop) => !findCounty(tables, prop)).map((prop) => prop.city);
+
+      expect(missing).toEqual([]);
+    });
+
+    it('lists each city in one county only', () => {
+      const cities = Object.values(tables.counties).flatMap((county) => county.cities.map((city) => city.toLowerCase()));
+
+      expect(new Set(cities).size).toBe(cities.length);
+    });
+
+    it('has rising payment standards for studio through 4 bedrooms', () => {
+      Object.entries(tables.counties).forEach(([name, county]) => {
+        expect(county.paymentStandards, name).toHaveLength(5);
+        expect([...county.paymentStandards].sort((a, b) => a - b), name).toEqual(county.paymentStandards);
+      });
+    });
+
+    it('has rising income limits for 1 to 8 people, with low above very low', () => {
+      Object.entries(tables.counties).forEach(([name, county]) => {
+        const { veryLow, low } = county.incomeLimits;
+
+        expect(veryLow, name).toHaveLength(8);
+        expect(low, name).toHaveLength(8);
+        expect([...veryLow].sort((a, b) => a - b), name).toEqual(veryLow);
+        expect(low.every((limit, i) => limit > veryLow[i]), name).toBe(true);
+      });
+    });
+
+    it('only maps vouchers to income levels the counties define', () => {
+      const levels = Object.values(tables.rules.incomeLimitByVoucher);
+
+      Object.values(tables.counties).forEach((county) => {
+        expect(Object.keys(county.incomeLimits)).toEqual(expect.arrayContaining(levels));
+      });
+    });
+  });
+
+  describe('findCounty', () => {
+    it('matches the city without regard to case', () => {
+      expect(findCounty(tables, { city: 'van' }).name).toBe('Van Zandt');
+      expect(findCounty(tables, { city: 'Canton' }).name).toBe('Van Zandt');
+    });
+
+    it('returns null for a city without a county entry', () => {
+      expect(findCounty(tables, { city: 'Athens' })).toBeNull();
+      expect(findCounty(tables, {})).toBeNull();
+    });
+  });
+
+  describe('getIncomeLimit', () => {
+    it('reads the limit for the household size', () => {
+      expect(getIncomeLimit(smith, 'veryLow', 1, tables.rules)).toBe(28050);
+      expect(getIncomeLimit(smith, 'veryLow', 4, tables.rules)).toBe(40050);
+      expect(getIncomeLimit(smith, 'low', 8, tables.rules)).toBe(84550);
+    });
+
+    it('adds 8% of the 4-person limit per person above 8', () => {
+      expect(getIncomeLimit(smith, 'veryLow', 9, tables.rules)).toBe(52900 + 3204);
+      expect(getIncomeLimit(smith, 'veryLow', 10, tables.rules)).toBe(52900 + 6408);
+    });
+
+    it('uses the largest size listed as the base for a short table', () => {
+      const county = { incomeLimits: { veryLow: [20000, 23000, 26000] } };
+
+      expect(getIncomeLimit(county, 'veryLow', 4, tables.rules)).toBe(26000 + 2080);
+    });
+
+    it('returns null for a level the county does not have', () => {
+      expect(getIncomeLimit(smith, 'extremelyLow', 2, tables.rules)).toBeNull();
+      expect(getIncomeLimit({}, 'veryLow', 2, tables.rules)).toBeNull();
+    });
+  });
+
+  describe('getPaymentStandard', () => {
+    it('reads the standard for the bedroom count', () => {
+      expect(getPaymentStandard(smith, 0)).toBe(960);
+      expect(getPaymentStandard(smith, 2)).toBe(1230);
+    });
+
+    it('uses the largest listed size for bigger units', () => {
+      expect(getPaymentStandard(smith, 6)).toBe(1900);
+    });
+
+    it('returns null when the county has no standards', () => {
+      expect(getPaymentStandard({ paymentStandards: [] }, 2)).toBeNull();
+    });
+  });
+
+  describe('getVoucherBedroomSize', () => {
+    it('allows two people per bedroom and at least one bedroom', () => {
+      expect([1, 2, 3, 4, 5].map((size) => getVoucherBedroomSize(size, tables.rules))).toEqual([1, 1, 2, 2, 3]);
+    });
+  });
+
+  describe('validateHousehold', () => {
+    it('accepts complete answers', () => {
+      expect(validateHousehold(createHousehold())).toEqual([]);
+      expect(validateHousehold(createHousehold({ monthlyIncome: 0, bedrooms: 0 }))).toEqual([]);
+    });
+
+    it('reports every missing or invalid answer', () => {
+      const errors = validateHousehold({ householdSize: 0, monthlyIncome: -1, voucherType: 'ssvf', bedrooms: 1.5 });
+
+      expect(errors.map((error) => error.field)).toEqual(['householdSize', 'monthlyIncome', 'voucherType', 'bedrooms']);
+      expect(validateHousehold(null)).toHaveLength(4);
+      expect(validateHousehold(createHousehold({ monthlyIncome: NaN }))[0].field).toBe('monthlyIncome');
+    });
+  });
+
+  describe('checkEligibility', () => {
+    it('finds a voucher household likely to qualify and estimates its share', () => {
+      const result = checkEligibility(createHousehold(), createProperty(), tables);
+
+      expect(result.status).toBe(ELIGIBILITY_STATUS.likely);
+      expect(result.summary).toBe('You likely qualify');
+      expect(result.tenantShare).toBe(600);
+      expect(result.checks.map((entry) => [entry.id, entry.passed])).toEqual([
+        ['bedrooms', true], ['voucher', true], ['income', true], ['rent', true]
+      ]);
+      expect(check(result, 'rent').message).toContain('within the $1,230 payment standard');
+    });
+
+    it('holds Section 8 to the very low limit and HUD-VASH to the low limit', () => {
+      // $42,000 a year: above Smith's 3-person very low limit ($36,050), below its low limit ($57,650)
+      const household = createHousehold({ monthlyIncome: 3500 });
+
+      const section8 = checkEligibility(household, createProperty(), tables);
+      const hudvash = checkEligibility({ ...household, voucherType: 'hudvash' }, createProperty(), tables);
+
+      expect(section8.status).toBe(ELIGIBILITY_STATUS.unlikely);
+      expect(section8.summary).toBe(check(section8, 'income').message);
+      expect(section8.summary).toContain('above the Smith County limit of $36,050 for 3 people');
+      expect(hudvash.status).toBe(ELIGIBILITY_STATUS.likely);
+      expect(check(hudvash, 'income').message).toContain('$57,650');
+    });
+
+    it('sizes the subsidy by the smaller of the voucher and the home', () => {
+      // One person: 1-bedroom voucher ($1,030) on a $1,100 home, so $70 over the standard
+      const result = checkEligibility(createHousehold({ householdSize: 1, bedrooms: 1 }), createProperty(), tables);
+
+      expect(result.tenantShare).toBe(670);
+      expect(check(result, 'rent').passed).toBe(true);
+    });
+
+    it('fails the rent check when the share would exceed 40% of income', () => {
+      const household = createHousehold({ householdSize: 1, bedrooms: 1, monthlyIncome: 150 });
+
+      const result = checkEligibility(household, createProperty(), tables);
+
+      expect(result.tenantShare).toBe(115);
+      expect(check(result, 'rent').passed).toBe(false);
+      expect(result.status).toBe(ELIGIBILITY_STATUS.unlikely);
+    });
+
+    it('is unknown for a city without a county entry', () => {
+      const result = checkEligibility(createHousehold(), createProperty({ city: 'Athens' }), tables);
+
+      expect(result.status).toBe(ELIGIBILITY_STATUS.unknown);
+      expect(check(result, 'county')).toEqual({
+        id: 'county',
+        passed: null,
+        message: "We don't have payment standards for Athens yet. Call us to check."
+      });
+      expect(result.tenantShare).toBeNull();
+    });
+
+    it('is unknown when a county lacks income limits or payment standards', () => {
+      const partial = { counties: { Smith: { cities: ['Tyler'] } } };
+
+      const result = checkEligibility(createHousehold(), createProperty(), partial);
+
+      expect(check(result, 'income').passed).toBeNull();
+      expect(check(result, 'rent').passed).toBeNull();
+      expect(result.status).toBe(ELIGIBILITY_STATUS.unknown);
+    });
+
+    it('still reports a failed check ahead of missing data', () => {
+      const result = checkEligibility(createHousehold({ bedrooms: 4 }), createProperty({ city: 'Athens' }), tables);
+
+      expect(result.status).toBe(ELIGIBILITY_STATUS.unlikely);
+      expect(result.summary).toBe('This home has 3 bedrooms; you need 4 bedrooms.');
+    });
+
+    it('needs a home listed as accepting vouchers', () => {
+      const result = checkEligibility(createHousehold(), createProperty({ tags: ['Market Rate'] }), tables);
+
+      expect(check(result, 'voucher').passed).toBe(false);
+      expect(result.status).toBe(ELIGIBILITY_STATUS.unlikely);
+    });
+
+    it('uses the income-to-rent guideline without a voucher', () => {
+      const home = createProperty({ price: { amount: 525 }, tags: ['Market Rate'] });
+
+      const enough = checkEligibility(createHousehold({ voucherType: 'no_voucher', monthlyIncome: 1575 }), home, tables);
+      const short = checkEligibility(createHousehold({ voucherType: 'no_voucher', monthlyIncome: 1500 }), home, tables);
+
+      expect(enough.status).toBe(ELIGIBILITY_STATUS.likely);
+      expect(check(enough, 'voucher')).toBeUndefined();
+      expect(short.status).toBe(ELIGIBILITY_STATUS.unlikely);
+      expect(short.summary).toContain('3× rent ($1,575/mo)');
+    });
+
+    it('rules out leased homes and notes coming-soon ones', () => {
+      const leased = checkEligibility(createHousehold(), createProperty({ availability: 'leased' }), tables);
+      const soon = checkEligibility(createHousehold(), createProperty({ availability: 'coming-soon' }), tables);
+
+      expect(leased.status).toBe(ELIGIBILITY_STATUS.unlikely);
+      expect(leased.summary).toBe('This home has been leased.');
+      expect(soon.status).toBe(ELIGIBILITY_STATUS.likely);
+      expect(check(soon, 'availability').passed).toBe(true);
+    });
+
+    it('describes studios in the bedroom check', () => {
+      const result = checkEligibility(createHousehold({ bedrooms: 1 }), createProperty({ bedrooms: 0 }), tables);
+
+      expect(check(result, 'bedrooms').message).toBe('This home is a studio; you need 1 bedroom.');
+    });
+
+    it('falls back to the default rules when the tables leave them out', () => {
+      const { rules, ...withoutRules } = tables;
+
+      expect(checkEligibility(createHousehold(), createProperty(), withoutRules))
+        .toEqual(checkEligibility(createHousehold(), createProperty(), { ...withoutRules, rules }));
+    });
+  });
+
+  describe('screenProperties', () => {
+    it('screens every listed home in feed order', () => {
+      const household = createHousehold({ householdSize: 2, monthlyIncome: 1500, bedrooms: 1 });
+
+      const results = screenProperties(household, properties, tables);
+      const status = Object.fromEntries(results.map((result) => [result.id, result.status]));
+
+      expect(results.map((result) => result.id)).toEqual(properties.map((prop) => prop.id));
+      expect(status['kemp-townhome']).toBe(ELIGIBILITY_STATUS.likely);
+      expect(status['longview-victorian']).toBe(ELIGIBILITY_STATUS.unlikely);
+      expect(status['canton-suburban-home']).toBe(ELIGIBILITY_STATUS.unlikely);
+    });
+
+    it('throws with every problem for invalid answers', () => {
+      expect(() => screenProperties({ householdSize: 0, monthlyIncome: 100, voucherType: 'section8', bedrooms: 1 }, properties, tables))
+        .toThrow('Household size must be at least 1');
+      expect(() => screenProperties({}, properties, tables))
+        .toThrow('Household size must be at least 1. Monthly income must be 0 or more. Choose a voucher type. Bedrooms must be 0 or more');
+    });
+  });
+});
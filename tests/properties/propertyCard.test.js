@@ -0,0 +1,148 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createPropertyCard, escapeHtml } from '../../docs/js/components/PropertyCard.js';
+
+const HOSTILE = '"><img src=x onerror="alert(1)"> <b>Bold</b> \'quoted\' & more';
+
+/**
+ * Normalized property with overrides
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Property
+ */
+function createProperty (overrides = {}) {
+  return {
+    id: 'kemp-townhome',
+    name: 'Kemp Townhome',
+    location: 'Kemp, TX',
+    bedrooms: 1,
+    bathrooms: 1,
+    sqft: 650,
+    tags: ['Section 8'],
+    image: '/images/properties/kemp-400w.webp',
+    url: '/kemp-townhome/',
+    featured: false,
+    ...overrides
+  };
+}
+
+/**
+ * Store or tray stand-in with a fixed selection
+ * @param {Array<string>} ids - Selected IDs
+ * @returns {Object} Object with has() and toggle()
+ */
+function createSelection (ids = []) {
+  const selected = new Set(ids);
+  return {
+    has: (id) => selected.has(id),
+    toggle: vi.fn((id) => {
+      if (selected.delete(id)) return false;
+      selected.add(id);
+      return true;
+    })
+  };
+}
+
+describe('PropertyCard', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('escapeHtml', () => {
+    it('escapes markup and both quote characters', () => {
+      expect(escapeHtml('<a href="x">Tom\'s & co</a>'))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; co&lt;/a&gt;');
+    });
+
+    it('returns an empty string for non-strings', () => {
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml(42)).toBe('');
+    });
+  });
+
+  describe('escaping', () => {
+    const card = () => createPropertyCard(
+      createProperty({ name: HOSTILE, location: HOSTILE, tags: [HOSTILE, 'Section 8'] }),
+      { savedStore: createSelection(), compareTray: createSelection() }
+    );
+
+    it('shows titles, locations and tags containing markup as text', () => {
+      const element = card();
+
+      expect(element.querySelector('.property-card__title').textContent).toBe(HOSTILE);
+      expect(element.querySelector('.property-card__location').textContent).toBe(HOSTILE);
+      expect([...element.querySelectorAll('.property-card__tag')].map((tag) => tag.textContent)).toEqual([HOSTILE, 'Section 8']);
+    });
+
+    it('adds no elements or handlers from the data', () => {
+      const element = card();
+
+      expect(element.querySelectorAll('img')).toHaveLength(1);
+      expect(element.querySelector('b')).toBeNull();
+      expect([...element.querySelectorAll('*')].some((el) => el.hasAttribute('onerror'))).toBe(false);
+    });
+
+    it('keeps quotes inside attribute values', () => {
+      const element = card();
+
+      expect(element.querySelector('.property-card__image').getAttribute('alt')).toBe(HOSTILE);
+      expect(element.querySelector('.save-property-btn').getAttribute('aria-label')).toBe(`Save ${HOSTILE}`);
+      expect(element.querySelector('.compare-toggle').getAttribute('aria-label')).toBe(`Compare ${HOSTILE}`);
+    });
+
+    it('escapes IDs, URLs and eligibility text', () => {
+      const element = createPropertyCard(
+        createProperty({ id: 'a"b', url: '/x" onclick="alert(1)' }),
+        { compareTray: createSelection(), eligibility: { status: 'likely', summary: '<i>You likely qualify</i>' } }
+      );
+
+      expect(element.dataset.propertyId).toBe('a"b');
+      expect(element.querySelector('.compare-toggle').dataset.compareId).toBe('a"b');
+      expect(element.querySelector('.property-card__actions a').getAttribute('href')).toBe('/x" onclick="alert(1)');
+      expect(element.querySelector('.property-card__eligibility').textContent.trim()).toBe('<i>You likely qualify</i>');
+      expect(element.querySelector('i')).toBeNull();
+    });
+
+    it('highlights search matches without reading the text as markup', () => {
+      const element = createPropertyCard(createProperty({ name: '<b>Kemp</b> Townhome' }), { highlightWords: ['kemp'] });
+      const title = element.querySelector('.property-card__title');
+
+      expect(title.textContent).toBe('<b>Kemp</b> Townhome');
+      expect(title.querySelector('b')).toBeNull();
+      expect(title.querySelector('mark').textContent).toBe('Kemp');
+    });
+  });
+
+  describe('toggles', () => {
+    it('reflects and flips the saved state, announcing the change', () => {
+      const savedStore = createSelection(['kemp-townhome']);
+      const announce = vi.fn();
+      const element = createPropertyCard(createProperty(), { savedStore, announce });
+      const button = element.querySelector('.save-property-btn');
+
+      expect(button.getAttribute('aria-pressed')).toBe('true');
+      expect(button.textContent.trim()).toBe('Saved');
+
+      button.click();
+
+      expect(savedStore.toggle).toHaveBeenCalledWith('kemp-townhome');
+      expect(announce).toHaveBeenCalledWith('Kemp Townhome removed from saved homes');
+    });
+
+    it('toggles the comparison', () => {
+      const compareTray = createSelection();
+      const element = createPropertyCard(createProperty(), { compareTray });
+
+      element.querySelector('.compare-toggle').click();
+
+      expect(compareTray.toggle).toHaveBeenCalledWith('kemp-townhome');
+    });
+
+    it('leaves the toggles out without a store or tray', () => {
+      const element = createPropertyCard(createProperty({ url: null }));
+
+      expect(element.querySelector('.save-property-btn')).toBeNull();
+      expect(element.querySelector('.compare-toggle')).toBeNull();
+      expect(element.querySelector('.property-card__actions a').getAttribute('href')).toBe('/apply/');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PropertyDetail } from '../../docs/js/features/PropertyDetail.js';
+import { resetPropertyFeed } from '../../docs/js/utils/propertyFeed.js';
+
+const record = {
+  id: 'kemp-townhome',
+  title: '  Kemp Townhome ',
+  location: 'Kemp, TX',
+  type: 'Townhome',
+  price: { amount: 950 },
+  availability: 'available',
+  bedrooms: 0,
+  bathrooms: 1.5,
+  sqft: 1100,
+  tags: ['Section 8'],
+  images: ['/images/properties/kemp-400w.webp']
+};
+
+/**
+ * Stub fetch with a feed holding the given records
+ * @param {Array<Object>} properties - Feed records
+ */
+function stubFeed (properties) {
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ version: '1.1.0', properties }))));
+}
+
+/**
+ * Detail page markup for a property ID
+ * @param {string} id - Property ID
+ * @returns {HTMLElement} Page container
+ */
+function createPage (id) {
+  document.body.innerHTML = `
+    <main data-property-detail="${id}">
+      <h1 data-property-field="title">Static title</h1>
+      <span data-property-field="location">Static location</span>
+      <span data-property-field="bedrooms">9</span>
+      <span data-property-field="bathrooms">9</span>
+      <span data-property-field="sqft">9</span>
+      <span data-property-field="price">$9</span>
+    </main>
+  `;
+  return document.querySelector('main');
+}
+
+/**
+ * Text of every hydrated field
+ * @param {HTMLElement} page - Page container
+ * @returns {Array<string>} Field text in document order
+ */
+function fieldText (page) {
+  return [...page.querySelectorAll('[data-property-field]')].map((element) => element.textContent);
+}
+
+describe('PropertyDetail', () => {
+  beforeEach(() => {
+    resetPropertyFeed();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  it('renders the normalized record', async () => {
+    stubFeed([record]);
+    const page = createPage('kemp-townhome');
+
+    const property = await new PropertyDetail(page).init();
+
+    expect(property.name).toBe('Kemp Townhome');
+    expect(fieldText(page)).toEqual(['Kemp Townhome', 'Kemp, TX', 'Studio', '1.5', '1,100', '$950/mo']);
+    expect(page.dataset.availability).toBe('available');
+  });
+
+  it('keeps the static content for a record that fails validation', async () => {
+    stubFeed([{ ...record, bathrooms: 1.25 }]);
+    const page = createPage('kemp-townhome');
+
+    expect(await new PropertyDetail(page).init()).toBeNull();
+    expect(fieldText(page)).toEqual(['Static title', 'Static location', '9', '9', '9', '$9']);
+  });
+
+  it('keeps the static content for an unknown ID', async () => {
+    stubFeed([record]);
+    const page = createPage('gone');
+
+    expect(await new PropertyDetail(page).init()).toBeNull();
+    expect(page.querySelector('h1').textContent).toBe('Static title');
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  PROPERTY_FEED_URL,
+  getPropertyById,
+  isSupportedVersion,
+  loadNormalizedFeed,
+  loadNormalizedProperties,
+  loadPropertyFeed,
+  resetPropertyFeed
+} from '../../docs/js/utils/propertyFeed.js';
+
+/**
+ * Stub fetch with a feed response
+ * @param {Object} feed - Feed body
+ * @param {number} status - HTTP status
+ * @returns {Function} Mock fetch
+ */
+function stubFeed (feed, status = 200) {
+  const fetch = vi.fn(async () => new Response(JSON.stringify(feed), { status }));
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+}
+
+const validRecord = {
+  id: 'kemp-townhome',
+  title: 'Kemp Townhome',
+  location: 'Kemp, TX',
+  type: 'Townhome',
+  price: { amount: 950 },
+  availability: 'available',
+  bedrooms: 2,
+  bathrooms: 1.5,
+  sqft: 1100,
+  tags: ['Section 8'],
+  images: ['/images/properties/kemp-400w.webp']
+};
+
+describe('propertyFeed', () => {
+  beforeEach(() => {
+    resetPropertyFeed();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('accepts feeds of the supported major version only', () => {
+    expect(isSupportedVersion('1.0.0')).toBe(true);
+    expect(isSupportedVersion('1.4.2')).toBe(true);
+    expect(isSupportedVersion('2.0.0')).toBe(false);
+    expect(isSupportedVersion('0.9.0')).toBe(false);
+    expect(isSupportedVersion(undefined)).toBe(false);
+  });
+
+  it('fetches the feed once per page unless forced', async () => {
+    const fetch = stubFeed({ version: '1.0.0', properties: [validRecord] });
+
+    const first = await loadPropertyFeed();
+    const second = await loadPropertyFeed();
+    await loadPropertyFeed({ force: true });
+
+    expect(second).toBe(first);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][0]).toBe(PROPERTY_FEED_URL);
+  });
+
+  it('rejects an unsupported major version', async () => {
+    stubFeed({ version: '2.0.0', properties: [] });
+
+    await expect(loadPropertyFeed()).rejects.toThrow('Unsupported property feed version: 2.0.0');
+  });
+
+  it('rejects a feed without a properties array', async () => {
+    stubFeed({ version: '1.0.0' });
+
+    await expect(loadPropertyFeed()).rejects.toThrow('Property feed is missing the properties array');
+  });
+
+  it('allows a retry after a failed load', async () => {
+    stubFeed({}, 503);
+    await expect(loadPropertyFeed()).rejects.toThrow('HTTP 503');
+
+    stubFeed({ version: '1.0.0', properties: [validRecord] });
+
+    expect((await loadPropertyFeed()).properties).toHaveLength(1);
+  });
+
+  it('returns invalid records to the caller instead of logging them', async () => {
+    const warn = vi.spyOn(console, 'warn');
+    stubFeed({ version: '1.1.0', properties: [validRecord, { ...validRecord, id: 'Bad ID' }] });
+
+    const { properties, errors } = await loadNormalizedFeed();
+
+    expect(properties.map((property) => property.id)).toEqual(['kemp-townhome']);
+    expect(errors).toEqual([{ index: 1, id: 'Bad ID', errors: [{ field: 'id', message: 'id has an invalid format' }] }]);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('normalizes once per page', async () => {
+    const fetch = stubFeed({ version: '1.0.0', properties: [validRecord] });
+
+    const first = await loadNormalizedProperties();
+    const second = await loadNormalizedProperties();
+
+    expect(second).toBe(first);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('normalizes after a failed load is retried', async () => {
+    stubFeed({}, 503);
+    await expect(loadNormalizedProperties()).rejects.toThrow('HTTP 503');
+
+    stubFeed({ version: '1.0.0', properties: [validRecord] });
+
+    expect(await loadNormalizedProperties()).toHaveLength(1);
+  });
+
+  it('looks up a record by ID', async () => {
+    stubFeed({ version: '1.0.0', properties: [validRecord] });
+
+    expect(await getPropertyById('kemp-townhome')).toEqual(validRecord);
+    expect(await getPropertyById('missing-home')).toBeNull();
+  });
+});
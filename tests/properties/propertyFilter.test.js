@@ -0,0 +1,495 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PropertyFilter, SORT_MODES } from '../../docs/js/features/PropertyFilter.js';
+import { normalizeProperties } from '../../docs/js/utils/propertyModel.js';
+
+const FEED_PATH = fileURLToPath(import.meta.url).replace(/tests\/properties\/[^/]+$/, 'docs/properties.json');
+const feed = JSON.parse(readFileSync(FEED_PATH, 'utf8'));
+const { properties } = normalizeProperties(feed.properties);
+
+/**
+ * Filter on a fresh grid, without the stores the page wires in
+ * @param {Object} options - PropertyFilter options
+ * @param {Array<Object>} list - Properties
+ * @returns {PropertyFilter} Initialized filter
+ */
+function createFilter (options = {}, list = properties) {
+  document.body.innerHTML = '<div id="properties-grid"></div>';
+  const filter = new PropertyFilter(list, '#properties-grid', {
+    savedStore: null,
+    auth: null,
+    enableMap: false,
+    ...options
+  });
+  filter.init();
+  return filter;
+}
+
+/**
+ * IDs of the rendered cards, in order
+ * @returns {Array<string>} Property IDs
+ */
+function cardIds () {
+  return [...document.querySelectorAll('#properties-grid .property-card')].map((card) => card.dataset.propertyId);
+}
+
+/**
+ * IDs of a list sorted by a sort mode
+ * @param {string} mode - SORT_MODES key
+ * @param {Array<Object>} list - Properties
+ * @returns {Array<string>} Property IDs
+ */
+function sortedIds (mode, list = properties) {
+  return [...list].sort(SORT_MODES[mode].compare).map((prop) => prop.id);
+}
+
+/**
+ * Change a select the way a visitor would
+ * @param {string} id - Select ID
+ * @param {string} value - Option value
+ */
+function choose (id, value) {
+  const select = document.getElementById(id);
+  select.value = value;
+  select.dispatchEvent(new Event('change'));
+}
+
+describe('PropertyFilter', () => {
+  let filter;
+
+  afterEach(() => {
+    filter.destroy();
+    document.body.innerHTML = '';
+  });
+
+  describe('URL state', () => {
+    const everyFilter = {
+      search: 'tyler 3 bed',
+      bedrooms: 3,
+      bathrooms: 2,
+      propertyType: 'Single Family',
+      minPrice: 500,
+      maxPrice: 1500,
+      tags: ['Section 8', 'Veteran Priority'],
+      sort: 'price-asc'
+    };
+
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/properties/');
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+      vi.useRealTimers();
+    });
+
+    it('round-trips every filter through the query string', () => {
+      filter = createFilter({ syncUrl: false });
+
+      const query = filter.buildQuery(everyFilter);
+
+      expect([...new URLSearchParams(query).keys()]).toEqual(['q', 'beds', 'baths', 'type', 'min', 'max', 'sort', 'tags']);
+      expect(filter.parseQuery(query)).toEqual(everyFilter);
+    });
+
+    it('leaves defaults out of the query string', () => {
+      filter = createFilter({ syncUrl: false });
+
+      expect(filter.buildQuery(filter.getFilters())).toBe('');
+      expect(filter.parseQuery('')).toEqual(filter.getFilters());
+    });
+
+    it('keeps other parameters and replaces stale filter ones', () => {
+      filter = createFilter({ syncUrl: false });
+
+      const query = filter.buildQuery({ ...filter.getFilters(), bedrooms: 2 }, '?utm_source=flyer&beds=4&q=old');
+
+      expect(query).toBe('?utm_source=flyer&beds=2');
+    });
+
+    it('falls back to defaults for malformed values', () => {
+      filter = createFilter({ syncUrl: false });
+
+      expect(filter.parseQuery('?beds=-1&baths=two&min=abc&sort=cheapest&tags=Section%208,,%20Section%208%20,ADA%20Accessible'))
+        .toMatchObject({ bedrooms: null, bathrooms: null, minPrice: null, sort: 'featured', tags: ['Section 8', 'ADA Accessible'] });
+    });
+
+    it('starts from the filters in the address bar without adding a history entry', () => {
+      window.history.replaceState(null, '', '/properties/?beds=4&sort=price-desc&tags=Section%208');
+      const push = vi.spyOn(window.history, 'pushState');
+      const replace = vi.spyOn(window.history, 'replaceState');
+
+      filter = createFilter();
+
+      expect(filter.getFilters()).toMatchObject({ bedrooms: 4, sort: 'price-desc', tags: ['Section 8'] });
+      expect(document.getElementById('filter-bedrooms').value).toBe('4');
+      expect(document.querySelector('[data-tag="Section 8"]').getAttribute('aria-pressed')).toBe('true');
+      expect(cardIds()).toEqual(['marshall-historic-farm']);
+      expect(push).not.toHaveBeenCalled();
+      expect(replace).not.toHaveBeenCalled();
+    });
+
+    it('pushes a history entry for select and tag changes', () => {
+      filter = createFilter();
+      const push = vi.spyOn(window.history, 'pushState');
+
+      choose('filter-bedrooms', '3');
+      document.querySelector('[data-tag="Section 8"]').click();
+
+      expect(push).toHaveBeenCalledTimes(2);
+      expect(window.location.search).toBe('?beds=3&tags=Section+8');
+      expect(push.mock.calls[1][0]).toEqual({ propertyFilters: filter.getFilters() });
+    });
+
+    it('replaces the current entry while typing a search or price', () => {
+      filter = createFilter();
+      const push = vi.spyOn(window.history, 'pushState');
+      const replace = vi.spyOn(window.history, 'replaceState');
+      const search = document.getElementById('property-search');
+      const maxPrice = document.getElementById('filter-max-price');
+
+      search.value = 'tyl';
+      search.dispatchEvent(new Event('input'));
+      search.value = 'tyler';
+      search.dispatchEvent(new Event('input'));
+      vi.advanceTimersByTime(300);
+      maxPrice.value = '1200';
+      maxPrice.dispatchEvent(new Event('input'));
+      vi.advanceTimersByTime(300);
+
+      expect(push).not.toHaveBeenCalled();
+      expect(replace).toHaveBeenCalledTimes(2);
+      expect(window.location.search).toBe('?q=tyler&max=1200');
+    });
+
+    it('leaves history alone when the query does not change', () => {
+      window.history.replaceState(null, '', '/properties/?beds=3');
+      filter = createFilter();
+      const push = vi.spyOn(window.history, 'pushState');
+
+      choose('filter-bedrooms', '3');
+
+      expect(push).not.toHaveBeenCalled();
+    });
+
+    it('restores the filters and controls on Back/Forward', () => {
+      filter = createFilter();
+      choose('filter-bedrooms', '4');
+      const push = vi.spyOn(window.history, 'pushState');
+
+      window.history.replaceState(null, '', '/properties/?type=Townhome');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+
+      expect(filter.getFilters()).toMatchObject({ bedrooms: null, propertyType: 'Townhome' });
+      expect(document.getElementById('filter-bedrooms').value).toBe('');
+      expect(document.getElementById('filter-property-type').value).toBe('Townhome');
+      expect(cardIds()).toEqual(['kemp-townhome']);
+      expect(push).not.toHaveBeenCalled();
+    });
+
+    it('does not touch the URL when syncUrl is off', () => {
+      window.history.replaceState(null, '', '/properties/?beds=4');
+      const push = vi.spyOn(window.history, 'pushState');
+
+      filter = createFilter({ syncUrl: false });
+      choose('filter-bedrooms', '2');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+
+      expect(filter.getFilters().bedrooms).toBe(2);
+      expect(push).not.toHaveBeenCalled();
+      expect(window.location.search).toBe('?beds=4');
+    });
+
+    it('stops listening for popstate when destroyed', () => {
+      filter = createFilter();
+      filter.destroy();
+
+      window.history.replaceState(null, '', '/properties/?beds=4');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+
+      expect(filter.getFilters().bedrooms).toBeNull();
+    });
+  });
+
+  describe('sorting', () => {
+    it('offers every sort mode in the sort select', () => {
+      filter = createFilter({ syncUrl: false });
+
+      const options = [...document.getElementById('filter-sort').options];
+
+      expect(options.map((option) => option.value)).toEqual(Object.keys(SORT_MODES));
+      expect(options.map((option) => option.textContent)).toEqual(Object.values(SORT_MODES).map((mode) => mode.label));
+    });
+
+    it('puts featured homes first by default', () => {
+      expect(sortedIds('featured')).toEqual([
+        'kemp-townhome', 'longview-victorian', 'marshall-historic-farm', 'tyler-ranch-home',
+        'canton-suburban-home', 'jefferson-riverfront', 'mineola-modern-studio', 'van-downtown-loft'
+      ]);
+    });
+
+    it('sorts by price both ways', () => {
+      const ascending = [
+        'mineola-modern-studio', 'kemp-townhome', 'van-downtown-loft', 'jefferson-riverfront',
+        'tyler-ranch-home', 'marshall-historic-farm', 'longview-victorian', 'canton-suburban-home'
+      ];
+
+      expect(sortedIds('price-asc')).toEqual(ascending);
+      expect(sortedIds('price-desc')).toEqual([...ascending].reverse());
+    });
+
+    it('sorts by bedrooms and by size, largest first', () => {
+      expect(sortedIds('bedrooms')).toEqual([
+        'longview-victorian', 'marshall-historic-farm', 'canton-suburban-home', 'tyler-ranch-home',
+        'jefferson-riverfront', 'van-downtown-loft', 'kemp-townhome', 'mineola-modern-studio'
+      ]);
+      expect(sortedIds('sqft')).toEqual([
+        'marshall-historic-farm', 'longview-victorian', 'canton-suburban-home', 'tyler-ranch-home',
+        'jefferson-riverfront', 'van-downtown-loft', 'kemp-townhome', 'mineola-modern-studio'
+      ]);
+    });
+
+    it('puts available homes first, newest posted first', () => {
+      expect(sortedIds('newest')).toEqual([
+        'mineola-modern-studio', 'van-downtown-loft', 'kemp-townhome', 'marshall-historic-farm',
+        'jefferson-riverfront', 'tyler-ranch-home', 'longview-victorian', 'canton-suburban-home'
+      ]);
+    });
+
+    it('breaks ties by name in every mode', () => {
+      const twins = [
+        { id: 'b', name: 'Birch Cottage', featured: true, price: { amount: 900 }, bedrooms: 2, sqft: 1000, availability: 'available', datePosted: '2025-12-01' },
+        { id: 'a', name: 'Aspen Cottage', featured: true, price: { amount: 900 }, bedrooms: 2, sqft: 1000, availability: 'available', datePosted: '2025-12-01' }
+      ];
+
+      Object.keys(SORT_MODES).forEach((mode) => {
+        expect(sortedIds(mode, twins), mode).toEqual(['a', 'b']);
+      });
+    });
+
+    it('puts homes without a usable datePosted last among newest, by name', () => {
+      const list = [
+        { id: 'undated', name: 'Undated', availability: 'available', datePosted: null },
+        { id: 'garbled', name: 'Garbled', availability: 'available', datePosted: 'soon' },
+        { id: 'old', name: 'Old', availability: 'available', datePosted: '2024-01-01' },
+        { id: 'soon', name: 'Coming', availability: 'coming-soon', datePosted: '2026-01-01' }
+      ];
+
+      expect(sortedIds('newest', list)).toEqual(['old', 'garbled', 'undated', 'soon']);
+    });
+
+    it('renders cards in the chosen order', () => {
+      filter = createFilter({ syncUrl: false, pageSize: 20 });
+
+      choose('filter-sort', 'price-desc');
+
+      expect(cardIds()).toEqual(sortedIds('price-desc'));
+    });
+
+    it('ranks search results by relevance until a sort is chosen', () => {
+      filter = createFilter({ syncUrl: false, pageSize: 20 });
+
+      filter.setFilters({ search: 'historic' });
+      const ranked = cardIds();
+      choose('filter-sort', 'price-asc');
+
+      expect(ranked[0]).toBe('marshall-historic-farm');
+      expect(cardIds()).toEqual(sortedIds('price-asc', properties.filter((prop) => ranked.includes(prop.id))));
+    });
+
+    it('uses the default order for an unknown sort', () => {
+      filter = createFilter({ syncUrl: false, pageSize: 20 });
+
+      filter.setFilters({ sort: 'cheapest' });
+
+      expect(cardIds()).toEqual(sortedIds('featured'));
+    });
+  });
+
+  describe('"Show more" pagination', () => {
+    /**
+     * The "Show more" button
+     * @returns {HTMLButtonElement} Button
+     */
+    function showMoreButton () {
+      return document.getElementById('load-more-properties');
+    }
+
+    it('shows the first six homes and offers the rest', () => {
+      filter = createFilter({ syncUrl: false });
+
+      expect(cardIds()).toEqual(sortedIds('featured').slice(0, 6));
+      expect(filter.pagination.hidden).toBe(false);
+      expect(showMoreButton().textContent).toBe('Show 2 more homes');
+      expect(document.getElementById('results-range').textContent).toBe('Showing 1–6 of 8 properties');
+    });
+
+    it('appends the next page without rebuilding the shown cards and focuses the first new one', () => {
+      filter = createFilter({ syncUrl: false });
+      const first = document.querySelector('.property-card');
+
+      showMoreButton().click();
+
+      expect(cardIds()).toEqual(sortedIds('featured'));
+      expect(document.querySelector('.property-card')).toBe(first);
+      expect(document.activeElement.dataset.propertyId).toBe(sortedIds('featured')[6]);
+      expect(filter.pagination.hidden).toBe(true);
+      expect(document.getElementById('results-range').textContent).toBe('Showing 1–8 of 8 properties');
+    });
+
+    it('pages by the pageSize option', () => {
+      filter = createFilter({ syncUrl: false, pageSize: 3 });
+
+      expect(cardIds()).toHaveLength(3);
+      expect(showMoreButton().textContent).toBe('Show 3 more homes');
+
+      showMoreButton().click();
+      expect(cardIds()).toHaveLength(6);
+      expect(showMoreButton().textContent).toBe('Show 2 more homes');
+    });
+
+    it('goes back to the first page when the filters or sort change', () => {
+      filter = createFilter({ syncUrl: false, pageSize: 3 });
+      showMoreButton().click();
+
+      choose('filter-bedrooms', '1');
+      expect(cardIds()).toHaveLength(3);
+      expect(showMoreButton().textContent).toBe('Show 3 more homes');
+      expect(document.getElementById('results-range').textContent).toBe('Showing 1–3 of 7 properties');
+
+      showMoreButton().click();
+      choose('filter-sort', 'sqft');
+      expect(cardIds()).toEqual(sortedIds('sqft').slice(0, 3));
+    });
+
+    it('hides the control when every match fits on one page', () => {
+      filter = createFilter({ syncUrl: false });
+      showMoreButton().click();
+
+      choose('filter-bedrooms', '3');
+
+      expect(cardIds()).toHaveLength(4);
+      expect(filter.pagination.hidden).toBe(true);
+      expect(document.getElementById('results-range').textContent).toBe('');
+    });
+
+    it('names a single remaining home in the singular', () => {
+      filter = createFilter({ syncUrl: false });
+
+      choose('filter-bedrooms', '1');
+
+      expect(showMoreButton().textContent).toBe('Show 1 more home');
+    });
+  });
+
+  describe('getFacetCounts', () => {
+    beforeEach(() => {
+      filter = createFilter({ syncUrl: false });
+    });
+
+    /**
+     * Counts of one facet as a plain object
+     * @param {string} facet - Facet key
+     * @returns {Object} Counts by option value
+     */
+    function counts (facet) {
+      return Object.fromEntries(filter.getFacetCounts()[facet]);
+    }
+
+    it('counts every option against the whole list when nothing is selected', () => {
+      expect(counts('bedrooms')).toEqual({ 1: 7, 2: 6, 3: 4, 4: 2 });
+      expect(counts('bathrooms')).toEqual({ 1: 8, 2: 4 });
+      expect(counts('propertyType')).toMatchObject({ Historic: 2, Townhome: 1, Studio: 1 });
+      expect(counts('tags')).toMatchObject({ 'Section 8': 4, 'Market Rate': 3 });
+    });
+
+    it('ignores the facet\'s own filter but honors the others', () => {
+      filter.setFilters({ bedrooms: 4 });
+
+      expect(counts('bedrooms')).toEqual({ 1: 7, 2: 6, 3: 4, 4: 2 });
+      expect(counts('propertyType')).toMatchObject({ Historic: 2, Townhome: 0, 'Single Family': 0 });
+      expect(counts('bathrooms')).toEqual({ 1: 2, 2: 2 });
+      expect(counts('tags')).toMatchObject({ 'Section 8': 1, 'Market Rate': 1, 'Historic Home': 2 });
+    });
+
+    it('counts a type against the bedroom filter and the bedrooms against the type', () => {
+      filter.setFilters({ bedrooms: 2, propertyType: 'Historic' });
+
+      expect(counts('bedrooms')).toEqual({ 1: 2, 2: 2, 3: 2, 4: 2 });
+      expect(counts('propertyType')).toMatchObject({ Historic: 2, Waterfront: 1, Studio: 0 });
+    });
+
+    it('counts tags together with the tags already selected', () => {
+      filter.setFilters({ tags: ['Section 8'] });
+
+      expect(counts('tags')).toMatchObject({ 'Section 8': 4, 'Veteran Priority': 2, 'Market Rate': 0 });
+      expect(counts('bedrooms')).toEqual({ 1: 4, 2: 3, 3: 2, 4: 1 });
+    });
+
+    it('honors the search, price and eligibility filters', () => {
+      filter.setFilters({ search: 'tyler' });
+      expect(counts('bedrooms')).toEqual({ 1: 1, 2: 1, 3: 1, 4: 0 });
+
+      filter.setFilters({ search: '', maxPrice: 800 });
+      expect(counts('bedrooms')).toEqual({ 1: 2, 2: 1, 3: 0, 4: 0 });
+
+      filter.setFilters({ maxPrice: null });
+      filter.setEligibility([{ id: 'kemp-townhome', status: 'likely' }], { only: true });
+      expect(counts('propertyType')).toMatchObject({ Townhome: 1, Historic: 0 });
+    });
+
+    it('shows the counts on the controls and disables empty options unless selected', () => {
+      choose('filter-property-type', 'Townhome');
+
+      const bedrooms = [...document.getElementById('filter-bedrooms').options].slice(1);
+      const townhome = document.querySelector('#filter-property-type option[value="Townhome"]');
+      const marketRate = document.querySelector('[data-tag="Market Rate"]');
+
+      expect(bedrooms.map((option) => option.textContent)).toEqual([
+        '1+ Bedroom (1)', '2+ Bedrooms (0)', '3+ Bedrooms (0)', '4+ Bedrooms (0)'
+      ]);
+      expect(bedrooms.map((option) => option.disabled)).toEqual([false, true, true, true]);
+      expect(townhome.textContent).toBe('Townhome (1)');
+      expect(marketRate.disabled).toBe(true);
+      expect(marketRate.querySelector('.tag-filter__count').textContent).toBe('(0)');
+
+      choose('filter-property-type', '');
+      filter.setFilters({ bedrooms: 4 });
+      choose('filter-property-type', 'Studio');
+      const selected = document.querySelector('#filter-bedrooms option[value="4"]');
+      expect(selected.textContent).toBe('4+ Bedrooms (0)');
+      expect(selected.disabled).toBe(false);
+    });
+  });
+
+  describe('generated options', () => {
+    const HOSTILE = 'Loft" onmouseover="alert(1)';
+
+    beforeEach(() => {
+      const list = properties.map((prop) =>
+        prop.id === 'van-downtown-loft' ? { ...prop, type: HOSTILE, tags: [...prop.tags, `<b>${HOSTILE}</b>`] } : prop
+      );
+      filter = createFilter({ syncUrl: false }, list);
+    });
+
+    it('keeps feed values with quotes and markup inside the option', () => {
+      const option = [...document.getElementById('filter-property-type').options].find((opt) => opt.value === HOSTILE);
+      const tag = [...document.querySelectorAll('[data-tag]')].find((btn) => btn.dataset.tag === `<b>${HOSTILE}</b>`);
+
+      expect(option.dataset.label).toBe(HOSTILE);
+      expect(option.textContent).toBe(`${HOSTILE} (1)`);
+      expect(tag.firstChild.textContent.trim()).toBe(`<b>${HOSTILE}</b>`);
+      expect(document.querySelector('[onmouseover]')).toBeNull();
+      expect(document.querySelector('.tag-filter b')).toBeNull();
+    });
+
+    it('filters on the unescaped value', () => {
+      choose('filter-property-type', HOSTILE);
+
+      expect(cardIds()).toEqual(['van-downtown-loft']);
+    });
+  });
+});
@@ -0,0 +1,293 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { PropertyMap, MAP_DEFAULTS, initPropertyDetailMap } from '../../docs/js/features/PropertyMap.js';
+import { PropertyFilter } from '../../docs/js/features/PropertyFilter.js';
+import { normalizeProperties } from '../../docs/js/utils/propertyModel.js';
+import { resetPropertyFeed } from '../../docs/js/utils/propertyFeed.js';
+
+const FEED_PATH = fileURLToPath(import.meta.url).replace(/tests\/properties\/[^/]+$/, 'docs/properties.json');
+const feed = JSON.parse(readFileSync(FEED_PATH, 'utf8'));
+const { properties } = normalizeProperties(feed.properties);
+
+// Local tile stub so nothing is requested from OpenStreetMap
+const TILE_STUB = '/test-tiles/{z}/{x}/{y}.png';
+
+/**
+ * Leaflet stand-in recording maps, tile layers and markers
+ * @returns {Object} Object with the parts of the Leaflet API PropertyMap uses
+ */
+function createLeaflet () {
+  const L = { maps: [], tileLayers: [] };
+
+  L.Icon = { Default: { prototype: { options: {} } } };
+
+  L.map = (container) => {
+    const map = {
+      container,
+      view: null,
+      bounds: null,
+      removed: false,
+      setView (center, zoom) {
+        map.view = { center, zoom };
+        return map;
+      },
+      fitBounds (bounds) {
+        map.bounds = bounds;
+        return map;
+      },
+      invalidateSize () {},
+      remove () {
+        map.removed = true;
+      }
+    };
+    L.maps.push(map);
+    return map;
+  };
+
+  L.tileLayer = (url, options) => {
+    const layer = { url, options, addTo: () => layer };
+    L.tileLayers.push(layer);
+    return layer;
+  };
+
+  L.layerGroup = () => {
+    const group = {
+      markers: [],
+      clearLayers () {
+        group.markers = [];
+      },
+      addTo: () => group
+    };
+    return group;
+  };
+
+  L.marker = (latLng, options) => {
+    const marker = {
+      latLng,
+      options,
+      handlers: {},
+      popupOpen: false,
+      bindPopup (content) {
+        marker.popup = content;
+        return marker;
+      },
+      on (type, handler) {
+        marker.handlers[type] = handler;
+        return marker;
+      },
+      addTo (group) {
+        group.markers.push(marker);
+        return marker;
+      },
+      openPopup () {
+        marker.popupOpen = true;
+      }
+    };
+    return marker;
+  };
+
+  return L;
+}
+
+/**
+ * IDs of the properties with a marker on the map
+ * @param {PropertyMap} propertyMap - Map
+ * @returns {Array<string>} Property IDs
+ */
+function markerIds (propertyMap) {
+  return [...propertyMap.markers.keys()];
+}
+
+describe('PropertyMap', () => {
+  let L;
+
+  beforeEach(() => {
+    L = createLeaflet();
+    window.L = L;
+  });
+
+  afterEach(() => {
+    delete window.L;
+    delete window.P4C_MAP_TILE_URL;
+    document.body.innerHTML = '';
+  });
+
+  describe('tile URL', () => {
+    it('reads data-tile-url from the container', async () => {
+      document.body.innerHTML = `<div id="map" data-tile-url="${TILE_STUB}"></div>`;
+
+      await new PropertyMap('#map').init();
+
+      expect(L.tileLayers.map((layer) => layer.url)).toEqual([TILE_STUB]);
+      expect(L.tileLayers[0].options).toEqual({ attribution: MAP_DEFAULTS.attribution, maxZoom: MAP_DEFAULTS.maxZoom });
+    });
+
+    it('prefers the tileUrl option, then data-tile-url, then the page-wide setting', () => {
+      document.body.innerHTML = '<div id="map" data-tile-url="/from-data/{z}/{x}/{y}.png"></div>';
+      window.P4C_MAP_TILE_URL = '/from-window/{z}/{x}/{y}.png';
+      const bare = document.createElement('div');
+
+      expect(new PropertyMap('#map', { tileUrl: TILE_STUB }).options.tileUrl).toBe(TILE_STUB);
+      expect(new PropertyMap('#map').options.tileUrl).toBe('/from-data/{z}/{x}/{y}.png');
+      expect(new PropertyMap(bare).options.tileUrl).toBe('/from-window/{z}/{x}/{y}.png');
+
+      delete window.P4C_MAP_TILE_URL;
+      expect(new PropertyMap(bare).options.tileUrl).toBe(MAP_DEFAULTS.tileUrl);
+    });
+  });
+
+  describe('markers', () => {
+    it('plots properties given before init and fits the view to them', async () => {
+      const map = new PropertyMap(document.createElement('div'), { tileUrl: TILE_STUB });
+      map.setProperties(properties);
+      await map.init();
+
+      expect(markerIds(map)).toEqual(properties.map((prop) => prop.id));
+      expect(L.maps[0].bounds).toHaveLength(properties.length);
+    });
+
+    it('leaves out properties without coordinates', async () => {
+      const map = await new PropertyMap(document.createElement('div'), { tileUrl: TILE_STUB }).init();
+      map.setProperties([{ ...properties[0], lat: null }, properties[1]]);
+
+      expect(markerIds(map)).toEqual([properties[1].id]);
+      expect(L.maps[0].view).toEqual({ center: [properties[1].lat, properties[1].lng], zoom: MAP_DEFAULTS.singleZoom });
+    });
+
+    it('builds popups from text, not HTML', async () => {
+      const map = await new PropertyMap(document.createElement('div'), { tileUrl: TILE_STUB }).init();
+      map.setProperties([{ ...properties[0], name: '<img src=x onerror=alert(1)>' }]);
+
+      const popup = map.markers.get(properties[0].id).popup;
+      expect(popup.querySelector('img')).toBeNull();
+      expect(popup.querySelector('strong').textContent).toBe('<img src=x onerror=alert(1)>');
+    });
+
+    it('passes the property to onMarkerClick', async () => {
+      const onMarkerClick = vi.fn();
+      const map = await new PropertyMap(document.createElement('div'), { tileUrl: TILE_STUB, onMarkerClick }).init();
+      map.setProperties(properties);
+
+      map.markers.get('kemp-townhome').handlers.click();
+
+      expect(onMarkerClick).toHaveBeenCalledWith(expect.objectContaining({ id: 'kemp-townhome' }));
+    });
+  });
+
+  describe('with PropertyFilter', () => {
+    let filter;
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="properties-grid"></div>';
+      filter = new PropertyFilter(properties, '#properties-grid', {
+        syncUrl: false,
+        savedStore: null,
+        auth: null,
+        mapOptions: { tileUrl: TILE_STUB }
+      });
+      filter.init();
+    });
+
+    afterEach(() => {
+      filter.destroy();
+    });
+
+    it('shows a marker for each filtered property', async () => {
+      filter.filters.propertyType = 'Single Family';
+      filter.applyFilters({ history: false });
+
+      await filter.setView('map');
+
+      expect(L.tileLayers.map((layer) => layer.url)).toEqual([TILE_STUB]);
+      expect(markerIds(filter.propertyMap)).toEqual(filter.filteredProperties.map((prop) => prop.id));
+      expect(markerIds(filter.propertyMap).length).toBeLessThan(properties.length);
+    });
+
+    it('updates the markers when the filters change', async () => {
+      await filter.setView('map');
+      expect(markerIds(filter.propertyMap)).toHaveLength(properties.length);
+
+      const bedrooms = document.getElementById('filter-bedrooms');
+      bedrooms.value = '4';
+      bedrooms.dispatchEvent(new Event('change'));
+
+      expect(markerIds(filter.propertyMap).sort()).toEqual(['longview-victorian', 'marshall-historic-farm']);
+    });
+
+    it('focuses the card of a clicked marker', async () => {
+      await filter.setView('map');
+
+      filter.propertyMap.markers.get('kemp-townhome').handlers.click();
+
+      expect(document.activeElement.dataset.propertyId).toBe('kemp-townhome');
+    });
+
+    it('falls back to the list when Leaflet cannot load', async () => {
+      window.L = undefined;
+      const append = vi.spyOn(document.head, 'appendChild').mockImplementation((script) => {
+        if (script.onerror) script.onerror();
+        return script;
+      });
+
+      await filter.setView('map');
+      append.mockRestore();
+
+      expect(filter.view).toBe('list');
+      expect(filter.propertyMap).toBeNull();
+      expect(filter.mapContainer.hidden).toBe(true);
+    });
+  });
+
+  describe('initPropertyDetailMap', () => {
+    beforeEach(() => {
+      resetPropertyFeed();
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    /**
+     * Detail page with a map container, served the given feed records
+     * @param {string} id - Property ID of the page
+     * @param {Array<Object>} records - Feed records
+     */
+    function createDetailPage (id, records = feed.properties) {
+      document.body.innerHTML = `
+        <main data-property-detail="${id}">
+          <div id="property-map" data-tile-url="${TILE_STUB}"></div>
+        </main>
+      `;
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ version: feed.version, properties: records }))));
+    }
+
+    it('shows the page property with its popup open', async () => {
+      createDetailPage('tyler-ranch-home');
+
+      const map = await initPropertyDetailMap();
+      const tyler = properties.find((prop) => prop.id === 'tyler-ranch-home');
+
+      expect(markerIds(map)).toEqual(['tyler-ranch-home']);
+      expect(map.markers.get('tyler-ranch-home').popupOpen).toBe(true);
+      expect(L.tileLayers[0].url).toBe(TILE_STUB);
+      expect(L.maps[0].view).toEqual({ center: [tyler.lat, tyler.lng], zoom: MAP_DEFAULTS.singleZoom });
+    });
+
+    it('skips the map for a property without coordinates', async () => {
+      const records = feed.properties.map((record) => ({ ...record, lat: undefined, lng: undefined }));
+      createDetailPage('tyler-ranch-home', records);
+
+      expect(await initPropertyDetailMap()).toBeNull();
+      expect(L.maps).toEqual([]);
+    });
+
+    it('skips the map for an unknown property', async () => {
+      createDetailPage('gone');
+
+      expect(await initPropertyDetailMap()).toBeNull();
+      expect(L.maps).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import {
+  CANONICAL_TAGS,
+  normalizeProperties,
+  normalizeProperty,
+  normalizeTags,
+  parseLocation,
+  slugify,
+  validateProperty
+} from '../../docs/js/utils/propertyModel.js';
+
+const feed = JSON.parse(fs.readFileSync(new URL('../../docs/properties.json', import.meta.url), 'utf8'));
+
+/**
+ * Valid feed record with overrides
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Record
+ */
+function createRecord (overrides = {}) {
+  return {
+    id: 'tyler-ranch-home',
+    title: '  Tyler Ranch Home ',
+    location: 'Tyler, TX',
+    type: 'Single Family',
+    price: { amount: 1100 },
+    availability: 'available',
+    bedrooms: 3,
+    bathrooms: 2,
+    sqft: 1450,
+    tags: ['Section 8 Ready', 'Veteran Priority'],
+    images: ['/images/properties/tyler-ranch-400w.webp'],
+    ...overrides
+  };
+}
+
+describe('propertyModel', () => {
+  describe('validateProperty', () => {
+    it('accepts a complete record', () => {
+      expect(validateProperty(createRecord())).toEqual([]);
+    });
+
+    it('reports every problem with the field it belongs to', () => {
+      const errors = validateProperty(createRecord({
+        id: 'Tyler Ranch',
+        title: undefined,
+        bathrooms: 1.25,
+        availability: 'sold',
+        images: [],
+        price: { amount: -5 }
+      }));
+
+      expect(errors.map((error) => error.field)).toEqual([
+        'id', 'title', 'availability', 'bathrooms', 'images', 'price.amount'
+      ]);
+      expect(errors.find((error) => error.field === 'bathrooms').message).toBe('bathrooms must be a multiple of 0.5');
+      expect(errors.find((error) => error.field === 'title').message).toBe('title is required');
+    });
+
+    it('allows null only where the schema does', () => {
+      expect(validateProperty(createRecord({ yearBuilt: null, url: null }))).toEqual([]);
+      expect(validateProperty(createRecord({ sqft: null }))).toEqual([{ field: 'sqft', message: 'sqft must not be null' }]);
+    });
+
+    it('rejects records that are not objects', () => {
+      expect(validateProperty(null)).toEqual([{ field: null, message: 'Record must be an object' }]);
+      expect(validateProperty([])).toHaveLength(1);
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('maps source tags onto the canonical vocabulary without duplicates', () => {
+      expect(normalizeTags(['Section 8 Ready', 'section 8 approved', ' Both Programs ', 'ADA compliant']))
+        .toEqual(['Section 8', 'HUD-VASH', 'ADA Accessible']);
+    });
+
+    it('maps historic tags to a tag in the canonical vocabulary', () => {
+      expect(normalizeTags(['Historic Property'])).toEqual(['Historic Home']);
+      expect(normalizeTags(['historic home'])).toEqual(['Historic Home']);
+      expect(CANONICAL_TAGS).toContain('Historic Home');
+    });
+
+    it('only ever maps an alias to a canonical tag', () => {
+      const aliased = ['section 8 voucher', 'hud vash', 'pet-friendly', 'large family', 'historic property']
+        .flatMap((tag) => normalizeTags([tag]));
+
+      expect(aliased.filter((tag) => !CANONICAL_TAGS.includes(tag))).toEqual([]);
+    });
+
+    it('keeps unknown tags trimmed and drops empty ones', () => {
+      expect(normalizeTags([' Waterfront ', '', 7, null])).toEqual(['Waterfront']);
+      expect(normalizeTags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('helpers', () => {
+    it('builds URL-safe slugs', () => {
+      expect(slugify('/marshall-historic-farm/')).toBe('marshall-historic-farm');
+      expect(slugify('Bed & Breakfast, Jefferson')).toBe('bed-and-breakfast-jefferson');
+    });
+
+    it('splits "City, ST"', () => {
+      expect(parseLocation('Van, TX')).toEqual({ city: 'Van', state: 'TX' });
+      expect(parseLocation('Tyler')).toEqual({ city: 'Tyler', state: '' });
+    });
+  });
+
+  describe('normalizeProperty', () => {
+    it('produces the normalized shape with defaults', () => {
+      const property = normalizeProperty(createRecord());
+
+      expect(property).toMatchObject({
+        id: 'tyler-ranch-home',
+        slug: 'tyler-ranch-home',
+        name: 'Tyler Ranch Home',
+        city: 'Tyler',
+        state: 'TX',
+        price: { amount: 1100, currency: 'USD', period: 'month', formatted: '$1,100/mo' },
+        featured: false,
+        tags: ['Section 8', 'Veteran Priority'],
+        image: '/images/properties/tyler-ranch-400w.webp',
+        yearBuilt: null,
+        url: null,
+        lat: null
+      });
+    });
+
+    it('takes the slug from the detail URL and keeps a formatted price', () => {
+      const property = normalizeProperty(createRecord({
+        url: '/tyler-ranch/',
+        price: { amount: 1100, formatted: '$1,100/month' }
+      }));
+
+      expect(property.slug).toBe('tyler-ranch');
+      expect(property.price.formatted).toBe('$1,100/month');
+    });
+  });
+
+  describe('normalizeProperties', () => {
+    it('leaves out invalid and duplicate records and reports each one', () => {
+      const { properties, errors } = normalizeProperties([
+        createRecord(),
+        createRecord({ id: 'kemp-townhome', bedrooms: 'three' }),
+        createRecord({ title: 'Second Tyler listing' }),
+        'not a record'
+      ]);
+
+      expect(properties.map((property) => property.id)).toEqual(['tyler-ranch-home']);
+      expect(errors).toEqual([
+        { index: 1, id: 'kemp-townhome', errors: [{ field: 'bedrooms', message: 'bedrooms must be an integer' }] },
+        { index: 2, id: 'tyler-ranch-home', errors: [{ field: 'id', message: 'id "tyler-ranch-home" is used more than once' }] },
+        { index: 3, id: null, errors: [{ field: null, message: 'Record must be an object' }] }
+      ]);
+    });
+
+    it('accepts every record in the published feed', () => {
+      const { properties, errors } = normalizeProperties(feed.properties);
+
+      expect(errors).toEqual([]);
+      expect(properties).toHaveLength(feed.properties.length);
+      expect(new Set(properties.map((property) => property.slug)).size).toBe(properties.length);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { SavedHomesDashboard, NOTES_STORAGE_KEY } from '../../docs/js/features/SavedHomesDashboard.js';
+import { CompareTray } from '../../docs/js/features/CompareTray.js';
+import { getModalInstance } from '../../docs/js/components/Modal.js';
+import { SavedPropertiesStore, SAVED_STORAGE_KEY } from '../../docs/js/utils/savedProperties.js';
+import { normalizeProperties } from '../../docs/js/utils/propertyModel.js';
+
+const FEED_PATH = fileURLToPath(import.meta.url).replace(/tests\/properties\/[^/]+$/, 'docs/properties.json');
+const feed = JSON.parse(readFileSync(FEED_PATH, 'utf8'));
+
+// One home is leased so the dashboard has every availability to label
+const properties = normalizeProperties(feed.properties).properties.map((prop) =>
+  prop.id === 'longview-victorian' ? { ...prop, availability: 'leased' } : prop
+);
+
+/**
+ * In-memory Storage
+ * @param {Object} initial - Initial values
+ * @returns {Object} Storage-like object
+ */
+function createStorage (initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+}
+
+/**
+ * Guest store holding the given saved IDs
+ * @param {Array<string>} ids - Saved property IDs
+ * @returns {SavedPropertiesStore} Store
+ */
+function createStore (ids) {
+  const state = { mode: 'guest', items: ids.map((id, i) => ({ id, savedAt: i })), pending: [] };
+  return new SavedPropertiesStore({
+    auth: { isAuthenticated: false },
+    storage: createStorage({ [SAVED_STORAGE_KEY]: JSON.stringify(state) }),
+    fetch: vi.fn()
+  });
+}
+
+/**
+ * IDs of the rendered saved-home cards
+ * @returns {Array<string>} IDs
+ */
+function cardIds () {
+  return [...document.querySelectorAll('.saved-home')].map((card) => card.dataset.propertyId);
+}
+
+describe('SavedHomesDashboard', () => {
+  let container;
+  let storage;
+  let compareTray;
+  let dashboard;
+
+  /**
+   * Render a dashboard for the given saved IDs
+   * @param {Array<string>} ids - Saved property IDs
+   * @returns {Promise<SavedHomesDashboard>} Initialized dashboard
+   */
+  function render (ids) {
+    dashboard = new SavedHomesDashboard(container, { store: createStore(ids), compareTray, properties, storage });
+    return dashboard.init();
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    container = document.createElement('div');
+    container.setAttribute('aria-busy', 'true');
+    document.body.appendChild(container);
+    storage = createStorage();
+    compareTray = new CompareTray({ storage: createStorage() });
+  });
+
+  afterEach(() => {
+    const modal = getModalInstance();
+    if (modal.isOpen()) modal.close();
+    dashboard?.destroy();
+    compareTray.destroy();
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('cards', () => {
+    it('points to the listings when nothing is saved', async () => {
+      await render([]);
+
+      expect(container.hasAttribute('aria-busy')).toBe(false);
+      expect(container.querySelector('.saved-homes__summary').textContent).toBe("You haven't saved any properties yet. Browse available homes");
+      expect(container.querySelector('a').getAttribute('href')).toBe('/properties/');
+    });
+
+    it('labels leased, coming-soon and removed homes', async () => {
+      await render(['kemp-townhome', 'longview-victorian', 'canton-suburban-home', 'gone-home']);
+      const status = (id) => container.querySelector(`[data-property-id="${id}"] .saved-home__status`)?.textContent || null;
+
+      expect(cardIds()).toEqual(['kemp-townhome', 'longview-victorian', 'canton-suburban-home', 'gone-home']);
+      expect(container.querySelector('.saved-homes__summary').textContent).toBe('4 saved homes, 2 no longer available');
+      expect(status('kemp-townhome')).toBeNull();
+      expect(status('longview-victorian')).toBe('Leased – this home is no longer available');
+      expect(status('canton-suburban-home')).toBe('Coming soon – not yet open for move-in');
+      expect(status('gone-home')).toBe('Removed – this home is no longer listed');
+    });
+
+    it('follows the store when a home is unsaved from its card', async () => {
+      await render(['kemp-townhome', 'tyler-ranch-home']);
+
+      container.querySelector('.save-property-btn[data-property-id="kemp-townhome"]').click();
+
+      expect(cardIds()).toEqual(['tyler-ranch-home']);
+      expect(container.querySelector('.saved-homes__summary').textContent).toBe('1 saved home');
+    });
+
+    it('drops a removed home from its card button', async () => {
+      await render(['gone-home', 'kemp-townhome']);
+
+      container.querySelector('.saved-home--removed button').click();
+
+      expect(dashboard.store.getAll()).toEqual(['kemp-townhome']);
+      expect(cardIds()).toEqual(['kemp-townhome']);
+    });
+  });
+
+  describe('notes', () => {
+    /**
+     * Notes textarea for a home
+     * @param {string} id - Property ID
+     * @returns {HTMLTextAreaElement} Textarea
+     */
+    const noteField = (id) => document.getElementById(`saved-note-${id}`);
+
+    /**
+     * Type into a notes field
+     * @param {string} id - Property ID
+     * @param {string} text - New value
+     */
+    function type (id, text) {
+      noteField(id).value = text;
+      noteField(id).dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    const storedNotes = () => JSON.parse(storage.getItem(NOTES_STORAGE_KEY));
+
+    it('labels each field with the home it belongs to', async () => {
+      await render(['kemp-townhome', 'gone-home']);
+
+      expect(document.querySelector('label[for="saved-note-kemp-townhome"]').textContent).toBe('Notes on Kemp Townhome');
+      expect(document.querySelector('label[for="saved-note-gone-home"]').textContent).toBe('Notes on this home');
+      expect(noteField('kemp-townhome').maxLength).toBe(500);
+    });
+
+    it('saves typed notes once typing pauses', async () => {
+      await render(['kemp-townhome']);
+
+      type('kemp-townhome', 'Ask about');
+      vi.advanceTimersByTime(300);
+      type('kemp-townhome', 'Ask about parking');
+      vi.advanceTimersByTime(300);
+      expect(storage.getItem(NOTES_STORAGE_KEY)).toBeNull();
+
+      vi.advanceTimersByTime(100);
+      expect(storedNotes()).toEqual({ 'kemp-townhome': 'Ask about parking' });
+    });
+
+    it('saves at once when the field is left', async () => {
+      await render(['kemp-townhome']);
+
+      noteField('kemp-townhome').value = 'Visit Saturday';
+      noteField('kemp-townhome').dispatchEvent(new Event('change', { bubbles: true }));
+
+      expect(storedNotes()).toEqual({ 'kemp-townhome': 'Visit Saturday' });
+    });
+
+    it('removes a note that is cleared', async () => {
+      storage.setItem(NOTES_STORAGE_KEY, JSON.stringify({ 'kemp-townhome': 'Old note', 'tyler-ranch-home': 'Keep' }));
+      await render(['kemp-townhome', 'tyler-ranch-home']);
+
+      type('kemp-townhome', '   ');
+      vi.advanceTimersByTime(400);
+
+      expect(storedNotes()).toEqual({ 'tyler-ranch-home': 'Keep' });
+    });
+
+    it('restores notes and keeps them across re-renders', async () => {
+      storage.setItem(NOTES_STORAGE_KEY, JSON.stringify({ 'kemp-townhome': 'Near school' }));
+      await render(['kemp-townhome', 'tyler-ranch-home']);
+
+      expect(noteField('kemp-townhome').value).toBe('Near school');
+
+      type('tyler-ranch-home', 'Big yard');
+      dashboard.store.remove('kemp-townhome');
+
+      expect(noteField('tyler-ranch-home').value).toBe('Big yard');
+    });
+
+    it('flushes a pending save when destroyed', async () => {
+      await render(['kemp-townhome']);
+
+      type('kemp-townhome', 'Unsaved thought');
+      dashboard.destroy();
+
+      expect(storedNotes()).toEqual({ 'kemp-townhome': 'Unsaved thought' });
+    });
+
+    it('ignores corrupt stored notes', async () => {
+      storage.setItem(NOTES_STORAGE_KEY, '["not", "an", "object"]');
+      await render(['kemp-townhome']);
+
+      expect(noteField('kemp-townhome').value).toBe('');
+    });
+  });
+
+  describe('compare hand-off', () => {
+    const compareButton = () => container.querySelector('.saved-homes__compare');
+
+    it('sends the saved homes to the tray and opens the comparison', async () => {
+      await render(['kemp-townhome', 'tyler-ranch-home']);
+
+      compareButton().click();
+
+      expect(compareTray.selected).toEqual(['kemp-townhome', 'tyler-ranch-home']);
+      expect(getModalInstance().isOpen()).toBe(true);
+      expect(document.querySelectorAll('.compare-table thead th[scope="col"]')).toHaveLength(2);
+    });
+
+    it('puts available homes first and stops at the tray cap', async () => {
+      await render(['longview-victorian', 'canton-suburban-home', 'kemp-townhome', 'gone-home', 'tyler-ranch-home', 'van-downtown-loft']);
+
+      compareButton().click();
+
+      expect(compareTray.selected).toEqual(['kemp-townhome', 'tyler-ranch-home', 'van-downtown-loft']);
+    });
+
+    it('fills the tray with unavailable homes when too few are available', async () => {
+      await render(['longview-victorian', 'kemp-townhome']);
+
+      compareButton().click();
+
+      expect(compareTray.selected).toEqual(['kemp-townhome', 'longview-victorian']);
+      expect(getModalInstance().isOpen()).toBe(true);
+    });
+
+    it('is disabled until two listed homes are saved', async () => {
+      await render(['kemp-townhome', 'gone-home']);
+
+      expect(compareButton().disabled).toBe(true);
+
+      dashboard.store.add('tyler-ranch-home');
+
+      expect(compareButton().disabled).toBe(false);
+    });
+
+    it('does not open the comparison for a single home', async () => {
+      await render(['kemp-townhome', 'gone-home']);
+
+      dashboard.compareSaved();
+
+      expect(compareTray.selected).toEqual(['kemp-townhome']);
+      expect(getModalInstance().isOpen()).toBe(false);
+    });
+
+    it('mirrors the tray selection on the card toggles', async () => {
+      await render(['kemp-townhome', 'tyler-ranch-home']);
+      const pressed = (id) => container.querySelector(`.compare-toggle[data-compare-id="${id}"]`).getAttribute('aria-pressed');
+
+      compareTray.add('tyler-ranch-home');
+
+      expect(pressed('tyler-ranch-home')).toBe('true');
+      expect(pressed('kemp-townhome')).toBe('false');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import {
+  SearchIndex,
+  editDistance,
+  highlightText,
+  tokenize,
+  tokenizeQuery
+} from '../../docs/js/utils/searchIndex.js';
+import { normalizeProperties } from '../../docs/js/utils/propertyModel.js';
+
+const FEED_PATH = fileURLToPath(import.meta.url).replace(/tests\/properties\/[^/]+$/, 'docs/properties.json');
+const feed = JSON.parse(readFileSync(FEED_PATH, 'utf8'));
+const { properties } = normalizeProperties(feed.properties);
+
+/**
+ * IDs of the properties a query finds, best first
+ * @param {SearchIndex} index - Index to search
+ * @param {string} query - Query
+ * @returns {Array<string>} Property IDs
+ */
+function ids (index, query) {
+  return index.search(query).map((result) => result.id);
+}
+
+describe('searchIndex', () => {
+  const index = new SearchIndex(properties);
+
+  describe('tokenizeQuery', () => {
+    it('joins a number and a room word into one term', () => {
+      expect(tokenizeQuery('Tyler 3 bed')).toEqual(['tyler', '3bed']);
+      expect(tokenizeQuery('3BR 2.5 baths')).toEqual(['3bed', '2.5bath']);
+      expect(tokenizeQuery('1 bd, 1ba')).toEqual(['1bed', '1bath']);
+    });
+
+    it('keeps other numbers and decimals and drops repeated words', () => {
+      expect(tokenizeQuery('tyler tyler 75701')).toEqual(['tyler', '75701']);
+      expect(tokenize('Section-8, ready! 2.5.')).toEqual(['section', '8', 'ready', '2.5']);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('counts a swapped pair of letters as one typo', () => {
+      expect(editDistance('longveiw', 'longview')).toBe(1);
+      expect(editDistance('tylr', 'tyler')).toBe(1);
+    });
+
+    it('stops at max + 1 for words further apart', () => {
+      expect(editDistance('kemp', 'marshall', 2)).toBe(3);
+      expect(editDistance('van', 'vanilla', 2)).toBe(3);
+    });
+  });
+
+  describe('multi-token queries', () => {
+    it('finds the home matching every word of "tyler 3 bed"', () => {
+      expect(ids(index, 'tyler 3 bed')).toEqual(['tyler-ranch-home']);
+    });
+
+    it('requires every token to match', () => {
+      expect(ids(index, 'tyler 4 bed')).toEqual([]);
+      expect(ids(index, '3 bed')).toEqual(expect.arrayContaining(['tyler-ranch-home', 'canton-suburban-home']));
+      expect(ids(index, '3 bed')).toHaveLength(2);
+    });
+
+    it('matches bathrooms and studios', () => {
+      expect(ids(index, '2.5 bath')).toEqual(['longview-victorian']);
+      expect(ids(index, 'studio')).toEqual(['mineola-modern-studio']);
+    });
+
+    it('returns every property, unranked, for an empty query', () => {
+      const results = index.search('   ');
+
+      expect(results).toHaveLength(properties.length);
+      expect(results.every((result) => result.score === 0)).toBe(true);
+    });
+  });
+
+  describe('typo tolerance', () => {
+    it('finds Longview for "Longveiw"', () => {
+      const [first] = index.search('Longveiw');
+
+      expect(first.id).toBe('longview-victorian');
+      expect(first.words).toContain('longview');
+    });
+
+    it('tolerates a typo inside a multi-token query', () => {
+      expect(ids(index, 'marshal farmhouse')).toEqual(['marshall-historic-farm']);
+    });
+
+    it('does not fuzz short words or numbers', () => {
+      expect(ids(index, 'vin')).toEqual([]);
+      expect(ids(index, '5 bed')).toEqual([]);
+    });
+
+    it('ranks exact matches above prefix and fuzzy ones', () => {
+      const documents = [
+        { id: 'fuzzy', name: 'Kamp' },
+        { id: 'prefix', name: 'Kempton' },
+        { id: 'exact', name: 'Kemp' }
+      ];
+
+      expect(ids(new SearchIndex(documents), 'kemp')).toEqual(['exact', 'prefix', 'fuzzy']);
+    });
+
+    it('ranks a name match above a description match', () => {
+      const documents = [
+        { id: 'described', name: 'Downtown Loft', description: 'Near the Tyler rose garden' },
+        { id: 'named', name: 'Tyler Cottage' }
+      ];
+
+      expect(ids(new SearchIndex(documents), 'tyler')).toEqual(['named', 'described']);
+    });
+  });
+
+  describe('highlightText', () => {
+    it('wraps matched words at word starts in <mark>', () => {
+      const container = document.createElement('p');
+      container.appendChild(highlightText('Longview Victorian in Longview, TX', ['longview']));
+
+      expect(container.innerHTML).toBe(
+        '<mark class="search-highlight">Longview</mark> Victorian in <mark class="search-highlight">Longview</mark>, TX'
+      );
+    });
+
+    it('leaves text as text and skips room terms', () => {
+      const container = document.createElement('p');
+      container.appendChild(highlightText('<b>3 bed</b>', ['3bed']));
+
+      expect(container.innerHTML).toBe('&lt;b&gt;3 bed&lt;/b&gt;');
+    });
+  });
+});
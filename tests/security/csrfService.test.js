@@ -0,0 +1,285 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  CSRFService,
+  CSRFError,
+  CSRF_ENDPOINT,
+  CSRF_HEADER,
+  CSRF_MESSAGES,
+  needsCSRFToken
+} from '../../docs/js/security/csrfService.js';
+import { RateLimitError } from '../../docs/js/utils/httpClient.js';
+
+/**
+ * JSON response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Body
+ * @returns {Response} Response
+ */
+function json (status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * fetch stand-in: the token endpoint hands out csrf-1, csrf-2, ...; other URLs answer 200
+ * @param {Object} overrides - Responses or errors by URL, used instead of the defaults
+ * @returns {Function} fetch with a calls array of { url, method, token }
+ */
+function createFetch (overrides = {}) {
+  let issued = 0;
+  const fetch = vi.fn(async (input, init = {}) => {
+    const url = String(input);
+    fetch.calls.push({ url, method: init.method || 'GET', token: new Headers(init.headers).get(CSRF_HEADER) });
+
+    const override = overrides[url];
+    if (override instanceof Error) throw override;
+    if (typeof override === 'function') return override();
+    if (url === CSRF_ENDPOINT) {
+      issued++;
+      return json(200, { csrfToken: `csrf-${issued}`, expiresIn: 600 });
+    }
+    return json(200, {});
+  });
+  fetch.calls = [];
+  return fetch;
+}
+
+/**
+ * Capture the error a promise rejects with
+ * @param {Promise} promise - Promise expected to reject
+ * @returns {Promise<Error>} The rejection reason
+ */
+async function rejection (promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+describe('CSRFService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+  });
+
+  afterEach(() => {
+    service.destroy();
+    vi.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  describe('token fetch and caching', () => {
+    it('fetches a token once and reuses it until it expires', async () => {
+      const fetch = createFetch();
+      service = new CSRFService({ fetch });
+
+      expect(await service.getToken()).toBe('csrf-1');
+      expect(await service.getToken()).toBe('csrf-1');
+
+      expect(fetch.calls).toEqual([{ url: CSRF_ENDPOINT, method: 'GET', token: null }]);
+      expect(service.expiresAt).toBe(Date.now() + 600 * 1000);
+    });
+
+    it('shares one request between concurrent callers', async () => {
+      const fetch = createFetch();
+      service = new CSRFService({ fetch });
+
+      const tokens = await Promise.all([service.getToken(), service.getToken(), service.refresh()]);
+
+      expect(tokens).toEqual(['csrf-1', 'csrf-1', 'csrf-1']);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('reads expiresAt dates and falls back to 30 minutes', async () => {
+      const expiresAt = '2026-03-02T09:05:00Z';
+      service = new CSRFService({
+        fetch: createFetch({ [CSRF_ENDPOINT]: () => json(200, { csrfToken: 'dated', expiresAt }) })
+      });
+      await service.getToken();
+      expect(service.expiresAt).toBe(new Date(expiresAt).getTime());
+      service.destroy();
+
+      service = new CSRFService({ fetch: createFetch({ [CSRF_ENDPOINT]: () => json(200, { csrfToken: 'plain' }) }) });
+      await service.getToken();
+      expect(service.expiresAt).toBe(Date.now() + 30 * 60 * 1000);
+    });
+
+    it('refreshes shortly before the token expires', async () => {
+      const fetch = createFetch();
+      service = new CSRFService({ fetch, refreshMargin: 60 * 1000 });
+      await service.getToken();
+
+      await vi.advanceTimersByTimeAsync(539 * 1000);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(service.token).toBe('csrf-2');
+    });
+
+    it('fetches a new token once the old one has expired', async () => {
+      service = new CSRFService({ fetch: createFetch(), refreshMargin: 0 });
+      await service.getToken();
+      // Stop the scheduled refresh so only expiry is tested
+      clearTimeout(service.refreshTimer);
+
+      vi.setSystemTime(Date.now() + 600 * 1000);
+
+      expect(service.isValid()).toBe(false);
+      expect(await service.getToken()).toBe('csrf-2');
+    });
+  });
+
+  describe('csrfFetch', () => {
+    it('adds the header to same-origin mutating requests only', async () => {
+      const fetch = createFetch();
+      service = new CSRFService({ fetch });
+
+      await service.fetch('/api/contact', { method: 'POST' });
+      await service.fetch('/api/properties');
+      await service.fetch('https://maps.example.com/api/geocode', { method: 'POST' });
+
+      expect(fetch.calls.map(({ url, token }) => [url, token])).toEqual([
+        [CSRF_ENDPOINT, null],
+        ['/api/contact', 'csrf-1'],
+        // Rotation after the successful POST
+        [CSRF_ENDPOINT, null],
+        ['/api/properties', null],
+        ['https://maps.example.com/api/geocode', null]
+      ]);
+    });
+
+    it('rotates the token after a successful mutating request', async () => {
+      const fetch = createFetch();
+      service = new CSRFService({ fetch });
+
+      await service.fetch('/api/contact', { method: 'POST' });
+      await vi.waitFor(() => expect(service.token).toBe('csrf-2'));
+      await service.fetch('/api/contact', { method: 'POST' });
+
+      expect(fetch.calls.filter(({ url }) => url === '/api/contact').map(({ token }) => token))
+        .toEqual(['csrf-1', 'csrf-2']);
+    });
+
+    it('clears the token after a 403 so the next request fetches a new one', async () => {
+      document.body.innerHTML = '<form><input type="hidden" name="csrfToken"></form>';
+      const form = document.querySelector('form');
+      let rejected = false;
+      const fetch = createFetch({
+        '/api/contact': () => {
+          if (rejected) return json(200, {});
+          rejected = true;
+          return json(403, { msg: 'Invalid CSRF token' });
+        }
+      });
+      service = new CSRFService({ fetch });
+      await service.attachToForm(form);
+      expect(form.elements.csrfToken.value).toBe('csrf-1');
+
+      const response = await service.fetch('/api/contact', { method: 'POST' });
+
+      expect(response.status).toBe(403);
+      expect(service.token).toBeNull();
+      expect(service.getHeaders()).toEqual({});
+      expect(form.elements.csrfToken.value).toBe('');
+
+      await service.fetch('/api/contact', { method: 'POST' });
+      expect(fetch.calls.filter(({ url }) => url === '/api/contact').map(({ token }) => token))
+        .toEqual(['csrf-1', 'csrf-2']);
+    });
+
+    it('keeps request headers and reads the method of a Request', async () => {
+      const fetch = createFetch();
+      service = new CSRFService({ fetch });
+
+      expect(needsCSRFToken(new Request(`${window.location.origin}/api/contact`, { method: 'DELETE' }))).toBe(true);
+      expect(needsCSRFToken('/api/contact', { method: 'get' })).toBe(false);
+
+      await service.fetch('/api/contact', { method: 'PATCH', headers: { 'Content-Type': 'application/json' } });
+      const [, init] = fetch.mock.calls[1];
+
+      expect(init.headers.get('Content-Type')).toBe('application/json');
+      expect(init.headers.get(CSRF_HEADER)).toBe('csrf-1');
+    });
+  });
+
+  describe('failing closed', () => {
+    it('does not send the request when /api/csrf is unreachable', async () => {
+      const fetch = createFetch({ [CSRF_ENDPOINT]: new TypeError('Failed to fetch') });
+      service = new CSRFService({ fetch });
+
+      const error = await rejection(service.fetch('/api/contact', { method: 'POST' }));
+
+      expect(error).toBeInstanceOf(CSRFError);
+      expect(error.retryable).toBe(true);
+      expect(error.message).toBe(CSRF_MESSAGES.offline);
+      expect(error.cause).toBeInstanceOf(TypeError);
+      expect(fetch.calls.map(({ url }) => url)).toEqual([CSRF_ENDPOINT]);
+    });
+
+    it('does not send the request when the endpoint returns no usable token', async () => {
+      const answers = [
+        () => json(500, { csrfToken: 'from-an-error-page' }),
+        () => new Response('<h1>Maintenance</h1>', { status: 200 }),
+        () => json(200, { csrfToken: '' })
+      ];
+
+      for (const answer of answers) {
+        const fetch = createFetch({ [CSRF_ENDPOINT]: answer });
+        service = new CSRFService({ fetch });
+
+        const error = await rejection(service.fetch('/api/contact', { method: 'POST' }));
+
+        expect(error).toBeInstanceOf(CSRFError);
+        expect(error.retryable).toBe(false);
+        expect(error.message).toBe(CSRF_MESSAGES.unavailable);
+        expect(fetch.calls.map(({ url }) => url)).toEqual([CSRF_ENDPOINT]);
+        service.destroy();
+      }
+    });
+
+    it('drops the old token when a refresh returns no usable token', async () => {
+      let healthy = true;
+      service = new CSRFService({
+        fetch: createFetch({
+          [CSRF_ENDPOINT]: () => (healthy ? json(200, { csrfToken: 'csrf-1' }) : json(503, {}))
+        })
+      });
+      await service.getToken();
+
+      healthy = false;
+      await rejection(service.refresh());
+
+      expect(service.isValid()).toBe(false);
+      expect(service.getHeaders()).toEqual({});
+    });
+
+    it('passes a server rate limit through instead of a CSRFError', async () => {
+      const limited = new RateLimitError(30, { endpoint: CSRF_ENDPOINT });
+      service = new CSRFService({ fetch: createFetch({ [CSRF_ENDPOINT]: limited }) });
+
+      expect(await rejection(service.getToken())).toBe(limited);
+    });
+
+    it('lets the next call try again after a failure', async () => {
+      let reachable = false;
+      service = new CSRFService({
+        fetch: createFetch({
+          [CSRF_ENDPOINT]: () => {
+            if (!reachable) throw new TypeError('Failed to fetch');
+            return json(200, { csrfToken: 'csrf-1' });
+          }
+        })
+      });
+
+      await rejection(service.getToken());
+      reachable = true;
+
+      expect(await service.getToken()).toBe('csrf-1');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import http from 'node:http';
+import { DocumentUploader, registerDocumentValidator } from '../../docs/js/features/DocumentUploader.js';
+import { FormValidator } from '../../docs/js/features/FormValidator.js';
+
+const PDF_HEADER = [0x25, 0x50, 0x44, 0x46, 0x2D, 0x31, 0x2E, 0x37];
+
+/**
+ * Local mock of the document upload endpoint
+ * Files named fail-once-* get a 500 on their first attempt
+ * @returns {Object} Server with baseUrl, requests and close()
+ */
+function createUploadServer () {
+  const mock = { requests: [], failed: new Set(), server: null, baseUrl: '' };
+
+  mock.server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'x-auth-token');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('latin1');
+      const name = (/filename="([^"]+)"/.exec(body) || [])[1];
+      mock.requests.push({ name, token: req.headers['x-auth-token'], body });
+
+      if (name && name.startsWith('fail-once-') && !mock.failed.has(name)) {
+        mock.failed.add(name);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ msg: 'Storage unavailable' }));
+        return;
+      }
+
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ id: `doc-${mock.requests.length}` }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    mock.server.listen(0, '127.0.0.1', () => {
+      mock.baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+      mock.close = () => new Promise((done) => mock.server.close(done));
+      resolve(mock);
+    });
+  });
+}
+
+/**
+ * File from raw bytes
+ * @param {Array<number>} bytes - Contents
+ * @param {string} name - File name
+ * @returns {File} File
+ */
+function makeFile (bytes, name) {
+  return new File([new Uint8Array(bytes)], name, { lastModified: 1700000000000 });
+}
+
+describe('DocumentUploader', () => {
+  let mock;
+  let form;
+  let input;
+  let uploader;
+
+  beforeAll(async () => {
+    mock = await createUploadServer();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.requests = [];
+    document.body.innerHTML = `
+      <form id="application">
+        <div class="form-group">
+          <label for="documents">Documents</label>
+          <input type="file" id="documents" name="documents" multiple data-validate="documents">
+        </div>
+      </form>
+    `;
+    form = document.getElementById('application');
+    input = document.getElementById('documents');
+    uploader = new DocumentUploader(input, {
+      endpoint: `${mock.baseUrl}/api/documents`,
+      getHeaders: () => ({ 'x-auth-token': 'token-123' })
+    }).init();
+  });
+
+  afterEach(() => {
+    uploader.destroy();
+  });
+
+  it('uploads accepted files with auth headers and submits their IDs instead of the raw files', async () => {
+    await uploader.addFiles([makeFile(PDF_HEADER, 'income.pdf')]);
+
+    expect(mock.requests).toHaveLength(1);
+    expect(mock.requests[0].token).toBe('token-123');
+    expect(mock.requests[0].body).toContain('%PDF-1.7');
+
+    const item = form.querySelector('.document-uploader__item');
+    expect(item.dataset.status).toBe('uploaded');
+    expect(item.querySelector('progress').value).toBe(100);
+
+    const data = new FormData(form);
+    expect(data.getAll('documentIds')).toEqual(['doc-1']);
+    expect(data.has('documents')).toBe(false);
+  });
+
+  it('rejects a renamed executable without uploading it', async () => {
+    await uploader.addFiles([makeFile([0x4D, 0x5A, 0x90, 0x00], 'paystub.pdf')]);
+
+    expect(mock.requests).toHaveLength(0);
+    expect(uploader.entries).toHaveLength(0);
+    expect(form.querySelector('.document-uploader__errors').textContent).toMatch(/paystub\.pdf is a program/);
+  });
+
+  it('handles files chosen through the input', async () => {
+    Object.defineProperty(input, 'files', {
+      configurable: true,
+      value: [makeFile(PDF_HEADER, 'voucher.pdf')]
+    });
+    input.dispatchEvent(new Event('change'));
+
+    await expect.poll(() => uploader.getDocumentIds()).toEqual(['doc-1']);
+  });
+
+  it('limits the number of files', async () => {
+    uploader.options.maxFiles = 1;
+
+    await uploader.addFiles([makeFile(PDF_HEADER, 'one.pdf'), makeFile(PDF_HEADER, 'two.pdf')]);
+
+    expect(uploader.entries.map((entry) => entry.file.name)).toEqual(['one.pdf']);
+    expect(form.querySelector('.document-uploader__errors').textContent).toMatch(/up to 1 files/);
+  });
+
+  it('shows a Retry button after a failed upload and retries on click', async () => {
+    await uploader.addFiles([makeFile(PDF_HEADER, 'fail-once-lease.pdf')]);
+
+    const item = form.querySelector('.document-uploader__item');
+    const retry = item.querySelector('[data-action="retry"]');
+    expect(item.dataset.status).toBe('error');
+    expect(item.textContent).toContain('Storage unavailable');
+    expect(retry.hidden).toBe(false);
+
+    retry.click();
+    await expect.poll(() => item.dataset.status).toBe('uploaded');
+    expect(retry.hidden).toBe(true);
+    expect(mock.requests).toHaveLength(2);
+  });
+
+  it('reorders and removes files', async () => {
+    await uploader.addFiles([
+      makeFile(PDF_HEADER, 'first.pdf'),
+      makeFile(PDF_HEADER, 'second.pdf')
+    ]);
+    const names = () => Array.from(form.querySelectorAll('.document-uploader__name'), (el) => el.textContent);
+    const idsByName = Object.fromEntries(uploader.entries.map((entry) => [entry.file.name, entry.documentId]));
+
+    form.querySelector('[aria-label="Move second.pdf up"]').click();
+    expect(names()).toEqual(['second.pdf', 'first.pdf']);
+    expect(new FormData(form).getAll('documentIds')).toEqual([idsByName['second.pdf'], idsByName['first.pdf']]);
+
+    form.querySelector('[aria-label="Remove second.pdf"]').click();
+    expect(names()).toEqual(['first.pdf']);
+    expect(new FormData(form).getAll('documentIds')).toEqual([idsByName['first.pdf']]);
+  });
+
+  it('plugs into FormValidator as the "documents" validator type', async () => {
+    const validator = new FormValidator(form, { enableRateLimit: false, scrollToError: false });
+    registerDocumentValidator(validator);
+
+    expect(validator.validateForm()).toBe(true);
+
+    // Checked while the upload is in flight
+    let inFlight = null;
+    const stop = uploader.onChange(() => {
+      if (!inFlight && uploader.entries[0]?.status === 'uploading') {
+        inFlight = { valid: validator.validateForm(), errors: validator.getErrors() };
+      }
+    });
+
+    await uploader.addFiles([makeFile(PDF_HEADER, 'fail-once-id.pdf')]);
+    stop();
+    expect(inFlight.valid).toBe(false);
+    expect(inFlight.errors[0].errors[0]).toMatch(/finish uploading/);
+
+    expect(validator.validateForm()).toBe(false);
+    expect(form.querySelector('.form-error').textContent).toMatch(/failed to upload/);
+
+    await uploader.retry(uploader.entries[0].key);
+    // Re-checked automatically once the field has been touched
+    expect(form.querySelector('.form-error').textContent).toBe('');
+    expect(validator.validateForm()).toBe(true);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectFileType,
+  inspectFile,
+  readBytes,
+  stripLocationData
+} from '../../docs/js/utils/fileInspector.js';
+
+const PDF_HEADER = [0x25, 0x50, 0x44, 0x46, 0x2D, 0x31, 0x2E, 0x37];
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * File from raw bytes
+ * @param {Array<number>|Uint8Array} bytes - Contents
+ * @param {string} name - File name
+ * @param {string} type - MIME type
+ * @returns {File} File
+ */
+function makeFile (bytes, name, type = '') {
+  return new File([new Uint8Array(bytes)], name, { type });
+}
+
+/**
+ * Little-endian JPEG with an EXIF block holding orientation and GPS latitude,
+ * followed by an XMP packet and a tiny scan
+ * @returns {Uint8Array} JPEG bytes
+ */
+function makeGeotaggedJpeg () {
+  const tiff = new Uint8Array(92);
+  const view = new DataView(tiff.buffer);
+  tiff.set([0x49, 0x49, 0x2A, 0x00]);
+  view.setUint32(4, 8, true);
+
+  // IFD0: Orientation = 6, GPS IFD pointer = 38
+  view.setUint16(8, 2, true);
+  view.setUint16(10, 0x0112, true);
+  view.setUint16(12, 3, true);
+  view.setUint32(14, 1, true);
+  view.setUint16(18, 6, true);
+  view.setUint16(22, 0x8825, true);
+  view.setUint16(24, 4, true);
+  view.setUint32(26, 1, true);
+  view.setUint32(30, 38, true);
+
+  // GPS IFD: GPSLatitudeRef = 'N', GPSLatitude = three rationals at 68
+  view.setUint16(38, 2, true);
+  view.setUint16(40, 0x0001, true);
+  view.setUint16(42, 2, true);
+  view.setUint32(44, 2, true);
+  tiff[48] = 0x4E;
+  view.setUint16(52, 0x0002, true);
+  view.setUint16(54, 5, true);
+  view.setUint32(56, 3, true);
+  view.setUint32(60, 68, true);
+  [32, 1, 21, 1, 15, 1].forEach((value, i) => view.setUint32(68 + i * 4, value, true));
+
+  const exif = [...'Exif\0\0'].map((char) => char.charCodeAt(0));
+  const app1Length = 2 + exif.length + tiff.length;
+  const xmp = [...'http://ns.adobe.com/xap/1.0/\0<x:xmpmeta exif:GPSLatitude="32,21N"/>'].map((char) => char.charCodeAt(0));
+
+  return new Uint8Array([
+    0xFF, 0xD8,
+    0xFF, 0xE1, app1Length >> 8, app1Length & 0xFF, ...exif, ...tiff,
+    0xFF, 0xE1, (xmp.length + 2) >> 8, (xmp.length + 2) & 0xFF, ...xmp,
+    0xFF, 0xDA, 0x00, 0x02, 0x11, 0x22, 0x33,
+    0xFF, 0xD9
+  ]);
+}
+
+/**
+ * PNG chunk (CRC left as zeros; the stripper does not check it)
+ * @param {string} type - Chunk type
+ * @param {Array<number>} data - Chunk data
+ * @returns {Array<number>} Chunk bytes
+ */
+function pngChunk (type, data) {
+  const length = [0, 0, data.length >> 8, data.length & 0xFF];
+  return [...length, ...[...type].map((char) => char.charCodeAt(0)), ...data, 0, 0, 0, 0];
+}
+
+describe('fileInspector', () => {
+  describe('detectFileType', () => {
+    it('identifies accepted documents by their magic bytes', () => {
+      expect(detectFileType(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('jpeg');
+      expect(detectFileType(new Uint8Array(PNG_SIGNATURE))).toBe('png');
+      expect(detectFileType(new Uint8Array(PDF_HEADER))).toBe('pdf');
+      expect(detectFileType(new Uint8Array([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]))).toBe('doc');
+      expect(detectFileType(new Uint8Array([0x50, 0x4B, 0x03, 0x04]))).toBe('docx');
+    });
+
+    it('flags programs and scripts', () => {
+      expect(detectFileType(new Uint8Array([0x4D, 0x5A, 0x90, 0x00]))).toBe('executable');
+      expect(detectFileType(new Uint8Array([0x7F, 0x45, 0x4C, 0x46]))).toBe('executable');
+      expect(detectFileType(new Uint8Array([0xCF, 0xFA, 0xED, 0xFE]))).toBe('executable');
+      expect(detectFileType(new Uint8Array([0x23, 0x21, 0x2F, 0x62]))).toBe('executable');
+    });
+
+    it('returns null for unknown content', () => {
+      expect(detectFileType(new Uint8Array([0x00, 0x01, 0x02]))).toBeNull();
+    });
+  });
+
+  describe('inspectFile', () => {
+    it('accepts a real PDF', async () => {
+      const result = await inspectFile(makeFile(PDF_HEADER, 'income.pdf', 'application/pdf'));
+
+      expect(result).toEqual({ valid: true, type: 'pdf', errors: [] });
+    });
+
+    it('rejects a Windows executable renamed to .pdf', async () => {
+      const result = await inspectFile(makeFile([0x4D, 0x5A, 0x90, 0x00, 0x03], 'paystub.pdf', 'application/pdf'));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/is a program/);
+    });
+
+    it('rejects a script renamed to .jpg', async () => {
+      const script = [...'#!/bin/sh\nrm -rf ~\n'].map((char) => char.charCodeAt(0));
+      const result = await inspectFile(makeFile(script, 'id-card.jpg', 'image/jpeg'));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/is a program/);
+    });
+
+    it('rejects content that does not match the extension', async () => {
+      const result = await inspectFile(makeFile(PNG_SIGNATURE, 'lease.pdf'));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/doesn't look like a real PDF file/);
+    });
+
+    it('rejects extensions outside the allow list', async () => {
+      const result = await inspectFile(makeFile([0x4D, 0x5A], 'setup.exe'));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/not an accepted file type/);
+    });
+
+    it('respects allowedTypes', async () => {
+      const result = await inspectFile(makeFile(PDF_HEADER, 'income.pdf'), { allowedTypes: ['jpeg', 'png'] });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('(JPEG, PNG)');
+    });
+
+    it('rejects empty and oversized files', async () => {
+      const empty = await inspectFile(makeFile([], 'blank.pdf'));
+      const large = await inspectFile(makeFile([...PDF_HEADER, 0, 0, 0], 'scan.pdf'), { maxSize: 8 });
+
+      expect(empty.errors[0]).toMatch(/is empty/);
+      expect(large.errors[0]).toMatch(/the limit is 8 B/);
+    });
+  });
+
+  describe('stripLocationData', () => {
+    it('clears EXIF GPS data and XMP from a JPEG but keeps orientation', async () => {
+      const original = makeGeotaggedJpeg();
+      const cleaned = await stripLocationData(makeFile(original, 'photo.jpg', 'image/jpeg'), 'jpeg');
+      const bytes = await readBytes(cleaned);
+      const view = new DataView(bytes.buffer);
+      const tiff = 2 + 4 + 6;
+
+      expect(cleaned.name).toBe('photo.jpg');
+      expect(cleaned.type).toBe('image/jpeg');
+      // Orientation entry is untouched
+      expect(view.getUint16(tiff + 18, true)).toBe(6);
+      // GPS IFD is empty and the latitude values are gone
+      expect(view.getUint16(tiff + 38, true)).toBe(0);
+      expect(Array.from(bytes.subarray(tiff + 40, tiff + 92)).every((byte) => byte === 0)).toBe(true);
+      // XMP packet is dropped; the scan data survives
+      expect(new TextDecoder().decode(bytes)).not.toContain('GPSLatitude');
+      expect(Array.from(bytes.subarray(-9))).toEqual([0xFF, 0xDA, 0x00, 0x02, 0x11, 0x22, 0x33, 0xFF, 0xD9]);
+    });
+
+    it('drops eXIf chunks from a PNG', async () => {
+      const png = [
+        ...PNG_SIGNATURE,
+        ...pngChunk('IHDR', new Array(13).fill(1)),
+        ...pngChunk('eXIf', [0x4D, 0x4D, 0x00, 0x2A]),
+        ...pngChunk('IEND', [])
+      ];
+
+      const cleaned = await stripLocationData(makeFile(png, 'photo.png', 'image/png'), 'png');
+      const text = new TextDecoder().decode(await readBytes(cleaned));
+
+      expect(text).toContain('IHDR');
+      expect(text).toContain('IEND');
+      expect(text).not.toContain('eXIf');
+    });
+
+    it('returns other files unchanged', async () => {
+      const pdf = makeFile(PDF_HEADER, 'income.pdf');
+      const plainJpeg = makeFile([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9], 'plain.jpg');
+
+      expect(await stripLocationData(pdf, 'pdf')).toBe(pdf);
+      expect(await stripLocationData(plainJpeg, 'jpeg')).toBe(plainJpeg);
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  RateLimiter,
+  RATE_LIMIT_STRATEGIES,
+  RATE_LIMIT_STORAGE_PREFIX,
+  MemoryRateLimitStore,
+  LocalStorageRateLimitStore,
+  IndexedDBRateLimitStore,
+  formatWait
+} from '../../docs/js/utils/rateLimiter.js';
+
+const KEY = 'visitor-1';
+
+/**
+ * Storage whose every call throws, like localStorage in some private modes
+ * @returns {Object} Storage-like object
+ */
+function createBrokenStorage () {
+  const fail = () => {
+    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+  };
+  return { length: 0, key: fail, getItem: fail, setItem: fail, removeItem: fail };
+}
+
+/**
+ * Wait for the next change a limiter reports
+ * @param {RateLimiter} limiter - Limiter to watch
+ * @returns {Promise<string>} The changed key
+ */
+function nextChange (limiter) {
+  return new Promise((resolve) => {
+    const unsubscribe = limiter.onChange((key) => {
+      unsubscribe();
+      resolve(key);
+    });
+  });
+}
+
+describe('RateLimiter', () => {
+  const limiters = [];
+
+  /**
+   * Limiter that is destroyed after the test
+   * @param {number} maxAttempts - Attempts per window
+   * @param {number} windowMs - Window length
+   * @param {Object} options - RateLimiter options
+   * @returns {RateLimiter} Limiter
+   */
+  function createLimiter (maxAttempts, windowMs, options = {}) {
+    const limiter = new RateLimiter(maxAttempts, windowMs, { store: new MemoryRateLimitStore(), ...options });
+    limiters.push(limiter);
+    return limiter;
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-02T09:00:00Z'));
+  });
+
+  afterEach(() => {
+    limiters.splice(0).forEach((limiter) => limiter.destroy());
+    vi.useRealTimers();
+  });
+
+  describe('sliding window', () => {
+    it('allows maxAttempts per window and counts down the remaining attempts', async () => {
+      const limiter = createLimiter(3, 60000);
+
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push(await limiter.isAllowed(KEY));
+      }
+
+      expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+      expect(results.map((result) => result.remainingAttempts)).toEqual([2, 1, 0, 0]);
+      expect(results[3].retryAfter).toBe(60);
+    });
+
+    it('frees each attempt when it leaves the window', async () => {
+      const limiter = createLimiter(2, 60000);
+      await limiter.isAllowed(KEY);
+      vi.advanceTimersByTime(30000);
+      await limiter.isAllowed(KEY);
+
+      vi.advanceTimersByTime(30000);
+
+      expect(await limiter.getRemainingAttempts(KEY)).toBe(1);
+      expect((await limiter.isAllowed(KEY)).allowed).toBe(true);
+      expect((await limiter.isAllowed(KEY)).retryAfter).toBe(30);
+    });
+  });
+
+  describe('token bucket', () => {
+    it('refills one token every windowMs / maxAttempts where the sliding window waits for the whole window', async () => {
+      const bucket = createLimiter(3, 60000, { strategy: RATE_LIMIT_STRATEGIES.tokenBucket });
+      const window = createLimiter(3, 60000);
+
+      for (let i = 0; i < 3; i++) {
+        await bucket.isAllowed(KEY);
+        await window.isAllowed(KEY);
+      }
+      const bucketDenied = await bucket.isAllowed(KEY);
+      const windowDenied = await window.isAllowed(KEY);
+
+      expect(bucketDenied.retryAfter).toBe(20);
+      expect(windowDenied.retryAfter).toBe(60);
+
+      vi.advanceTimersByTime(20000);
+
+      expect((await bucket.isAllowed(KEY)).allowed).toBe(true);
+      expect((await window.isAllowed(KEY)).allowed).toBe(false);
+    });
+
+    it('never holds more than maxAttempts tokens', async () => {
+      const bucket = createLimiter(2, 60000, { strategy: RATE_LIMIT_STRATEGIES.tokenBucket });
+      await bucket.isAllowed(KEY);
+
+      vi.advanceTimersByTime(10 * 60000);
+
+      expect(await bucket.getRemainingAttempts(KEY)).toBe(2);
+    });
+  });
+
+  describe('lockout', () => {
+    /**
+     * Use the one allowed attempt, then make one more (a violation)
+     * @param {RateLimiter} limiter - Limiter allowing one attempt per window
+     * @returns {Promise<Object>} The denied result
+     */
+    async function violate (limiter) {
+      expect((await limiter.isAllowed(KEY)).allowed).toBe(true);
+      return limiter.isAllowed(KEY);
+    }
+
+    it('locks for lockoutMs * 2 ** (violations - 2) from the second violation, up to maxLockoutMs', async () => {
+      const limiter = createLimiter(1, 1000, { lockoutMs: 10000, maxLockoutMs: 30000 });
+      const waits = [];
+
+      for (let i = 0; i < 4; i++) {
+        const denied = await violate(limiter);
+        waits.push([denied.violations, denied.retryAfter]);
+        vi.advanceTimersByTime(denied.retryAfter * 1000);
+      }
+
+      // First violation waits for the window only, then 10s, 20s and 40s capped at 30s
+      expect(waits).toEqual([[1, 1], [2, 10], [3, 20], [4, 30]]);
+    });
+
+    it('does not extend the lockout for attempts made while locked', async () => {
+      const limiter = createLimiter(1, 1000, { lockoutMs: 10000 });
+      await violate(limiter);
+      vi.advanceTimersByTime(1000);
+      const locked = await violate(limiter);
+
+      vi.advanceTimersByTime(4000);
+      const during = await limiter.isAllowed(KEY);
+
+      expect(locked.retryAfter).toBe(10);
+      expect(during.allowed).toBe(false);
+      expect(during.retryAfter).toBe(6);
+      expect(during.violations).toBe(2);
+      expect(during.lockedUntil).toBe(locked.lockedUntil);
+    });
+
+    it('forgets violations after violationResetMs without a new one', async () => {
+      const limiter = createLimiter(1, 1000, { lockoutMs: 10000, violationResetMs: 60000 });
+      await violate(limiter);
+      vi.advanceTimersByTime(1000);
+      expect((await violate(limiter)).violations).toBe(2);
+
+      // Still remembered just before the reset
+      vi.advanceTimersByTime(59999);
+      expect((await limiter.peek(KEY)).violations).toBe(2);
+
+      vi.advanceTimersByTime(1);
+      const denied = await violate(limiter);
+
+      expect(denied.violations).toBe(1);
+      expect(denied.retryAfter).toBe(1);
+    });
+
+    it('lets cleanup() drop records once nothing is left to remember', async () => {
+      const store = new MemoryRateLimitStore();
+      const limiter = createLimiter(1, 1000, { store, violationResetMs: 60000 });
+      await violate(limiter);
+
+      await limiter.cleanup();
+      expect(await store.entries()).toHaveLength(1);
+
+      vi.advanceTimersByTime(60000);
+      await limiter.cleanup();
+      expect(await store.entries()).toEqual([]);
+    });
+  });
+
+  describe('cross-tab coordination', () => {
+    beforeEach(() => {
+      // BroadcastChannel delivers through the event loop, not timers
+      vi.useRealTimers();
+    });
+
+    it('tells limiters with the same name in other tabs that a record changed', async () => {
+      const store = new MemoryRateLimitStore();
+      const tabA = createLimiter(1, 60000, { name: 'contact', store });
+      const tabB = createLimiter(1, 60000, { name: 'contact', store });
+      const other = createLimiter(1, 60000, { name: 'login', store });
+      const otherChanges = [];
+      other.onChange((key) => otherChanges.push(key));
+
+      const changed = nextChange(tabB);
+      await tabA.isAllowed(KEY);
+      await tabA.isAllowed(KEY);
+
+      expect(await changed).toBe(KEY);
+      expect((await tabB.peek(KEY)).allowed).toBe(false);
+      expect(otherChanges).toEqual([]);
+    });
+
+    it('keeps working after the channel is closed', async () => {
+      const limiter = createLimiter(1, 60000);
+      limiter.channel.close();
+
+      expect((await limiter.isAllowed(KEY)).allowed).toBe(true);
+    });
+  });
+
+  describe('storage failures', () => {
+    it('fails open with a localStorage that throws', async () => {
+      const limiter = createLimiter(1, 60000, { store: new LocalStorageRateLimitStore(createBrokenStorage()) });
+
+      expect((await limiter.isAllowed(KEY)).allowed).toBe(true);
+      expect((await limiter.peek(KEY)).allowed).toBe(true);
+    });
+
+    it('starts over when a stored record is corrupt', async () => {
+      const storage = {
+        getItem: () => '{not json',
+        setItem: () => {},
+        removeItem: () => {}
+      };
+      const limiter = createLimiter(1, 60000, { store: new LocalStorageRateLimitStore(storage) });
+
+      expect(await limiter.isAllowed(KEY)).toMatchObject({ allowed: true, remainingAttempts: 0 });
+    });
+
+    it('treats an unreadable record as fresh but reports a failed write to the caller', async () => {
+      const store = {
+        get: async () => {
+          throw new Error('read failed');
+        },
+        set: async () => {
+          throw new Error('write failed');
+        },
+        delete: async () => {},
+        entries: async () => []
+      };
+      const limiter = createLimiter(1, 60000, { store });
+
+      expect((await limiter.peek(KEY)).allowed).toBe(true);
+      await expect(limiter.isAllowed(KEY)).rejects.toThrow('write failed');
+      // The lock queue is not stuck after a failure
+      await expect(limiter.isAllowed(KEY)).rejects.toThrow('write failed');
+    });
+
+    it('keeps limits in memory when IndexedDB is unavailable', async () => {
+      const limiter = createLimiter(1, 60000, { store: new IndexedDBRateLimitStore(null) });
+
+      await limiter.isAllowed(KEY);
+
+      expect((await limiter.isAllowed(KEY)).allowed).toBe(false);
+    });
+
+    it('namespaces localStorage records by limiter name', async () => {
+      const data = new Map();
+      const storage = {
+        getItem: (name) => data.get(name) ?? null,
+        setItem: (name, value) => data.set(name, value),
+        removeItem: (name) => data.delete(name)
+      };
+      const limiter = createLimiter(1, 60000, { name: 'contact', store: new LocalStorageRateLimitStore(storage) });
+
+      await limiter.isAllowed(KEY);
+
+      expect(Array.from(data.keys())).toEqual([`${RATE_LIMIT_STORAGE_PREFIX}contact:${KEY}`]);
+    });
+  });
+
+  describe('formatWait', () => {
+    it('shows seconds under a minute and minutes:seconds above', () => {
+      expect(formatWait(45)).toBe('45 seconds');
+      expect(formatWait(125)).toBe('2:05 minutes');
+    });
+  });
+});
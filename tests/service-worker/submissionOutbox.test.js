@@ -0,0 +1,113 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest';
+import { SubmissionOutbox, classifyResponse } from '../../docs/js/utils/submissionOutbox.js';
+
+/**
+ * Auth stand-in with a token that can change
+ * @param {string|null} token - Current token
+ * @returns {Object} Auth-like object
+ */
+function createAuth (token) {
+  const auth = {
+    token,
+    listeners: new Set(),
+    get isAuthenticated () {
+      return Boolean(auth.token);
+    },
+    getAuthHeaders: () => (auth.token ? { 'x-auth-token': auth.token } : {}),
+    onChange: (listener) => {
+      auth.listeners.add(listener);
+      return () => auth.listeners.delete(listener);
+    },
+    emit: (type) => auth.listeners.forEach((listener) => listener({}, { type }))
+  };
+  return auth;
+}
+
+/**
+ * fetch stand-in: offline until online is set, then answers with status
+ * @returns {Function} fetch with calls, online and status
+ */
+function createFetch () {
+  const fetch = async (url, init) => {
+    if (!fetch.online) throw new TypeError('Failed to fetch');
+    fetch.calls.push({ url, headers: init.headers });
+    return new Response('{}', { status: fetch.status });
+  };
+  fetch.calls = [];
+  fetch.online = false;
+  fetch.status = 200;
+  return fetch;
+}
+
+describe('classifyResponse', () => {
+  it('keeps 401 and 403 queued and rejects other client errors', () => {
+    expect(classifyResponse(new Response('', { status: 201 }))).toBe('sent');
+    expect(classifyResponse(new Response('', { status: 401 }))).toBe('retry');
+    expect(classifyResponse(new Response('', { status: 403 }))).toBe('retry');
+    expect(classifyResponse(new Response('', { status: 429 }))).toBe('retry');
+    expect(classifyResponse(new Response('', { status: 422 }))).toBe('rejected');
+    expect(classifyResponse(new Response('', { status: 503 }))).toBe('retry');
+  });
+});
+
+describe('SubmissionOutbox', () => {
+  let outbox;
+
+  afterEach(() => {
+    outbox.destroy();
+  });
+
+  it('never stores the auth token and sends the current one on replay', async () => {
+    const auth = createAuth('token-1');
+    const fetch = createFetch();
+    outbox = new SubmissionOutbox({ indexedDB: null, auth, fetch });
+
+    const result = await outbox.submit({ url: '/api/applications', auth: true, body: { fullName: 'Jordan Smith' } });
+    expect(result.queued).toBe(true);
+
+    const [stored] = await outbox.getPending();
+    expect(JSON.stringify(stored)).not.toContain('token-1');
+
+    auth.token = 'token-2';
+    fetch.online = true;
+    await outbox.flush();
+
+    expect(fetch.calls[0].headers['x-auth-token']).toBe('token-2');
+    expect(await outbox.getPending()).toEqual([]);
+  });
+
+  it('waits for the next login instead of sending signed-in submissions while signed out', async () => {
+    const auth = createAuth('token-1');
+    const fetch = createFetch();
+    outbox = new SubmissionOutbox({ indexedDB: null, auth, fetch });
+    outbox.init();
+    await outbox.submit({ url: '/api/applications', auth: true, body: {} });
+
+    auth.token = null;
+    fetch.online = true;
+    const result = await outbox.flush();
+    expect(fetch.calls).toEqual([]);
+    expect(result.pending).toHaveLength(1);
+
+    auth.token = 'token-3';
+    auth.emit('login');
+    await outbox.flushing;
+
+    expect(fetch.calls[0].headers['x-auth-token']).toBe('token-3');
+    expect(await outbox.getPending()).toEqual([]);
+  });
+
+  it('keeps a submission the server answers with 401', async () => {
+    const fetch = createFetch();
+    outbox = new SubmissionOutbox({ indexedDB: null, auth: createAuth('expired'), fetch });
+    await outbox.submit({ url: '/api/applications', auth: true, body: {} });
+
+    fetch.online = true;
+    fetch.status = 401;
+    const result = await outbox.flush();
+
+    expect(result.pending).toHaveLength(1);
+    expect(await outbox.getPending()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Service worker test environment
+ * Loads docs/sw.js into an isolated context with in-memory caches and
+ * IndexedDB, a stubbed fetch, recorded client messages and helpers to
+ * dispatch lifecycle, fetch, message and sync events.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const SW_PATH = fileURLToPath(new URL('../../docs/sw.js', import.meta.url));
+const ORIGIN = 'https://properties4creation.test';
+
+class MemoryCache {
+  constructor () {
+    this.entries = new Map();
+  }
+
+  keyFor (request) {
+    return typeof request === 'string'
+      ? new URL(request, ORIGIN).href
+      : request.url;
+  }
+
+  async match (request) {
+    const response = this.entries.get(this.keyFor(request));
+    return response ? response.clone() : undefined;
+  }
+
+  async put (request, response) {
+    this.entries.set(this.keyFor(request), response.clone());
+  }
+
+  async add (request) {
+    const response = await this.fetch(request);
+    if (!response.ok) {
+      throw new TypeError(`Request failed: ${this.keyFor(request)}`);
+    }
+    await this.put(request, response);
+  }
+
+  async addAll (requests) {
+    await Promise.all(requests.map((request) => this.add(request)));
+  }
+
+  async delete (request) {
+    return this.entries.delete(this.keyFor(request));
+  }
+
+  async keys () {
+    return Array.from(this.entries.keys()).map((url) => new Request(url));
+  }
+}
+
+class MemoryCacheStorage {
+  constructor (fetchImpl) {
+    this.caches = new Map();
+    this.fetch = fetchImpl;
+  }
+
+  async open (name) {
+    if (!this.caches.has(name)) {
+      const cache = new MemoryCache();
+      cache.fetch = this.fetch;
+      this.caches.set(name, cache);
+    }
+    return this.caches.get(name);
+  }
+
+  async has (name) {
+    return this.caches.has(name);
+  }
+
+  async delete (name) {
+    return this.caches.delete(name);
+  }
+
+  async keys () {
+    return Array.from(this.caches.keys());
+  }
+
+  async match (request) {
+    for (const cache of this.caches.values()) {
+      const response = await cache.match(request);
+      if (response) return response;
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Settle a fake IDBRequest on a later task, like the real thing
+ * @param {Function} getResult - Produces the request result
+ * @returns {Object} Request with onsuccess/onerror hooks
+ */
+function idbRequest (getResult) {
+  const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+  setTimeout(() => {
+    try {
+      request.result = getResult();
+      if (request.onsuccess) request.onsuccess();
+    } catch (error) {
+      request.error = error;
+      if (request.onerror) request.onerror();
+    }
+  }, 0);
+  return request;
+}
+
+class MemoryObjectStore {
+  constructor (keyPath) {
+    this.keyPath = keyPath;
+    this.records = new Map();
+  }
+
+  get (key) {
+    return idbRequest(() => structuredClone(this.records.get(key)));
+  }
+
+  getAll () {
+    return idbRequest(() => Array.from(this.records.values(), (record) => structuredClone(record)));
+  }
+
+  put (record) {
+    return idbRequest(() => {
+      this.records.set(record[this.keyPath], structuredClone(record));
+      return record[this.keyPath];
+    });
+  }
+
+  delete (key) {
+    return idbRequest(() => {
+      this.records.delete(key);
+    });
+  }
+}
+
+class MemoryDatabase {
+  constructor () {
+    this.stores = new Map();
+    this.objectStoreNames = { contains: (name) => this.stores.has(name) };
+  }
+
+  createObjectStore (name, { keyPath }) {
+    const store = new MemoryObjectStore(keyPath);
+    this.stores.set(name, store);
+    return store;
+  }
+
+  transaction (name) {
+    return { objectStore: () => this.stores.get(name) };
+  }
+
+  close () {}
+}
+
+/**
+ * Just enough of IndexedDB for the outbox: open with upgrade,
+ * then get/getAll/put/delete on one object store
+ */
+export class MemoryIndexedDB {
+  constructor () {
+    this.databases = new Map();
+  }
+
+  open (name) {
+    const isNew = !this.databases.has(name);
+    if (isNew) this.databases.set(name, new MemoryDatabase());
+
+    const db = this.databases.get(name);
+    const request = { result: db, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+    setTimeout(() => {
+      if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+      if (request.onsuccess) request.onsuccess();
+    }, 0);
+    return request;
+  }
+
+  /**
+   * Read every record in a store
+   * @param {string} name - Database name
+   * @param {string} storeName - Store name
+   * @returns {Array<Object>} Records
+   */
+  records (name, storeName) {
+    const db = this.databases.get(name);
+    const store = db && db.stores.get(storeName);
+    return store ? Array.from(store.records.values()) : [];
+  }
+
+  /**
+   * Write records straight into a store, creating it if needed
+   * @param {string} name - Database name
+   * @param {string} storeName - Store name
+   * @param {string} keyPath - Key path
+   * @param {Array<Object>} records - Records
+   */
+  seed (name, storeName, keyPath, records) {
+    if (!this.databases.has(name)) this.databases.set(name, new MemoryDatabase());
+    const db = this.databases.get(name);
+    const store = db.stores.get(storeName) || db.createObjectStore(storeName, { keyPath });
+    records.forEach((record) => store.records.set(record[keyPath], structuredClone(record)));
+  }
+}
+
+/**
+ * Build a service worker environment
+ * @param {Object} options - Options
+ * @param {Function} options.fetch - Fetch stub (request) => Response
+ * @returns {Object} Environment with dispatch helpers
+ */
+export function createServiceWorkerEnvironment (options = {}) {
+  const listeners = {};
+  const fetchStub = async (input, init) => {
+    const request = typeof input === 'string'
+      ? new Request(new URL(input, ORIGIN).href, init)
+      : input;
+    return options.fetch(request);
+  };
+  const caches = new MemoryCacheStorage(fetchStub);
+  const skipWaiting = { called: false };
+  const indexedDB = new MemoryIndexedDB();
+  const clientMessages = [];
+
+  const self = {
+    location: new URL(`${ORIGIN}/sw.js`),
+    addEventListener: (type, listener) => {
+      listeners[type] = listeners[type] || [];
+      listeners[type].push(listener);
+    },
+    skipWaiting: async () => {
+      skipWaiting.called = true;
+    },
+    clients: {
+      matchAll: async () => [{ postMessage: (message) => clientMessages.push(message) }]
+    }
+  };
+
+  const context = vm.createContext({
+    self,
+    caches,
+    fetch: fetchStub,
+    URL,
+    Request,
+    Response,
+    Headers,
+    FormData,
+    indexedDB,
+    console
+  });
+
+  vm.runInContext(readFileSync(SW_PATH, 'utf8'), context, {
+    filename: SW_PATH
+  });
+
+  /**
+   * Dispatch an extendable event and wait for every waitUntil promise
+   * @param {string} type - Event type
+   * @param {Object} init - Extra event properties
+   * @returns {Promise<Object>} The dispatched event
+   */
+  async function dispatch (type, init = {}) {
+    const pending = [];
+    const event = {
+      type,
+      ...init,
+      waitUntil: (promise) => pending.push(promise)
+    };
+
+    (listeners[type] || []).forEach((listener) => listener(event));
+    await Promise.all(pending);
+    return event;
+  }
+
+  /**
+   * Dispatch a fetch event
+   * @param {string|Request} input - Request or URL path
+   * @param {Object} requestInit - Request options
+   * @returns {Promise<Response|undefined>} Response passed to respondWith
+   */
+  async function dispatchFetch (input, requestInit = {}) {
+    const request = typeof input === 'string'
+      ? new Request(new URL(input, ORIGIN).href, requestInit)
+      : input;
+    let responsePromise;
+    const pending = [];
+    const event = {
+      type: 'fetch',
+      request,
+      respondWith: (promise) => {
+        responsePromise = promise;
+      },
+      waitUntil: (promise) => pending.push(promise)
+    };
+
+    (listeners.fetch || []).forEach((listener) => listener(event));
+    const response = responsePromise ? await responsePromise : undefined;
+    await Promise.all(pending);
+    return response;
+  }
+
+  /**
+   * Dispatch a navigation request
+   * Node's Request does not allow mode: 'navigate', so it is shadowed here
+   * @param {string} path - Page path
+   * @returns {Promise<Response|undefined>} Response
+   */
+  function dispatchNavigation (path) {
+    const request = new Request(new URL(path, ORIGIN).href, {
+      headers: { accept: 'text/html' }
+    });
+    Object.defineProperty(request, 'mode', { value: 'navigate' });
+    return dispatchFetch(request);
+  }
+
+  /**
+   * Post a message to the worker over a MessageChannel-like port
+   * @param {Object} data - Message data
+   * @returns {Promise<Object|undefined>} The reply, if any
+   */
+  async function postMessage (data) {
+    let replyMessage;
+    const port = {
+      postMessage: (message) => {
+        replyMessage = message;
+      }
+    };
+    await dispatch('message', { data, ports: [port] });
+    return replyMessage;
+  }
+
+  return {
+    origin: ORIGIN,
+    caches,
+    indexedDB,
+    clientMessages,
+    skipWaiting,
+    dispatch,
+    dispatchFetch,
+    dispatchNavigation,
+    postMessage
+  };
+}
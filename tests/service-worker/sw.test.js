@@ -0,0 +1,371 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createServiceWorkerEnvironment } from './sw-environment.js';
+
+const ORIGIN = 'https://properties4creation.test';
+
+/**
+ * Fetch stub backed by a simple route table
+ * @param {Object} routes - Map of pathname to body, or Error to simulate offline
+ * @returns {Function} Fetch implementation
+ */
+function createNetwork (routes) {
+  const network = {
+    online: true,
+    requests: [],
+    fetch: async (request) => {
+      const { pathname } = new URL(request.url);
+      network.requests.push(pathname);
+
+      if (!network.online) {
+        throw new TypeError('Failed to fetch');
+      }
+
+      if (!(pathname in routes)) {
+        return new Response('Not Found', { status: 404 });
+      }
+
+      return new Response(routes[pathname], { status: 200 });
+    }
+  };
+  return network;
+}
+
+const SHELL_ROUTES = {
+  '/': '<h1>Home</h1>',
+  '/offline/': '<h1>Offline</h1>',
+  '/css/style.css': 'body {}',
+  '/js/main.js': 'console.log("main")',
+  '/manifest.json': '{}',
+  '/properties.json': '{"version":"1.0.0","properties":[]}',
+  '/images/logo/brand-logo.svg': '<svg></svg>'
+};
+
+describe('Service worker', () => {
+  let network;
+  let sw;
+
+  beforeEach(async () => {
+    network = createNetwork({
+      ...SHELL_ROUTES,
+      '/about/': '<h1>About</h1>',
+      '/images/properties/properties-kemp-townhome-400w.webp': 'kemp-v1',
+      '/js/auth.js': 'auth-v1'
+    });
+    sw = createServiceWorkerEnvironment({ fetch: network.fetch });
+    await sw.dispatch('install');
+    await sw.dispatch('activate');
+  });
+
+  describe('install', () => {
+    it('precaches the app shell and skips waiting', async () => {
+      const shell = await sw.caches.open('p4c-shell-v1');
+      const keys = (await shell.keys()).map((request) => new URL(request.url).pathname);
+
+      expect(keys).toEqual(expect.arrayContaining(Object.keys(SHELL_ROUTES)));
+      expect(sw.skipWaiting.called).toBe(true);
+    });
+  });
+
+  describe('activate', () => {
+    it('removes caches from previous versions only', async () => {
+      await sw.caches.open('p4c-pages-v0');
+      await sw.caches.open('third-party-cache');
+
+      await sw.dispatch('activate');
+
+      const names = await sw.caches.keys();
+      expect(names).not.toContain('p4c-pages-v0');
+      expect(names).toContain('third-party-cache');
+      expect(names).toContain('p4c-shell-v1');
+    });
+  });
+
+  describe('navigation requests', () => {
+    it('uses the network first and caches the page', async () => {
+      const response = await sw.dispatchNavigation('/about/');
+
+      expect(await response.text()).toBe('<h1>About</h1>');
+      const pages = await sw.caches.open('p4c-pages-v1');
+      expect(await pages.match(`${ORIGIN}/about/`)).toBeDefined();
+    });
+
+    it('serves the cached page when offline', async () => {
+      await sw.dispatchNavigation('/about/');
+      network.online = false;
+
+      const response = await sw.dispatchNavigation('/about/');
+
+      expect(await response.text()).toBe('<h1>About</h1>');
+    });
+
+    it('falls back to /offline/ for uncached pages when offline', async () => {
+      network.online = false;
+
+      const response = await sw.dispatchNavigation('/contact/');
+
+      expect(await response.text()).toBe('<h1>Offline</h1>');
+    });
+  });
+
+  describe('CSS and JavaScript requests', () => {
+    it('serves the cached copy and revalidates in the background', async () => {
+      const first = await sw.dispatchFetch('/js/auth.js');
+      expect(await first.text()).toBe('auth-v1');
+
+      network.requests = [];
+      const second = await sw.dispatchFetch('/js/auth.js');
+
+      expect(await second.text()).toBe('auth-v1');
+      expect(network.requests).toContain('/js/auth.js');
+    });
+
+    it('serves the precached shell script while offline', async () => {
+      network.online = false;
+
+      const response = await sw.dispatchFetch('/js/main.js');
+
+      expect(await response.text()).toBe('console.log("main")');
+    });
+  });
+
+  describe('data requests', () => {
+    it('serves the latest property feed from the network', async () => {
+      const response = await sw.dispatchFetch('/properties.json');
+
+      expect(await response.json()).toEqual({ version: '1.0.0', properties: [] });
+    });
+
+    it('serves the precached feed while offline', async () => {
+      network.online = false;
+
+      const response = await sw.dispatchFetch('/properties.json');
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe(SHELL_ROUTES['/properties.json']);
+    });
+
+    it('returns a JSON 503 instead of the offline page for uncached data', async () => {
+      network.online = false;
+
+      const response = await sw.dispatchFetch('/data/unknown.json');
+
+      expect(response.status).toBe(503);
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+    });
+  });
+
+  describe('image requests', () => {
+    it('serves images from the cache without touching the network', async () => {
+      const path = '/images/properties/properties-kemp-townhome-400w.webp';
+      await sw.dispatchFetch(path);
+
+      network.requests = [];
+      const response = await sw.dispatchFetch(path);
+
+      expect(await response.text()).toBe('kemp-v1');
+      expect(network.requests).not.toContain(path);
+    });
+  });
+
+  describe('ignored requests', () => {
+    it('does not intercept API calls, cross-origin or non-GET requests', async () => {
+      expect(await sw.dispatchFetch('/api/users/me')).toBeUndefined();
+      expect(await sw.dispatchFetch('https://unpkg.com/lucide.js')).toBeUndefined();
+      expect(
+        await sw.dispatchFetch('/js/main.js', { method: 'POST', body: '{}' })
+      ).toBeUndefined();
+    });
+  });
+
+  describe('message API', () => {
+    it('reports cache status for GET_CACHE_STATUS', async () => {
+      const reply = await sw.postMessage({ type: 'GET_CACHE_STATUS' });
+
+      expect(reply.type).toBe('CACHE_STATUS');
+      expect(reply.data.version).toBe('v1');
+      expect(reply.data.caches['p4c-shell-v1']).toBe(Object.keys(SHELL_ROUTES).length);
+      expect(reply.data.totalEntries).toBe(Object.keys(SHELL_ROUTES).length);
+    });
+
+    it('caches same-origin URLs for CACHE_URLS', async () => {
+      const reply = await sw.postMessage({
+        type: 'CACHE_URLS',
+        urls: [
+          '/about/',
+          '/images/properties/properties-kemp-townhome-400w.webp',
+          '/missing/',
+          'https://example.com/other.js'
+        ]
+      });
+
+      expect(reply.data.cached).toEqual(
+        expect.arrayContaining(['/about/', '/images/properties/properties-kemp-townhome-400w.webp'])
+      );
+      expect(reply.data.failed).toEqual(
+        expect.arrayContaining(['/missing/', 'https://example.com/other.js'])
+      );
+
+      const images = await sw.caches.open('p4c-images-v1');
+      expect(
+        await images.match(`${ORIGIN}/images/properties/properties-kemp-townhome-400w.webp`)
+      ).toBeDefined();
+    });
+
+    it('deletes every p4c cache for CLEAR_CACHE', async () => {
+      await sw.caches.open('third-party-cache');
+
+      const reply = await sw.postMessage({ type: 'CLEAR_CACHE' });
+
+      expect(reply.type).toBe('CACHE_CLEARED');
+      expect(await sw.caches.keys()).toEqual(['third-party-cache']);
+    });
+  });
+
+  describe('outbox background sync', () => {
+    const OUTBOX = ['p4c-outbox', 'submissions', 'id'];
+    let sent;
+    let statuses;
+    let csrfToken;
+    let outboxSw;
+
+    /**
+     * Queued submission record as written by js/utils/submissionOutbox.js
+     * @param {Object} overrides - Fields to change
+     * @returns {Object} Submission
+     */
+    function submission (overrides = {}) {
+      return {
+        id: 'sub-1',
+        url: '/api/contact',
+        method: 'POST',
+        headers: {},
+        label: 'Contact message',
+        createdAt: 1,
+        bodyType: 'json',
+        body: { name: 'Jordan', message: 'Is the Kemp townhome available?' },
+        ...overrides
+      };
+    }
+
+    beforeEach(() => {
+      sent = [];
+      statuses = {};
+      csrfToken = 'fresh-token';
+      outboxSw = createServiceWorkerEnvironment({
+        fetch: async (request) => {
+          if (!network.online) throw new TypeError('Failed to fetch');
+          if (new URL(request.url).pathname === '/api/csrf') {
+            return new Response(JSON.stringify(csrfToken ? { csrfToken } : {}), { status: csrfToken ? 200 : 503 });
+          }
+          sent.push(request);
+          return new Response('{}', { status: statuses[new URL(request.url).pathname] || 200 });
+        }
+      });
+    });
+
+    it('sends queued submissions with their idempotency key and a fresh CSRF token', async () => {
+      outboxSw.indexedDB.seed(...OUTBOX, [
+        submission(),
+        submission({
+          id: 'sub-2',
+          url: '/api/applications',
+          label: 'Rental application',
+          createdAt: 2,
+          bodyType: 'form',
+          body: [['fullName', 'Jordan Smith'], ['monthlyIncome', '1100.50']]
+        })
+      ]);
+
+      await outboxSw.dispatch('sync', { tag: 'p4c-outbox' });
+
+      expect(sent.map((request) => new URL(request.url).pathname)).toEqual(['/api/contact', '/api/applications']);
+      expect(sent[0].headers.get('Idempotency-Key')).toBe('sub-1');
+      expect(sent[0].headers.get('X-CSRF-Token')).toBe('fresh-token');
+      expect(sent[0].headers.get('x-auth-token')).toBeNull();
+      expect(await sent[0].json()).toEqual(submission().body);
+      expect((await sent[1].formData()).get('monthlyIncome')).toBe('1100.50');
+      expect(outboxSw.indexedDB.records('p4c-outbox', 'submissions')).toEqual([]);
+      expect(outboxSw.clientMessages).toEqual([{
+        type: 'OUTBOX_UPDATED',
+        data: {
+          sent: [{ id: 'sub-1', label: 'Contact message' }, { id: 'sub-2', label: 'Rental application' }],
+          rejected: [],
+          pending: []
+        }
+      }]);
+    });
+
+    it('keeps submissions and fails the sync while offline so the browser retries', async () => {
+      outboxSw.indexedDB.seed(...OUTBOX, [submission()]);
+      network.online = false;
+
+      await expect(outboxSw.dispatch('sync', { tag: 'p4c-outbox' })).rejects.toThrow('still queued');
+
+      expect(outboxSw.indexedDB.records('p4c-outbox', 'submissions')).toHaveLength(1);
+      expect(outboxSw.clientMessages[0].data.pending).toEqual([{ id: 'sub-1', label: 'Contact message' }]);
+    });
+
+    it('drops submissions the server rejects but retries server errors', async () => {
+      statuses['/api/contact'] = 422;
+      statuses['/api/applications'] = 503;
+      outboxSw.indexedDB.seed(...OUTBOX, [
+        submission(),
+        submission({ id: 'sub-2', url: '/api/applications', label: 'Rental application', createdAt: 2 })
+      ]);
+
+      await expect(outboxSw.dispatch('sync', { tag: 'p4c-outbox' })).rejects.toThrow();
+
+      expect(outboxSw.indexedDB.records('p4c-outbox', 'submissions').map((record) => record.id)).toEqual(['sub-2']);
+      expect(outboxSw.clientMessages[0].data.rejected).toEqual([{ id: 'sub-1', label: 'Contact message' }]);
+    });
+
+    it('keeps submissions on 401 and 403 until the user signs in again', async () => {
+      statuses['/api/contact'] = 401;
+      statuses['/api/applications'] = 403;
+      outboxSw.indexedDB.seed(...OUTBOX, [
+        submission(),
+        submission({ id: 'sub-2', url: '/api/applications', label: 'Rental application', createdAt: 2 })
+      ]);
+
+      await expect(outboxSw.dispatch('sync', { tag: 'p4c-outbox' })).rejects.toThrow('2 submission(s) still queued');
+
+      expect(outboxSw.indexedDB.records('p4c-outbox', 'submissions')).toHaveLength(2);
+      expect(outboxSw.clientMessages[0].data.rejected).toEqual([]);
+    });
+
+    it('leaves signed-in submissions for the page, which has the auth token', async () => {
+      outboxSw.indexedDB.seed(...OUTBOX, [
+        submission({ id: 'sub-2', url: '/api/applications', label: 'Rental application', auth: true })
+      ]);
+
+      await outboxSw.dispatch('sync', { tag: 'p4c-outbox' });
+
+      expect(sent).toEqual([]);
+      expect(outboxSw.indexedDB.records('p4c-outbox', 'submissions')).toHaveLength(1);
+      expect(outboxSw.clientMessages[0].data).toEqual({
+        sent: [],
+        rejected: [],
+        pending: [{ id: 'sub-2', label: 'Rental application' }]
+      });
+    });
+
+    it('keeps submissions when no CSRF token is available', async () => {
+      outboxSw.indexedDB.seed(...OUTBOX, [submission()]);
+      csrfToken = null;
+
+      await expect(outboxSw.dispatch('sync', { tag: 'p4c-outbox' })).rejects.toThrow('still queued');
+
+      expect(sent).toEqual([]);
+      expect(outboxSw.indexedDB.records('p4c-outbox', 'submissions')).toHaveLength(1);
+    });
+
+    it('ignores other sync tags', async () => {
+      outboxSw.indexedDB.seed(...OUTBOX, [submission()]);
+
+      await outboxSw.dispatch('sync', { tag: 'something-else' });
+
+      expect(sent).toEqual([]);
+      expect(outboxSw.clientMessages).toEqual([]);
+    });
+  });
+});